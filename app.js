@@ -0,0 +1,79 @@
+/**
+ * M8.AE3 File Upload App
+ * Express application: middleware stack and routes. server.js starts it after
+ * the database checks; tests mount it on a free port.
+ */
+
+import 'dotenv/config';
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Configuration
+import { SECURITY } from './config/constants/index.js';
+
+// Controllers  
+import { getApiDocumentation, healthCheck, welcome } from './controllers/rootController.js';
+import { 
+  securityHeaders,
+  requestLogger, 
+  notFoundHandler, 
+  errorHandler 
+} from './controllers/middlewareController.js';
+
+// Rate limiting
+import { requestRateLimit } from './middleware/rateLimiter.js';
+
+// Moderation (pending uploads are never served)
+import { hidePendingUploads } from './middleware/moderation.js';
+
+// Expiration (expired uploads answer 410 until the janitor deletes them)
+import { hideExpiredUploads } from './middleware/expiration.js';
+
+// Routes
+import imageRoutes from './routes/imageRoutes.js';
+import uploadSessionRoutes from './routes/uploadSessionRoutes.js';
+import moderationRoutes from './routes/moderationRoutes.js';
+
+// ES Modules __dirname equivalent  
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Express app initialization
+const app = express();
+
+// ============================================================================
+// MIDDLEWARE STACK
+// ============================================================================
+
+app.use(securityHeaders);                           // Security headers
+app.use(requestLogger);                             // HTTP request logging
+app.use(express.json({ limit: '1mb' }));            // JSON body parsing
+app.use(express.urlencoded({ extended: true, limit: '1mb' })); // URL encoded parsing
+
+// Static file serving (for uploaded files)
+// Stored SVGs are sanitized on upload; the CSP is a second line of defense
+// In moderation mode, files awaiting approval answer 404; expired files answer 410
+app.use('/static', hidePendingUploads, hideExpiredUploads, express.static(path.join(__dirname, 'uploads'), {
+  setHeaders: (res, filePath) => {
+    if (path.extname(filePath).toLowerCase() === '.svg') {
+      res.set('Content-Security-Policy', SECURITY.SVG_CONTENT_SECURITY_POLICY);
+    }
+  }
+}));
+
+// ============================================================================
+// API ROUTES
+// ============================================================================
+
+app.get('/', welcome);                             // Welcome endpoint with COOL reference
+app.get('/health', healthCheck);                   // Health check endpoint
+app.get('/api', getApiDocumentation);              // API documentation  
+app.use('/images', requestRateLimit);              // Per-client request limit (all image routes)
+app.use('/images/uploads', uploadSessionRoutes);   // Resumable chunked uploads
+app.use('/images/moderation', moderationRoutes);   // Moderator approval queue
+app.use('/images', imageRoutes);                   // Image upload/delete routes
+app.use(notFoundHandler);                          // 404 handler
+app.use(errorHandler);                             // Error handling (must be last)
+
+export default app;
@@ -20,7 +20,168 @@ export const FILE_LIMITS = {
   
   // Upload constraints
   MAX_FILES_PER_REQUEST: 1,
-  MAX_FORM_FIELDS: 10
+  MAX_FILES_PER_BATCH: 20,
+  MAX_FORM_FIELDS: 10,
+
+  // Multipart field names
+  SINGLE_UPLOAD_FIELD: 'image',
+  BATCH_UPLOAD_FIELD: 'images'
+};
+
+// File Types: single source of truth for every accepted type.
+// - extensions: accepted filename extensions (the first one is used when storing)
+// - signatures: magic numbers at offset 0
+// - container: RIFF form type or ISO-BMFF (ftyp) brands, parsed by ContentSniffingService
+// - decodable: sharp can fully decode it (deep validation on upload)
+// - transformable: sharp can decode it for transformations
+// - outputFormat: value of ?convert= producing this type (omitted when sharp can't write it)
+// - vector: sanitized before storage and only transformable into a raster format
+export const FILE_TYPES = {
+  'image/jpeg': {
+    extensions: ['.jpg', '.jpeg'],
+    signatures: [[0xFF, 0xD8, 0xFF]],
+    decodable: true,
+    transformable: true,
+    outputFormat: 'jpg'
+  },
+  'image/png': {
+    extensions: ['.png'],
+    signatures: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+    decodable: true,
+    transformable: true,
+    outputFormat: 'png'
+  },
+  'image/gif': {
+    extensions: ['.gif'],
+    signatures: [
+      [0x47, 0x49, 0x46, 0x38, 0x37, 0x61], // GIF87a
+      [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] // GIF89a
+    ],
+    decodable: true,
+    transformable: false // Animations would be flattened
+  },
+  'image/webp': {
+    extensions: ['.webp'],
+    signatures: [[0x52, 0x49, 0x46, 0x46]], // RIFF
+    container: { riff: 'WEBP' },
+    decodable: true,
+    transformable: true,
+    outputFormat: 'webp'
+  },
+  'image/avif': {
+    extensions: ['.avif'],
+    container: { brands: ['avif', 'avis'] },
+    decodable: true,
+    transformable: true,
+    outputFormat: 'avif'
+  },
+  'image/heic': {
+    extensions: ['.heic'],
+    container: { brands: ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'] },
+    transformable: false // HEVC decoding is not available in sharp's prebuilt libvips
+  },
+  'image/heif': {
+    extensions: ['.heif'],
+    container: { brands: ['mif1', 'msf1'] },
+    transformable: false
+  },
+  'image/tiff': {
+    extensions: ['.tif', '.tiff'],
+    signatures: [
+      [0x49, 0x49, 0x2A, 0x00], // Little endian (II*)
+      [0x4D, 0x4D, 0x00, 0x2A] // Big endian (MM*)
+    ],
+    decodable: true,
+    transformable: true,
+    outputFormat: 'tiff'
+  },
+  'image/bmp': {
+    extensions: ['.bmp'],
+    signatures: [[0x42, 0x4D]], // BM
+    transformable: false // Not decodable by sharp
+  },
+  'image/svg+xml': {
+    extensions: ['.svg'],
+    signatures: [], // XML text, recognized by its root element
+    transformable: true,
+    vector: true
+  },
+  'application/pdf': {
+    extensions: ['.pdf'],
+    signatures: [[0x25, 0x50, 0x44, 0x46, 0x2D]], // %PDF-
+    transformable: false
+  },
+  'text/plain': {
+    extensions: ['.txt'],
+    signatures: [], // Text files don't have reliable signatures
+    transformable: false
+  }
+};
+
+const FILE_TYPE_ENTRIES = Object.entries(FILE_TYPES);
+
+// Descriptive Metadata Constants (multipart text fields sent with an upload)
+export const DESCRIPTIVE_METADATA = {
+  // Multipart field names
+  FIELDS: {
+    TITLE: 'title',
+    ALT_TEXT: 'altText',
+    DESCRIPTION: 'description',
+    TAGS: 'tags'
+  },
+  
+  // Length limits (multer's fieldSize limit applies first)
+  MAX_TITLE_LENGTH: 255,
+  MAX_TEXT_LENGTH: FILE_LIMITS.MAX_FIELD_VALUE_SIZE,
+  
+  // Tags: comma separated and/or repeated "tags" fields
+  TAG_SEPARATOR: ',',
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 50
+};
+
+// Image Expiration Constants (optional per-image TTL set on upload)
+export const EXPIRATION = {
+  // Multipart field names, only one of them per upload
+  FIELDS: {
+    EXPIRES_IN: 'expiresIn', // Seconds from now
+    EXPIRES_AT: 'expiresAt' // ISO 8601 date
+  },
+  
+  MIN_TTL_SECONDS: 60,
+  MAX_TTL_SECONDS: 30 * 24 * 60 * 60 // 30 days
+};
+
+// Moderation Constants (optional approval queue for new uploads, MODERATION_MODE=true)
+export const MODERATION = {
+  STATUSES: {
+    PENDING: 'pending', // Hidden from /static and GET /images until approved
+    APPROVED: 'approved'
+  },
+  ENABLED: false,
+  
+  // Moderators authenticate with one of MODERATOR_API_KEYS (comma separated)
+  MODERATOR_KEY_HEADER: 'X-Moderator-Key',
+  
+  MAX_REASON_LENGTH: 500
+};
+
+// Static File Visibility Constants (pending and expired files hidden from /static)
+export const STATIC_VISIBILITY = {
+  // Other instances' changes show up within one refresh
+  REFRESH_INTERVAL_SECONDS: 30
+};
+
+// Upload Profile Constants (named rule sets, e.g. avatar or docs, selected per request or route)
+export const UPLOAD_PROFILES = {
+  // Profiles file, relative to the project root (env UPLOAD_PROFILES_FILE overrides it)
+  CONFIG_FILE: 'config/uploadProfiles.json',
+  
+  // Rules used when no profile is selected (a "default" entry in the file overrides them)
+  DEFAULT_PROFILE: 'default',
+  
+  // Query parameter selecting a profile: POST /images?profile=avatar
+  PROFILE_PARAM: 'profile'
 };
 
 // Image Processing Constants
@@ -34,30 +195,92 @@ export const IMAGE_PROCESSING = {
   MAX_QUALITY: 100,
   DEFAULT_QUALITY: 80,
   
-  // Supported formats (real-world web formats only)
-  SUPPORTED_FORMATS: ['jpg', 'png', 'webp'],
+  // Supported output formats for ?convert= (derived from FILE_TYPES)
+  SUPPORTED_FORMATS: FILE_TYPE_ENTRIES.filter(([, type]) => type.outputFormat).map(([, type]) => type.outputFormat),
+  
+  // Raster formats an SVG can be rendered to on upload (?rasterize=)
+  RASTERIZE_FORMATS: ['png', 'webp'],
   
+  // How a resize fits the requested box (sharp fit modes); 'inside' keeps the aspect ratio
+  FIT_MODES: ['cover', 'contain', 'fill', 'inside', 'outside'],
+  DEFAULT_FIT: 'inside',
+
+  // Anchor of cover/contain resizes (sharp gravities); smart crop strategies apply to cover only
+  POSITIONS: ['center', 'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+  SMART_CROP_STRATEGIES: ['entropy', 'attention'],
+  DEFAULT_POSITION: 'center',
+
+  // Fill color of contain letterboxes and off-axis rotations (hex, sharp's default)
+  DEFAULT_BACKGROUND: '000000',
+
+  // Re-encoded images are turned upright from their EXIF orientation (?autoOrient=false opts out)
+  AUTO_ORIENT: true,
+
   // PNG quality scale conversion (Sharp uses 0-9 for PNG)
   PNG_QUALITY_DIVISOR: 10
 };
 
+// On-demand Rendering Constants (GET /images/:filename/render)
+export const RENDERING = {
+  // Allowlist mode: only these sizes are rendered ('WIDTHxHEIGHT', 'WIDTH' or 'xHEIGHT').
+  // Empty renders any size within IMAGE_PROCESSING bounds. Env RENDER_SIZE_ALLOWLIST (comma separated) overrides it.
+  SIZE_ALLOWLIST: [],
+  
+  // Rendered derivatives, one folder per stored file (dot-prefixed so it is never served or swept as an orphan)
+  CACHE_DIRECTORY: '.derivatives',
+  
+  // Cache-Control max-age sent with rendered images (env RENDER_CACHE_MAX_AGE_SECONDS)
+  CACHE_MAX_AGE_SECONDS: 24 * 60 * 60
+};
+
+// Responsive Variant Constants (width variants generated at upload for srcset)
+export const VARIANTS = {
+  // Widths generated by ?variants=true (or a profile's "variants": true)
+  DEFAULT_WIDTHS: [320, 640, 1280, 1920],
+  MAX_WIDTHS: 8,
+  MAX_FORMATS: 3,
+  
+  // Query parameters: ?variants=true|320,640&variantFormats=webp,avif (formats default to the stored one)
+  WIDTHS_PARAM: 'variants',
+  FORMATS_PARAM: 'variantFormats'
+};
+
+// Decode Limits (decompression bomb protection), applied before and while sharp decodes.
+// Each one can be overridden with the environment variable of the same name.
+export const DECODE_LIMITS = {
+  MAX_INPUT_PIXELS: 50 * 1000 * 1000, // Per frame (about 7000x7000)
+  MAX_INPUT_DIMENSION: 16384, // Width or height
+  MAX_INPUT_FRAMES: 200, // Animated GIF/WebP frames, TIFF pages
+  DECODE_TIMEOUT_SECONDS: 10
+};
+
 // HTTP Status Codes
 export const HTTP_STATUS = {
   // Success codes
   SUCCESS: 200,
   OK: 200,
   CREATED: 201,
+  NO_CONTENT: 204,
+  MULTI_STATUS: 207,
   
   // Client error codes
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  GONE: 410,
+  LENGTH_REQUIRED: 411,
   PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   UNPROCESSABLE_ENTITY: 422,
+  FAILED_DEPENDENCY: 424,
+  TOO_MANY_REQUESTS: 429,
   
   // Server error codes
   INTERNAL_SERVER_ERROR: 500,
-  NOT_IMPLEMENTED: 501
+  NOT_IMPLEMENTED: 501,
+  SERVICE_UNAVAILABLE: 503
 };
 
 // Pagination Constants
@@ -83,37 +306,83 @@ export const DATABASE = {
   MAX_RETRY_ATTEMPTS: 3
 };
 
-// File Security Constants
-export const SECURITY = {
-  // File signatures (magic numbers) for validation
-  FILE_SIGNATURES: {
-    'image/jpeg': [
-      [0xFF, 0xD8, 0xFF] // JPEG signature
-    ],
-    'image/png': [
-      [0x89, 0x50, 0x4E, 0x47] // PNG signature
-    ],
-    'image/gif': [
-      [0x47, 0x49, 0x46, 0x38] // GIF87a/89a signature
-    ],
-    'application/pdf': [
-      [0x25, 0x50, 0x44, 0x46] // %PDF signature
-    ],
-    'text/plain': [] // Text files don't have reliable signatures
+// PDF Inspection Constants (active content found in uploaded PDFs)
+export const PDF_INSPECTION = {
+  ACTIONS: {
+    REJECT: 'reject', // 422 PDF_POLICY_VIOLATION
+    FLAG: 'flag' // Stored, listed in document_info.flags
+  },
+  
+  // Action per finding
+  POLICY: {
+    javascript: 'reject',
+    launchActions: 'reject',
+    embeddedFiles: 'flag',
+    encrypted: 'reject' // Encrypted content can't be inspected
+  },
+  
+  MAX_INFLATED_STREAM_BYTES: 20 * 1024 * 1024, // Per compressed object stream
+  MAX_TITLE_LENGTH: 255
+};
+
+// Text Inspection Constants (encoding detection and binary rejection for text/plain)
+export const TEXT_INSPECTION = {
+  ENCODINGS: ['utf-8', 'utf-16le', 'utf-16be', 'latin1'],
+  
+  // Control characters (other than tab, line feed, form feed, carriage return)
+  // allowed per decoded character before the content counts as binary
+  MAX_CONTROL_CHAR_RATIO: 0.01,
+  
+  // Store non UTF-8 text re-encoded as UTF-8 without BOM (env NORMALIZE_TEXT_TO_UTF8=true)
+  NORMALIZE_TO_UTF8: false,
+  
+  PREVIEW_LENGTH: 200 // Characters
+};
+
+// Malware Scanning Constants (scan stage between validation and storage)
+export const MALWARE_SCANNING = {
+  // Scanners (MALWARE_SCANNER selects one)
+  SCANNERS: {
+    NONE: 'none',
+    CLAMD: 'clamd'
   },
+  DEFAULT_SCANNER: 'none',
   
-  // Allowed file extensions with their MIME types
-  ALLOWED_FILE_TYPES: {
-    '.jpg': ['image/jpeg'],
-    '.jpeg': ['image/jpeg'],
-    '.png': ['image/png'],
-    '.gif': ['image/gif'],
-    '.pdf': ['application/pdf'],
-    '.txt': ['text/plain']
+  // What to do when the scanner can't be reached (MALWARE_SCAN_FAIL_MODE)
+  FAIL_MODES: {
+    OPEN: 'open', // Store the upload unscanned, log a warning
+    CLOSED: 'closed' // 503 SCANNER_UNAVAILABLE
   },
+  DEFAULT_FAIL_MODE: 'closed',
   
-  // Allowed image MIME types (for multer configuration)
-  ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  // clamd connection: CLAMD_SOCKET (Unix socket) wins over CLAMD_HOST/CLAMD_PORT
+  CLAMD_HOST: '127.0.0.1',
+  CLAMD_PORT: 3310,
+  CLAMD_TIMEOUT_MS: 30 * 1000, // CLAMD_TIMEOUT_MS
+  CLAMD_CHUNK_SIZE: 64 * 1024 // INSTREAM chunk size, below clamd's StreamMaxLength
+};
+
+// File Security Constants
+export const SECURITY = {
+  // File signatures (magic numbers) for validation (derived from FILE_TYPES)
+  FILE_SIGNATURES: Object.fromEntries(
+    FILE_TYPE_ENTRIES.map(([mimeType, type]) => [mimeType, type.signatures || []])
+  ),
+  
+  // Allowed file extensions with their MIME types (derived from FILE_TYPES)
+  ALLOWED_FILE_TYPES: Object.fromEntries(
+    FILE_TYPE_ENTRIES.flatMap(([mimeType, type]) => type.extensions.map(extension => [extension, [mimeType]]))
+  ),
+  
+  // Leading bytes read from disk for content sniffing (enough to tell text from binary
+  // and to reach the root element of an SVG behind its XML prolog)
+  SIGNATURE_READ_BYTES: 1024,
+  
+  // Allowed image MIME types (derived from FILE_TYPES)
+  ALLOWED_IMAGE_TYPES: FILE_TYPE_ENTRIES.map(([mimeType]) => mimeType).filter(mimeType => mimeType.startsWith('image/')),
+  
+  // Served with stored SVGs: no scripts, no external loads, sandboxed if opened directly
+  SVG_CONTENT_SECURITY_POLICY: "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox",
   
   // Input sanitization
   MAX_INPUT_LENGTH: 255,
@@ -141,6 +410,10 @@ export const STORAGE = {
   // File cleanup
   TEMP_FILE_MAX_AGE_MINUTES: 60,
   
+  // Staging area for incoming uploads (dot-prefixed so it is never served or swept as an orphan)
+  STAGING_DIRECTORY: '.staging',
+  STAGING_FILE_EXTENSION: '.tmp',
+  
   // Orphaned file cleanup
   ORPHAN_CLEANUP_BATCH_SIZE: 100,
   
@@ -148,6 +421,95 @@ export const STORAGE = {
   UPLOADS_RELATIVE_PATH: '/uploads'
 };
 
+// Resumable (tus-style) Upload Constants
+export const RESUMABLE_UPLOADS = {
+  // Protocol
+  TUS_VERSION: '1.0.0',
+  CHUNK_CONTENT_TYPE: 'application/offset+octet-stream',
+  
+  // Limits
+  MAX_UPLOAD_SIZE: FILE_LIMITS.MAX_FILE_SIZE, // Finalized files still go through the normal pipeline
+  MAX_CHUNK_SIZE: 1 * 1024 * 1024, // 1MB per PATCH
+  
+  // Session lifetime
+  SESSION_TTL_HOURS: 24,
+  
+  // Staging area for partial uploads (dot-prefixed so it is never served or swept as an orphan)
+  SESSIONS_DIRECTORY: '.sessions',
+  PARTIAL_FILE_EXTENSION: '.part',
+  
+  // Session states
+  STATUS: {
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+  }
+};
+
+// Presigned Upload URL Constants
+export const PRESIGNED_UPLOADS = {
+  // Query parameters carrying the signed policy
+  POLICY_PARAM: 'policy',
+  SIGNATURE_PARAM: 'signature',
+  
+  // Signing (secret comes from UPLOAD_SIGNING_SECRET)
+  POLICY_VERSION: 1,
+  SIGNATURE_ALGORITHM: 'sha256',
+  
+  // Lifetime of an issued URL
+  DEFAULT_EXPIRES_SECONDS: 15 * 60, // 15 minutes
+  MAX_EXPIRES_SECONDS: 60 * 60 // 1 hour
+};
+
+// Rate Limiting Constants (limits themselves live in BUSINESS_RULES)
+export const RATE_LIMITING = {
+  // Bucket windows
+  REQUEST_WINDOW_MS: 60 * 1000, // MAX_REQUESTS_PER_MINUTE
+  UPLOAD_WINDOW_MS: 60 * 60 * 1000, // MAX_UPLOAD_SIZE_PER_HOUR
+  UPLOAD_SESSION_WINDOW_MS: 60 * 60 * 1000, // MAX_UPLOAD_SESSIONS_PER_HOUR
+  
+  // Client identification (keys listed in API_KEYS, otherwise the client IP)
+  API_KEY_HEADER: 'X-API-Key',
+  
+  // Bucket stores (RATE_LIMIT_STORE selects one)
+  STORES: {
+    MEMORY: 'memory',
+    POSTGRES: 'postgres'
+  },
+  DEFAULT_STORE: 'memory'
+};
+
+// Idempotency-Key Constants
+export const IDEMPOTENCY = {
+  // Headers
+  KEY_HEADER: 'Idempotency-Key',
+  REPLAYED_HEADER: 'Idempotent-Replayed',
+  
+  // Keys are opaque client strings (UUIDs recommended)
+  MAX_KEY_LENGTH: 255,
+  
+  // How long a stored response can be replayed (IDEMPOTENCY_TTL_HOURS overrides)
+  DEFAULT_TTL_HOURS: 24,
+  
+  // Seconds a client should wait before retrying a key that is still in progress
+  IN_PROGRESS_RETRY_AFTER: 1,
+  
+  // Key states
+  STATUS: {
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed'
+  }
+};
+
+// Background Janitor Constants
+export const JANITOR = {
+  INTERVAL_MINUTES: 15,
+  EXPIRED_SESSION_BATCH_SIZE: 100,
+  EXPIRED_IMAGE_BATCH_SIZE: 100,
+  EXPIRED_IDEMPOTENCY_KEY_BATCH_SIZE: 500,
+  EXPIRED_RATE_LIMIT_BUCKET_BATCH_SIZE: 1000
+};
+
 // Validation Constants
 export const VALIDATION = {
   // String validation
@@ -187,8 +549,10 @@ export const LOGGING = {
 // Business Logic Constants
 export const BUSINESS_RULES = {
   // Image transformation rules
-  TRANSFORMABLE_MIME_TYPES: ['image/jpeg', 'image/png'], // GIF excluded
-  NON_TRANSFORMABLE_MIME_TYPES: ['image/gif'],
+  TRANSFORMABLE_MIME_TYPES: FILE_TYPE_ENTRIES.filter(([, type]) => type.transformable).map(([mimeType]) => mimeType),
+  NON_TRANSFORMABLE_MIME_TYPES: FILE_TYPE_ENTRIES
+    .filter(([mimeType, type]) => mimeType.startsWith('image/') && !type.transformable)
+    .map(([mimeType]) => mimeType),
   
   // Security messages
   HACKER_MESSAGE: '¿Te creí hacker acaso?',
@@ -196,21 +560,42 @@ export const BUSINESS_RULES = {
   // File naming
   FILENAME_SEPARATOR: '_',
   
-  // Rate limiting (if implemented in future)
+  // Batch uploads: roll back every file if any one fails (overridable with ?atomic=)
+  BATCH_ATOMIC_DEFAULT: false,
+  
+  // Rate limiting (enforced per client by middleware/rateLimiter.js)
   MAX_REQUESTS_PER_MINUTE: 60,
-  MAX_UPLOAD_SIZE_PER_HOUR: 100 * 1024 * 1024 // 100MB per hour
+  MAX_UPLOAD_SIZE_PER_HOUR: 100 * 1024 * 1024, // 100MB per hour
+  MAX_UPLOAD_SESSIONS_PER_HOUR: 20 // Resumable sessions opened per hour
 };
 
 // Export grouped constants for easy importing
 export const CONSTANTS = {
   FILE_LIMITS,
+  FILE_TYPES,
+  DESCRIPTIVE_METADATA,
+  EXPIRATION,
+  MODERATION,
+  STATIC_VISIBILITY,
+  UPLOAD_PROFILES,
   IMAGE_PROCESSING,
+  RENDERING,
+  VARIANTS,
+  DECODE_LIMITS,
   HTTP_STATUS,
   PAGINATION,
   DATABASE,
+  PDF_INSPECTION,
+  TEXT_INSPECTION,
+  MALWARE_SCANNING,
   SECURITY,
   SERVER,
   STORAGE,
+  RESUMABLE_UPLOADS,
+  PRESIGNED_UPLOADS,
+  RATE_LIMITING,
+  IDEMPOTENCY,
+  JANITOR,
   VALIDATION,
   LOGGING,
   BUSINESS_RULES
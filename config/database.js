@@ -41,8 +41,82 @@ const initializeDatabase = async () => {
     `;
     
     await client.query(createImagesTableQuery);
+
+    // Columnas agregadas después de la versión inicial (bases de datos existentes)
+    await client.query(`
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS content_hash CHAR(64);
+      CREATE INDEX IF NOT EXISTS idx_images_metadata_content_hash ON images_metadata (content_hash);
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS title VARCHAR(255);
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS alt_text TEXT;
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS description TEXT;
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+      CREATE INDEX IF NOT EXISTS idx_images_metadata_tags ON images_metadata USING GIN (tags);
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_images_metadata_expires_at ON images_metadata (expires_at) WHERE expires_at IS NOT NULL;
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS document_info JSONB;
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved';
+      ALTER TABLE images_metadata ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_images_metadata_pending ON images_metadata (created_at) WHERE moderation_status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_images_metadata_path ON images_metadata (path);
+    `);
     log.ok('Table "images_metadata" verified/created successfully');
 
+    // Crear tabla image_versions si no existe (contenido anterior de imágenes reemplazadas)
+    const createImageVersionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS image_versions (
+        image_name VARCHAR(100) NOT NULL REFERENCES images_metadata(name) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        mask_name VARCHAR(255) NOT NULL,
+        path VARCHAR(100) NOT NULL,
+        mime VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        content_hash CHAR(64),
+        created_at TIMESTAMP NOT NULL,
+        archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (image_name, version)
+      );
+    `;
+
+    await client.query(createImageVersionsTableQuery);
+    await client.query(`
+      ALTER TABLE image_versions ADD COLUMN IF NOT EXISTS document_info JSONB;
+    `);
+    log.ok('Table "image_versions" verified/created successfully');
+
+    // Crear tabla image_variants si no existe (anchos generados al subir, para srcset)
+    const createImageVariantsTableQuery = `
+      CREATE TABLE IF NOT EXISTS image_variants (
+        path VARCHAR(100) PRIMARY KEY,
+        image_name VARCHAR(100) NOT NULL REFERENCES images_metadata(name) ON DELETE CASCADE,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        mime VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_image_variants_image_name ON image_variants (image_name);
+    `;
+
+    await client.query(createImageVariantsTableQuery);
+    log.ok('Table "image_variants" verified/created successfully');
+
+    // Crear tabla content_blobs si no existe (deduplicación por SHA-256)
+    const createContentBlobsTableQuery = `
+      CREATE TABLE IF NOT EXISTS content_blobs (
+        hash CHAR(64) PRIMARY KEY,
+        filename VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        ref_count INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `;
+
+    await client.query(createContentBlobsTableQuery);
+    log.ok('Table "content_blobs" verified/created successfully');
+
     // Crear tabla cleanup_queue si no existe
     const createCleanupQueueTableQuery = `
       CREATE TABLE IF NOT EXISTS cleanup_queue (
@@ -55,6 +129,56 @@ const initializeDatabase = async () => {
     await client.query(createCleanupQueueTableQuery);
     log.ok('Table "cleanup_queue" verified/created successfully');
 
+    // Crear tabla upload_sessions si no existe (subidas reanudables)
+    const createUploadSessionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        original_name VARCHAR(255) NOT NULL,
+        mime VARCHAR(100),
+        total_size INTEGER NOT NULL,
+        upload_offset INTEGER NOT NULL DEFAULT 0,
+        transformations JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        result_name VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      );
+    `;
+
+    await client.query(createUploadSessionsTableQuery);
+    log.ok('Table "upload_sessions" verified/created successfully');
+
+    // Crear tabla idempotency_keys si no existe (reintentos con Idempotency-Key)
+    const createIdempotencyKeysTableQuery = `
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        key VARCHAR(255) PRIMARY KEY,
+        method VARCHAR(10) NOT NULL,
+        path VARCHAR(255) NOT NULL,
+        fingerprint CHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+        response_status INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      );
+    `;
+
+    await client.query(createIdempotencyKeysTableQuery);
+    log.ok('Table "idempotency_keys" verified/created successfully');
+
+    // Crear tabla rate_limit_buckets si no existe (límites compartidos entre instancias)
+    const createRateLimitBucketsTableQuery = `
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        key VARCHAR(255) PRIMARY KEY,
+        count BIGINT NOT NULL DEFAULT 0,
+        reset_at TIMESTAMP NOT NULL
+      );
+    `;
+
+    await client.query(createRateLimitBucketsTableQuery);
+    log.ok('Table "rate_limit_buckets" verified/created successfully');
+
     client.release();
   } catch (err) {
     log.error('Error initializing database: ' + err.message);
@@ -3,6 +3,9 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import log from '../utils/logger.js';
+import JanitorService from '../services/JanitorService.js';
+import StaticVisibilityService from '../services/StaticVisibilityService.js';
+import UploadProfileService from '../services/UploadProfileService.js';
 
 // ES Modules __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -31,6 +34,21 @@ export const startServer = async (app, PORT) => {
     await fs.mkdir(path.join(__dirname, '..', 'uploads'), { recursive: true });
     log.pass('Upload directory ready');
 
+    // Load upload profiles (an invalid profiles file stops the start)
+    log.info('Loading upload profiles...');
+    UploadProfileService.getProfiles();
+    log.pass('Upload profiles ready');
+
+    // Schedule background maintenance (expired sessions, cleanup queue)
+    log.info('Starting janitor...');
+    JanitorService.start();
+    log.pass('Janitor ready');
+
+    // Pending and expired files /static must hide (kept in memory)
+    log.info('Loading static file visibility...');
+    await StaticVisibilityService.start();
+    log.pass('Static file visibility ready');
+
     // Start HTTP server
     const server = app.listen(PORT, () => {
       log.info(`Server running on port ${PORT}`);
@@ -65,6 +83,8 @@ export const startServer = async (app, PORT) => {
 export const setupServerShutdown = (server = null) => {
   const shutdown = async (signal) => {
     log.stop(`Received ${signal}, starting graceful shutdown...`);
+    JanitorService.stop();
+    StaticVisibilityService.stop();
 
     // Close HTTP server
     if (server) {
@@ -7,13 +7,23 @@
  */
 
 import { log } from '../utils/logger.js';
-import { HTTP_STATUS, PAGINATION } from '../config/constants/index.js';
-import FileValidationService from '../services/FileValidationService.js';
-import ImageTransformationService from '../services/ImageTransformationService.js';
-import FileStorageService from '../services/FileStorageService.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import { HTTP_STATUS, PAGINATION, FILE_LIMITS, BUSINESS_RULES, PRESIGNED_UPLOADS } from '../config/constants/index.js';
+import UploadService from '../services/UploadService.js';
+import ValidationReportService from '../services/ValidationReportService.js';
+import RenderService from '../services/RenderService.js';
+import VariantService from '../services/VariantService.js';
+import UploadProfileService from '../services/UploadProfileService.js';
+import PresignedUploadService from '../services/PresignedUploadService.js';
+import ExpirationService from '../services/ExpirationService.js';
+import ModerationService from '../services/ModerationService.js';
+import StaticVisibilityService from '../services/StaticVisibilityService.js';
 import TransactionService from '../services/TransactionService.js';
 import ImageMetadataRepository from '../repositories/ImageMetadataRepository.js';
 import CleanupQueueRepository from '../repositories/CleanupQueueRepository.js';
+import ContentBlobRepository from '../repositories/ContentBlobRepository.js';
+import ImageVersionRepository from '../repositories/ImageVersionRepository.js';
+import ImageVariantRepository from '../repositories/ImageVariantRepository.js';
 
 export class ImageController {
   /**
@@ -32,76 +42,412 @@ export class ImageController {
       }
 
       const file = req.file;
-      const queryParams = req.query;
+      // Presigned uploads apply the transformations of their signed policy, never the client's
+      const queryParams = req.uploadPolicy ? req.uploadPolicy.transformations : req.query;
       
       log.info(`Processing upload: ${file.originalname} (${file.size} bytes)`);
 
-      // 2. Validate file
-      const validationResult = await FileValidationService.validateFile(file);
+      // 2. Validate, transform and store through the shared upload pipeline
+      const fields = UploadService.parseUploadFields(req.body);
+      const upload = await UploadService.uploadFile(file, queryParams, fields, req.uploadProfile);
+      const uniqueFilename = upload.filename;
+
+      // 3. Send success response
+      log.pass(`Image upload completed successfully: ${uniqueFilename}`);
+      res.status(HTTP_STATUS.SUCCESS).json({
+        success: true,
+        message: 'Image uploaded successfully',
+        data: {
+          filename: uniqueFilename,
+          originalname: req.file.originalname,
+          url: `/images/${uniqueFilename}`,
+          mimetype: upload.metadata.mime,
+          size: req.file.size,
+          ...(upload.validationResult.typeMismatch && { typeMismatch: upload.validationResult.typeMismatch }),
+          ...(upload.sanitized && { sanitized: upload.sanitized }),
+          ...(req.uploadProfile && { profile: req.uploadProfile.name }),
+          deduplicated: upload.deduplicated,
+          contentHash: upload.metadata.contentHash,
+          title: upload.metadata.title ?? null,
+          altText: upload.metadata.altText ?? null,
+          description: upload.metadata.description ?? null,
+          tags: upload.metadata.tags ?? [],
+          expiresAt: upload.metadata.expiresAt ?? null,
+          moderationStatus: upload.metadata.moderationStatus,
+          ...(upload.metadata.documentInfo && { document: upload.metadata.documentInfo }),
+          ...(upload.variants.length > 0 && {
+            variants: VariantService.describe(upload.variants),
+            srcset: VariantService.buildSrcset(upload.variants)
+          })
+        }
+      });
+
+    } catch (error) {
+      log.error(`Image upload failed: ${error.message}`);
       
-      // 3. Check if transformations are requested and if file supports them
-      let transformationResult = { buffer: file.buffer, extension: validationResult.extension, wasTransformed: false };
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 ? error.message : 'Internal server error';
       
-      if (ImageTransformationService.hasAnyTransformation(queryParams)) {
-        if (ImageTransformationService.isTransformableImage(validationResult.mimeType)) {
-          transformationResult = await ImageTransformationService.transformImage(
-            file.buffer,
-            validationResult.extension,
-            queryParams
-          );
-          log.info(`Image transformation applied: ${transformationResult.wasTransformed}`);
-        } else {
-          return res.status(400).json({
-            error: 'Transformation not supported',
-            message: `File type ${validationResult.mimeType} does not support transformations`,
-            supportedTypes: ['image/jpeg', 'image/png']
-          });
+      res.status(statusCode).json({
+        error: message,
+        ...(statusCode < 500 && error.details),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * Dry run: report every upload check and the output a file would produce,
+   * without storing anything
+   * Query parameters: same transformations as upload
+   */
+  static async validateImage(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'No file provided',
+          message: 'Please provide a file using the "image" field'
+        });
+      }
+
+      const report = await ValidationReportService.buildReport(req.file, req.query, req.uploadProfile);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: report.valid ? 'File passes every upload check' : 'File would be rejected on upload',
+        data: report
+      });
+
+    } catch (error) {
+      log.error(`Validation dry run failed: ${error.message}`);
+
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 ? error.message : 'Internal server error';
+
+      res.status(statusCode).json({
+        error: message,
+        ...(statusCode < 500 && error.details),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * List the upload profiles a client can select (?profile= or /images/profiles/:profile)
+   */
+  static async getUploadProfiles(req, res) {
+    try {
+      const profiles = [...UploadProfileService.getProfiles().values()].map(profile => UploadProfileService.describe(profile));
+
+      res.status(HTTP_STATUS.OK).json({
+        message: 'Upload profiles retrieved successfully',
+        data: { profiles }
+      });
+
+    } catch (error) {
+      log.error(`Failed to retrieve upload profiles: ${error.message}`);
+
+      res.status(500).json({
+        error: 'Failed to retrieve upload profiles',
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * Issue a short-lived signed upload URL
+   * Body: { maxSize, extensions: ['.jpg'], transformations: { convert, resize, quality }, expiresIn }
+   */
+  static async createPresignedUpload(req, res) {
+    try {
+      const { policy, encodedPolicy, signature } = PresignedUploadService.createPresignedUpload(req.body || {});
+
+      const params = new URLSearchParams({
+        [PRESIGNED_UPLOADS.POLICY_PARAM]: encodedPolicy,
+        [PRESIGNED_UPLOADS.SIGNATURE_PARAM]: signature
+      });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Presigned upload URL created',
+        data: {
+          url: `${req.baseUrl}?${params}`,
+          method: 'POST',
+          field: FILE_LIMITS.SINGLE_UPLOAD_FIELD,
+          maxSize: policy.maxSize,
+          extensions: policy.extensions,
+          transformations: policy.transformations,
+          expiresAt: new Date(policy.exp * 1000).toISOString()
         }
+      });
+
+    } catch (error) {
+      log.error(`Presigned upload creation failed: ${error.message}`);
+      
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 || error.code ? error.message : 'Internal server error';
+      
+      res.status(statusCode).json({
+        error: message,
+        ...(error.code && { code: error.code }),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * Handle multi-file upload, reporting a result per file (207 Multi-Status)
+   * Query parameters: same transformations as single upload, plus ?atomic=true|false
+   * Form fields (title, altText, description, tags, expiresIn/expiresAt) apply to every file
+   */
+  static async uploadBatch(req, res) {
+    try {
+      log.info('Starting batch upload process');
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'No files provided',
+          message: `Please provide one or more files using the "${FILE_LIMITS.BATCH_UPLOAD_FIELD}" field`
+        });
+      }
+
+      const { atomic: atomicParam, ...queryParams } = req.query;
+      const atomic = atomicParam === undefined
+        ? BUSINESS_RULES.BATCH_ATOMIC_DEFAULT
+        : atomicParam === 'true' || atomicParam === '1';
+
+      const fields = UploadService.parseUploadFields(req.body);
+      const batch = await UploadService.uploadBatch(req.files, queryParams, { atomic, fields, profile: req.uploadProfile });
+
+      const succeeded = batch.results.filter(item => item.success).length;
+      const failed = batch.results.length - succeeded;
+      const statusCode = failed === 0 ? HTTP_STATUS.SUCCESS : HTTP_STATUS.MULTI_STATUS;
+
+      if (failed === 0) {
+        log.pass(`Batch upload completed successfully: ${succeeded} files`);
+      } else {
+        log.warn(`Batch upload finished with errors: ${succeeded} succeeded, ${failed} failed${batch.rolledBack ? ' (rolled back)' : ''}`);
       }
 
-      // 4. Generate unique filename
-      const uniqueFilename = FileStorageService.generateUniqueFilename(transformationResult.extension);
+      res.status(statusCode).json({
+        success: failed === 0,
+        message: failed === 0
+          ? 'All files uploaded successfully'
+          : batch.rolledBack
+            ? 'Batch rolled back: no files were stored'
+            : 'Some files could not be uploaded',
+        summary: {
+          total: batch.results.length,
+          succeeded,
+          failed,
+          atomic: batch.atomic,
+          rolledBack: batch.rolledBack,
+          ...(req.uploadProfile && { profile: req.uploadProfile.name })
+        },
+        results: batch.results
+      });
+
+    } catch (error) {
+      log.error(`Batch upload failed: ${error.message}`);
       
-      // 5. Prepare metadata
-      const metadata = {
-        name: uniqueFilename,
-        maskName: file.originalname,
-        path: FileStorageService.getRelativePath(uniqueFilename),
-        mime: validationResult.mimeType,
-        size: transformationResult.buffer.length
-      };
-
-      // 6. Execute transactional upload
-      const result = await TransactionService.executeUploadTransaction({
-        fileBuffer: transformationResult.buffer,
-        filename: uniqueFilename,
-        metadata,
-        imageRepository: ImageMetadataRepository,
-        cleanupRepository: CleanupQueueRepository
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 ? error.message : 'Internal server error';
+      
+      res.status(statusCode).json({
+        error: message,
+        ...(statusCode < 500 && error.details),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
       });
+    }
+  }
 
-      // 7. Send success response
-      log.pass(`Image upload completed successfully: ${uniqueFilename}`);
+  /**
+   * Replace the content of an existing image, keeping its name (and URLs).
+   * The previous content is kept as a numbered version.
+   * Query parameters: same transformations as upload
+   * Form fields that are sent (title, tags, expiresIn...) replace the current ones, the rest are kept
+   */
+  static async replaceImage(req, res) {
+    try {
+      const { filename } = req.params;
+      log.info(`Starting image replacement process for: ${filename}`);
+
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'No file provided',
+          message: `Please provide a file using the "${FILE_LIMITS.SINGLE_UPLOAD_FIELD}" field`
+        });
+      }
+
+      const fields = UploadService.parseUploadFields(req.body);
+      const replaced = await UploadService.replaceFile(filename, req.file, req.query, fields, req.uploadProfile);
+
+      log.pass(`Image replacement completed successfully: ${filename} (version ${replaced.metadata.version})`);
       res.status(HTTP_STATUS.SUCCESS).json({
         success: true,
-        message: 'Image uploaded successfully',
+        message: 'Image replaced successfully',
         data: {
-          filename: uniqueFilename,
+          filename,
           originalname: req.file.originalname,
-          url: `/images/${uniqueFilename}`,
-          mimetype: req.file.mimetype,
-          size: req.file.buffer.length
+          url: `/images/${filename}`,
+          mimetype: replaced.metadata.mime,
+          size: replaced.metadata.size,
+          ...(replaced.validationResult.typeMismatch && { typeMismatch: replaced.validationResult.typeMismatch }),
+          ...(replaced.sanitized && { sanitized: replaced.sanitized }),
+          version: replaced.metadata.version,
+          previousVersion: replaced.previousVersion,
+          deduplicated: replaced.deduplicated,
+          contentHash: replaced.metadata.content_hash,
+          title: replaced.metadata.title,
+          altText: replaced.metadata.alt_text,
+          description: replaced.metadata.description,
+          tags: replaced.metadata.tags,
+          expiresAt: replaced.metadata.expires_at,
+          moderationStatus: replaced.metadata.moderation_status,
+          ...(replaced.metadata.document_info && { document: replaced.metadata.document_info }),
+          ...(replaced.variants.length > 0 && {
+            variants: VariantService.describe(replaced.variants),
+            srcset: VariantService.buildSrcset(replaced.variants)
+          })
         }
       });
 
     } catch (error) {
-      log.error(`Image upload failed: ${error.message}`);
+      log.error(`Image replacement failed: ${error.message}`);
       
       const statusCode = error.statusCode || 500;
       const message = statusCode < 500 ? error.message : 'Internal server error';
       
       res.status(statusCode).json({
         error: message,
+        ...(statusCode < 500 && error.details),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * List the current content and every archived version of an image
+   */
+  static async getImageVersions(req, res) {
+    try {
+      const { filename } = req.params;
+
+      log.info(`Retrieving versions for: ${filename}`);
+
+      const metadata = await ImageMetadataRepository.findByName(filename);
+
+      // Images awaiting moderation don't exist publicly
+      if (!metadata || ModerationService.isHidden(metadata)) {
+        return res.status(404).json({
+          error: 'File not found',
+          message: `No file found with name: ${filename}`
+        });
+      }
+
+      if (ExpirationService.isExpired(metadata)) {
+        return res.status(HTTP_STATUS.GONE).json({
+          error: 'File expired',
+          message: `File ${filename} is no longer available`,
+          code: 'IMAGE_EXPIRED',
+          expiredAt: metadata.expires_at
+        });
+      }
+
+      const versions = await ImageVersionRepository.findByImage(filename);
+
+      res.status(200).json({
+        message: 'File versions retrieved successfully',
+        data: {
+          name: metadata.name,
+          currentVersion: metadata.version,
+          versions: [
+            {
+              version: metadata.version,
+              current: true,
+              originalName: metadata.mask_name,
+              size: metadata.size,
+              mimeType: metadata.mime,
+              path: metadata.path,
+              createdAt: metadata.updated_at || metadata.created_at
+            },
+            ...versions.map(version => ({
+              version: version.version,
+              current: false,
+              originalName: version.mask_name,
+              size: version.size,
+              mimeType: version.mime,
+              path: version.path,
+              createdAt: version.created_at,
+              archivedAt: version.archived_at
+            }))
+          ]
+        }
+      });
+
+    } catch (error) {
+      log.error(`Failed to retrieve file versions: ${error.message}`);
+      
+      res.status(500).json({
+        error: 'Failed to retrieve file versions',
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * Restore an archived version. The restored content becomes a new
+   * version, the content it replaces is archived like on any replacement.
+   */
+  static async restoreImageVersion(req, res) {
+    try {
+      const { filename } = req.params;
+      const version = Number(req.params.version);
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid version',
+          message: 'Version must be a positive integer'
+        });
+      }
+
+      log.info(`Starting version restore for: ${filename} (version ${version})`);
+
+      const result = await TransactionService.executeRestoreTransaction({
+        filename,
+        version,
+        imageRepository: ImageMetadataRepository,
+        versionRepository: ImageVersionRepository,
+        cleanupRepository: CleanupQueueRepository,
+        blobRepository: ContentBlobRepository,
+        variantRepository: ImageVariantRepository
+      });
+      await StaticVisibilityService.refreshImage(filename);
+
+      log.pass(`Version restore completed successfully: ${filename} (version ${result.metadata.version})`);
+      res.status(HTTP_STATUS.SUCCESS).json({
+        success: true,
+        message: `Version ${version} restored successfully`,
+        data: {
+          filename,
+          url: `/images/${filename}`,
+          mimetype: result.metadata.mime,
+          size: result.metadata.size,
+          version: result.metadata.version,
+          restoredVersion: result.restoredVersion,
+          previousVersion: result.previousVersion
+        }
+      });
+
+    } catch (error) {
+      log.error(`Version restore failed: ${error.message}`);
+      
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 ? error.message : 'Internal server error';
+      
+      res.status(statusCode).json({
+        error: message,
+        ...(statusCode < 500 && error.details),
         ...(process.env.NODE_ENV === 'development' && { details: error.message })
       });
     }
@@ -127,7 +473,10 @@ export class ImageController {
       const result = await TransactionService.executeDeleteTransaction({
         filename,
         imageRepository: ImageMetadataRepository,
-        cleanupRepository: CleanupQueueRepository
+        cleanupRepository: CleanupQueueRepository,
+        blobRepository: ContentBlobRepository,
+        versionRepository: ImageVersionRepository,
+        variantRepository: ImageVariantRepository
       });
 
       // Send success response
@@ -137,6 +486,9 @@ export class ImageController {
         file: {
           name: filename,
           originalName: result.originalMetadata.mask_name,
+          fileDeleted: result.fileDeleted,
+          deletedVersions: result.deletedVersions,
+          deletedVariants: result.deletedVariants,
           deletedAt: new Date().toISOString()
         }
       });
@@ -156,16 +508,27 @@ export class ImageController {
 
   /**
    * Get list of uploaded images with pagination
+   * Query parameters: limit, offset, tag (only images carrying that tag)
    */
   static async getImages(req, res) {
     try {
       const limit = Math.min(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
       const offset = parseInt(req.query.offset) || 0;
+
+      if (req.query.tag !== undefined && typeof req.query.tag !== 'string') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid tag filter',
+          message: 'Filter by a single tag: ?tag=name'
+        });
+      }
+
+      const [tag] = ValidationUtils.parseTags(req.query.tag);
+      const filters = { excludeExpired: true, ...ModerationService.getPublicFilters(), ...(tag && { tag }) };
       
-      log.info(`Retrieving images list (limit: ${limit}, offset: ${offset})`);
+      log.info(`Retrieving images list (limit: ${limit}, offset: ${offset}${tag ? `, tag: ${tag}` : ''})`);
 
-      const images = await ImageMetadataRepository.findAll(limit, offset);
-      const totalCount = await ImageMetadataRepository.getCount();
+      const images = await ImageMetadataRepository.findAll(limit, offset, filters);
+      const totalCount = await ImageMetadataRepository.getCount(filters);
 
       res.status(200).json({
         message: 'Images retrieved successfully',
@@ -176,6 +539,11 @@ export class ImageController {
             size: img.size,
             mimeType: img.mime,
             path: img.path,
+            title: img.title,
+            altText: img.alt_text,
+            description: img.description,
+            tags: img.tags,
+            expiresAt: img.expires_at,
             uploadedAt: img.created_at
           })),
           pagination: {
@@ -208,13 +576,25 @@ export class ImageController {
 
       const metadata = await ImageMetadataRepository.findByName(filename);
       
-      if (!metadata) {
+      // Images awaiting moderation don't exist publicly
+      if (!metadata || ModerationService.isHidden(metadata)) {
         return res.status(404).json({
           error: 'File not found',
           message: `No file found with name: ${filename}`
         });
       }
 
+      if (ExpirationService.isExpired(metadata)) {
+        return res.status(HTTP_STATUS.GONE).json({
+          error: 'File expired',
+          message: `File ${filename} is no longer available`,
+          code: 'IMAGE_EXPIRED',
+          expiredAt: metadata.expires_at
+        });
+      }
+
+      const variants = await ImageVariantRepository.findByImage(filename);
+
       res.status(200).json({
         message: 'File metadata retrieved successfully',
         file: {
@@ -223,7 +603,19 @@ export class ImageController {
           size: metadata.size,
           mimeType: metadata.mime,
           path: metadata.path,
-          uploadedAt: metadata.created_at
+          version: metadata.version,
+          title: metadata.title,
+          altText: metadata.alt_text,
+          description: metadata.description,
+          tags: metadata.tags,
+          expiresAt: metadata.expires_at,
+          ...(metadata.document_info && { document: metadata.document_info }),
+          ...(variants.length > 0 && {
+            variants: VariantService.describe(variants),
+            srcset: VariantService.buildSrcset(variants)
+          }),
+          uploadedAt: metadata.created_at,
+          updatedAt: metadata.updated_at
         }
       });
 
@@ -237,6 +629,47 @@ export class ImageController {
     }
   }
 
+  /**
+   * Render a derivative of an image on demand (cached on disk)
+   * Query parameters: w, h, fit, format, quality
+   */
+  static async renderImage(req, res) {
+    try {
+      const { filename } = req.params;
+
+      log.info(`Rendering ${filename}: ${JSON.stringify(req.query)}`);
+
+      const rendered = await RenderService.render(filename, req.query);
+
+      res.set({
+        'Cache-Control': `public, max-age=${RenderService.getCacheMaxAge()}`,
+        'X-Render-Cache': rendered.cacheHit ? 'HIT' : 'MISS'
+      });
+      res.type(rendered.mimeType);
+
+      // The cache lives in a dot-prefixed folder, which sendFile refuses by default
+      res.sendFile(rendered.path, { dotfiles: 'allow' }, (error) => {
+        if (error && !res.headersSent) {
+          log.error(`Failed to send rendered image: ${error.message}`);
+          res.status(500).json({ error: 'Failed to send rendered image' });
+        }
+      });
+
+    } catch (error) {
+      log.error(`Image render failed: ${error.message}`);
+
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 ? error.message : 'Internal server error';
+
+      res.status(statusCode).json({
+        error: message,
+        ...(error.code && { code: error.code }),
+        ...(statusCode < 500 && error.details),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
   /**
    * Get storage statistics
    */
@@ -246,6 +679,7 @@ export class ImageController {
 
       const stats = await ImageMetadataRepository.getStorageStats();
       const cleanupStats = await CleanupQueueRepository.getStats();
+      const blobStats = await ContentBlobRepository.getStats();
 
       const totalFiles = stats.reduce((sum, stat) => sum + parseInt(stat.count_by_type), 0);
       const totalSize = stats.reduce((sum, stat) => sum + parseInt(stat.total_size || 0), 0);
@@ -269,6 +703,12 @@ export class ImageController {
             totalItems: parseInt(cleanupStats.total_items),
             pendingItems: parseInt(cleanupStats.pending_items),
             processedItems: parseInt(cleanupStats.processed_items)
+          },
+          deduplication: {
+            storedBlobs: parseInt(blobStats.total_blobs),
+            storedSize: parseInt(blobStats.stored_size),
+            savedSize: parseInt(blobStats.saved_size),
+            formattedSavedSize: this.formatFileSize(parseInt(blobStats.saved_size))
           }
         }
       });
@@ -0,0 +1,133 @@
+/**
+ * Moderation Controller
+ *
+ * Moderator endpoints for the approval queue (MODERATION_MODE=true):
+ * list pending uploads, approve them, or reject them with a reason.
+ */
+
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, PAGINATION } from '../config/constants/index.js';
+import ModerationService from '../services/ModerationService.js';
+
+export class ModerationController {
+  /**
+   * List images awaiting moderation, oldest first
+   * Query parameters: limit, offset
+   */
+  static async getQueue(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+      const offset = parseInt(req.query.offset) || 0;
+
+      log.info(`Retrieving moderation queue (limit: ${limit}, offset: ${offset})`);
+
+      const { images, total } = await ModerationService.listPending(limit, offset);
+
+      res.status(HTTP_STATUS.OK).json({
+        message: 'Moderation queue retrieved successfully',
+        data: {
+          moderationEnabled: ModerationService.isEnabled(),
+          images: images.map(img => ({
+            name: img.name,
+            originalName: img.mask_name,
+            size: img.size,
+            mimeType: img.mime,
+            path: img.path,
+            title: img.title,
+            altText: img.alt_text,
+            description: img.description,
+            tags: img.tags,
+            ...(img.document_info && { document: img.document_info }),
+            uploadedAt: img.created_at,
+            updatedAt: img.updated_at
+          })),
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: offset + limit < total
+          }
+        }
+      });
+
+    } catch (error) {
+      log.error(`Failed to retrieve moderation queue: ${error.message}`);
+
+      res.status(500).json({
+        error: 'Failed to retrieve moderation queue',
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * Approve a pending image, making it public
+   */
+  static async approveImage(req, res) {
+    try {
+      const { filename } = req.params;
+      const approved = await ModerationService.approve(filename);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Image approved',
+        data: {
+          filename,
+          url: `/images/${filename}`,
+          moderationStatus: approved.moderation_status,
+          moderatedAt: approved.moderated_at
+        }
+      });
+
+    } catch (error) {
+      log.error(`Image approval failed: ${error.message}`);
+
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 ? error.message : 'Internal server error';
+
+      res.status(statusCode).json({
+        error: message,
+        ...(error.code && { code: error.code }),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+
+  /**
+   * Reject a pending image: it is deleted and the reason is logged
+   * JSON body: { reason }
+   */
+  static async rejectImage(req, res) {
+    try {
+      const { filename } = req.params;
+      const reason = ModerationService.parseReason(req.body);
+      const result = await ModerationService.reject(filename, reason);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Image rejected and deleted',
+        data: {
+          filename,
+          originalName: result.originalMetadata.mask_name,
+          reason,
+          fileDeleted: result.fileDeleted,
+          rejectedAt: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      log.error(`Image rejection failed: ${error.message}`);
+
+      const statusCode = error.statusCode || 500;
+      const message = statusCode < 500 ? error.message : 'Internal server error';
+
+      res.status(statusCode).json({
+        error: message,
+        ...(error.code && { code: error.code }),
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+      });
+    }
+  }
+}
+
+export default ModerationController;
@@ -0,0 +1,172 @@
+/**
+ * Upload Session Controller
+ *
+ * HTTP layer of the resumable (tus-style) upload protocol:
+ * - POST   /images/uploads      create a session (Upload-Length, Upload-Metadata)
+ * - HEAD   /images/uploads/:id  current offset
+ * - PATCH  /images/uploads/:id  append a chunk at Upload-Offset
+ * - DELETE /images/uploads/:id  abort the upload
+ */
+
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, RESUMABLE_UPLOADS } from '../config/constants/index.js';
+import UploadSessionService from '../services/UploadSessionService.js';
+
+export class UploadSessionController {
+  /**
+   * Create a new resumable upload session
+   */
+  static async createSession(req, res) {
+    try {
+      const session = await UploadSessionService.createSession({
+        uploadLength: req.get('Upload-Length'),
+        uploadMetadata: req.get('Upload-Metadata'),
+        queryParams: req.query
+      });
+
+      const location = `${req.baseUrl}/${session.id}`;
+
+      res.set(UploadSessionController.protocolHeaders(session));
+      res.set('Location', location);
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Upload session created',
+        data: UploadSessionController.formatSession(session, location)
+      });
+
+    } catch (error) {
+      UploadSessionController.sendError(res, error, 'Upload session creation failed');
+    }
+  }
+
+  /**
+   * Report the current offset of an upload session
+   */
+  static async getOffset(req, res) {
+    try {
+      const session = await UploadSessionService.getSession(req.params.id);
+
+      res.set(UploadSessionController.protocolHeaders(session));
+      res.set('Cache-Control', 'no-store');
+      res.status(HTTP_STATUS.OK).end();
+
+    } catch (error) {
+      // HEAD responses carry no body
+      res.set('Tus-Resumable', RESUMABLE_UPLOADS.TUS_VERSION);
+      res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).end();
+    }
+  }
+
+  /**
+   * Append a chunk to an upload session
+   */
+  static async appendChunk(req, res) {
+    try {
+      const contentType = req.get('Content-Type');
+      if (!contentType || !contentType.startsWith(RESUMABLE_UPLOADS.CHUNK_CONTENT_TYPE)) {
+        return res.status(HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE).json({
+          error: 'Invalid content type',
+          message: `Chunks must be sent as ${RESUMABLE_UPLOADS.CHUNK_CONTENT_TYPE}`
+        });
+      }
+
+      const result = await UploadSessionService.appendChunk(req.params.id, {
+        offsetHeader: req.get('Upload-Offset'),
+        chunk: req.body
+      });
+
+      res.set(UploadSessionController.protocolHeaders(result.session));
+
+      if (!result.completed) {
+        return res.status(HTTP_STATUS.NO_CONTENT).end();
+      }
+
+      const { upload } = result;
+      log.pass(`Resumable upload completed successfully: ${upload.filename}`);
+      res.status(HTTP_STATUS.SUCCESS).json({
+        success: true,
+        message: 'Image uploaded successfully',
+        data: {
+          filename: upload.filename,
+          originalname: upload.file.originalname,
+          url: `/images/${upload.filename}`,
+          mimetype: upload.metadata.mime,
+          size: upload.file.size,
+          ...(upload.validationResult.typeMismatch && { typeMismatch: upload.validationResult.typeMismatch }),
+          ...(upload.sanitized && { sanitized: upload.sanitized }),
+          deduplicated: upload.deduplicated,
+          contentHash: upload.metadata.contentHash,
+          moderationStatus: upload.metadata.moderationStatus,
+          ...(upload.metadata.documentInfo && { document: upload.metadata.documentInfo })
+        }
+      });
+
+    } catch (error) {
+      if (error.currentOffset !== undefined) {
+        res.set('Upload-Offset', String(error.currentOffset));
+      }
+      UploadSessionController.sendError(res, error, 'Chunk upload failed');
+    }
+  }
+
+  /**
+   * Abort an upload session
+   */
+  static async terminateSession(req, res) {
+    try {
+      await UploadSessionService.terminateSession(req.params.id);
+
+      res.set('Tus-Resumable', RESUMABLE_UPLOADS.TUS_VERSION);
+      res.status(HTTP_STATUS.NO_CONTENT).end();
+
+    } catch (error) {
+      UploadSessionController.sendError(res, error, 'Upload session termination failed');
+    }
+  }
+
+  /**
+   * Helper: tus protocol headers describing a session
+   */
+  static protocolHeaders(session) {
+    return {
+      'Tus-Resumable': RESUMABLE_UPLOADS.TUS_VERSION,
+      'Upload-Offset': String(session.upload_offset),
+      'Upload-Length': String(session.total_size),
+      'Upload-Expires': new Date(session.expires_at).toUTCString()
+    };
+  }
+
+  /**
+   * Helper: Session representation for JSON responses
+   */
+  static formatSession(session, location) {
+    return {
+      id: session.id,
+      url: location,
+      originalName: session.original_name,
+      offset: session.upload_offset,
+      length: session.total_size,
+      status: session.status,
+      expiresAt: session.expires_at
+    };
+  }
+
+  /**
+   * Helper: Uniform error response
+   */
+  static sendError(res, error, context) {
+    log.error(`${context}: ${error.message}`);
+
+    const statusCode = error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    const message = statusCode < 500 ? error.message : 'Internal server error';
+
+    res.set('Tus-Resumable', RESUMABLE_UPLOADS.TUS_VERSION);
+    res.status(statusCode).json({
+      error: message,
+      ...(statusCode < 500 && error.details),
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+}
+
+export default UploadSessionController;
@@ -4,6 +4,7 @@
  */
 
 import { log } from '../utils/logger.js';
+import { IMAGE_PROCESSING, SECURITY } from '../config/constants/index.js';
 
 // Welcome endpoint - Root path handler
 export const welcome = (req, res) => {
@@ -24,6 +25,7 @@ export const welcome = (req, res) => {
     // Minimal endpoints documentation
     quickStart: {
       "Upload": "POST /images (multipart/form-data)",
+      "Batch ": "POST /images/batch (multipart/form-data)",
       "Delete": "DELETE /images/:filename", 
       "Health": "GET /health",
       "Docs  ": "GET /api"
@@ -58,27 +60,75 @@ export const getApiDocumentation = (req, res) => {
     description: 'Enterprise file upload service with transactional operations',
     endpoints: {
       'POST /images': 'Upload and validate files with MIME type verification',
-      'DELETE /images/:filename': 'Delete files with transactional rollback',
+      'POST /images/validate': 'Dry run: report every upload check and the would-be output without storing anything',
+      'GET /images/profiles': 'List the upload profiles (size, types, forced transformations, image limits)',
+      'POST /images/profiles/:profile': 'Upload with the rules of a named profile',
+      'POST /images/presign': 'Issue a short-lived HMAC-signed upload URL (X-API-Key required; max size, extensions, forced transformations)',
+      'POST /images/batch': 'Upload many files at once with per-file results (207 Multi-Status)',
+      'POST /images/uploads': 'Create a resumable upload session (Upload-Length, Upload-Metadata headers)',
+      'HEAD /images/uploads/:id': 'Get the current offset of a resumable upload',
+      'PATCH /images/uploads/:id': 'Append a chunk at Upload-Offset; the last chunk finalizes the upload',
+      'DELETE /images/uploads/:id': 'Abort a resumable upload',
+      'PUT /images/:filename': 'Replace the content of an image in place, keeping its name (previous content becomes a version)',
+      'GET /images/:filename/render': 'Render a resized/converted derivative on demand (?w, h, fit, position, background, crop, rotate, flip, flop, format, quality), cached on disk',
+      'GET /images/:filename/versions': 'List the current and archived versions of an image',
+      'POST /images/:filename/versions/:n/restore': 'Make archived version n current again',
+      'DELETE /images/:filename': 'Delete files (and their versions) with transactional rollback',
+      'GET /images/moderation/queue': 'List uploads awaiting moderation, oldest first (X-Moderator-Key)',
+      'POST /images/moderation/:filename/approve': 'Make a pending upload public (X-Moderator-Key)',
+      'POST /images/moderation/:filename/reject': 'Delete a pending upload with a logged reason (X-Moderator-Key)',
       'GET /health': 'Service health check',
       'GET /api': 'This documentation'
     },
     features: [
-      'MIME type validation against file signatures',
+      'MIME type sniffed from file content (magic bytes and structure), authoritative for storage',
       'Database-backed metadata management', 
       'Transactional file operations',
       'Cleanup queue for consistency',
-      'Memory validation before disk writes'
+      'Uploads streamed to a private staging area and validated before publishing',
+      'Content deduplication by SHA-256 with reference-counted deletes',
+      'Idempotency-Key header on uploads and deletes (safe client retries)',
+      'In-place replacement with version history and restore',
+      'Presigned upload URLs with HMAC-signed policies',
+      'Per-client rate limiting and hourly upload quotas (RateLimit-* headers, 429)',
+      'Descriptive metadata (title, alt text, description, tags) with tag filtering',
+      'Expiring uploads (expiresIn/expiresAt): 410 Gone once expired, removed by the janitor',
+      'Optional moderation queue (MODERATION_MODE): new uploads stay hidden until approved',
+      'On-demand rendering with a disk cache of derivatives, removed with the original',
+      'Responsive width variants generated at upload, returned as ready-to-use srcset',
+      'Crop, fit and gravity controls with entropy/attention smart crop',
+      'EXIF auto-orientation of re-encoded images, rotation and flip/flop'
     ],
     security: [
       'File signature verification',
+      'Deep image validation (full decode, truncation and trailing data detection)',
+      'Decode limits on input pixels, dimensions, frames and decode time (422 DECODE_LIMIT_EXCEEDED)',
+      'PDF inspection (JavaScript, launch actions, embedded files and encryption rejected or flagged by policy)',
+      'Text inspection (UTF-8/UTF-16/Latin-1 detection, binary content rejected, optional UTF-8 normalization)',
+      'Malware scanning before storage (clamd INSTREAM or a custom scanner, fail open or closed)',
+      'SVG sanitization (scripts, event handlers, foreignObject and external references removed before storage)',
       'Extension and MIME type cross-validation',
       'Size limits (5MB maximum)',
-      'Memory-first validation approach'
+      'Rate limiting: 60 requests per minute and 100MB uploaded per hour per client',
+      'Staging-first validation approach (uploads never buffered in memory)'
     ],
     usage: {
       'File Upload': 'POST /images with multipart/form-data, field name: "image"',
+      'Descriptive Metadata': 'Optional form fields "title", "altText", "description" and "tags" (comma separated or repeated, up to 20); filter with GET /images?tag={tag}',
+      'Resumable Upload': 'tus-style: POST /images/uploads, then PATCH chunks (application/offset+octet-stream, max 1MB each); sessions expire after 24h',
+      'Upload Profiles': 'Add ?profile={name} to an upload, batch, replace or validate request, or POST /images/profiles/{name}; profiles live in config/uploadProfiles.json',
+      'Dry Run': 'POST /images/validate with the same field and query parameters as an upload; returns valid, per-check status (passed/failed/skipped) and the estimated output',
+      'Batch Upload': 'POST /images/batch with multipart/form-data, field name: "images" (up to 20 files), ?atomic=true for all-or-nothing',
+      'Expiring Upload': 'Form field "expiresIn" (seconds) or "expiresAt" (ISO 8601 date), between 60 seconds and 30 days',
       'File Delete': 'DELETE /images/{filename} where filename is the server-generated name',
-      'Supported Types': ['.jpg', '.png', '.gif', '.pdf', '.txt'],
+      'Idempotent Retries': 'Send "Idempotency-Key: <uuid>" on POST /images, POST /images/batch or DELETE /images/{filename}; a retry with the same key replays the first response (Idempotent-Replayed: true) for 24h',
+      'Supported Types': Object.keys(SECURITY.ALLOWED_FILE_TYPES),
+      'Conversion Formats': IMAGE_PROCESSING.SUPPORTED_FORMATS,
+      'Responsive Variants': 'POST /images?variants=true (320,640,1280,1920) or ?variants=320,640 with optional &variantFormats=webp,avif; also a profile setting',
+      'Crop and Fit': `POST /images?resize=512x512&fit=cover&position={${[...IMAGE_PROCESSING.POSITIONS, ...IMAGE_PROCESSING.SMART_CROP_STRATEGIES].join('|')}}; fit=contain&background=ffffff letterboxes; crop=x,y,width,height extracts a region first`,
+      'Rotation': 'POST /images?rotate={90|180|270|degrees}&background=ffffff, flip=true / flop=true to mirror; EXIF orientation is applied on every re-encode (autoOrient=false opts out)',
+      'On-demand Rendering': `GET /images/{filename}/render?w=800&h=600&fit={${IMAGE_PROCESSING.FIT_MODES.join('|')}}&format=webp&quality=80; RENDER_SIZE_ALLOWLIST restricts the sizes`,
+      'SVG Rasterizing': `POST /images?rasterize={${IMAGE_PROCESSING.RASTERIZE_FORMATS.join('|')}} stores a raster rendition of the sanitized SVG`,
       'Max Size': '5MB per file'
     }
   });
@@ -0,0 +1,40 @@
+/**
+ * API Key Middleware
+ *
+ * - requireApiKey: endpoints meant for trusted backends (issuing presigned
+ *   upload URLs) only answer to a key listed in API_KEYS, sent in the
+ *   X-API-Key header
+ */
+
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, RATE_LIMITING } from '../config/constants/index.js';
+import RateLimitService from '../services/RateLimitService.js';
+
+/**
+ * Reject requests without a valid API key
+ */
+export const requireApiKey = (req, res, next) => {
+  const key = req.get(RATE_LIMITING.API_KEY_HEADER);
+
+  if (!key) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: 'API key required',
+      message: `Send an API key in the ${RATE_LIMITING.API_KEY_HEADER} header`,
+      code: 'API_KEY_REQUIRED'
+    });
+  }
+
+  if (!RateLimitService.getApiKeys().includes(key)) {
+    log.warn(`Rejected request with an unknown API key from ${req.ip}`);
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Invalid API key',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  next();
+};
+
+export default {
+  requireApiKey
+};
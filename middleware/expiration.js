@@ -0,0 +1,45 @@
+/**
+ * Expiration Middleware
+ *
+ * - hideExpiredUploads: /static answers 410 Gone for files that only belong
+ *   to expired images, until the janitor deletes them. Checked against the
+ *   in-memory list of StaticVisibilityService, never the database
+ */
+
+import path from 'path';
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS } from '../config/constants/index.js';
+import ExpirationService from '../services/ExpirationService.js';
+import FileStorageService from '../services/FileStorageService.js';
+
+/**
+ * Answer 410 Gone for stored files whose images have all expired
+ * (mounted before express.static)
+ */
+export const hideExpiredUploads = (req, res, next) => {
+  let filename;
+  try {
+    filename = path.basename(decodeURIComponent(req.path));
+  } catch {
+    return next(); // Malformed URL, express.static answers it
+  }
+
+  const relativePath = FileStorageService.getRelativePath(filename);
+  const expiredAt = ExpirationService.getPathExpiration(relativePath);
+
+  if (expiredAt) {
+    log.info(`Static request for expired upload refused: ${relativePath}`);
+    return res.status(HTTP_STATUS.GONE).json({
+      error: 'File expired',
+      message: `File ${filename} is no longer available`,
+      code: 'IMAGE_EXPIRED',
+      expiredAt
+    });
+  }
+
+  next();
+};
+
+export default {
+  hideExpiredUploads
+};
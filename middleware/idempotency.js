@@ -0,0 +1,216 @@
+/**
+ * Idempotency Middleware
+ *
+ * Honors the Idempotency-Key request header so a client can safely retry
+ * an upload or delete after a timeout:
+ * - First request with a key: runs normally and its response is stored
+ * - Replay with the same key and same request: gets the stored response
+ * - Replay while the first request is still running: 409 Conflict
+ * - Same key with a different request: 422 Unprocessable Entity
+ *
+ * Keys are scoped by client (RateLimitService.identifyClient), so two clients
+ * sending the same key never see each other's responses.
+ *
+ * Runs after multer so the fingerprint covers the uploaded file contents.
+ * detectReplay runs before the upload quota so a replay of a completed
+ * request does not use up quota; a mismatch found later is charged then.
+ * Server errors (5xx) are not stored, the key is released for a retry.
+ */
+
+import crypto from 'crypto';
+import { log } from '../utils/logger.js';
+import FileUtils from '../utils/fileUtils.js';
+import { HTTP_STATUS, IDEMPOTENCY } from '../config/constants/index.js';
+import IdempotencyKeyRepository from '../repositories/IdempotencyKeyRepository.js';
+import RateLimitService from '../services/RateLimitService.js';
+import { chargeUploadQuota } from './rateLimiter.js';
+
+// Replay window, configurable per environment
+const ttlHours = Number(process.env.IDEMPOTENCY_TTL_HOURS) || IDEMPOTENCY.DEFAULT_TTL_HOURS;
+
+/**
+ * Stored key: the client key scoped by the client that sent it.
+ * Hashed so it fits the key column whatever the client identifier is.
+ */
+export const scopeIdempotencyKey = (req, key) => {
+  const clientId = RateLimitService.identifyClient(req);
+  return crypto.createHash('sha256').update(`${clientId}\n${key}`).digest('hex');
+};
+
+/**
+ * Helper: Whether a header value is a usable key
+ */
+const isValidKey = (key) => Boolean(key) && key.length <= IDEMPOTENCY.MAX_KEY_LENGTH && /^[\x21-\x7E]+$/.test(key);
+
+/**
+ * Helper: 400 response for a malformed key
+ */
+const rejectInvalidKey = (res) => res.status(HTTP_STATUS.BAD_REQUEST).json({
+  error: 'Invalid Idempotency-Key',
+  message: `Idempotency-Key must be 1-${IDEMPOTENCY.MAX_KEY_LENGTH} printable ASCII characters`,
+  code: 'INVALID_IDEMPOTENCY_KEY'
+});
+
+/**
+ * Fingerprint of everything that makes a request unique: method, path,
+ * query, form fields and the content of every uploaded file
+ */
+export const buildRequestFingerprint = async (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  const fileFingerprints = await Promise.all(files.map(async (file) => ({
+    field: file.fieldname,
+    name: file.originalname,
+    size: file.size,
+    // Batch parts dropped for their size have no content to hash
+    hash: file.path || file.buffer ? await FileUtils.computeHash(file.path || file.buffer) : null
+  })));
+
+  const sortEntries = (object = {}) => Object.keys(object).sort().map(key => [key, object[key]]);
+
+  const payload = JSON.stringify({
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    query: sortEntries(req.query),
+    body: sortEntries(req.body),
+    files: fileFingerprints
+  });
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+/**
+ * Store the response when it is sent, or release the key if it never is
+ */
+const recordResponse = (req, res, key) => {
+  const sendJson = res.json.bind(res);
+  let settled = false;
+
+  res.json = (body) => {
+    settled = true;
+    res.json = sendJson;
+
+    const statusCode = res.statusCode;
+    const store = statusCode < HTTP_STATUS.INTERNAL_SERVER_ERROR
+      ? IdempotencyKeyRepository.complete(key, statusCode, body)
+      : IdempotencyKeyRepository.release(key);
+
+    // Persist before answering so an immediate retry already sees the result
+    store
+      .catch(error => log.error(`Failed to record idempotent response for ${key}: ${error.message}`))
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  res.on('close', () => {
+    if (settled) return;
+
+    // Client went away or the response was not JSON: allow a retry
+    settled = true;
+    IdempotencyKeyRepository.release(key)
+      .catch(error => log.error(`Failed to release idempotency key ${key}: ${error.message}`));
+  });
+};
+
+/**
+ * Mark requests whose key already has a stored response, before the upload
+ * quota and before the body is received. The fingerprint is still checked by
+ * idempotency once the files are in.
+ */
+export const detectReplay = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY.KEY_HEADER);
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!isValidKey(key)) {
+    return rejectInvalidKey(res);
+  }
+
+  try {
+    const record = await IdempotencyKeyRepository.findActive(scopeIdempotencyKey(req, key));
+    req.idempotentReplay = record?.status === IDEMPOTENCY.STATUS.COMPLETED;
+  } catch (error) {
+    // The quota applies as usual, idempotency reports the store failure
+    log.error(`Idempotency replay check failed: ${error.message}`);
+  }
+
+  return next();
+};
+
+/**
+ * Idempotency-Key middleware. Requests without the header pass through untouched.
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY.KEY_HEADER);
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!isValidKey(key)) {
+    return rejectInvalidKey(res);
+  }
+
+  const scopedKey = scopeIdempotencyKey(req, key);
+
+  try {
+    const fingerprint = await buildRequestFingerprint(req);
+    const { record, claimed } = await IdempotencyKeyRepository.claim({
+      key: scopedKey,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      fingerprint,
+      ttlHours
+    });
+
+    if (claimed) {
+      recordResponse(req, res, scopedKey);
+      return next();
+    }
+
+    if (record && record.fingerprint !== fingerprint) {
+      log.warn(`Idempotency key reused with a different request: ${key}`);
+
+      if (req.idempotentReplay) {
+        await chargeUploadQuota(req);
+      }
+
+      return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+        error: 'Idempotency-Key reused',
+        message: 'This Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_MISMATCH'
+      });
+    }
+
+    if (!record || record.status !== IDEMPOTENCY.STATUS.COMPLETED) {
+      log.warn(`Concurrent request with idempotency key: ${key}`);
+      res.set('Retry-After', String(IDEMPOTENCY.IN_PROGRESS_RETRY_AFTER));
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'Request in progress',
+        message: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+      });
+    }
+
+    log.info(`Replaying stored response for idempotency key: ${key}`);
+    res.set(IDEMPOTENCY.REPLAYED_HEADER, 'true');
+    return res.status(record.response_status).json(record.response_body);
+
+  } catch (error) {
+    log.error(`Idempotency check failed: ${error.message}`);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+export default {
+  detectReplay,
+  idempotency,
+  scopeIdempotencyKey,
+  buildRequestFingerprint
+};
@@ -0,0 +1,67 @@
+/**
+ * Moderation Middleware
+ *
+ * - requireModerator: moderation endpoints only answer to a key listed in
+ *   MODERATOR_API_KEYS, sent in the X-Moderator-Key header
+ * - hidePendingUploads: in moderation mode, /static answers 404 for files
+ *   that only belong to images awaiting approval. Checked against the
+ *   in-memory list of StaticVisibilityService, never the database
+ */
+
+import path from 'path';
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, MODERATION } from '../config/constants/index.js';
+import ModerationService from '../services/ModerationService.js';
+import FileStorageService from '../services/FileStorageService.js';
+import { notFoundHandler } from '../controllers/middlewareController.js';
+
+/**
+ * Reject requests without a valid moderator key
+ */
+export const requireModerator = (req, res, next) => {
+  const key = req.get(MODERATION.MODERATOR_KEY_HEADER);
+
+  if (!key) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: 'Moderator key required',
+      message: `Send a moderator key in the ${MODERATION.MODERATOR_KEY_HEADER} header`,
+      code: 'MODERATOR_KEY_REQUIRED'
+    });
+  }
+
+  if (!ModerationService.isModeratorKey(key)) {
+    log.warn(`Rejected moderation request with an unknown key from ${req.ip}`);
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: 'Invalid moderator key',
+      code: 'INVALID_MODERATOR_KEY'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Answer like a missing file for stored files that are pending moderation
+ * (mounted before express.static)
+ */
+export const hidePendingUploads = (req, res, next) => {
+  if (!ModerationService.isEnabled()) {
+    return next();
+  }
+
+  let filename;
+  try {
+    filename = path.basename(decodeURIComponent(req.path));
+  } catch {
+    return next(); // Malformed URL, express.static answers it
+  }
+
+  const relativePath = FileStorageService.getRelativePath(filename);
+
+  if (ModerationService.isPathHidden(relativePath)) {
+    log.info(`Static request for pending upload hidden: ${relativePath}`);
+    return notFoundHandler(req, res);
+  }
+
+  next();
+};
@@ -1,17 +1,107 @@
 /**
  * Multer Configuration Middleware
  * 
- * Configures multer for file upload handling with memory storage
- * for validation-first approach. Implements security measures
+ * Configures multer for file upload handling. Uploads are streamed to a
+ * private staging directory (never served, never held in memory) and are
+ * only moved into place after validation. Implements security measures
  * and integrates with our validation service.
+ * Size and extension limits come from req.uploadProfile (set by the upload
+ * profile middleware), the default profile otherwise.
  */
 
+import fs from 'fs';
 import multer from 'multer';
 import { log } from '../utils/logger.js';
 import FileValidationService from '../services/FileValidationService.js';
+import FileStorageService from '../services/FileStorageService.js';
+import UploadProfileService from '../services/UploadProfileService.js';
+import { FILE_LIMITS } from '../config/constants/index.js';
 
-// Configure multer with memory storage for validation-first approach
-const storage = multer.memoryStorage();
+// Configure multer with staging disk storage for validation-first approach
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    FileStorageService.ensureStagingDirectory()
+      .then(() => cb(null, FileStorageService.getStagingDirectory()))
+      .catch(error => cb(error));
+  },
+  filename: (req, file, cb) => {
+    cb(null, FileStorageService.generateStagingFilename());
+  }
+});
+
+/**
+ * Staging storage for batch parts: a part is written until it goes over the
+ * profile's size limit, then dropped and drained. Multer never aborts the
+ * batch for it; the file reaches the upload pipeline with its real size
+ * and no path, and fails there on its own (413 FILE_TOO_LARGE).
+ * Draining is bounded: once the parts of a request add up to more than
+ * maxBatchSize, the request is aborted (413 BATCH_TOO_LARGE).
+ */
+const createCappedStorage = (maxFileSize, maxBatchSize) => ({
+  _handleFile(req, file, cb) {
+    FileStorageService.createStagingPath()
+      .then((stagingPath) => {
+        const output = fs.createWriteStream(stagingPath);
+        let size = 0;
+        let exceeded = false;
+        let settled = false;
+
+        const settle = (error, info) => {
+          if (settled) return;
+          settled = true;
+          cb(error, info);
+        };
+
+        file.stream.on('data', (chunk) => {
+          if (settled) return;
+
+          size += chunk.length;
+          req.batchBytesReceived = (req.batchBytesReceived || 0) + chunk.length;
+
+          if (req.batchBytesReceived > maxBatchSize) {
+            log.warn(`Batch over ${maxBatchSize} bytes, aborting the request: ${file.originalname}`);
+            file.stream.unpipe(output);
+            output.destroy();
+            FileStorageService.discardStagedFile(stagingPath);
+            const error = new Error(`Batch too large. Maximum ${maxBatchSize / FILE_LIMITS.BYTES_PER_MB}MB per request`);
+            error.code = 'BATCH_TOO_LARGE';
+            return settle(error);
+          }
+
+          if (!exceeded && size > maxFileSize) {
+            exceeded = true;
+            log.warn(`Batch part over the size limit, dropping it: ${file.originalname}`);
+            file.stream.unpipe(output);
+            output.destroy();
+            FileStorageService.discardStagedFile(stagingPath);
+            file.stream.resume();
+          }
+        });
+
+        file.stream.on('end', () => {
+          if (exceeded) settle(null, { path: null, size, sizeLimitExceeded: true });
+        });
+
+        output.on('finish', () => {
+          if (!exceeded) settle(null, { path: stagingPath, size });
+        });
+
+        output.on('error', (error) => {
+          if (!exceeded) settle(error);
+        });
+
+        file.stream.pipe(output);
+      })
+      .catch(error => cb(error));
+  },
+
+  _removeFile(req, file, cb) {
+    FileStorageService.discardStagedFile(file.path).then(() => cb(null), cb);
+  }
+});
+
+// Batch parts are all accepted: extension and size are checked per file in the upload pipeline
+const acceptEveryFile = (req, file, cb) => cb(null, true);
 
 // File filter function for initial validation
 const fileFilter = (req, file, cb) => {
@@ -21,9 +111,10 @@ const fileFilter = (req, file, cb) => {
     // Check if filename has extension
     const extension = FileValidationService.extractExtension(file.originalname);
     
-    // Check if extension is allowed
-    if (!FileValidationService.ALLOWED_FILES[extension]) {
-      const allowedExtensions = FileValidationService.getAllowedExtensions().join(', ');
+    // Check if extension is allowed by the active profile
+    const allowedFiles = getActiveProfile(req).allowedFileTypes;
+    if (!allowedFiles[extension]) {
+      const allowedExtensions = Object.keys(allowedFiles).join(', ');
       const error = new Error(`File extension not allowed. Allowed extensions: ${allowedExtensions}`);
       error.code = 'INVALID_FILE_TYPE';
       return cb(error, false);
@@ -39,24 +130,59 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Configure multer instance
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: FileValidationService.getMaxFileSize(), // 5MB
-    files: 1, // Only one file at a time
-    fields: 10, // Limit form fields
-    fieldNameSize: 50, // Limit field name size
-    fieldSize: 1024 // Limit field value size (1KB)
-  }
+// Hard cap on the file bytes of one batch request: every file at the profile's limit
+const getMaxBatchSize = (maxFileSize) => FILE_LIMITS.MAX_FILES_PER_BATCH * maxFileSize;
+
+// Shared limits, only the number of files differs between single and batch uploads
+const buildLimits = (maxFiles, maxFileSize = FileValidationService.getMaxFileSize()) => ({
+  fileSize: maxFileSize, // 5MB unless the profile says otherwise
+  files: maxFiles, // Files accepted per request
+  fields: FILE_LIMITS.MAX_FORM_FIELDS, // Limit form fields (title, altText, description, tags)
+  fieldNameSize: FILE_LIMITS.MAX_FIELD_NAME_SIZE, // Limit field name size
+  fieldSize: FILE_LIMITS.MAX_FIELD_VALUE_SIZE // Limit field value size (1KB)
 });
 
+// Profile selected for the request (default profile when no middleware set one)
+const getActiveProfile = (req) => req.uploadProfile || UploadProfileService.getDefaultProfile();
+
+// Multer instances per profile, built on first use (multer limits are fixed per instance)
+const uploaders = new WeakMap();
+
+const getUploaders = (profile) => {
+  if (!uploaders.has(profile)) {
+    const upload = multer({
+      storage,
+      fileFilter,
+      limits: buildLimits(FILE_LIMITS.MAX_FILES_PER_REQUEST, profile.maxFileSize) // Only one file at a time
+    });
+
+    // Oversized or disallowed batch files fail on their own, in the batch results
+    const batchUpload = multer({
+      storage: createCappedStorage(profile.maxFileSize, getMaxBatchSize(profile.maxFileSize)),
+      fileFilter: acceptEveryFile,
+      limits: buildLimits(FILE_LIMITS.MAX_FILES_PER_BATCH, Infinity)
+    });
+
+    uploaders.set(profile, {
+      single: upload.single(FILE_LIMITS.SINGLE_UPLOAD_FIELD),
+      multiple: batchUpload.array(FILE_LIMITS.BATCH_UPLOAD_FIELD, FILE_LIMITS.MAX_FILES_PER_BATCH)
+    });
+  }
+
+  return uploaders.get(profile);
+};
+
 /**
  * Single file upload middleware
  * Expects field name 'image'
  */
-export const uploadSingle = upload.single('image');
+export const uploadSingle = (req, res, next) => getUploaders(getActiveProfile(req)).single(req, res, next);
+
+/**
+ * Multiple file upload middleware
+ * Expects field name 'images' (repeated once per file)
+ */
+export const uploadMultiple = (req, res, next) => getUploaders(getActiveProfile(req)).multiple(req, res, next);
 
 /**
  * Enhanced error handling middleware for multer errors
@@ -67,32 +193,36 @@ export const handleMulterErrors = (error, req, res, next) => {
     
     let statusCode = 400;
     let message = 'File upload error';
+    const isBatch = req.isBatchUpload === true;
+    const fieldName = isBatch ? FILE_LIMITS.BATCH_UPLOAD_FIELD : FILE_LIMITS.SINGLE_UPLOAD_FIELD;
     
     switch (error.code) {
       case 'LIMIT_FILE_SIZE':
         statusCode = 413;
-        const maxSizeMB = FileValidationService.getMaxFileSize() / (1024 * 1024);
+        const maxSizeMB = getActiveProfile(req).maxFileSize / FILE_LIMITS.BYTES_PER_MB;
         message = `File too large. Maximum size allowed: ${maxSizeMB}MB`;
         break;
         
       case 'LIMIT_FILE_COUNT':
-        message = 'Too many files. Only one file allowed per upload';
+        message = isBatch
+          ? `Too many files. Maximum ${FILE_LIMITS.MAX_FILES_PER_BATCH} files allowed per batch`
+          : 'Too many files. Only one file allowed per upload';
         break;
         
       case 'LIMIT_UNEXPECTED_FILE':
-        message = 'Unexpected field name. Use "image" as the field name';
+        message = `Unexpected field name. Use "${fieldName}" as the field name`;
         break;
         
       case 'LIMIT_FIELD_COUNT':
-        message = 'Too many form fields';
+        message = `Too many form fields. Maximum ${FILE_LIMITS.MAX_FORM_FIELDS} fields allowed`;
         break;
         
       case 'LIMIT_FIELD_KEY':
-        message = 'Field name too long';
+        message = `Field name too long. Maximum ${FILE_LIMITS.MAX_FIELD_NAME_SIZE} characters`;
         break;
         
       case 'LIMIT_FIELD_VALUE':
-        message = 'Field value too long';
+        message = `Field "${error.field}" too long. Maximum ${FILE_LIMITS.MAX_FIELD_VALUE_SIZE} bytes`;
         break;
         
       default:
@@ -105,6 +235,16 @@ export const handleMulterErrors = (error, req, res, next) => {
     });
   }
   
+  // Batch over the per-request cap: answer now and close the connection instead of draining the rest
+  if (error.code === 'BATCH_TOO_LARGE') {
+    log.warn(`Batch size limit exceeded: ${error.message}`);
+    res.set('Connection', 'close');
+    return res.status(413).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+  
   // Handle custom file filter errors
   if (error.code === 'INVALID_FILE_TYPE') {
     log.warn(`File type validation error: ${error.message}`);
@@ -138,6 +278,16 @@ export const validateUploadRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Remove staged files once the response is done. Files moved into
+ * storage are already gone, so only rejected uploads are deleted here.
+ */
+export const discardStagedUploads = (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  
+  return Promise.all(files.map(file => FileStorageService.discardStagedFile(file.path)));
+};
+
 /**
  * Combined upload middleware that handles the complete upload flow
  */
@@ -152,6 +302,8 @@ export const processFileUpload = (req, res, next) => {
         return handleMulterErrors(uploadError, req, res, next);
       }
       
+      res.on('close', () => discardStagedUploads(req));
+      
       // Log successful upload processing
       if (req.file) {
         log.info(`File upload processed: ${req.file.originalname} (${req.file.size} bytes)`);
@@ -162,6 +314,32 @@ export const processFileUpload = (req, res, next) => {
   });
 };
 
+/**
+ * Combined upload middleware for batch uploads (many files, one request)
+ */
+export const processBatchUpload = (req, res, next) => {
+  req.isBatchUpload = true;
+
+  validateUploadRequest(req, res, (err) => {
+    if (err) return;
+    
+    uploadMultiple(req, res, (uploadError) => {
+      if (uploadError) {
+        return handleMulterErrors(uploadError, req, res, next);
+      }
+      
+      res.on('close', () => discardStagedUploads(req));
+      
+      if (req.files) {
+        const totalBytes = req.files.reduce((sum, file) => sum + file.size, 0);
+        log.info(`Batch upload processed: ${req.files.length} files (${totalBytes} bytes)`);
+      }
+      
+      next();
+    });
+  });
+};
+
 /**
  * Middleware to log file upload attempts
  */
@@ -177,20 +355,19 @@ export const logUploadAttempt = (req, res, next) => {
 export const multerConfig = {
   storage,
   fileFilter,
-  limits: {
-    fileSize: FileValidationService.getMaxFileSize(),
-    files: 1,
-    fields: 10,
-    fieldNameSize: 50,
-    fieldSize: 1024
-  }
+  limits: buildLimits(FILE_LIMITS.MAX_FILES_PER_REQUEST),
+  batchLimits: buildLimits(FILE_LIMITS.MAX_FILES_PER_BATCH, Infinity),
+  getMaxBatchSize
 };
 
 export default {
   uploadSingle,
+  uploadMultiple,
   handleMulterErrors,
   validateUploadRequest,
   processFileUpload,
+  processBatchUpload,
+  discardStagedUploads,
   logUploadAttempt,
   multerConfig
 };
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Rate Limiter Middleware
+ *
+ * Per-client limits built on RateLimitService buckets:
+ * - requestRateLimit: BUSINESS_RULES.MAX_REQUESTS_PER_MINUTE requests per minute
+ * - uploadQuota: BUSINESS_RULES.MAX_UPLOAD_SIZE_PER_HOUR uploaded bytes per hour,
+ *   charged by Content-Length (uploads without one get 411; skipped for
+ *   idempotent replays, see middleware/idempotency.js)
+ * - uploadSessionLimit: BUSINESS_RULES.MAX_UPLOAD_SESSIONS_PER_HOUR resumable sessions per hour
+ *
+ * Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset for
+ * the most restrictive bucket; rejected requests get 429 with Retry-After.
+ * If the bucket store fails, requests are let through (fail open).
+ */
+
+import { log } from '../utils/logger.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import { BUSINESS_RULES, FILE_LIMITS, HTTP_STATUS, RATE_LIMITING } from '../config/constants/index.js';
+import RateLimitService from '../services/RateLimitService.js';
+
+/**
+ * Helper: Set RateLimit-* headers, keeping the bucket closest to its limit
+ */
+const setRateLimitHeaders = (req, res, result) => {
+  const ratio = result.remaining / result.limit;
+
+  if (req.rateLimit && req.rateLimit.remaining / req.rateLimit.limit <= ratio) {
+    return;
+  }
+
+  req.rateLimit = result;
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds)
+  });
+};
+
+/**
+ * Create a rate limiting middleware for one bucket
+ */
+export const createRateLimiter = ({ bucket, limit, windowMs, cost = () => 1, refundOnReject = false, skip = () => false, message }) => {
+  return async (req, res, next) => {
+    if (skip(req)) {
+      return next();
+    }
+
+    const userAgent = req.get('User-Agent');
+    const clientInfo = ValidationUtils.validateRateLimitInfo(req.ip, userAgent);
+
+    if (!clientInfo.isValid) {
+      log.warn(`Rejected request with invalid client info: ${clientInfo.errors.join('; ')}`);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Invalid client information',
+        message: clientInfo.errors.join('; '),
+        code: 'INVALID_CLIENT_INFO'
+      });
+    }
+
+    let result;
+    try {
+      result = await RateLimitService.consume({
+        bucket,
+        clientId: RateLimitService.identifyClient(req),
+        amount: cost(req),
+        limit,
+        windowMs,
+        refundOnReject
+      });
+    } catch (error) {
+      log.error(`Rate limiter "${bucket}" unavailable, allowing request: ${error.message}`);
+      return next();
+    }
+
+    if (result.allowed) {
+      setRateLimitHeaders(req, res, result);
+      return next();
+    }
+
+    // The exhausted bucket is the one the client needs to hear about
+    req.rateLimit = null;
+    setRateLimitHeaders(req, res, result);
+    res.set('Retry-After', String(Math.max(result.resetSeconds, 1)));
+
+    return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+      error: 'Too many requests',
+      message,
+      code: 'RATE_LIMIT_EXCEEDED',
+      limit: result.limit,
+      retryAfter: Math.max(result.resetSeconds, 1)
+    });
+  };
+};
+
+/**
+ * Helper: Bytes an upload request will send, from Content-Length (null when
+ * missing or malformed). Node stops reading the body at Content-Length, so
+ * the client cannot send more than it was charged.
+ */
+export const uploadBytes = (req) => {
+  const contentLength = req.get('Content-Length');
+  return /^\d+$/.test(contentLength ?? '') ? Number(contentLength) : null;
+};
+
+// Request count per client
+export const requestRateLimit = createRateLimiter({
+  bucket: 'requests',
+  limit: BUSINESS_RULES.MAX_REQUESTS_PER_MINUTE,
+  windowMs: RATE_LIMITING.REQUEST_WINDOW_MS,
+  message: `Request limit reached: ${BUSINESS_RULES.MAX_REQUESTS_PER_MINUTE} requests per minute`
+});
+
+// Uploaded bytes per client
+const UPLOAD_QUOTA_BUCKET = {
+  bucket: 'upload-bytes',
+  limit: BUSINESS_RULES.MAX_UPLOAD_SIZE_PER_HOUR,
+  windowMs: RATE_LIMITING.UPLOAD_WINDOW_MS
+};
+
+const chargeUploadBytes = createRateLimiter({
+  ...UPLOAD_QUOTA_BUCKET,
+  cost: uploadBytes,
+  refundOnReject: true,
+  // A replay returns the stored response, nothing new is uploaded
+  skip: (req) => req.idempotentReplay === true,
+  message: `Upload quota reached: ${BUSINESS_RULES.MAX_UPLOAD_SIZE_PER_HOUR / FILE_LIMITS.BYTES_PER_MB}MB per hour`
+});
+
+// Chunked uploads have no size to charge up front, so they are refused
+export const uploadQuota = (req, res, next) => {
+  if (uploadBytes(req) === null) {
+    return res.status(HTTP_STATUS.LENGTH_REQUIRED).json({
+      error: 'Content-Length required',
+      message: 'Uploads must declare their size in the Content-Length header',
+      code: 'LENGTH_REQUIRED'
+    });
+  }
+
+  return chargeUploadBytes(req, res, next);
+};
+
+// Resumable sessions opened per client. Their chunks are charged by uploadQuota,
+// this bounds the partial files a client can leave waiting for the janitor
+export const uploadSessionLimit = createRateLimiter({
+  bucket: 'upload-sessions',
+  limit: BUSINESS_RULES.MAX_UPLOAD_SESSIONS_PER_HOUR,
+  windowMs: RATE_LIMITING.UPLOAD_SESSION_WINDOW_MS,
+  message: `Upload session limit reached: ${BUSINESS_RULES.MAX_UPLOAD_SESSIONS_PER_HOUR} sessions per hour`
+});
+
+/**
+ * Charge the upload quota of a request that skipped it as a replay but
+ * turned out to be a different upload. The request is already received,
+ * so the charge only counts against the next uploads.
+ */
+export const chargeUploadQuota = async (req) => {
+  try {
+    await RateLimitService.consume({
+      ...UPLOAD_QUOTA_BUCKET,
+      clientId: RateLimitService.identifyClient(req),
+      amount: uploadBytes(req)
+    });
+  } catch (error) {
+    log.error(`Rate limiter "${UPLOAD_QUOTA_BUCKET.bucket}" unavailable, upload not charged: ${error.message}`);
+  }
+};
+
+export default {
+  createRateLimiter,
+  uploadBytes,
+  requestRateLimit,
+  uploadQuota,
+  uploadSessionLimit,
+  chargeUploadQuota
+};
@@ -0,0 +1,85 @@
+/**
+ * Upload Policy Middleware
+ *
+ * Verifies presigned upload URLs on POST /images. Requests without a
+ * policy pass through untouched; signed requests are checked in two steps:
+ * - verifyUploadPolicy (before multer): signature and expiry, so tampered
+ *   or expired URLs are rejected before the file is received. ?profile= is
+ *   not part of the signature and is rejected: signed uploads always use
+ *   the default profile.
+ * - enforceUploadPolicy (after multer): size and extension of the file, then
+ *   req.uploadProfile is narrowed to the policy so validation checks the
+ *   sniffed content against the policy's extensions too
+ *
+ * The verified policy is exposed as req.uploadPolicy; its transformations
+ * replace any transformation the client put in the query string.
+ */
+
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, PRESIGNED_UPLOADS, UPLOAD_PROFILES } from '../config/constants/index.js';
+import PresignedUploadService from '../services/PresignedUploadService.js';
+
+/**
+ * Helper: Uniform policy error response
+ */
+const sendPolicyError = (res, error) => {
+  const statusCode = error.statusCode || 500;
+
+  log.warn(`Presigned upload rejected: ${error.message}`);
+  res.status(statusCode).json({
+    error: statusCode < 500 || error.code ? error.message : 'Internal server error',
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
+
+/**
+ * Verify signature and expiry of a presigned upload URL
+ */
+export const verifyUploadPolicy = (req, res, next) => {
+  const encodedPolicy = req.query[PRESIGNED_UPLOADS.POLICY_PARAM];
+  const signature = req.query[PRESIGNED_UPLOADS.SIGNATURE_PARAM];
+
+  if (encodedPolicy === undefined && signature === undefined) {
+    return next();
+  }
+
+  try {
+    req.uploadPolicy = PresignedUploadService.verifyPolicy(encodedPolicy, signature);
+
+    if (req.query[UPLOAD_PROFILES.PROFILE_PARAM] !== undefined) {
+      throw PresignedUploadService.createError(
+        'Upload profiles cannot be selected on a presigned upload URL',
+        HTTP_STATUS.BAD_REQUEST,
+        'POLICY_PROFILE_NOT_ALLOWED'
+      );
+    }
+
+    log.info('Presigned upload policy verified');
+    next();
+  } catch (error) {
+    sendPolicyError(res, error);
+  }
+};
+
+/**
+ * Enforce the verified policy on the received file
+ */
+export const enforceUploadPolicy = (req, res, next) => {
+  if (!req.uploadPolicy || !req.file) {
+    return next();
+  }
+
+  try {
+    PresignedUploadService.enforcePolicy(req.uploadPolicy, req.file);
+    req.uploadProfile = PresignedUploadService.restrictProfile(req.uploadProfile, req.uploadPolicy);
+    next();
+  } catch (error) {
+    sendPolicyError(res, error);
+  }
+};
+
+export default {
+  verifyUploadPolicy,
+  enforceUploadPolicy
+};
@@ -0,0 +1,53 @@
+/**
+ * Upload Profile Middleware
+ *
+ * Sets req.uploadProfile before multer runs, so the profile's size and
+ * type limits already apply while the file is received. The profile comes
+ * from the route (POST /images/profiles/:profile) or from ?profile=, and
+ * is the default one when neither names it.
+ */
+
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, UPLOAD_PROFILES } from '../config/constants/index.js';
+import UploadProfileService from '../services/UploadProfileService.js';
+
+/**
+ * Helper: Uniform profile error response
+ */
+const sendProfileError = (res, error) => {
+  const statusCode = error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+
+  log.warn(`Upload profile rejected: ${error.message}`);
+  res.status(statusCode).json({
+    error: statusCode < 500 ? error.message : 'Internal server error',
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
+
+/**
+ * Resolve the upload profile of the request
+ */
+export const selectUploadProfile = (req, res, next) => {
+  try {
+    const fromRoute = req.params?.[UPLOAD_PROFILES.PROFILE_PARAM];
+    const fromQuery = req.query[UPLOAD_PROFILES.PROFILE_PARAM];
+
+    if (fromRoute !== undefined && fromQuery !== undefined && String(fromQuery).toLowerCase() !== fromRoute.toLowerCase()) {
+      const error = new Error(`This route only accepts the "${fromRoute}" upload profile`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      error.code = 'PROFILE_CONFLICT';
+      throw error;
+    }
+
+    req.uploadProfile = UploadProfileService.getProfile(fromRoute ?? fromQuery);
+    log.info(`Upload profile: ${req.uploadProfile.name}`);
+    next();
+  } catch (error) {
+    sendProfileError(res, error);
+  }
+};
+
+export default {
+  selectUploadProfile
+};
@@ -0,0 +1,165 @@
+/**
+ * Content Blob Repository
+ *
+ * Data access layer for content_blobs table.
+ * Every physical file is registered once by its SHA-256 hash and reference
+ * counted across images_metadata rows, so identical uploads share one file.
+ */
+
+import db from '../config/database.js';
+import { log } from '../utils/logger.js';
+
+export class ContentBlobRepository {
+  /**
+   * Take a reference on a blob. Registers the blob with the given filename
+   * when the hash is new; otherwise increments the reference count of the
+   * existing blob. `inserted` tells which of the two happened.
+   */
+  static async acquire({ hash, filename, size }) {
+    const query = `
+      INSERT INTO content_blobs (hash, filename, size, ref_count)
+      VALUES ($1, $2, $3, 1)
+      ON CONFLICT (hash)
+      DO UPDATE SET ref_count = content_blobs.ref_count + 1
+      RETURNING *, (xmax = 0) AS inserted
+    `;
+
+    try {
+      log.info(`Acquiring blob reference: ${hash}`);
+      const result = await db.pool.query(query, [hash, filename, size]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Failed to acquire blob reference');
+      }
+
+      const { inserted, ...blob } = result.rows[0];
+      log.info(`Blob ${inserted ? 'registered' : 'reused'}: ${blob.filename} (refs: ${blob.ref_count})`);
+      return { blob, inserted };
+
+    } catch (error) {
+      log.error(`Failed to acquire blob reference: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Drop a reference on a blob. When the last reference goes, the blob row is
+   * removed and returned with ref_count 0 so the caller can delete the file.
+   */
+  static async release(hash) {
+    const decrementQuery = `
+      UPDATE content_blobs
+      SET ref_count = ref_count - 1
+      WHERE hash = $1
+      RETURNING *
+    `;
+
+    const deleteQuery = `
+      DELETE FROM content_blobs
+      WHERE hash = $1 AND ref_count <= 0
+      RETURNING *
+    `;
+
+    try {
+      log.info(`Releasing blob reference: ${hash}`);
+      const result = await db.pool.query(decrementQuery, [hash]);
+
+      if (result.rows.length === 0) {
+        log.warn(`Blob not found for release: ${hash}`);
+        return null;
+      }
+
+      const blob = result.rows[0];
+      if (blob.ref_count > 0) {
+        log.info(`Blob still referenced: ${blob.filename} (refs: ${blob.ref_count})`);
+        return blob;
+      }
+
+      // A concurrent upload may have taken a new reference in between
+      const deleted = await db.pool.query(deleteQuery, [hash]);
+      if (deleted.rows.length === 0) {
+        log.info(`Blob re-acquired concurrently, keeping: ${blob.filename}`);
+        return { ...blob, ref_count: 1 };
+      }
+
+      log.info(`Last blob reference released: ${blob.filename}`);
+      return { ...deleted.rows[0], ref_count: 0 };
+
+    } catch (error) {
+      log.error(`Failed to release blob reference: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Find blob by hash
+   */
+  static async findByHash(hash) {
+    const query = `
+      SELECT * FROM content_blobs
+      WHERE hash = $1
+    `;
+
+    try {
+      const result = await db.pool.query(query, [hash]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to find blob: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Find blob by its physical filename
+   */
+  static async findByFilename(filename) {
+    const query = `
+      SELECT * FROM content_blobs
+      WHERE filename = $1
+    `;
+
+    try {
+      const result = await db.pool.query(query, [filename]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to find blob by filename: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Get deduplication statistics
+   */
+  static async getStats() {
+    const query = `
+      SELECT
+        COUNT(*) AS total_blobs,
+        COALESCE(SUM(size), 0) AS stored_size,
+        COALESCE(SUM(size * (ref_count - 1)), 0) AS saved_size
+      FROM content_blobs
+    `;
+
+    try {
+      const result = await db.pool.query(query);
+      return result.rows[0];
+
+    } catch (error) {
+      log.error(`Failed to get blob stats: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+}
+
+export default ContentBlobRepository;
@@ -0,0 +1,160 @@
+/**
+ * Idempotency Key Repository
+ *
+ * Data access layer for idempotency_keys table.
+ * Stores the Idempotency-Key sent by a client together with a fingerprint of
+ * the request and, once the request finishes, the response to replay.
+ */
+
+import db from '../config/database.js';
+import { log } from '../utils/logger.js';
+import { IDEMPOTENCY } from '../config/constants/index.js';
+
+export class IdempotencyKeyRepository {
+  /**
+   * Claim a key for a new request. Returns `claimed: true` with the new record,
+   * or `claimed: false` with the record of the request that already owns it.
+   * An expired key is freed and claimed again.
+   */
+  static async claim({ key, method, path, fingerprint, ttlHours }) {
+    const deleteExpiredQuery = `
+      DELETE FROM idempotency_keys
+      WHERE key = $1 AND expires_at < NOW()
+    `;
+
+    const insertQuery = `
+      INSERT INTO idempotency_keys (key, method, path, fingerprint, status, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' hours')::INTERVAL)
+      ON CONFLICT (key) DO NOTHING
+      RETURNING *
+    `;
+
+    const selectQuery = `
+      SELECT * FROM idempotency_keys
+      WHERE key = $1
+    `;
+
+    try {
+      await db.pool.query(deleteExpiredQuery, [key]);
+
+      const values = [key, method, path, fingerprint, IDEMPOTENCY.STATUS.IN_PROGRESS, String(ttlHours)];
+      const inserted = await db.pool.query(insertQuery, values);
+
+      if (inserted.rows.length > 0) {
+        log.info(`Idempotency key claimed: ${key}`);
+        return { record: inserted.rows[0], claimed: true };
+      }
+
+      const existing = await db.pool.query(selectQuery, [key]);
+      log.info(`Idempotency key already in use: ${key}`);
+      return { record: existing.rows[0] || null, claimed: false };
+
+    } catch (error) {
+      log.error(`Failed to claim idempotency key: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Find a key that is still inside its replay window
+   */
+  static async findActive(key) {
+    const query = `
+      SELECT * FROM idempotency_keys
+      WHERE key = $1 AND expires_at >= NOW()
+    `;
+
+    try {
+      const result = await db.pool.query(query, [key]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to find idempotency key: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Store the response of a finished request so it can be replayed
+   */
+  static async complete(key, responseStatus, responseBody) {
+    const query = `
+      UPDATE idempotency_keys
+      SET status = $2, response_status = $3, response_body = $4
+      WHERE key = $1
+      RETURNING *
+    `;
+
+    const values = [key, IDEMPOTENCY.STATUS.COMPLETED, responseStatus, JSON.stringify(responseBody ?? null)];
+
+    try {
+      const result = await db.pool.query(query, values);
+      log.info(`Idempotency key completed: ${key} (${responseStatus})`);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to complete idempotency key: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Forget a key whose request did not produce a replayable response,
+   * so the client can retry with the same key
+   */
+  static async release(key) {
+    const query = `
+      DELETE FROM idempotency_keys
+      WHERE key = $1 AND status = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await db.pool.query(query, [key, IDEMPOTENCY.STATUS.IN_PROGRESS]);
+      log.info(`Idempotency key released: ${key}`);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to release idempotency key: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Delete keys past their replay window (for the janitor)
+   */
+  static async deleteExpired(limit = 500) {
+    const query = `
+      DELETE FROM idempotency_keys
+      WHERE key IN (
+        SELECT key FROM idempotency_keys
+        WHERE expires_at < NOW()
+        LIMIT $1
+      )
+    `;
+
+    try {
+      log.info(`Deleting expired idempotency keys (limit: ${limit})`);
+      const result = await db.pool.query(query, [limit]);
+
+      log.info(`Deleted ${result.rowCount} expired idempotency keys`);
+      return result.rowCount;
+
+    } catch (error) {
+      log.error(`Failed to delete expired idempotency keys: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+}
+
+export default IdempotencyKeyRepository;
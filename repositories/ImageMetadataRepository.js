@@ -8,21 +8,26 @@
 
 import db from '../config/database.js';
 import { log } from '../utils/logger.js';
+import { MODERATION } from '../config/constants/index.js';
 
 export class ImageMetadataRepository {
   /**
    * Create new image metadata record
    */
   static async create(metadata) {
-    const { name, maskName, path, mime, size } = metadata;
+    const {
+      name, maskName, path, mime, size, contentHash = null, version = 1,
+      title = null, altText = null, description = null, tags = [], expiresAt = null, documentInfo = null,
+      moderationStatus = MODERATION.STATUSES.APPROVED
+    } = metadata;
     
     const query = `
-      INSERT INTO images_metadata (name, mask_name, path, mime, size)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO images_metadata (name, mask_name, path, mime, size, content_hash, version, title, alt_text, description, tags, expires_at, document_info, moderation_status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `;
     
-    const values = [name, maskName, path, mime, size];
+    const values = [name, maskName, path, mime, size, contentHash, version, title, altText, description, tags, expiresAt, documentInfo, moderationStatus];
     
     try {
       log.info(`Creating metadata record for: ${name}`);
@@ -52,6 +57,29 @@ export class ImageMetadataRepository {
     }
   }
 
+  /**
+   * Convert a database row back into the shape accepted by create()
+   * (used to restore a row during rollbacks)
+   */
+  static fromRow(row) {
+    return {
+      name: row.name,
+      maskName: row.mask_name,
+      path: row.path,
+      mime: row.mime,
+      size: row.size,
+      contentHash: row.content_hash,
+      version: row.version,
+      title: row.title,
+      altText: row.alt_text,
+      description: row.description,
+      tags: row.tags,
+      expiresAt: row.expires_at,
+      documentInfo: row.document_info,
+      moderationStatus: row.moderation_status
+    };
+  }
+
   /**
    * Find image metadata by filename
    */
@@ -83,17 +111,25 @@ export class ImageMetadataRepository {
 
   /**
    * Get all image metadata with pagination
+   * Filters: { tag } keeps only images carrying that tag,
+   * { excludeExpired: true } leaves out images past their expiration,
+   * { moderationStatus } keeps only images in that moderation status.
+   * Newest first unless order is 'ASC'.
    */
-  static async findAll(limit = 50, offset = 0) {
+  static async findAll(limit = 50, offset = 0, filters = {}, order = 'DESC') {
+    const { whereClause, values } = this.buildFilters(filters);
+    const direction = order === 'ASC' ? 'ASC' : 'DESC';
+
     const query = `
       SELECT * FROM images_metadata 
-      ORDER BY created_at DESC 
-      LIMIT $1 OFFSET $2
+      ${whereClause}
+      ORDER BY created_at ${direction} 
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
     `;
     
     try {
-      log.info(`Finding all metadata (limit: ${limit}, offset: ${offset})`);
-      const result = await db.pool.query(query, [limit, offset]);
+      log.info(`Finding all metadata (limit: ${limit}, offset: ${offset}${filters.tag ? `, tag: ${filters.tag}` : ''})`);
+      const result = await db.pool.query(query, [...values, limit, offset]);
       
       log.info(`Found ${result.rows.length} metadata records`);
       return result.rows;
@@ -110,7 +146,7 @@ export class ImageMetadataRepository {
    * Update image metadata
    */
   static async update(name, updates) {
-    const allowedFields = ['mask_name', 'path', 'mime', 'size'];
+    const allowedFields = ['mask_name', 'path', 'mime', 'size', 'content_hash', 'title', 'alt_text', 'description', 'tags', 'expires_at'];
     const setClause = [];
     const values = [];
     let valueIndex = 1;
@@ -163,6 +199,53 @@ export class ImageMetadataRepository {
     }
   }
 
+  /**
+   * Point an image at new content and bump its version, only if nobody
+   * replaced it since `expectedVersion` was read. Returns null on conflict.
+   * Descriptive fields (title, altText, description, tags), expiresAt and moderationStatus
+   * are only changed when given; documentInfo describes the content and always follows it.
+   */
+  static async replaceContent(name, expectedVersion, content) {
+    const {
+      maskName, path, mime, size, contentHash = null,
+      title = null, altText = null, description = null, tags = null, expiresAt = null, documentInfo = null,
+      moderationStatus = null
+    } = content;
+
+    const query = `
+      UPDATE images_metadata
+      SET mask_name = $3, path = $4, mime = $5, size = $6, content_hash = $7,
+          title = COALESCE($8, title), alt_text = COALESCE($9, alt_text),
+          description = COALESCE($10, description), tags = COALESCE($11, tags),
+          expires_at = COALESCE($12, expires_at), document_info = $13,
+          moderation_status = COALESCE($14, moderation_status),
+          version = version + 1, updated_at = NOW()
+      WHERE name = $1 AND version = $2
+      RETURNING *
+    `;
+
+    const values = [name, expectedVersion, maskName, path, mime, size, contentHash, title, altText, description, tags, expiresAt, documentInfo, moderationStatus];
+
+    try {
+      log.info(`Replacing content of: ${name} (version ${expectedVersion})`);
+      const result = await db.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        log.warn(`Content replacement conflict for: ${name}`);
+        return null;
+      }
+
+      log.pass(`Content replaced successfully: ${name} (version ${result.rows[0].version})`);
+      return result.rows[0];
+
+    } catch (error) {
+      log.error(`Failed to replace content: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
   /**
    * Delete image metadata
    */
@@ -199,13 +282,14 @@ export class ImageMetadataRepository {
   }
 
   /**
-   * Get count of all images
+   * Get count of all images (accepts the same filters as findAll)
    */
-  static async getCount() {
-    const query = `SELECT COUNT(*) as count FROM images_metadata`;
+  static async getCount(filters = {}) {
+    const { whereClause, values } = this.buildFilters(filters);
+    const query = `SELECT COUNT(*) as count FROM images_metadata ${whereClause}`;
     
     try {
-      const result = await db.pool.query(query);
+      const result = await db.pool.query(query, values);
       return parseInt(result.rows[0].count, 10);
       
     } catch (error) {
@@ -264,6 +348,140 @@ export class ImageMetadataRepository {
     }
   }
 
+  /**
+   * Find images past their expiration, oldest first (for the janitor)
+   */
+  static async findExpired(limit = 100) {
+    const query = `
+      SELECT * FROM images_metadata
+      WHERE expires_at IS NOT NULL AND expires_at <= NOW()
+      ORDER BY expires_at ASC
+      LIMIT $1
+    `;
+
+    try {
+      log.info(`Finding expired images (limit: ${limit})`);
+      const result = await db.pool.query(query, [limit]);
+
+      log.info(`Found ${result.rows.length} expired images`);
+      return result.rows;
+
+    } catch (error) {
+      log.error(`Failed to find expired images: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Move a pending image to another moderation status.
+   * Returns null when the image is not pending (already moderated or gone).
+   */
+  static async setModerationStatus(name, status) {
+    const query = `
+      UPDATE images_metadata
+      SET moderation_status = $2, moderated_at = NOW()
+      WHERE name = $1 AND moderation_status = $3
+      RETURNING *
+    `;
+
+    try {
+      log.info(`Setting moderation status of ${name} to ${status}`);
+      const result = await db.pool.query(query, [name, status, MODERATION.STATUSES.PENDING]);
+
+      if (result.rows.length === 0) {
+        log.warn(`Image not pending moderation: ${name}`);
+        return null;
+      }
+
+      log.pass(`Moderation status updated: ${name} (${status})`);
+      return result.rows[0];
+
+    } catch (error) {
+      log.error(`Failed to update moderation status: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Stored files (content or responsive variant) /static may have to hide:
+   * those that only belong to images awaiting moderation (deduplicated
+   * content may also belong to approved images), and those whose images all
+   * expire, with the moment the last one does (expires_at, null while any of
+   * them never expires). With an image name, every file of that image is
+   * returned, hidden or not.
+   */
+  static async findRestrictedPaths(imageName = null) {
+    const query = `
+      SELECT files.path,
+             COUNT(*) FILTER (WHERE m.moderation_status = $1) = 0 AS pending_only,
+             CASE WHEN COUNT(*) FILTER (WHERE m.expires_at IS NULL) = 0 THEN MAX(m.expires_at) END AS expires_at
+      FROM (
+        SELECT path, name AS image_name FROM images_metadata
+        UNION ALL
+        SELECT path, image_name FROM image_variants
+      ) files
+      JOIN images_metadata m ON m.name = files.image_name
+      ${imageName ? `WHERE files.path IN (
+        SELECT path FROM images_metadata WHERE name = $2
+        UNION
+        SELECT path FROM image_variants WHERE image_name = $2
+      )` : ''}
+      GROUP BY files.path
+      ${imageName ? '' : `HAVING COUNT(*) FILTER (WHERE m.moderation_status = $1) = 0
+          OR COUNT(*) FILTER (WHERE m.expires_at IS NULL) = 0`}
+    `;
+    const values = imageName ? [MODERATION.STATUSES.APPROVED, imageName] : [MODERATION.STATUSES.APPROVED];
+
+    try {
+      const result = await db.pool.query(query, values);
+      return result.rows;
+
+    } catch (error) {
+      log.error(`Failed to find restricted paths${imageName ? ` of ${imageName}` : ''}: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Find images carrying a tag
+   */
+  static async findByTag(tag, limit = 50, offset = 0) {
+    return this.findAll(limit, offset, { tag });
+  }
+
+  /**
+   * Helper: WHERE clause and values for findAll/getCount filters
+   */
+  static buildFilters(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.tag) {
+      values.push(filters.tag);
+      conditions.push(`tags @> ARRAY[$${values.length}]::TEXT[]`); // Uses the GIN index
+    }
+
+    if (filters.excludeExpired) {
+      conditions.push('(expires_at IS NULL OR expires_at > NOW())');
+    }
+
+    if (filters.moderationStatus) {
+      values.push(filters.moderationStatus);
+      conditions.push(`moderation_status = $${values.length}`);
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
   /**
    * Get storage statistics
    */
@@ -0,0 +1,110 @@
+/**
+ * Image Variant Repository
+ *
+ * Data access layer for image_variants table.
+ * Responsive width variants generated at upload are stored as files of
+ * their own and recorded here, one row per width and format of an image.
+ */
+
+import db from '../config/database.js';
+import { log } from '../utils/logger.js';
+
+export class ImageVariantRepository {
+  /**
+   * Record a stored variant of an image
+   */
+  static async create(variant) {
+    const { imageName, path, width, height, format, mime, size, createdAt = null } = variant;
+
+    const query = `
+      INSERT INTO image_variants (path, image_name, width, height, format, mime, size, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()))
+      RETURNING *
+    `;
+
+    const values = [path, imageName, width, height, format, mime, size, createdAt];
+
+    try {
+      const result = await db.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Failed to record image variant');
+      }
+
+      log.info(`Variant ${width}w ${format} recorded for: ${imageName}`);
+      return result.rows[0];
+
+    } catch (error) {
+      log.error(`Failed to record image variant: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Convert a database row back into the shape accepted by create()
+   * (used to restore rows during rollbacks)
+   */
+  static fromRow(row) {
+    return {
+      imageName: row.image_name,
+      path: row.path,
+      width: row.width,
+      height: row.height,
+      format: row.format,
+      mime: row.mime,
+      size: row.size,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Get every variant of an image, by format and width
+   */
+  static async findByImage(imageName) {
+    const query = `
+      SELECT * FROM image_variants
+      WHERE image_name = $1
+      ORDER BY format, width
+    `;
+
+    try {
+      const result = await db.pool.query(query, [imageName]);
+      return result.rows;
+
+    } catch (error) {
+      log.error(`Failed to find image variants: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Delete every variant of an image, returning the deleted rows
+   */
+  static async deleteByImage(imageName) {
+    const query = `
+      DELETE FROM image_variants
+      WHERE image_name = $1
+      RETURNING *
+    `;
+
+    try {
+      log.info(`Deleting variants of: ${imageName}`);
+      const result = await db.pool.query(query, [imageName]);
+
+      log.info(`Deleted ${result.rows.length} variants of: ${imageName}`);
+      return result.rows;
+
+    } catch (error) {
+      log.error(`Failed to delete image variants: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+}
+
+export default ImageVariantRepository;
@@ -0,0 +1,170 @@
+/**
+ * Image Version Repository
+ *
+ * Data access layer for image_versions table.
+ * When an image is replaced in place, its previous content is archived here
+ * under a version number, so it can be listed and restored later.
+ */
+
+import db from '../config/database.js';
+import { log } from '../utils/logger.js';
+
+export class ImageVersionRepository {
+  /**
+   * Archive a version of an image
+   */
+  static async create(version) {
+    const {
+      imageName, version: number, maskName, path, mime, size, contentHash = null, documentInfo = null, createdAt, archivedAt = null
+    } = version;
+
+    const query = `
+      INSERT INTO image_versions (image_name, version, mask_name, path, mime, size, content_hash, document_info, created_at, archived_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()))
+      RETURNING *
+    `;
+
+    const values = [imageName, number, maskName, path, mime, size, contentHash, documentInfo, createdAt, archivedAt];
+
+    try {
+      log.info(`Archiving version ${number} of: ${imageName}`);
+      const result = await db.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Failed to archive image version');
+      }
+
+      log.pass(`Version ${number} archived successfully: ${imageName}`);
+      return result.rows[0];
+
+    } catch (error) {
+      log.error(`Failed to archive image version: ${error.message}`);
+
+      // Another request archived this version first (concurrent replace)
+      if (error.code === '23505') {
+        const conflictError = new Error('Image was modified by another request');
+        conflictError.statusCode = 409;
+        throw conflictError;
+      }
+
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Convert a database row back into the shape accepted by create()
+   * (used to restore rows during rollbacks)
+   */
+  static fromRow(row) {
+    return {
+      imageName: row.image_name,
+      version: row.version,
+      maskName: row.mask_name,
+      path: row.path,
+      mime: row.mime,
+      size: row.size,
+      contentHash: row.content_hash,
+      documentInfo: row.document_info,
+      createdAt: row.created_at,
+      archivedAt: row.archived_at
+    };
+  }
+
+  /**
+   * Get every archived version of an image, newest first
+   */
+  static async findByImage(imageName) {
+    const query = `
+      SELECT * FROM image_versions
+      WHERE image_name = $1
+      ORDER BY version DESC
+    `;
+
+    try {
+      log.info(`Finding versions of: ${imageName}`);
+      const result = await db.pool.query(query, [imageName]);
+
+      log.info(`Found ${result.rows.length} versions of: ${imageName}`);
+      return result.rows;
+
+    } catch (error) {
+      log.error(`Failed to find image versions: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Find a single archived version
+   */
+  static async findByVersion(imageName, version) {
+    const query = `
+      SELECT * FROM image_versions
+      WHERE image_name = $1 AND version = $2
+    `;
+
+    try {
+      const result = await db.pool.query(query, [imageName, version]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to find image version: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Delete a single archived version
+   */
+  static async delete(imageName, version) {
+    const query = `
+      DELETE FROM image_versions
+      WHERE image_name = $1 AND version = $2
+      RETURNING *
+    `;
+
+    try {
+      log.info(`Deleting version ${version} of: ${imageName}`);
+      const result = await db.pool.query(query, [imageName, version]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to delete image version: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Delete every archived version of an image, returning the deleted rows
+   */
+  static async deleteByImage(imageName) {
+    const query = `
+      DELETE FROM image_versions
+      WHERE image_name = $1
+      RETURNING *
+    `;
+
+    try {
+      log.info(`Deleting all versions of: ${imageName}`);
+      const result = await db.pool.query(query, [imageName]);
+
+      log.info(`Deleted ${result.rows.length} versions of: ${imageName}`);
+      return result.rows;
+
+    } catch (error) {
+      log.error(`Failed to delete image versions: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+}
+
+export default ImageVersionRepository;
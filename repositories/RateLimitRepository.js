@@ -0,0 +1,80 @@
+/**
+ * Rate Limit Repository
+ *
+ * Data access layer for rate_limit_buckets table.
+ * PostgreSQL-backed bucket store, so several server instances share the
+ * same per-client counters. Each bucket is a fixed window that restarts
+ * on the first increment after its reset time.
+ */
+
+import db from '../config/database.js';
+import { log } from '../utils/logger.js';
+
+export class RateLimitRepository {
+  /**
+   * Add `amount` to a bucket (negative amounts give back) and return its state
+   */
+  static async increment(key, amount, windowMs) {
+    const query = `
+      INSERT INTO rate_limit_buckets (key, count, reset_at)
+      VALUES ($1, GREATEST($2::BIGINT, 0), NOW() + ($3 || ' milliseconds')::INTERVAL)
+      ON CONFLICT (key)
+      DO UPDATE SET
+        count = CASE
+          WHEN rate_limit_buckets.reset_at <= NOW() THEN GREATEST($2::BIGINT, 0)
+          ELSE GREATEST(rate_limit_buckets.count + $2::BIGINT, 0)
+        END,
+        reset_at = CASE
+          WHEN rate_limit_buckets.reset_at <= NOW() THEN EXCLUDED.reset_at
+          ELSE rate_limit_buckets.reset_at
+        END
+      RETURNING count, reset_at
+    `;
+
+    try {
+      const result = await db.pool.query(query, [key, amount, String(windowMs)]);
+      const bucket = result.rows[0];
+
+      return {
+        count: Number(bucket.count),
+        resetAt: new Date(bucket.reset_at).getTime()
+      };
+
+    } catch (error) {
+      log.error(`Failed to increment rate limit bucket: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Delete buckets whose window is over (for the janitor)
+   */
+  static async deleteExpired(limit = 1000) {
+    const query = `
+      DELETE FROM rate_limit_buckets
+      WHERE key IN (
+        SELECT key FROM rate_limit_buckets
+        WHERE reset_at <= NOW()
+        LIMIT $1
+      )
+    `;
+
+    try {
+      log.info(`Deleting expired rate limit buckets (limit: ${limit})`);
+      const result = await db.pool.query(query, [limit]);
+
+      log.info(`Deleted ${result.rowCount} expired rate limit buckets`);
+      return result.rowCount;
+
+    } catch (error) {
+      log.error(`Failed to delete expired rate limit buckets: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+}
+
+export default RateLimitRepository;
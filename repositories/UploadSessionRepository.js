@@ -0,0 +1,196 @@
+/**
+ * Upload Session Repository
+ *
+ * Data access layer for upload_sessions table.
+ * Tracks resumable (tus-style) uploads: how many bytes have been received,
+ * which transformations to apply on finalize and when the session expires.
+ */
+
+import db from '../config/database.js';
+import { log } from '../utils/logger.js';
+import { RESUMABLE_UPLOADS } from '../config/constants/index.js';
+
+export class UploadSessionRepository {
+  /**
+   * Create new upload session
+   */
+  static async create(session) {
+    const { id, originalName, mime, totalSize, transformations, ttlHours } = session;
+
+    const query = `
+      INSERT INTO upload_sessions (id, original_name, mime, total_size, transformations, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' hours')::INTERVAL)
+      RETURNING *
+    `;
+
+    const values = [id, originalName, mime, totalSize, JSON.stringify(transformations || {}), String(ttlHours)];
+
+    try {
+      log.info(`Creating upload session: ${id}`);
+      const result = await db.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        throw new Error('Failed to create upload session');
+      }
+
+      log.pass(`Upload session created successfully: ${id}`);
+      return result.rows[0];
+
+    } catch (error) {
+      log.error(`Failed to create upload session: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Find upload session by id
+   */
+  static async findById(id) {
+    const query = `
+      SELECT *, expires_at < NOW() AS is_expired
+      FROM upload_sessions
+      WHERE id = $1
+    `;
+
+    try {
+      const result = await db.pool.query(query, [id]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to find upload session: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Append to a session while holding its row lock.
+   * `write(session)` gets the locked row (null when it doesn't exist), writes
+   * the chunk and returns the new offset, which is stored once it resolves.
+   * Concurrent appends to the same session wait for the lock, so they always
+   * see the offset of the bytes already on disk. Errors thrown by `write`
+   * roll back and leave the offset untouched.
+   */
+  static async advanceOffset(id, write) {
+    const client = await db.pool.connect();
+    let writing = false;
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(`
+        SELECT *, expires_at < NOW() AS is_expired
+        FROM upload_sessions
+        WHERE id = $1
+        FOR UPDATE
+      `, [id]);
+
+      writing = true;
+      const newOffset = await write(locked.rows[0] || null);
+      writing = false;
+
+      log.info(`Updating upload session offset: ${id} (${locked.rows[0].upload_offset} -> ${newOffset})`);
+      const result = await client.query(`
+        UPDATE upload_sessions
+        SET upload_offset = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND status = $3
+        RETURNING *
+      `, [newOffset, id, RESUMABLE_UPLOADS.STATUS.ACTIVE]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      // Errors of the write step are the caller's, not database errors
+      if (writing) throw error;
+
+      log.error(`Failed to update upload session offset: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Set session status (and the stored filename once completed)
+   */
+  static async updateStatus(id, status, resultName = null) {
+    const query = `
+      UPDATE upload_sessions
+      SET status = $1, result_name = COALESCE($2, result_name), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    try {
+      log.info(`Marking upload session ${id} as ${status}`);
+      const result = await db.pool.query(query, [status, resultName, id]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to update upload session status: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Delete upload session
+   */
+  static async delete(id) {
+    const query = `
+      DELETE FROM upload_sessions
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      log.info(`Deleting upload session: ${id}`);
+      const result = await db.pool.query(query, [id]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+
+    } catch (error) {
+      log.error(`Failed to delete upload session: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Get sessions past their expiry time (for the janitor)
+   */
+  static async findExpired(limit = 100) {
+    const query = `
+      SELECT * FROM upload_sessions
+      WHERE expires_at < NOW()
+      ORDER BY expires_at ASC
+      LIMIT $1
+    `;
+
+    try {
+      log.info(`Retrieving expired upload sessions (limit: ${limit})`);
+      const result = await db.pool.query(query, [limit]);
+
+      log.info(`Found ${result.rows.length} expired upload sessions`);
+      return result.rows;
+
+    } catch (error) {
+      log.error(`Failed to get expired upload sessions: ${error.message}`);
+      const dbError = new Error(`Database error: ${error.message}`);
+      dbError.statusCode = 500;
+      throw dbError;
+    }
+  }
+}
+
+export default UploadSessionRepository;
@@ -5,20 +5,100 @@
 
 import express from 'express';
 import ImageController from '../controllers/ImageController.js';
-import { processFileUpload, logUploadAttempt } from '../middleware/multerConfig.js';
+import { processFileUpload, processBatchUpload, logUploadAttempt } from '../middleware/multerConfig.js';
+import { detectReplay, idempotency } from '../middleware/idempotency.js';
+import { verifyUploadPolicy, enforceUploadPolicy } from '../middleware/uploadPolicy.js';
+import { uploadQuota } from '../middleware/rateLimiter.js';
+import { selectUploadProfile } from '../middleware/uploadProfile.js';
+import { requireApiKey } from '../middleware/apiKey.js';
 
 const router = express.Router();
 
 // POST /images - Upload file with optional transformations
 // Query parameters: ?type=png&resize=800x600&quality=90
+// Optional header: Idempotency-Key (retries replay the original response)
+// Presigned: ?policy=...&signature=... (issued by POST /images/presign)
+// Upload profile: ?profile=avatar (size, types and forced transformations)
 router.post('/', 
   logUploadAttempt,      // Log upload attempts
+  detectReplay,          // Replays of a stored response skip the upload quota
+  uploadQuota,           // Per-client hourly upload volume
+  verifyUploadPolicy,    // Reject tampered or expired presigned URLs before receiving the file
+  selectUploadProfile,   // Profile limits apply while the file is received
   processFileUpload,     // Handle file upload with multer
+  enforceUploadPolicy,   // Apply presigned size and extension limits
+  idempotency,           // Replay retried requests instead of storing twice
   ImageController.uploadImage
 );
 
+// POST /images/validate - Dry run: report every upload check without storing anything
+// Query parameters: same as POST /images
+router.post('/validate',
+  logUploadAttempt,      // Log upload attempts
+  uploadQuota,           // Per-client hourly upload volume (the file is still received)
+  selectUploadProfile,   // Validate against a profile with ?profile=
+  processFileUpload,     // Handle file upload with multer
+  ImageController.validateImage
+);
+
+// POST /images/presign - Issue a short-lived signed upload URL
+// Header: X-API-Key (one of API_KEYS)
+// JSON body: { maxSize, extensions, transformations, expiresIn }
+router.post('/presign', requireApiKey, ImageController.createPresignedUpload);
+
+// GET /images/profiles - Upload profiles and their rules
+router.get('/profiles', ImageController.getUploadProfiles);
+
+// POST /images/profiles/:profile - Upload with the rules of a named profile
+// Query parameters: same as POST /images
+router.post('/profiles/:profile',
+  logUploadAttempt,      // Log upload attempts
+  detectReplay,          // Replays of a stored response skip the upload quota
+  uploadQuota,           // Per-client hourly upload volume
+  selectUploadProfile,   // Profile named by the route
+  processFileUpload,     // Handle file upload with multer
+  idempotency,           // Replay retried requests instead of storing twice
+  ImageController.uploadImage
+);
+
+// POST /images/batch - Upload many files in one request (field name: images)
+// Returns a per-file result array with a 207 Multi-Status summary
+// Query parameters: same as POST /images, plus ?atomic=true for all-or-nothing
+router.post('/batch',
+  logUploadAttempt,      // Log upload attempts
+  detectReplay,          // Replays of a stored response skip the upload quota
+  uploadQuota,           // Per-client hourly upload volume
+  selectUploadProfile,   // One profile for every file of the batch
+  processBatchUpload,    // Handle multi-file upload with multer
+  idempotency,           // Replay retried requests instead of storing twice
+  ImageController.uploadBatch
+);
+
+// PUT /images/:filename - Replace content in place, keeping the name (previous content becomes a version)
+// Query parameters: same as POST /images
+router.put('/:filename',
+  logUploadAttempt,      // Log upload attempts
+  detectReplay,          // Replays of a stored response skip the upload quota
+  uploadQuota,           // Per-client hourly upload volume
+  selectUploadProfile,   // Profile limits apply while the file is received
+  processFileUpload,     // Handle file upload with multer
+  idempotency,           // Replay retried requests instead of storing twice
+  ImageController.replaceImage
+);
+
+// GET /images/:filename/render - Derivative rendered on demand and cached on disk
+// Query parameters: ?w=800&h=600&fit=cover&format=webp&quality=80
+router.get('/:filename/render', ImageController.renderImage);
+
+// GET /images/:filename/versions - List current and archived versions
+router.get('/:filename/versions', ImageController.getImageVersions);
+
+// POST /images/:filename/versions/:version/restore - Make an archived version current again
+router.post('/:filename/versions/:version/restore', idempotency, ImageController.restoreImageVersion);
+
 // DELETE /images/:filename - Delete file with transactional rollback
-router.delete('/:filename', ImageController.deleteImage);
+// Optional header: Idempotency-Key (retries replay the original response)
+router.delete('/:filename', idempotency, ImageController.deleteImage);
 
 // GET /images - List all images with pagination
 // Query parameters: ?limit=50&offset=0
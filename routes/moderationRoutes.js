@@ -0,0 +1,27 @@
+/**
+ * Moderation Routes
+ * Approval queue for new uploads, mounted under /images/moderation
+ * Every route requires a moderator key (X-Moderator-Key header)
+ */
+
+import express from 'express';
+import ModerationController from '../controllers/ModerationController.js';
+import { requireModerator } from '../middleware/moderation.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = express.Router();
+
+router.use(requireModerator);
+
+// GET /images/moderation/queue - Pending images, oldest first
+// Query parameters: ?limit=50&offset=0
+router.get('/queue', ModerationController.getQueue);
+
+// POST /images/moderation/:filename/approve - Make a pending image public
+router.post('/:filename/approve', idempotency, ModerationController.approveImage);
+
+// POST /images/moderation/:filename/reject - Delete a pending image
+// JSON body: { reason }
+router.post('/:filename/reject', idempotency, ModerationController.rejectImage);
+
+export default router;
@@ -0,0 +1,35 @@
+/**
+ * Upload Session Routes
+ * Resumable (tus-style) chunked uploads, mounted under /images/uploads
+ */
+
+import express from 'express';
+import UploadSessionController from '../controllers/UploadSessionController.js';
+import { logUploadAttempt } from '../middleware/multerConfig.js';
+import { uploadQuota, uploadSessionLimit } from '../middleware/rateLimiter.js';
+import { RESUMABLE_UPLOADS } from '../config/constants/index.js';
+
+const router = express.Router();
+
+// Raw body parser for chunks (never buffers more than one chunk)
+const parseChunk = express.raw({
+  type: RESUMABLE_UPLOADS.CHUNK_CONTENT_TYPE,
+  limit: RESUMABLE_UPLOADS.MAX_CHUNK_SIZE
+});
+
+// POST /images/uploads - Create upload session
+// Headers: Upload-Length: <bytes>, Upload-Metadata: filename <base64>[,filetype <base64>]
+// Query parameters (applied on finalize): ?convert=webp&resize=800x600&quality=90
+router.post('/', logUploadAttempt, uploadSessionLimit, UploadSessionController.createSession);
+
+// HEAD /images/uploads/:id - Current offset (resume point)
+router.head('/:id', UploadSessionController.getOffset);
+
+// PATCH /images/uploads/:id - Append chunk
+// Headers: Content-Type: application/offset+octet-stream, Upload-Offset: <bytes>
+router.patch('/:id', uploadQuota, parseChunk, UploadSessionController.appendChunk);
+
+// DELETE /images/uploads/:id - Abort upload and discard partial data
+router.delete('/:id', UploadSessionController.terminateSession);
+
+export default router;
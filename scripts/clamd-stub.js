@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * clamd Stub - Minimal clamd-protocol daemon for local testing
+ *
+ * Answers PING and INSTREAM (z and n forms) like clamd does and reports
+ * any stream containing the EICAR test string as infected, so malware
+ * scanning can be exercised without ClamAV installed.
+ * Usage: node scripts/clamd-stub.js [port | socket path]   (default: 3310)
+ * Then start the server with MALWARE_SCANNER=clamd (and CLAMD_PORT or CLAMD_SOCKET).
+ */
+
+import net from 'net';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { log } from '../utils/logger.js';
+
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+const MAX_STREAM_LENGTH = 25 * 1024 * 1024; // clamd's default StreamMaxLength
+
+/**
+ * Create the stub server (not listening yet)
+ */
+export function createClamdStub() {
+  return net.createServer(socket => {
+    let pending = Buffer.alloc(0);
+    let command = null;
+    let terminator = '\0';
+    const stream = [];
+    let streamLength = 0;
+
+    const reply = (text) => socket.end(`${text}${terminator}`);
+
+    socket.on('data', data => {
+      pending = Buffer.concat([pending, data]);
+
+      if (command === null) {
+        const end = pending.findIndex(byte => byte === 0x00 || byte === 0x0A);
+        if (end === -1) return;
+
+        command = pending.subarray(0, end).toString('utf8');
+        terminator = command.startsWith('n') ? '\n' : '\0';
+        command = command.replace(/^[zn]/, '');
+        pending = pending.subarray(end + 1);
+
+        if (command === 'PING') return reply('PONG');
+        if (command !== 'INSTREAM') return reply('UNKNOWN COMMAND');
+      }
+
+      // Length-prefixed chunks until a zero-length one
+      while (pending.length >= 4) {
+        const length = pending.readUInt32BE(0);
+
+        if (length === 0) {
+          const content = Buffer.concat(stream).toString('latin1');
+          return reply(content.includes(EICAR_MARKER) ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK');
+        }
+
+        if (pending.length < 4 + length) return;
+
+        streamLength += length;
+        if (streamLength > MAX_STREAM_LENGTH) {
+          return reply('INSTREAM size limit exceeded. ERROR');
+        }
+
+        stream.push(pending.subarray(4, 4 + length));
+        pending = pending.subarray(4 + length);
+      }
+    });
+
+    socket.on('error', () => socket.destroy());
+  });
+}
+
+// Run standalone
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const target = process.argv[2] || '3310';
+  const isSocketPath = !/^\d+$/.test(target);
+
+  if (isSocketPath && fs.existsSync(target)) {
+    fs.unlinkSync(target);
+  }
+
+  createClamdStub().listen(isSocketPath ? target : Number(target), () => {
+    log.pass(`clamd stub listening on ${isSocketPath ? target : `port ${target}`}`);
+  });
+}
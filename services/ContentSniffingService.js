@@ -0,0 +1,174 @@
+/**
+ * Content Sniffing Service
+ *
+ * Identifies the real type of a file from its leading bytes, never from
+ * its name or the Content-Type the client declared. Each allowed type has
+ * a detector that checks the magic bytes and a bit of the structure that
+ * follows them; container formats (RIFF, ISO-BMFF) are identified by their
+ * form type or brands from FILE_TYPES. Text content (any encoding
+ * TextInspectionService recognizes) is SVG when it is UTF-8 with an <svg>
+ * root element, plain text otherwise.
+ */
+
+import { FILE_TYPES, SECURITY } from '../config/constants/index.js';
+import TextInspectionService from './TextInspectionService.js';
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+// Optional BOM, XML declaration, comments and DOCTYPE (internal subset included), then the root element
+const SVG_ROOT = /^\uFEFF?\s*(?:<\?xml[\s\S]*?\?>\s*)?(?:(?:<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>)\s*)*<(?:svg:)?svg[\s>/]/i;
+
+export class ContentSniffingService {
+  // Binary detectors, checked in order. Each one gets the leading bytes.
+  static DETECTORS = [
+    {
+      mimeType: 'image/jpeg',
+      // SOI followed by the first segment marker (APPn, DQT, SOFn, COM...)
+      test: (buffer) => this.hasSignature(buffer, 'image/jpeg') && buffer.length > 3 && buffer[3] >= 0xC0
+    },
+    {
+      mimeType: 'image/png',
+      // The first chunk is always IHDR
+      test: (buffer) => this.hasSignature(buffer, 'image/png') && ascii(buffer, 12, 16) === 'IHDR'
+    },
+    {
+      mimeType: 'image/gif',
+      // Logical screen width and height follow the version
+      test: (buffer) => this.hasSignature(buffer, 'image/gif') && buffer.length >= 10 &&
+        buffer.readUInt16LE(6) > 0 && buffer.readUInt16LE(8) > 0
+    },
+    {
+      mimeType: 'image/webp',
+      // RIFF container with the WEBP form type and a VP8/VP8L/VP8X first chunk
+      test: (buffer) => this.getRiffForm(buffer) === FILE_TYPES['image/webp'].container.riff &&
+        ['VP8 ', 'VP8L', 'VP8X'].includes(ascii(buffer, 12, 16))
+    },
+    {
+      mimeType: 'image/avif',
+      test: (buffer) => this.matchFtypBrand(buffer) === 'image/avif'
+    },
+    {
+      mimeType: 'image/heic',
+      test: (buffer) => this.matchFtypBrand(buffer) === 'image/heic'
+    },
+    {
+      mimeType: 'image/heif',
+      test: (buffer) => this.matchFtypBrand(buffer) === 'image/heif'
+    },
+    {
+      mimeType: 'image/tiff',
+      // Byte order mark, magic 42 and the offset of the first IFD (never inside the header)
+      test: (buffer) => this.hasSignature(buffer, 'image/tiff') && buffer.length >= 8 &&
+        (buffer[0] === 0x49 ? buffer.readUInt32LE(4) : buffer.readUInt32BE(4)) >= 8
+    },
+    {
+      mimeType: 'image/bmp',
+      // "BM" is too short alone: require reserved zeros and a known DIB header size
+      test: (buffer) => this.hasSignature(buffer, 'image/bmp') && buffer.length >= 18 &&
+        buffer.readUInt32LE(6) === 0 && [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14))
+    },
+    {
+      mimeType: 'application/pdf',
+      // %PDF-M.m header
+      test: (buffer) => this.hasSignature(buffer, 'application/pdf') && /^%PDF-\d\.\d/.test(ascii(buffer, 0, 8))
+    }
+  ];
+
+  /**
+   * Sniff the MIME type of the leading bytes of a file.
+   * Returns null when the content matches no allowed type.
+   */
+  static sniff(buffer) {
+    if (!buffer || buffer.length === 0) {
+      return null;
+    }
+
+    const detector = this.DETECTORS.find(candidate => candidate.test(buffer));
+    if (detector) {
+      return detector.mimeType;
+    }
+
+    const encoding = TextInspectionService.sniffEncoding(buffer);
+    if (!encoding) {
+      return null;
+    }
+
+    return encoding === 'utf-8' && this.isSvg(buffer) ? 'image/svg+xml' : 'text/plain';
+  }
+
+  /**
+   * Whether text content is an SVG document (root element <svg>)
+   */
+  static isSvg(buffer) {
+    return SVG_ROOT.test(buffer.toString('utf8'));
+  }
+
+  /**
+   * Form type of a RIFF container ("WEBP", "AVI ", "WAVE"...), or null
+   */
+  static getRiffForm(buffer) {
+    if (buffer.length < 16 || !this.hasSignature(buffer, 'image/webp')) {
+      return null;
+    }
+
+    return ascii(buffer, 8, 12);
+  }
+
+  /**
+   * MIME type of an ISO-BMFF file (AVIF/HEIC/HEIF) from its ftyp box, or null.
+   * A specific major brand decides; with a generic HEIF major brand ("mif1")
+   * or an unknown one, the compatible brands tell what is inside.
+   */
+  static matchFtypBrand(buffer) {
+    if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') {
+      return null;
+    }
+
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const majorBrand = ascii(buffer, 8, 12);
+    const compatibleBrands = [];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      compatibleBrands.push(ascii(buffer, offset, offset + 4));
+    }
+
+    const containerTypes = Object.entries(FILE_TYPES).filter(([, type]) => type.container?.brands);
+    const byBrand = (brand) => containerTypes.find(([, type]) => type.container.brands.includes(brand));
+
+    const major = byBrand(majorBrand);
+    if (major && major[0] !== 'image/heif') {
+      return major[0];
+    }
+
+    // Generic HEIF major brands: the compatible brands tell what is inside
+    for (const [mimeType, type] of containerTypes) {
+      if (compatibleBrands.some(brand => type.container.brands.includes(brand))) {
+        return mimeType;
+      }
+    }
+
+    return major ? major[0] : null;
+  }
+
+  /**
+   * Whether the buffer starts with one of the known signatures of a type
+   */
+  static hasSignature(buffer, mimeType) {
+    const signatures = SECURITY.FILE_SIGNATURES[mimeType] || [];
+    return signatures.some(signature => this.bufferStartsWith(buffer, signature));
+  }
+
+  /**
+   * Check if buffer starts with specific byte sequence
+   */
+  static bufferStartsWith(buffer, signature) {
+    if (buffer.length < signature.length) return false;
+
+    for (let i = 0; i < signature.length; i++) {
+      if (buffer[i] !== signature[i]) return false;
+    }
+
+    return true;
+  }
+}
+
+export default ContentSniffingService;
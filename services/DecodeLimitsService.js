@@ -0,0 +1,169 @@
+/**
+ * Decode Limits Service
+ *
+ * Decompression bomb protection. A few kilobytes of PNG can declare
+ * gigapixels, so header dimensions are checked against DECODE_LIMITS before
+ * anything is decoded, sharp gets a matching input pixel limit as a safety
+ * net, and every decode runs against a time limit.
+ *
+ * Limits come from DECODE_LIMITS and can be overridden with environment
+ * variables of the same name (MAX_INPUT_PIXELS, MAX_INPUT_DIMENSION,
+ * MAX_INPUT_FRAMES, DECODE_TIMEOUT_SECONDS). A request over any of them
+ * gets 422 DECODE_LIMIT_EXCEEDED naming the limit in details.limit.
+ */
+
+import sharp from 'sharp';
+import { log } from '../utils/logger.js';
+import { DECODE_LIMITS, HTTP_STATUS } from '../config/constants/index.js';
+
+export class DecodeLimitsService {
+  /**
+   * Effective limits (environment overrides, then defaults)
+   */
+  static getLimits() {
+    const fromEnv = (name) => Number(process.env[name]) || DECODE_LIMITS[name];
+
+    return {
+      maxInputPixels: fromEnv('MAX_INPUT_PIXELS'),
+      maxInputDimension: fromEnv('MAX_INPUT_DIMENSION'),
+      maxInputFrames: fromEnv('MAX_INPUT_FRAMES'),
+      decodeTimeoutSeconds: fromEnv('DECODE_TIMEOUT_SECONDS')
+    };
+  }
+
+  /**
+   * Check header metadata (from sharp) against the limits, before decoding
+   */
+  static assertWithinLimits(metadata) {
+    const limits = this.getLimits();
+    const frames = metadata.pages || 1;
+    const frameHeight = metadata.pageHeight || metadata.height;
+
+    if (metadata.width > limits.maxInputDimension || frameHeight > limits.maxInputDimension) {
+      throw this.createError(
+        'inputDimension',
+        `Image dimensions ${metadata.width}x${frameHeight} exceed the maximum of ${limits.maxInputDimension}px per side`,
+        Math.max(metadata.width, frameHeight),
+        limits.maxInputDimension
+      );
+    }
+
+    const pixels = metadata.width * frameHeight;
+    if (pixels > limits.maxInputPixels) {
+      throw this.createError(
+        'inputPixels',
+        `Image has ${pixels} pixels per frame, the maximum is ${limits.maxInputPixels}`,
+        pixels,
+        limits.maxInputPixels
+      );
+    }
+
+    if (frames > limits.maxInputFrames) {
+      throw this.createError(
+        'inputFrames',
+        `Image has ${frames} frames, the maximum is ${limits.maxInputFrames}`,
+        frames,
+        limits.maxInputFrames
+      );
+    }
+  }
+
+  /**
+   * Read the header of a Buffer or file path and check it against the limits.
+   * Sharp's own pixel limit is lifted here so the check can report the real size.
+   */
+  static async assertSourceWithinLimits(source) {
+    const metadata = await sharp(source, { limitInputPixels: false }).metadata();
+    this.assertWithinLimits(metadata);
+    return metadata;
+  }
+
+  /**
+   * Sharp constructor options enforcing the pixel limit for `frames` frames
+   */
+  static sharpOptions({ frames = 1 } = {}) {
+    return { limitInputPixels: this.getLimits().maxInputPixels * frames };
+  }
+
+  /**
+   * Stop a sharp pipeline that runs past the decode time limit
+   */
+  static applyTimeout(sharpInstance) {
+    // Sharp takes whole seconds
+    return sharpInstance.timeout({ seconds: Math.max(Math.ceil(this.getLimits().decodeTimeoutSeconds), 1) });
+  }
+
+  /**
+   * Settle a decode within the time limit. Some libvips operations (stats,
+   * AVIF encoding) ignore sharp's timeout, so the request is answered anyway.
+   */
+  static async withTimeout(promise) {
+    const seconds = this.getLimits().decodeTimeoutSeconds;
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(this.createTimeoutError(seconds)), seconds * 1000);
+    });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Turn sharp's pixel limit and timeout failures into limit errors.
+   * Returns null for any other error.
+   */
+  static translateError(error) {
+    if (error?.code === 'DECODE_LIMIT_EXCEEDED') {
+      return error;
+    }
+
+    const message = error?.message || '';
+    const limits = this.getLimits();
+
+    if (message.includes('exceeds pixel limit')) {
+      return this.createError(
+        'inputPixels',
+        `Image exceeds the maximum of ${limits.maxInputPixels} pixels`,
+        null,
+        limits.maxInputPixels
+      );
+    }
+
+    if (message.startsWith('timeout:')) {
+      return this.createTimeoutError(limits.decodeTimeoutSeconds);
+    }
+
+    return null;
+  }
+
+  /**
+   * Helper: Build the error for the decode time limit
+   */
+  static createTimeoutError(seconds) {
+    return this.createError('decodeTime', `Image processing took longer than ${seconds} seconds`, null, seconds);
+  }
+
+  /**
+   * Helper: Build a 422 error naming the limit that was hit
+   */
+  static createError(limit, message, value, max) {
+    log.warn(`Decode limit exceeded (${limit}): ${message}`);
+
+    const error = new Error(message);
+    error.statusCode = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+    error.code = 'DECODE_LIMIT_EXCEEDED';
+    error.details = {
+      reason: 'DECODE_LIMIT_EXCEEDED',
+      limit,
+      ...(value !== null && { value }),
+      max
+    };
+    return error;
+  }
+}
+
+export default DecodeLimitsService;
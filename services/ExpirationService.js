@@ -0,0 +1,97 @@
+/**
+ * Expiration Service
+ *
+ * Optional per-image TTL. An upload may carry `expiresIn` (seconds) or
+ * `expiresAt` (ISO date); once that moment passes the image answers
+ * 410 Gone and the janitor deletes it through the normal delete transaction.
+ */
+
+import ValidationUtils from '../utils/validationUtils.js';
+import { EXPIRATION, HTTP_STATUS } from '../config/constants/index.js';
+import StaticVisibilityService from './StaticVisibilityService.js';
+
+export class ExpirationService {
+  /**
+   * Read the expiration from multipart fields.
+   * Returns a Date, or undefined when the upload does not expire.
+   */
+  static parseExpiration(body = {}) {
+    const expiresIn = body[EXPIRATION.FIELDS.EXPIRES_IN];
+    const expiresAt = body[EXPIRATION.FIELDS.EXPIRES_AT];
+
+    if (expiresIn === undefined && expiresAt === undefined) {
+      return undefined;
+    }
+
+    if (expiresIn !== undefined && expiresAt !== undefined) {
+      throw this.createError(
+        `Send either "${EXPIRATION.FIELDS.EXPIRES_IN}" or "${EXPIRATION.FIELDS.EXPIRES_AT}", not both`
+      );
+    }
+
+    const now = Date.now();
+    let ttlSeconds;
+
+    if (expiresIn !== undefined) {
+      if (!ValidationUtils.isValidInteger(expiresIn, EXPIRATION.MIN_TTL_SECONDS, EXPIRATION.MAX_TTL_SECONDS)) {
+        throw this.createError(
+          `${EXPIRATION.FIELDS.EXPIRES_IN} must be an integer between ${EXPIRATION.MIN_TTL_SECONDS} and ${EXPIRATION.MAX_TTL_SECONDS} seconds`
+        );
+      }
+      ttlSeconds = parseInt(expiresIn, 10);
+    } else {
+      const timestamp = typeof expiresAt === 'string' ? Date.parse(expiresAt) : NaN;
+
+      if (Number.isNaN(timestamp)) {
+        throw this.createError(`${EXPIRATION.FIELDS.EXPIRES_AT} must be an ISO 8601 date`);
+      }
+
+      ttlSeconds = Math.floor((timestamp - now) / 1000);
+      if (ttlSeconds < EXPIRATION.MIN_TTL_SECONDS || ttlSeconds > EXPIRATION.MAX_TTL_SECONDS) {
+        throw this.createError(
+          `${EXPIRATION.FIELDS.EXPIRES_AT} must be between ${EXPIRATION.MIN_TTL_SECONDS} seconds and ${EXPIRATION.MAX_TTL_SECONDS / 86400} days from now`
+        );
+      }
+    }
+
+    return new Date(now + ttlSeconds * 1000);
+  }
+
+  /**
+   * Whether a metadata row is past its expiration
+   */
+  static isExpired(row, now = new Date()) {
+    return Boolean(row && row.expires_at && new Date(row.expires_at) <= now);
+  }
+
+  /**
+   * When a stored file under /uploads expired, or null while it can be served
+   * (from the in-memory list, see StaticVisibilityService)
+   */
+  static getPathExpiration(relativePath) {
+    return StaticVisibilityService.getExpiration(relativePath);
+  }
+
+  /**
+   * Throw 410 Gone for an expired image
+   */
+  static assertNotExpired(row) {
+    if (this.isExpired(row)) {
+      const error = this.createError(`Image ${row.name} has expired`, HTTP_STATUS.GONE, 'IMAGE_EXPIRED');
+      error.details = { expiredAt: new Date(row.expires_at).toISOString() };
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Build an error with HTTP status code
+   */
+  static createError(message, statusCode = HTTP_STATUS.BAD_REQUEST, code = 'INVALID_EXPIRATION') {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+}
+
+export default ExpirationService;
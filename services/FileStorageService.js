@@ -11,6 +11,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import { log } from '../utils/logger.js';
+import { FileUtils } from '../utils/fileUtils.js';
+import { RENDERING, RESUMABLE_UPLOADS, STORAGE } from '../config/constants/index.js';
 
 // ES Modules __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -18,6 +20,8 @@ const __dirname = path.dirname(__filename);
 
 export class FileStorageService {
   static UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+  static STAGING_DIR = path.join(__dirname, '..', 'uploads', STORAGE.STAGING_DIRECTORY);
+  static DERIVATIVES_DIR = path.join(__dirname, '..', 'uploads', RENDERING.CACHE_DIRECTORY);
 
   /**
    * Generate unique filename using timestamp + UUID
@@ -73,6 +77,47 @@ export class FileStorageService {
     }
   }
 
+  /**
+   * Move a staged file into its final place (no buffering in memory)
+   */
+  static async moveStagedFile(stagingPath, filename, expectedSize = null) {
+    const filePath = path.join(this.UPLOAD_DIR, filename);
+    
+    try {
+      await this.ensureUploadDirectory();
+      
+      log.info(`Moving staged file to: ${filePath}`);
+      await FileUtils.moveFile(stagingPath, filePath);
+      
+      // Verify file was moved correctly
+      const stats = await fs.stat(filePath);
+      if (expectedSize !== null && stats.size !== expectedSize) {
+        throw new Error('File size mismatch after move');
+      }
+      
+      log.pass(`File saved successfully: ${filename} (${stats.size} bytes)`);
+      return {
+        success: true,
+        filePath,
+        size: stats.size
+      };
+      
+    } catch (error) {
+      log.error(`Failed to move staged file ${filename}: ${error.message}`);
+      
+      // Attempt cleanup if partial move occurred
+      try {
+        await this.deleteFile(filename);
+      } catch (cleanupError) {
+        log.warn(`Failed to cleanup partial file: ${cleanupError.message}`);
+      }
+      
+      const storageError = new Error(`File storage failed: ${error.message}`);
+      storageError.statusCode = 500;
+      throw storageError;
+    }
+  }
+
   /**
    * Delete file from disk
    */
@@ -148,6 +193,181 @@ export class FileStorageService {
     }
   }
 
+  /**
+   * Get staging directory for incoming uploads
+   */
+  static getStagingDirectory() {
+    return this.STAGING_DIR;
+  }
+
+  /**
+   * Ensure staging directory exists
+   */
+  static async ensureStagingDirectory() {
+    return FileUtils.ensureDirectory(this.STAGING_DIR);
+  }
+
+  /**
+   * Generate a random staging filename (never derived from client input)
+   */
+  static generateStagingFilename() {
+    return `${uuidv4()}${STORAGE.STAGING_FILE_EXTENSION}`;
+  }
+
+  /**
+   * Generate a fresh path inside the staging directory
+   */
+  static async createStagingPath() {
+    await this.ensureStagingDirectory();
+    return path.join(this.STAGING_DIR, this.generateStagingFilename());
+  }
+
+  /**
+   * Copy a stored file into a new staging file (to store it again under another name)
+   */
+  static async copyToStaging(filename) {
+    const stagingPath = await this.createStagingPath();
+    await FileUtils.copyFile(path.join(this.UPLOAD_DIR, filename), stagingPath);
+    return stagingPath;
+  }
+
+  /**
+   * Delete a staged file if it is still there (moved files are already gone)
+   */
+  static async discardStagedFile(stagingPath) {
+    if (!stagingPath) return false;
+    
+    try {
+      return await FileUtils.deleteFile(stagingPath);
+    } catch (error) {
+      log.warn(`Failed to discard staged file ${stagingPath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove staged files left behind by interrupted requests
+   */
+  static async cleanupStagingDirectory(maxAgeMinutes = STORAGE.TEMP_FILE_MAX_AGE_MINUTES) {
+    await this.ensureStagingDirectory();
+    return FileUtils.cleanupOldFiles(this.STAGING_DIR, maxAgeMinutes);
+  }
+
+  /**
+   * Get storage name of a resumable upload's partial file (relative to the upload dir)
+   */
+  static getSessionFilename(sessionId) {
+    return path.join(RESUMABLE_UPLOADS.SESSIONS_DIRECTORY, `${sessionId}${RESUMABLE_UPLOADS.PARTIAL_FILE_EXTENSION}`);
+  }
+
+  /**
+   * Create an empty partial file for a new upload session
+   */
+  static async createSessionFile(sessionId) {
+    const filePath = path.join(this.UPLOAD_DIR, this.getSessionFilename(sessionId));
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, Buffer.alloc(0));
+
+    log.info(`Session file created: ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Write a chunk at the given offset of a session's partial file.
+   * Writing at an explicit position keeps retries of the same chunk idempotent.
+   * Callers hold the session lock (UploadSessionRepository.advanceOffset), so
+   * chunks of one session are written one at a time, in offset order.
+   */
+  static async writeSessionChunk(sessionId, buffer, offset) {
+    const filePath = path.join(this.UPLOAD_DIR, this.getSessionFilename(sessionId));
+    const handle = await fs.open(filePath, 'r+');
+
+    try {
+      await handle.write(buffer, 0, buffer.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    log.info(`Wrote ${buffer.length} bytes at offset ${offset} for session ${sessionId}`);
+  }
+
+  /**
+   * Get absolute path of a session's partial file
+   */
+  static getSessionFilePath(sessionId) {
+    return path.join(this.UPLOAD_DIR, this.getSessionFilename(sessionId));
+  }
+
+  /**
+   * Delete a session's partial file
+   */
+  static async deleteSessionFile(sessionId) {
+    return this.deleteFile(this.getSessionFilename(sessionId));
+  }
+
+  /**
+   * Get absolute path of a rendered derivative of a stored file
+   */
+  static getDerivativePath(filename, derivativeName) {
+    return path.join(this.DERIVATIVES_DIR, filename, derivativeName);
+  }
+
+  /**
+   * Move a rendered staging file into a stored file's derivative folder
+   */
+  static async storeDerivative(stagingPath, filename, derivativeName) {
+    const derivativePath = this.getDerivativePath(filename, derivativeName);
+
+    await FileUtils.ensureDirectory(path.dirname(derivativePath));
+    await FileUtils.moveFile(stagingPath, derivativePath);
+
+    return derivativePath;
+  }
+
+  /**
+   * Delete every rendered derivative of a stored file.
+   * Failures are only logged: the janitor removes derivatives left behind.
+   */
+  static async deleteDerivatives(filename) {
+    try {
+      await fs.rm(path.join(this.DERIVATIVES_DIR, filename), { recursive: true, force: true });
+      return true;
+    } catch (error) {
+      log.warn(`Failed to delete derivatives of ${filename}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove derivative folders whose stored file no longer exists
+   */
+  static async cleanupOrphanedDerivatives() {
+    let folders;
+
+    try {
+      folders = await fs.readdir(this.DERIVATIVES_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let cleanedCount = 0;
+
+    for (const filename of folders) {
+      if (await this.fileExists(filename)) continue;
+
+      if (await this.deleteDerivatives(filename)) {
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      log.info(`Orphaned derivative cleanup completed: ${cleanedCount} folders removed`);
+    }
+    return cleanedCount;
+  }
+
   /**
    * Generate relative path for database storage
    */
@@ -155,6 +375,13 @@ export class FileStorageService {
     return `/uploads/${filename}`;
   }
 
+  /**
+   * Get the stored filename from a relative path (inverse of getRelativePath)
+   */
+  static getFilenameFromPath(relativePath) {
+    return path.basename(relativePath);
+  }
+
   /**
    * Get full file path
    */
@@ -2,64 +2,86 @@
  * File Validation Service
  * 
  * Handles all file validation logic including MIME type verification,
- * file signature validation, size checks, and extension validation.
- * Implements security-first approach with "no trust" principle.
+ * content sniffing, size checks, and extension validation.
+ * Implements security-first approach with "no trust" principle: the type
+ * sniffed from the content wins over the filename and the declared type.
+ * Images are then verified in depth (structure and full decode), PDFs
+ * are inspected for active content and text for its encoding.
+ * Size and type rules come from the active upload profile (the global
+ * limits when none is selected).
  */
 
+import { promises as fs } from 'fs';
 import mime from 'mime-types';
 import { log } from '../utils/logger.js';
-import { FILE_LIMITS, SECURITY } from '../config/constants/index.js';
+import FileUtils from '../utils/fileUtils.js';
+import { FILE_LIMITS, FILE_TYPES, HTTP_STATUS, SECURITY } from '../config/constants/index.js';
+import ContentSniffingService from './ContentSniffingService.js';
+import ImageIntegrityService from './ImageIntegrityService.js';
+import PdfInspectionService from './PdfInspectionService.js';
+import TextInspectionService from './TextInspectionService.js';
+import UploadProfileService from './UploadProfileService.js';
 
 export class FileValidationService {
   // Import configuration from centralized constants
   static ALLOWED_FILES = SECURITY.ALLOWED_FILE_TYPES;
   static MAX_FILE_SIZE = FILE_LIMITS.MAX_FILE_SIZE;
-  static FILE_SIGNATURES = SECURITY.FILE_SIGNATURES;
 
   /**
-   * Validate complete file including size, extension, MIME type, and signature
+   * Validate complete file including size, extension and sniffed content type.
+   * The returned extension and mimeType come from the content and are the
+   * ones to store; typeMismatch reports declared/extension/sniffed types
+   * whenever they disagree. documentInfo holds what PDF or text inspection found,
+   * dimensions the size of a decoded raster image.
    */
-  static async validateFile(file) {
-    log.info(`Starting validation for file: ${file.originalname}`);
+  static async validateFile(file, profile = UploadProfileService.getDefaultProfile()) {
+    log.info(`Starting validation for file: ${file.originalname} (profile: ${profile.name})`);
+    const allowedFiles = profile.allowedFileTypes;
 
     // 1. Size validation
-    this.validateFileSize(file);
+    this.validateFileSize(file, profile.maxFileSize);
 
     // 2. Extension validation
-    const extension = this.validateExtension(file.originalname);
+    const extension = this.validateExtension(file.originalname, allowedFiles);
 
-    // 3. MIME type validation
-    const detectedMimeType = this.validateMimeType(file);
+    // 3. Types: declared by the client, implied by the extension, sniffed from the content
+    const declaredMimeType = file.mimetype ? file.mimetype.split(';')[0].trim().toLowerCase() : null;
+    const extensionMimeType = this.lookupExtensionMimeType(file.originalname);
+    const sniffedMimeType = await this.sniffMimeType(file, allowedFiles);
 
-    // 4. Cross-validation: extension vs MIME type
-    this.crossValidateExtensionAndMime(extension, detectedMimeType);
+    // 4. Cross-validation: extension vs sniffed content
+    this.crossValidateExtensionAndMime(extension, sniffedMimeType, allowedFiles, UploadProfileService.restrictsTypes(profile));
 
-    // 5. File signature validation
-    await this.validateFileSignature(file, detectedMimeType);
+    // 5. Deep validation: the whole content, not just its first bytes
+    const { documentInfo = null, dimensions = null } = await this.validateContent(file, sniffedMimeType, profile.maxFileSize);
 
-    log.pass(`File validation successful: ${file.originalname}`);
+    log.pass(`File validation successful: ${file.originalname} (${sniffedMimeType})`);
     return {
       isValid: true,
-      extension,
-      mimeType: detectedMimeType,
-      size: file.size
+      extension: this.resolveStorageExtension(extension, sniffedMimeType, allowedFiles),
+      mimeType: sniffedMimeType,
+      size: file.size,
+      typeMismatch: this.buildTypeMismatch(declaredMimeType, extensionMimeType, sniffedMimeType),
+      documentInfo,
+      dimensions
     };
   }
 
   /**
-   * Validates file size
+   * Validates file size (works for staged and in-memory files alike)
    */
-  static validateFileSize(buffer) {
-    if (buffer.length > FILE_LIMITS.MAX_FILE_SIZE) {
-      const sizeMB = (buffer.length / FILE_LIMITS.BYTES_PER_MB).toFixed(2);
-      const maxSizeMB = (FILE_LIMITS.MAX_FILE_SIZE / FILE_LIMITS.BYTES_PER_MB).toFixed(2);
+  static validateFileSize(file, maxFileSize = this.MAX_FILE_SIZE) {
+    const size = file.size ?? file.buffer?.length ?? 0;
+
+    if (size > maxFileSize) {
+      const sizeMB = (size / FILE_LIMITS.BYTES_PER_MB).toFixed(2);
+      const maxSizeMB = (maxFileSize / FILE_LIMITS.BYTES_PER_MB).toFixed(2);
       
-      log(`File size validation failed: ${sizeMB}MB exceeds ${maxSizeMB}MB limit`, 'error');
-      return {
-        isValid: false,
-        error: `File size ${sizeMB}MB exceeds maximum allowed size of ${maxSizeMB}MB`,
-        errorCode: 'FILE_TOO_LARGE'
-      };
+      log.error(`File size validation failed: ${sizeMB}MB exceeds ${maxSizeMB}MB limit`);
+      const error = new Error(`File size ${sizeMB}MB exceeds maximum allowed size of ${maxSizeMB}MB`);
+      error.statusCode = 413;
+      error.code = 'FILE_TOO_LARGE';
+      throw error;
     }
 
     return { isValid: true };
@@ -68,14 +90,15 @@ export class FileValidationService {
   /**
    * Validate file extension
    */
-  static validateExtension(filename) {
+  static validateExtension(filename, allowedFiles = this.ALLOWED_FILES) {
     const extension = this.extractExtension(filename);
     
-    if (!this.ALLOWED_FILES[extension]) {
+    if (!allowedFiles[extension]) {
       log.warn(`Invalid extension detected: ${extension}`);
-      const allowedExtensions = Object.keys(this.ALLOWED_FILES).join(', ');
+      const allowedExtensions = Object.keys(allowedFiles).join(', ');
       const error = new Error(`File extension not allowed. Allowed extensions: ${allowedExtensions}`);
       error.statusCode = 400;
+      error.code = 'INVALID_FILE_TYPE';
       throw error;
     }
 
@@ -84,81 +107,146 @@ export class FileValidationService {
   }
 
   /**
-   * Validate MIME type using mime-types library
+   * MIME type implied by the filename (mime-types library). Informative only.
    */
-  static validateMimeType(file) {
-    const detectedMimeType = mime.lookup(file.originalname);
-    
-    if (!detectedMimeType) {
-      log.warn(`Could not determine MIME type for: ${file.originalname}`);
-      const error = new Error('Could not determine file type');
-      error.statusCode = 400;
+  static lookupExtensionMimeType(filename) {
+    return mime.lookup(filename) || null;
+  }
+
+  /**
+   * Identify the file type from its content (magic bytes and structure)
+   */
+  static async sniffMimeType(file, allowedFiles = this.ALLOWED_FILES) {
+    const buffer = await this.readLeadingBytes(file);
+    const sniffedMimeType = ContentSniffingService.sniff(buffer);
+
+    if (!sniffedMimeType || !this.isAllowedMimeType(sniffedMimeType, allowedFiles)) {
+      log.warn(`Unrecognized file content: ${file.originalname}`);
+      const error = new Error('File content does not match any allowed file type');
+      error.statusCode = HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE;
+      error.code = 'UNRECOGNIZED_CONTENT';
+      error.details = { allowedTypes: [...new Set(Object.values(allowedFiles).flat())] };
       throw error;
     }
 
-    log.info(`MIME type detected: ${detectedMimeType}`);
-    return detectedMimeType;
+    log.info(`MIME type sniffed from content: ${sniffedMimeType}`);
+    return sniffedMimeType;
   }
 
   /**
-   * Cross-validate extension and MIME type consistency
+   * Cross-validate extension and sniffed MIME type.
+   * A file whose extension names another allowed binary format is accepted
+   * as what its content really is, unless `strict` (a profile or presigned
+   * policy that restricts types): then any mismatch is rejected. Content
+   * that is only text behind a binary extension is always rejected.
    */
-  static crossValidateExtensionAndMime(extension, mimeType) {
-    const allowedMimeTypes = this.ALLOWED_FILES[extension];
+  static crossValidateExtensionAndMime(extension, mimeType, allowedFiles = this.ALLOWED_FILES, strict = false) {
+    const allowedMimeTypes = allowedFiles[extension];
     
-    if (!allowedMimeTypes.includes(mimeType)) {
+    if (allowedMimeTypes.includes(mimeType)) {
+      log.info(`Extension/MIME cross-validation passed`);
+      return;
+    }
+
+    if (mimeType === 'text/plain') {
       log.warn(`Extension/MIME mismatch: ${extension} vs ${mimeType}`);
       const error = new Error('¿Te creí hacker acaso?');
       error.statusCode = 400;
+      error.code = 'CONTENT_TYPE_MISMATCH';
+      throw error;
+    }
+
+    if (strict) {
+      log.warn(`Extension/MIME mismatch rejected by a restricted profile: ${extension} vs ${mimeType}`);
+      const error = new Error(`File content (${mimeType}) does not match its ${extension} extension`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      error.code = 'CONTENT_TYPE_MISMATCH';
+      error.details = { extension, detectedType: mimeType };
       throw error;
     }
 
-    log.info(`Extension/MIME cross-validation passed`);
+    log.warn(`Extension/MIME mismatch: ${extension} vs ${mimeType}, storing as ${mimeType}`);
   }
 
   /**
-   * Validate file signature (magic numbers)
+   * Verify the complete content: raster images are checked for truncation,
+   * trailing data and corrupt pixel data, PDFs for active content and text
+   * for binary content. Vectors are checked by the SVG sanitizer instead.
+   * Documents are read whole, never past maxFileSize.
    */
-  static async validateFileSignature(file, expectedMimeType) {
-    const signatures = this.FILE_SIGNATURES[expectedMimeType];
-    
-    // Skip signature validation for text files
-    if (!signatures || signatures.length === 0) {
-      log.info('Skipping signature validation for text file');
-      return;
+  static async validateContent(file, mimeType, maxFileSize = this.MAX_FILE_SIZE) {
+    const isPdf = mimeType === 'application/pdf';
+    const isText = mimeType === 'text/plain';
+    const isRasterImage = mimeType.startsWith('image/') && !FILE_TYPES[mimeType]?.vector;
+
+    if (!isPdf && !isText && !isRasterImage) {
+      return {};
     }
 
-    const buffer = file.buffer;
-    let signatureMatch = false;
+    let result = {};
 
-    for (const signature of signatures) {
-      if (this.bufferStartsWith(buffer, signature)) {
-        signatureMatch = true;
-        break;
+    try {
+      if (isPdf) {
+        result = { documentInfo: PdfInspectionService.inspect(await FileUtils.readFileWithLimit(file.buffer || file.path, maxFileSize)) };
+      } else if (isText) {
+        result = { documentInfo: TextInspectionService.inspect(await FileUtils.readFileWithLimit(file.buffer || file.path, maxFileSize)) };
+      } else {
+        // Staged images are walked and decoded from disk, never loaded whole
+        const { decoded, width, height } = await ImageIntegrityService.verify(file.buffer || file.path, mimeType);
+        result = decoded ? { dimensions: { width, height } } : {};
       }
+    } catch (error) {
+      log.warn(`Deep validation failed for ${file.originalname}: ${error.code || error.message}`);
+      throw error;
     }
 
-    if (!signatureMatch) {
-      log.warn(` File signature validation failed for MIME type: ${expectedMimeType}`);
-      const error = new Error('¿Te creí hacker acaso?');
-      error.statusCode = 400;
-      throw error;
+    log.info(`Deep validation passed: ${file.originalname}`);
+    return result;
+  }
+
+  /**
+   * Extension to store the file with: the client's one when it fits the
+   * sniffed type, otherwise the first extension registered for that type
+   */
+  static resolveStorageExtension(extension, mimeType, allowedFiles = this.ALLOWED_FILES) {
+    if (allowedFiles[extension]?.includes(mimeType)) {
+      return extension;
     }
 
-    log.info('File signature validation passed');
+    return Object.keys(allowedFiles).find(candidate => allowedFiles[candidate].includes(mimeType));
   }
 
   /**
-   * Check if buffer starts with specific byte sequence
+   * Declared, extension and sniffed types when they disagree, otherwise null
    */
-  static bufferStartsWith(buffer, signature) {
-    if (buffer.length < signature.length) return false;
-    
-    for (let i = 0; i < signature.length; i++) {
-      if (buffer[i] !== signature[i]) return false;
+  static buildTypeMismatch(declared, extension, sniffed) {
+    const agree = [declared, extension].every(type => type === sniffed);
+    return agree ? null : { declared, extension, sniffed };
+  }
+
+  /**
+   * Whether a MIME type belongs to any allowed file type
+   */
+  static isAllowedMimeType(mimeType, allowedFiles = this.ALLOWED_FILES) {
+    return Object.values(allowedFiles).some(mimeTypes => mimeTypes.includes(mimeType));
+  }
+
+  /**
+   * Read only the first bytes of a file, from memory or from its staging file
+   */
+  static async readLeadingBytes(file, length = SECURITY.SIGNATURE_READ_BYTES) {
+    if (file.buffer) {
+      return file.buffer.subarray(0, length);
+    }
+
+    const handle = await fs.open(file.path, 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
     }
-    
-    return true;
   }
 
   /**
@@ -0,0 +1,402 @@
+/**
+ * Image Integrity Service
+ *
+ * Deep validation of image content, after the type has been sniffed.
+ * A matching signature only proves the first bytes; this stage walks the
+ * structure of the format to its end marker and fully decodes the image:
+ *
+ * - TRUNCATED_IMAGE: the file ends before the image does
+ * - TRAILING_DATA: bytes after the end of the image (polyglots: a script or
+ *   archive appended to a valid image)
+ * - MALFORMED_IMAGE: the structure (segments, chunks, blocks, boxes) is broken
+ * - INVALID_DIMENSIONS: the header declares no usable width/height
+ * - UNDECODABLE_IMAGE: sharp cannot decode the pixel data
+ *
+ * Failures are 422 with the reason as error code and specifics in details.
+ * Header dimensions go through DecodeLimitsService before the decode, which
+ * itself runs under the pixel and time limits.
+ *
+ * Staged files are never loaded whole: the structure is walked through a
+ * window of WINDOW_BYTES and sharp decodes straight from the file.
+ */
+
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import { log } from '../utils/logger.js';
+import { FILE_TYPES, HTTP_STATUS } from '../config/constants/index.js';
+import DecodeLimitsService from './DecodeLimitsService.js';
+
+// Bytes of a staged file held in memory while its structure is walked
+const WINDOW_BYTES = 64 * 1024;
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+/**
+ * Random access to the bytes of a Buffer or of a file read one window at a time
+ */
+class ByteReader {
+  static async open(source) {
+    if (Buffer.isBuffer(source)) {
+      return new ByteReader({ buffer: source, length: source.length });
+    }
+
+    const handle = await fs.open(source, 'r');
+    try {
+      const { size } = await handle.stat();
+      return new ByteReader({ handle, length: size });
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  constructor({ buffer = null, handle = null, length }) {
+    this.handle = handle;
+    this.length = length;
+    this.window = buffer || Buffer.alloc(0);
+    this.windowStart = 0;
+  }
+
+  /**
+   * `length` bytes from `offset` (fewer at the end of the content)
+   */
+  async read(offset, length) {
+    const end = Math.min(offset + length, this.length);
+    if (offset >= end) return Buffer.alloc(0);
+
+    if (offset < this.windowStart || end > this.windowStart + this.window.length) {
+      await this.load(offset, Math.max(end - offset, WINDOW_BYTES));
+    }
+
+    return this.window.subarray(offset - this.windowStart, end - this.windowStart);
+  }
+
+  async byte(offset) {
+    return (await this.read(offset, 1))[0];
+  }
+
+  /**
+   * Offset of the next `value` byte from `from`, or -1
+   */
+  async indexOf(value, from) {
+    let offset = from;
+
+    while (offset < this.length) {
+      // Rest of the loaded window, or a new window starting at offset
+      const windowEnd = this.windowStart + this.window.length;
+      const length = offset >= this.windowStart && offset < windowEnd ? windowEnd - offset : WINDOW_BYTES;
+      const chunk = await this.read(offset, length);
+
+      const index = chunk.indexOf(value);
+      if (index !== -1) return offset + index;
+      offset += chunk.length;
+    }
+
+    return -1;
+  }
+
+  async load(offset, length) {
+    const buffer = Buffer.alloc(Math.min(length, this.length - offset));
+    const { bytesRead } = await this.handle.read(buffer, 0, buffer.length, offset);
+    this.window = buffer.subarray(0, bytesRead);
+    this.windowStart = offset;
+  }
+
+  async close() {
+    await this.handle?.close();
+  }
+}
+
+export class ImageIntegrityService {
+  // Offset right after the end of the image for each format with an end marker.
+  // A finder returns null when the file ends first. TIFF has no end marker.
+  static END_FINDERS = {
+    'image/jpeg': (reader) => this.findJpegEnd(reader),
+    'image/png': (reader) => this.findPngEnd(reader),
+    'image/gif': (reader) => this.findGifEnd(reader),
+    'image/webp': (reader) => this.findRiffEnd(reader),
+    'image/avif': (reader) => this.findIsoBmffEnd(reader),
+    'image/heic': (reader) => this.findIsoBmffEnd(reader),
+    'image/heif': (reader) => this.findIsoBmffEnd(reader),
+    'image/bmp': (reader) => this.findBmpEnd(reader)
+  };
+
+  /**
+   * Verify the complete content of an image (a Buffer or a staged file path).
+   * Returns its dimensions when sharp can decode the type, otherwise only
+   * the structure is checked.
+   */
+  static async verify(source, mimeType) {
+    await this.verifyStructure(source, mimeType);
+
+    if (!FILE_TYPES[mimeType]?.decodable) {
+      log.info(`Image structure verified (${mimeType}, not decodable)`);
+      return { decoded: false };
+    }
+
+    const metadata = await this.readMetadata(source, mimeType);
+    DecodeLimitsService.assertWithinLimits(metadata);
+
+    try {
+      // stats() makes libvips decode every pixel of every frame; decoder
+      // warnings (corrupt entropy data, bad CRCs...) count as failures
+      const options = { ...DecodeLimitsService.sharpOptions({ frames: metadata.pages }), failOn: 'warning', animated: true };
+      await DecodeLimitsService.withTimeout(sharp(source, options).stats());
+    } catch (error) {
+      const limitError = DecodeLimitsService.translateError(error);
+      if (limitError) throw limitError;
+
+      throw this.createError('UNDECODABLE_IMAGE', `Image data could not be decoded: ${error.message}`, {
+        mimeType
+      });
+    }
+
+    log.info(`Image decoded: ${mimeType} ${metadata.width}x${metadata.height}`);
+    return { decoded: true, width: metadata.width, height: metadata.height };
+  }
+
+  /**
+   * Check that the image ends where its structure says it does
+   */
+  static async verifyStructure(source, mimeType) {
+    const findEnd = this.END_FINDERS[mimeType];
+    if (!findEnd) return;
+
+    const reader = await ByteReader.open(source);
+    let end;
+    try {
+      end = await findEnd(reader);
+    } catch (error) {
+      if (error.details) error.details.mimeType = mimeType;
+      throw error;
+    } finally {
+      await reader.close();
+    }
+
+    if (end === null) {
+      throw this.createError('TRUNCATED_IMAGE', 'Image file is truncated', { mimeType, size: reader.length });
+    }
+
+    if (end < reader.length) {
+      throw this.createError('TRAILING_DATA', 'Unexpected data after the end of the image', {
+        mimeType,
+        imageEnd: end,
+        trailingBytes: reader.length - end
+      });
+    }
+  }
+
+  /**
+   * Helper: Header metadata with usable dimensions
+   */
+  static async readMetadata(source, mimeType) {
+    let metadata;
+    try {
+      // Header only: limits are checked by the caller with the real dimensions
+      metadata = await sharp(source, { limitInputPixels: false }).metadata();
+    } catch (error) {
+      throw this.createError('UNDECODABLE_IMAGE', `Image header could not be read: ${error.message}`, { mimeType });
+    }
+
+    if (!(metadata.width > 0) || !(metadata.height > 0)) {
+      throw this.createError('INVALID_DIMENSIONS', 'Image has no valid dimensions', {
+        mimeType,
+        width: metadata.width ?? null,
+        height: metadata.height ?? null
+      });
+    }
+
+    return metadata;
+  }
+
+  /**
+   * JPEG: marker segments up to each SOS, entropy-coded data, then EOI (FFD9)
+   */
+  static async findJpegEnd(reader) {
+    let offset = 2; // After SOI
+
+    while (true) {
+      if (offset + 2 > reader.length) return null;
+
+      const [prefix, marker] = await reader.read(offset, 2);
+      if (prefix !== 0xFF) {
+        throw this.createError('MALFORMED_IMAGE', `Expected a JPEG marker at byte ${offset}`, { offset });
+      }
+
+      if (marker === 0xFF) { // Fill byte
+        offset++;
+        continue;
+      }
+
+      offset += 2;
+      if (marker === 0xD9) return offset; // EOI
+      if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) continue; // Markers without length
+
+      if (offset + 2 > reader.length) return null;
+      const length = (await reader.read(offset, 2)).readUInt16BE(0);
+      if (length < 2) {
+        throw this.createError('MALFORMED_IMAGE', `Invalid JPEG segment length at byte ${offset}`, { offset });
+      }
+
+      offset += length;
+      if (offset > reader.length) return null;
+
+      if (marker === 0xDA) {
+        // Entropy-coded data: FF00 is a stuffed byte and FFD0-FFD7 are restart markers
+        while (true) {
+          offset = await reader.indexOf(0xFF, offset);
+          if (offset === -1 || offset + 1 >= reader.length) return null;
+
+          const next = await reader.byte(offset + 1);
+          if (next !== 0x00 && !(next >= 0xD0 && next <= 0xD7)) break;
+          offset += 2;
+        }
+      }
+    }
+  }
+
+  /**
+   * PNG: length-type-data-CRC chunks up to IEND
+   */
+  static async findPngEnd(reader) {
+    let offset = 8; // After the signature
+
+    while (true) {
+      if (offset + 12 > reader.length) return null;
+
+      const header = await reader.read(offset, 8);
+      const type = ascii(header, 4, 8);
+      if (!/^[A-Za-z]{4}$/.test(type)) {
+        throw this.createError('MALFORMED_IMAGE', `Invalid PNG chunk at byte ${offset}`, { offset });
+      }
+
+      const end = offset + 12 + header.readUInt32BE(0);
+      if (end > reader.length) return null;
+      if (type === 'IEND') return end;
+
+      offset = end;
+    }
+  }
+
+  /**
+   * GIF: color tables, extension and image blocks up to the trailer (0x3B)
+   */
+  static async findGifEnd(reader) {
+    if (reader.length < 13) return null;
+
+    const colorTableSize = (flags) => (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+    let offset = 13 + colorTableSize(await reader.byte(10)); // Header, logical screen descriptor, global color table
+
+    while (true) {
+      if (offset >= reader.length) return null;
+
+      const block = await reader.byte(offset);
+      if (block === 0x3B) return offset + 1; // Trailer
+
+      if (block === 0x21) { // Extension: label, then sub-blocks
+        offset = await this.skipGifSubBlocks(reader, offset + 2);
+      } else if (block === 0x2C) { // Image descriptor, local color table, LZW code size, then sub-blocks
+        if (offset + 10 > reader.length) return null;
+        offset = await this.skipGifSubBlocks(reader, offset + 10 + colorTableSize(await reader.byte(offset + 9)) + 1);
+      } else {
+        throw this.createError('MALFORMED_IMAGE', `Invalid GIF block at byte ${offset}`, { offset });
+      }
+
+      if (offset === null) return null;
+    }
+  }
+
+  /**
+   * Helper: Offset after a GIF sub-block chain (terminated by a zero-size block)
+   */
+  static async skipGifSubBlocks(reader, offset) {
+    while (offset < reader.length) {
+      const size = await reader.byte(offset);
+      offset += 1 + size;
+      if (size === 0) return offset;
+    }
+
+    return null;
+  }
+
+  /**
+   * RIFF (WebP): the header declares the size of everything after it
+   */
+  static async findRiffEnd(reader) {
+    if (reader.length < 12) return null;
+
+    const riffSize = (await reader.read(4, 4)).readUInt32LE(0);
+    if (riffSize < 4) {
+      throw this.createError('MALFORMED_IMAGE', 'Invalid RIFF size', { offset: 4 });
+    }
+
+    const end = 8 + riffSize;
+    return end > reader.length ? null : end;
+  }
+
+  /**
+   * ISO-BMFF (AVIF/HEIC/HEIF): top-level boxes. Once the metadata and the
+   * media data have been seen, whatever is not a complete box is past the end.
+   */
+  static async findIsoBmffEnd(reader) {
+    const seen = new Set();
+    let offset = 0;
+
+    while (offset < reader.length) {
+      const header = await reader.read(offset, 16);
+      const type = ascii(header, 4, 8);
+      if (reader.length - offset < 8 || !/^[\x20-\x7E]{4}$/.test(type)) {
+        return offset;
+      }
+
+      let size = header.readUInt32BE(0);
+      if (size === 0) return reader.length; // Box extends to the end of the file
+      if (size === 1) { // 64-bit size
+        if (offset + 16 > reader.length) return null;
+        size = Number(header.readBigUInt64BE(8));
+      }
+
+      if (size < 8) {
+        throw this.createError('MALFORMED_IMAGE', `Invalid box size at byte ${offset}`, { offset });
+      }
+
+      if (offset + size > reader.length) {
+        return seen.has('meta') && seen.has('mdat') ? offset : null;
+      }
+
+      seen.add(type);
+      offset += size;
+    }
+
+    return offset;
+  }
+
+  /**
+   * BMP: the file header declares the file size
+   */
+  static async findBmpEnd(reader) {
+    if (reader.length < 14) return null;
+
+    const header = await reader.read(0, 14);
+    const fileSize = header.readUInt32LE(2);
+    const pixelDataOffset = header.readUInt32LE(10);
+    if (fileSize < 26 || pixelDataOffset >= fileSize) {
+      throw this.createError('MALFORMED_IMAGE', 'Invalid BMP file header', { offset: 2 });
+    }
+
+    return fileSize > reader.length ? null : fileSize;
+  }
+
+  /**
+   * Helper: Build a 422 error with a machine-readable reason as code
+   */
+  static createError(code, message, details = {}) {
+    const error = new Error(message);
+    error.statusCode = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+    error.code = code;
+    error.details = { reason: code, ...details };
+    return error;
+  }
+}
+
+export default ImageIntegrityService;
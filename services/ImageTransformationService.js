@@ -2,14 +2,31 @@
  * Image Transformation Service
  * 
  * Handles image transformations using Sharp library based on query parameters.
- * Supports format conversion, resizing, and quality adjustments.
+ * Supports format conversion, rotation and mirroring, cropping, resizing (fit
+ * mode, position/smart crop and letterbox background), and quality adjustments.
+ * Re-encoded images are auto-oriented from their EXIF orientation first,
+ * since the tag is not kept in the output.
+ * Input and output formats come from the FILE_TYPES registry.
+ * Vector input (sanitized SVG) is rasterized to PNG/WebP with ?rasterize=.
+ * Every source is checked against the decode limits before sharp decodes it.
+ * Limits and output formats come from IMAGE_PROCESSING or from the rules of
+ * the active upload profile (passed as `rules`, same shape).
  * Follows SRP by focusing solely on image manipulation logic.
  */
 
+import fs from 'fs';
 import sharp from 'sharp';
 import Sharp from 'sharp';
 import { log } from '../utils/logger.js';
-import { IMAGE_PROCESSING } from '../config/constants/index.js';
+import { FILE_TYPES, IMAGE_PROCESSING } from '../config/constants/index.js';
+import DecodeLimitsService from './DecodeLimitsService.js';
+
+// Fit modes that produce exactly the requested box (the others are bounds)
+const EXACT_FITS = ['cover', 'contain', 'fill'];
+const COLOR_PATTERN = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const CROP_PATTERN = /^(\d+),(\d+),(\d+),(\d+)$/;
+const ROTATE_PATTERN = /^-?\d+$/;
+const FLAG_VALUES = { true: true, 1: true, false: false, 0: false };
 
 export class ImageTransformationService {
   // Import configuration from centralized constants
@@ -18,17 +35,22 @@ export class ImageTransformationService {
   static MIN_DIMENSION = IMAGE_PROCESSING.MIN_DIMENSION;
   static MIN_QUALITY = IMAGE_PROCESSING.MIN_QUALITY;
   static MAX_QUALITY = IMAGE_PROCESSING.MAX_QUALITY;
+  static RASTERIZE_FORMATS = IMAGE_PROCESSING.RASTERIZE_FORMATS;
 
   /**
-   * Apply transformations based on query parameters
+   * Apply transformations based on query parameters.
+   * The source is either a Buffer or the path of a staged file, which is
+   * streamed into sharp. With an outputPath the result is written to disk
+   * instead of being returned as a buffer. Vector sources are rendered at the
+   * requested size, so resizing may enlarge them.
    */
-  static async transformImage(fileBuffer, originalExtension, queryParams) {
+  static async transformImage(source, originalExtension, queryParams, { outputPath = null, vector = false, rules = IMAGE_PROCESSING } = {}) {
     const hasTransformations = this.hasAnyTransformation(queryParams);
     
     if (!hasTransformations) {
-      log.info('No transformations requested, returning original buffer');
+      log.info('No transformations requested, returning original source');
       return {
-        buffer: fileBuffer,
+        ...(Buffer.isBuffer(source) ? { buffer: source } : { path: source }),
         extension: originalExtension,
         wasTransformed: false
       };
@@ -37,41 +59,102 @@ export class ImageTransformationService {
     log.info(`Applying transformations: ${JSON.stringify(queryParams)}`);
 
     try {
-      let sharpInstance = sharp(fileBuffer);
+      // Reject decompression bombs from their header, before decoding anything
+      const metadata = await DecodeLimitsService.assertSourceWithinLimits(source);
+
+      // Staged files are streamed in once every operation has been validated
+      const options = DecodeLimitsService.sharpOptions();
+      let sharpInstance = Buffer.isBuffer(source) ? sharp(source, options) : sharp(options);
+      sharpInstance = DecodeLimitsService.applyTimeout(sharpInstance);
       let newExtension = originalExtension;
+      let newMimeType = null; // Unchanged unless converted
+      let outputFormat = this.getOutputFormatForExtension(originalExtension);
       let wasTransformed = false;
 
-      // Apply format conversion (support both 'convert' and legacy 'type')
-      const formatParam = queryParams.convert || queryParams.type;
+      // Apply format conversion (support 'rasterize' for vectors, 'convert' and legacy 'type')
+      const formatParam = queryParams.rasterize || queryParams.convert || queryParams.type;
       if (formatParam) {
-        const result = this.applyFormatConversion(sharpInstance, formatParam);
+        const result = this.applyFormatConversion(sharpInstance, formatParam, rules);
         sharpInstance = result.sharpInstance;
         newExtension = result.extension;
+        newMimeType = result.mimeType;
+        outputFormat = result.format;
+        wasTransformed = true;
+      }
+
+      const orientation = this.parseOrientationOptions(queryParams, rules);
+      const background = this.parseFillBackground(queryParams, orientation.rotate, rules);
+
+      // Upright pixels first: the EXIF orientation tag is dropped on output
+      if (orientation.autoOrient) {
+        sharpInstance = sharpInstance.autoOrient();
+      }
+
+      // Apply rotation and mirroring (mirroring applies to the final image)
+      if (orientation.rotate || orientation.flip || orientation.flop) {
+        sharpInstance = this.applyOrientation(sharpInstance, orientation, background);
+        wasTransformed = true;
+      }
+
+      // Apply explicit crop (in pixels of the rotated image, before resizing)
+      if (queryParams.crop) {
+        sharpInstance = this.applyCrop(sharpInstance, queryParams.crop, this.getCropBounds(metadata, orientation));
         wasTransformed = true;
       }
 
       // Apply resizing
       if (queryParams.resize) {
-        sharpInstance = this.applyResize(sharpInstance, queryParams.resize);
+        sharpInstance = this.applyResize(sharpInstance, queryParams.resize, {
+          allowEnlargement: vector,
+          fit: queryParams.fit,
+          position: queryParams.position,
+          background,
+          rules
+        });
         wasTransformed = true;
       }
 
-      // Apply quality adjustment
+      // Apply quality adjustment (to the format being written)
       if (queryParams.quality) {
-        sharpInstance = this.applyQuality(sharpInstance, queryParams.quality);
+        sharpInstance = this.applyQuality(sharpInstance, queryParams.quality, outputFormat, rules);
         wasTransformed = true;
       }
 
-      const transformedBuffer = await sharpInstance.toBuffer();
+      if (!Buffer.isBuffer(source)) {
+        this.streamFromFile(sharpInstance, source);
+      }
+
+      if (outputPath) {
+        const info = await DecodeLimitsService.withTimeout(sharpInstance.toFile(outputPath));
+        
+        log.pass(`Image transformation completed successfully`);
+        return {
+          path: outputPath,
+          size: info.size,
+          extension: newExtension,
+          mimeType: newMimeType,
+          wasTransformed
+        };
+      }
+
+      const transformedBuffer = await DecodeLimitsService.withTimeout(sharpInstance.toBuffer());
       
       log.pass(`Image transformation completed successfully`);
       return {
         buffer: transformedBuffer,
+        size: transformedBuffer.length,
         extension: newExtension,
+        mimeType: newMimeType,
         wasTransformed
       };
 
     } catch (error) {
+      const limitError = DecodeLimitsService.translateError(error);
+      if (limitError) throw limitError;
+
+      // Parameters that only fail against the image itself (crop bounds) stay 400
+      if (error.statusCode === 400) throw error;
+
       log.error(`Image transformation failed: ${error.message}`);
       const transformError = new Error(`Image transformation failed: ${error.message}`);
       transformError.statusCode = 422;
@@ -79,55 +162,399 @@ export class ImageTransformationService {
     }
   }
 
+  /**
+   * Feed a sharp pipeline by streaming a file from disk
+   */
+  static streamFromFile(sharpInstance, filePath) {
+    const readStream = fs.createReadStream(filePath);
+    readStream.on('error', (error) => sharpInstance.destroy(error));
+    readStream.pipe(sharpInstance);
+    return sharpInstance;
+  }
+
   /**
    * Check if any transformations are requested
    */
   static hasAnyTransformation(queryParams) {
-    return !!(queryParams.convert || queryParams.type || queryParams.resize || queryParams.quality);
+    return !!(queryParams.convert || queryParams.type || queryParams.rasterize || queryParams.rotate ||
+      queryParams.flip || queryParams.flop || queryParams.crop || queryParams.resize || queryParams.quality);
   }
 
   /**
-   * Apply format conversion
+   * Check that the requested transformations fit the source type.
+   * Vectors must be rasterized (to a format of RASTERIZE_FORMATS) before any
+   * other transformation; ?rasterize= only applies to vectors.
    */
-  static applyFormatConversion(sharpInstance, targetFormat) {
-    const format = targetFormat.toLowerCase();
-    
-    if (!this.SUPPORTED_FORMATS.includes(format)) {
-      const error = new Error(`Unsupported format: ${format}. Supported: ${this.SUPPORTED_FORMATS.join(', ')}`);
-      error.statusCode = 400;
+  static validateTransformationsForType(mimeType, queryParams, rules = IMAGE_PROCESSING) {
+    const vector = Boolean(FILE_TYPES[mimeType]?.vector);
+    const formatParam = queryParams.rasterize || queryParams.convert || queryParams.type;
+
+    if (queryParams.rasterize && (queryParams.convert || queryParams.type)) {
+      throw this.createError('Use either rasterize or convert, not both', 'CONFLICTING_TRANSFORMATIONS');
+    }
+
+    if (!vector) {
+      if (queryParams.rasterize) {
+        throw this.createError(`Rasterize only applies to vector images, not ${mimeType}`, 'RASTERIZE_NOT_SUPPORTED');
+      }
+      return;
+    }
+
+    if (!formatParam || !rules.RASTERIZE_FORMATS.includes(formatParam.toLowerCase())) {
+      const error = this.createError(
+        `Vector images must be rasterized to transform them: rasterize=${rules.RASTERIZE_FORMATS.join('|')}`,
+        'RASTERIZE_REQUIRED'
+      );
+      error.details = { rasterizeFormats: rules.RASTERIZE_FORMATS };
       throw error;
     }
+  }
+
+  /**
+   * Keep only transformation parameters (for sessions and signed policies)
+   */
+  static pickTransformations(params = {}) {
+    const transformations = {};
+
+    for (const key of ['convert', 'type', 'rasterize', 'autoOrient', 'rotate', 'flip', 'flop', 'crop', 'resize', 'fit', 'position', 'background', 'quality']) {
+      if (typeof params[key] === 'string') {
+        transformations[key] = params[key];
+      }
+    }
+
+    return transformations;
+  }
+
+  /**
+   * Apply format conversion
+   */
+  static applyFormatConversion(sharpInstance, targetFormat, rules = IMAGE_PROCESSING) {
+    const format = this.parseFormatParameter(targetFormat, rules);
 
     log.info(`Converting image to format: ${format}`);
 
-    // Normalize format names for Sharp
-    const sharpFormat = format === 'jpg' ? 'jpeg' : format;
-    const extension = format === 'jpeg' ? '.jpg' : `.${format}`;
+    const [mimeType, type] = this.getFileTypeForFormat(format);
 
     return {
-      sharpInstance: sharpInstance.toFormat(sharpFormat),
-      extension
+      sharpInstance: sharpInstance.toFormat(this.toSharpFormat(format)),
+      extension: type.extensions[0],
+      mimeType,
+      format
     };
   }
 
   /**
-   * Apply image resizing
+   * Helper: [mimeType, registry entry] written by an output format ('jpg', 'webp'...)
    */
-  static applyResize(sharpInstance, resizeParam) {
-    const dimensions = this.parseResizeParameter(resizeParam);
+  static getFileTypeForFormat(format) {
+    return Object.entries(FILE_TYPES).find(([, type]) => type.outputFormat === format);
+  }
+
+  /**
+   * Helper: Output format that keeps the type of a file extension, or null
+   */
+  static getOutputFormatForExtension(extension) {
+    const type = Object.values(FILE_TYPES).find(candidate => candidate.extensions.includes(extension));
+    return type?.outputFormat || null;
+  }
+
+  /**
+   * Helper: Sharp's name for an output format
+   */
+  static toSharpFormat(format) {
+    return format === 'jpg' ? 'jpeg' : format;
+  }
+
+  /**
+   * Apply an explicit rotation (filled with the background when it is not a
+   * multiple of 90) and vertical/horizontal mirroring
+   */
+  static applyOrientation(sharpInstance, { rotate, flip, flop }, background) {
+    log.info(`Orienting image: rotate ${rotate}${flip ? ', flip' : ''}${flop ? ', flop' : ''}`);
+
+    if (rotate) {
+      sharpInstance = sharpInstance.rotate(rotate, background ? { background: this.toSharpColor(background) } : undefined);
+    }
+
+    if (flip) {
+      sharpInstance = sharpInstance.flip();
+    }
+
+    if (flop) {
+      sharpInstance = sharpInstance.flop();
+    }
+
+    return sharpInstance;
+  }
+
+  /**
+   * Apply an explicit crop, checked against the dimensions of the image it applies to
+   */
+  static applyCrop(sharpInstance, cropParam, { width, height } = {}) {
+    const crop = this.parseCropParameter(cropParam);
+
+    if (width && height && (crop.left + crop.width > width || crop.top + crop.height > height)) {
+      const error = this.createError(`Crop area ${cropParam} is outside the ${width}x${height} image`, 'CROP_OUT_OF_BOUNDS');
+      error.details = { width, height };
+      throw error;
+    }
+
+    log.info(`Cropping image to: ${crop.width}x${crop.height} at ${crop.left},${crop.top}`);
+
+    return sharpInstance.extract(crop);
+  }
+
+  /**
+   * Apply image resizing. background is a normalized hex (parseFillBackground),
+   * used as the letterbox of fit=contain.
+   */
+  static applyResize(sharpInstance, resizeParam, { allowEnlargement = false, fit, position, background = null, rules = IMAGE_PROCESSING } = {}) {
+    const dimensions = this.parseResizeParameter(resizeParam, rules);
+    const options = this.parseResizeOptions({ fit, position }, rules);
     
-    log.info(`Resizing image to: ${dimensions.width}x${dimensions.height}`);
+    log.info(`Resizing image to: ${dimensions.width}x${dimensions.height} (fit: ${options.fit}${options.position ? `, position: ${options.position}` : ''})`);
     
     return sharpInstance.resize(dimensions.width, dimensions.height, {
-      fit: 'inside', // Maintain aspect ratio
-      withoutEnlargement: true // Don't enlarge smaller images
+      fit: options.fit, // 'inside' (default) maintains aspect ratio
+      ...(options.position && { position: options.position }),
+      ...(options.fit === 'contain' && background && { background: this.toSharpColor(background) }),
+      // Bounds don't enlarge smaller raster images; exact fits always fill the box
+      withoutEnlargement: !allowEnlargement && !EXACT_FITS.includes(options.fit)
     });
   }
 
   /**
-   * Apply quality adjustment
+   * Apply quality adjustment to the output format
+   */
+  static applyQuality(sharpInstance, qualityParam, format, rules = IMAGE_PROCESSING) {
+    const quality = this.parseQualityParameter(qualityParam, format, rules);
+
+    log.info(`Setting image quality to: ${quality}%`);
+    
+    // PNG is lossless: quality only applies to its palette mode (0-10 scale kept for compatibility)
+    const options = format === 'png'
+      ? { quality: Math.round(quality / IMAGE_PROCESSING.PNG_QUALITY_DIVISOR) }
+      : { quality };
+
+    return sharpInstance.toFormat(this.toSharpFormat(format), options);
+  }
+
+  /**
+   * Check every transformation parameter without touching the image.
+   * Returns what would be applied: output format (null when the source
+   * type cannot be written), orientation, crop area, resize box with its
+   * fit and position, fill background and quality.
+   */
+  static validateParameters(extension, queryParams, rules = IMAGE_PROCESSING) {
+    const formatParam = queryParams.rasterize || queryParams.convert || queryParams.type;
+    const format = formatParam
+      ? this.parseFormatParameter(formatParam, rules)
+      : this.getOutputFormatForExtension(extension);
+
+    const orientation = this.parseOrientationOptions(queryParams, rules);
+    const resizeOptions = queryParams.resize
+      ? this.parseResizeOptions(queryParams, rules)
+      : { fit: null, position: null };
+
+    return {
+      format,
+      ...orientation,
+      crop: queryParams.crop ? this.parseCropParameter(queryParams.crop) : null,
+      resize: queryParams.resize ? this.parseResizeParameter(queryParams.resize, rules) : null,
+      ...resizeOptions,
+      background: this.parseFillBackground(queryParams, orientation.rotate, rules),
+      quality: queryParams.quality ? this.parseQualityParameter(queryParams.quality, format, rules) : null
+    };
+  }
+
+  /**
+   * Parse format parameter (e.g., "webp", "PNG")
    */
-  static applyQuality(sharpInstance, qualityParam) {
+  static parseFormatParameter(targetFormat, rules = IMAGE_PROCESSING) {
+    const format = targetFormat.toLowerCase();
+
+    if (!rules.SUPPORTED_FORMATS.includes(format)) {
+      const error = new Error(`Unsupported format: ${format}. Supported: ${rules.SUPPORTED_FORMATS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return format;
+  }
+
+  /**
+   * Parse fit parameter (e.g., "cover"); no value means the default fit
+   */
+  static parseFitParameter(fitParam, rules = IMAGE_PROCESSING) {
+    if (fitParam === undefined || fitParam === null || fitParam === '') {
+      return rules.DEFAULT_FIT;
+    }
+
+    const fit = String(fitParam).toLowerCase();
+
+    if (!rules.FIT_MODES.includes(fit)) {
+      const error = new Error(`Unsupported fit: ${fit}. Supported: ${rules.FIT_MODES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return fit;
+  }
+
+  /**
+   * Parse the fit and position of a resize. Position applies to cover and
+   * contain (smart crop strategies to cover only), defaulting to DEFAULT_POSITION.
+   */
+  static parseResizeOptions({ fit, position } = {}, rules = IMAGE_PROCESSING) {
+    const fitMode = this.parseFitParameter(fit, rules);
+    const anchored = fitMode === 'cover' || fitMode === 'contain';
+
+    if (!this.isEmptyParameter(position) && !anchored) {
+      throw this.createError('Position only applies to fit=cover or fit=contain', 'INVALID_POSITION');
+    }
+
+    return {
+      fit: fitMode,
+      position: anchored ? this.parsePositionParameter(position, fitMode, rules) : null
+    };
+  }
+
+  /**
+   * Parse the orientation parameters: EXIF auto-orientation (rules.AUTO_ORIENT
+   * unless autoOrient= says otherwise), rotate (normalized to 0-359) and flip/flop
+   */
+  static parseOrientationOptions({ autoOrient, rotate, flip, flop } = {}, rules = IMAGE_PROCESSING) {
+    return {
+      autoOrient: this.parseFlagParameter(autoOrient, 'autoOrient', rules.AUTO_ORIENT),
+      rotate: this.parseRotateParameter(rotate),
+      flip: this.parseFlagParameter(flip, 'flip', false),
+      flop: this.parseFlagParameter(flop, 'flop', false)
+    };
+  }
+
+  /**
+   * Parse rotate parameter: whole degrees between -360 and 360, clockwise
+   */
+  static parseRotateParameter(rotateParam) {
+    if (this.isEmptyParameter(rotateParam)) {
+      return 0;
+    }
+
+    const angle = ROTATE_PATTERN.test(String(rotateParam)) ? parseInt(rotateParam, 10) : NaN;
+
+    if (isNaN(angle) || angle < -360 || angle > 360) {
+      throw this.createError('Rotate must be a whole number of degrees between -360 and 360', 'INVALID_ROTATION');
+    }
+
+    return ((angle % 360) + 360) % 360;
+  }
+
+  /**
+   * Parse an on/off parameter (true/false or 1/0)
+   */
+  static parseFlagParameter(flagParam, name, defaultValue) {
+    if (this.isEmptyParameter(flagParam)) {
+      return defaultValue;
+    }
+
+    const value = FLAG_VALUES[String(flagParam).toLowerCase()];
+
+    if (value === undefined) {
+      throw this.createError(`${name} must be true or false`, 'INVALID_FLAG');
+    }
+
+    return value;
+  }
+
+  /**
+   * Parse the fill color: the letterbox of fit=contain and the corners of
+   * rotations that are not multiples of 90. Null when nothing is filled.
+   */
+  static parseFillBackground({ resize, fit, background } = {}, rotate = 0, rules = IMAGE_PROCESSING) {
+    const filled = (resize && this.parseFitParameter(fit, rules) === 'contain') || rotate % 90 !== 0;
+
+    if (!this.isEmptyParameter(background) && !filled) {
+      throw this.createError('Background only applies to fit=contain or rotations that are not multiples of 90', 'INVALID_BACKGROUND');
+    }
+
+    return filled ? this.parseBackgroundParameter(background, rules) : null;
+  }
+
+  /**
+   * Parse position parameter: a gravity ("north", "southeast"...) or a
+   * smart crop strategy ("entropy", "attention") for fit=cover
+   */
+  static parsePositionParameter(positionParam, fit, rules = IMAGE_PROCESSING) {
+    if (this.isEmptyParameter(positionParam)) {
+      return rules.DEFAULT_POSITION;
+    }
+
+    const position = String(positionParam).toLowerCase();
+
+    if (rules.SMART_CROP_STRATEGIES.includes(position)) {
+      if (fit !== 'cover') {
+        throw this.createError(`Smart crop (${position}) only applies to fit=cover`, 'INVALID_POSITION');
+      }
+      return position;
+    }
+
+    if (!rules.POSITIONS.includes(position)) {
+      throw this.createError(
+        `Unsupported position: ${position}. Supported: ${[...rules.POSITIONS, ...rules.SMART_CROP_STRATEGIES].join(', ')}`,
+        'INVALID_POSITION'
+      );
+    }
+
+    return position;
+  }
+
+  /**
+   * Parse background parameter: hex color with or without "#" (fff,
+   * ffffff, ffffff80) or "transparent". Normalized to lowercase rrggbb
+   * (rrggbbaa when not opaque).
+   */
+  static parseBackgroundParameter(backgroundParam, rules = IMAGE_PROCESSING) {
+    if (this.isEmptyParameter(backgroundParam)) {
+      return rules.DEFAULT_BACKGROUND;
+    }
+
+    const value = String(backgroundParam).toLowerCase();
+    if (value === 'transparent') {
+      return '00000000';
+    }
+
+    const match = value.match(COLOR_PATTERN);
+    if (!match) {
+      throw this.createError('Background must be a hex color (fff, ffffff, ffffff80) or transparent', 'INVALID_BACKGROUND');
+    }
+
+    const hex = match[1].length <= 4 ? [...match[1]].map(digit => digit + digit).join('') : match[1];
+    return hex.length === 8 && hex.endsWith('ff') ? hex.slice(0, 6) : hex;
+  }
+
+  /**
+   * Parse crop parameter ("x,y,width,height" in source pixels)
+   */
+  static parseCropParameter(cropParam) {
+    const match = String(cropParam).match(CROP_PATTERN);
+
+    if (!match) {
+      throw this.createError('Invalid crop format. Use: x,y,width,height (e.g. 100,50,800,600)', 'INVALID_CROP');
+    }
+
+    const [left, top, width, height] = match.slice(1).map(value => parseInt(value, 10));
+
+    if (width === 0 || height === 0) {
+      throw this.createError('Crop width and height must be positive', 'INVALID_CROP');
+    }
+
+    return { left, top, width, height };
+  }
+
+  /**
+   * Parse quality parameter for the format being written
+   */
+  static parseQualityParameter(qualityParam, format, rules = IMAGE_PROCESSING) {
     const quality = parseInt(qualityParam, 10);
     
     if (isNaN(quality) || quality < 1 || quality > 100) {
@@ -137,22 +564,25 @@ export class ImageTransformationService {
     }
 
     // Real-world validation: minimum quality check
-    if (quality < this.MIN_QUALITY) {
-      const error = new Error(`Quality too low for real-world usage. Minimum quality: ${this.MIN_QUALITY}%`);
+    if (quality < rules.MIN_QUALITY) {
+      const error = new Error(`Quality too low for real-world usage. Minimum quality: ${rules.MIN_QUALITY}%`);
       error.statusCode = 400;
       throw error;
     }
 
-    log.info(`Setting image quality to: ${quality}%`);
-    
-    // Apply quality based on current format
-    return sharpInstance.jpeg({ quality }).png({ quality: Math.round(quality / 10) });
+    if (!format) {
+      const error = new Error('Quality is not supported for this image format');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return quality;
   }
 
   /**
    * Parse resize parameter (e.g., "800x600", "800", "x600")
    */
-  static parseResizeParameter(resizeParam) {
+  static parseResizeParameter(resizeParam, rules = IMAGE_PROCESSING) {
     const resizeRegex = /^(\d+)?x?(\d+)?$/i;
     const match = resizeParam.match(resizeRegex);
     
@@ -172,15 +602,15 @@ export class ImageTransformationService {
     }
 
     // Validate maximum dimensions
-    if ((width && width > this.MAX_DIMENSION) || (height && height > this.MAX_DIMENSION)) {
-      const error = new Error(`Maximum dimension is ${this.MAX_DIMENSION}px`);
+    if ((width && width > rules.MAX_DIMENSION) || (height && height > rules.MAX_DIMENSION)) {
+      const error = new Error(`Maximum dimension is ${rules.MAX_DIMENSION}px`);
       error.statusCode = 400;
       throw error;
     }
 
     // Real-world validation: minimum dimensions check
-    if ((width && width < this.MIN_DIMENSION) || (height && height < this.MIN_DIMENSION)) {
-      const error = new Error(`Dimensions too small for real-world usage. Minimum dimension: ${this.MIN_DIMENSION}px`);
+    if ((width && width < rules.MIN_DIMENSION) || (height && height < rules.MIN_DIMENSION)) {
+      const error = new Error(`Dimensions too small for real-world usage. Minimum dimension: ${rules.MIN_DIMENSION}px`);
       error.statusCode = 400;
       throw error;
     }
@@ -188,11 +618,60 @@ export class ImageTransformationService {
     return { width, height };
   }
 
+  /**
+   * Helper: Width and height of an image once auto-oriented (when enabled)
+   */
+  static getOrientedSize(metadata, autoOrient = true) {
+    const { width, height } = autoOrient && metadata.autoOrient ? metadata.autoOrient : metadata;
+    return { width, height };
+  }
+
+  /**
+   * Helper: Size of the image a crop applies to, after auto-orientation and
+   * rotation (the bounding box for angles that are not multiples of 90)
+   */
+  static getCropBounds(metadata, { autoOrient, rotate }) {
+    const { width, height } = this.getOrientedSize(metadata, autoOrient);
+    const radians = rotate * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+
+    return {
+      width: Math.round(width * cos + height * sin),
+      height: Math.round(width * sin + height * cos)
+    };
+  }
+
+  /**
+   * Helper: Sharp color from a normalized rrggbb / rrggbbaa hex
+   */
+  static toSharpColor(hex) {
+    const [r, g, b, alpha = 255] = hex.match(/../g).map(pair => parseInt(pair, 16));
+    return { r, g, b, alpha: alpha / 255 };
+  }
+
+  /**
+   * Helper: Whether an optional parameter was left out
+   */
+  static isEmptyParameter(value) {
+    return value === undefined || value === null || value === '';
+  }
+
   /**
    * Check if file is an image that can be transformed
    */
   static isTransformableImage(mimeType) {
-    return mimeType.startsWith('image/') && mimeType !== 'image/gif';
+    return Boolean(FILE_TYPES[mimeType]?.transformable);
+  }
+
+  /**
+   * Helper: Build a 400 error for a transformation request
+   */
+  static createError(message, code) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = code;
+    return error;
   }
 
   /**
@@ -210,13 +689,26 @@ export class ImageTransformationService {
       format: 'POST /images?convert=png',
       legacy_format: 'POST /images?type=png (deprecated, use convert)',
       resize: 'POST /images?resize=800x600',
+      fit: 'POST /images?resize=800x600&fit=cover (cover, contain, fill, inside, outside)',
+      position: 'POST /images?resize=800x600&fit=cover&position=north',
+      smart_crop: 'POST /images?resize=512x512&fit=cover&position=attention (or entropy)',
+      background: 'POST /images?resize=800x800&fit=contain&background=ffffff (or transparent)',
+      crop: 'POST /images?crop=100,50,800,600 (x,y,width,height, before resize)',
+      rotate: 'POST /images?rotate=90 (or 180, 270, any whole angle with &background=ffffff)',
+      mirror: 'POST /images?flip=true&flop=true (vertical / horizontal)',
+      auto_orient: 'POST /images?convert=webp&autoOrient=false (EXIF orientation is applied by default)',
       quality: 'POST /images?quality=90',
       combined: 'POST /images?convert=webp&resize=1200x800&quality=85',
+      rasterize: 'POST /images?rasterize=png&resize=512x512 (SVG only)',
       constraints: {
         minDimension: `${this.MIN_DIMENSION}px`,
         maxDimension: `${this.MAX_DIMENSION}px`,
         minQuality: `${this.MIN_QUALITY}%`,
-        supportedFormats: this.SUPPORTED_FORMATS.join(', ')
+        supportedFormats: this.SUPPORTED_FORMATS.join(', '),
+        rasterizeFormats: this.RASTERIZE_FORMATS.join(', '),
+        fitModes: IMAGE_PROCESSING.FIT_MODES.join(', '),
+        positions: IMAGE_PROCESSING.POSITIONS.join(', '),
+        smartCrop: IMAGE_PROCESSING.SMART_CROP_STRATEGIES.join(', ')
       }
     };
   }
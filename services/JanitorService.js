@@ -0,0 +1,129 @@
+/**
+ * Janitor Service
+ *
+ * Periodic maintenance job that runs inside the server process
+ * (the "setInterval" process described in the README). Each run:
+ * - Removes expired resumable upload sessions
+ * - Removes stale staging files left by interrupted uploads
+ * - Removes rendered derivatives whose original is gone
+ * - Deletes images past their expiration
+ * - Retries the cleanup queue
+ * - Removes idempotency keys past their replay window
+ * - Removes finished rate limit windows
+ */
+
+import { log } from '../utils/logger.js';
+import { JANITOR } from '../config/constants/index.js';
+import TransactionService from './TransactionService.js';
+import RateLimitService from './RateLimitService.js';
+import FileStorageService from './FileStorageService.js';
+import ImageMetadataRepository from '../repositories/ImageMetadataRepository.js';
+import CleanupQueueRepository from '../repositories/CleanupQueueRepository.js';
+import UploadSessionRepository from '../repositories/UploadSessionRepository.js';
+import ContentBlobRepository from '../repositories/ContentBlobRepository.js';
+import ImageVersionRepository from '../repositories/ImageVersionRepository.js';
+import ImageVariantRepository from '../repositories/ImageVariantRepository.js';
+import IdempotencyKeyRepository from '../repositories/IdempotencyKeyRepository.js';
+
+export class JanitorService {
+  static timer = null;
+  static running = false;
+
+  /**
+   * Start the periodic janitor
+   */
+  static start(intervalMinutes = JANITOR.INTERVAL_MINUTES) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), intervalMinutes * 60 * 1000);
+    this.timer.unref(); // Never keep the process alive just for maintenance
+
+    log.info(`Janitor scheduled every ${intervalMinutes} minutes`);
+  }
+
+  /**
+   * Stop the periodic janitor
+   */
+  static stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    log.info('Janitor stopped');
+  }
+
+  /**
+   * Run every maintenance task once. Overlapping runs are skipped.
+   */
+  static async runOnce() {
+    if (this.running) {
+      log.warn('Janitor run skipped: previous run still in progress');
+      return;
+    }
+
+    this.running = true;
+    log.info('Janitor run started');
+
+    try {
+      await this.runTask('expired upload sessions', () =>
+        TransactionService.processExpiredUploadSessions(
+          UploadSessionRepository,
+          CleanupQueueRepository,
+          JANITOR.EXPIRED_SESSION_BATCH_SIZE
+        )
+      );
+
+      await this.runTask('staging directory', () =>
+        FileStorageService.cleanupStagingDirectory()
+      );
+
+      await this.runTask('orphaned derivatives', () =>
+        FileStorageService.cleanupOrphanedDerivatives()
+      );
+
+      await this.runTask('expired images', () =>
+        TransactionService.processExpiredImages({
+          imageRepository: ImageMetadataRepository,
+          cleanupRepository: CleanupQueueRepository,
+          blobRepository: ContentBlobRepository,
+          versionRepository: ImageVersionRepository,
+          variantRepository: ImageVariantRepository
+        }, JANITOR.EXPIRED_IMAGE_BATCH_SIZE)
+      );
+
+      await this.runTask('cleanup queue', () =>
+        TransactionService.processCleanupQueue(
+          CleanupQueueRepository,
+          ImageMetadataRepository,
+          ContentBlobRepository
+        )
+      );
+
+      await this.runTask('expired idempotency keys', () =>
+        IdempotencyKeyRepository.deleteExpired(JANITOR.EXPIRED_IDEMPOTENCY_KEY_BATCH_SIZE)
+      );
+
+      await this.runTask('expired rate limit buckets', () =>
+        RateLimitService.deleteExpiredBuckets(JANITOR.EXPIRED_RATE_LIMIT_BUCKET_BATCH_SIZE)
+      );
+
+      log.pass('Janitor run completed');
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Helper: Run a single task, a failing task never stops the others
+   */
+  static async runTask(name, task) {
+    try {
+      return await task();
+    } catch (error) {
+      log.error(`Janitor task "${name}" failed: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+export default JanitorService;
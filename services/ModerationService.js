@@ -0,0 +1,163 @@
+/**
+ * Moderation Service
+ *
+ * Optional approval queue for public instances (MODERATION_MODE=true).
+ * New uploads and replaced content are stored as `pending`: hidden from
+ * /static, GET /images and GET /images/:filename until a moderator
+ * approves them. Rejected images are removed through the normal delete
+ * transaction and the reason is logged. Moderators authenticate with one
+ * of MODERATOR_API_KEYS.
+ */
+
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, MODERATION } from '../config/constants/index.js';
+import TransactionService from './TransactionService.js';
+import ImageMetadataRepository from '../repositories/ImageMetadataRepository.js';
+import CleanupQueueRepository from '../repositories/CleanupQueueRepository.js';
+import ContentBlobRepository from '../repositories/ContentBlobRepository.js';
+import ImageVersionRepository from '../repositories/ImageVersionRepository.js';
+import ImageVariantRepository from '../repositories/ImageVariantRepository.js';
+import StaticVisibilityService from './StaticVisibilityService.js';
+
+export class ModerationService {
+  /**
+   * Whether moderation mode is on (env MODERATION_MODE overrides the default)
+   */
+  static isEnabled() {
+    const fromEnv = process.env.MODERATION_MODE;
+    return fromEnv ? fromEnv === 'true' : MODERATION.ENABLED;
+  }
+
+  /**
+   * Status for newly stored content
+   */
+  static getInitialStatus() {
+    return this.isEnabled() ? MODERATION.STATUSES.PENDING : MODERATION.STATUSES.APPROVED;
+  }
+
+  /**
+   * Whether a metadata row must not be shown publicly
+   */
+  static isHidden(row) {
+    return this.isEnabled() && row?.moderation_status === MODERATION.STATUSES.PENDING;
+  }
+
+  /**
+   * findAll/getCount filters that keep pending images out of public lists
+   */
+  static getPublicFilters() {
+    return this.isEnabled() ? { moderationStatus: MODERATION.STATUSES.APPROVED } : {};
+  }
+
+  /**
+   * Whether a stored file under /uploads must not be served
+   * (from the in-memory list, see StaticVisibilityService)
+   */
+  static isPathHidden(relativePath) {
+    return this.isEnabled() && StaticVisibilityService.isPending(relativePath);
+  }
+
+  /**
+   * Whether a key belongs to a moderator (MODERATOR_API_KEYS, comma separated)
+   */
+  static isModeratorKey(key) {
+    const keys = (process.env.MODERATOR_API_KEYS || '')
+      .split(',')
+      .map(candidate => candidate.trim())
+      .filter(Boolean);
+
+    return Boolean(key) && keys.includes(key);
+  }
+
+  /**
+   * Pending images, oldest first
+   */
+  static async listPending(limit, offset) {
+    const filters = { moderationStatus: MODERATION.STATUSES.PENDING };
+    const images = await ImageMetadataRepository.findAll(limit, offset, filters, 'ASC');
+    const total = await ImageMetadataRepository.getCount(filters);
+
+    return { images, total };
+  }
+
+  /**
+   * Approve a pending image, making it public
+   */
+  static async approve(filename) {
+    await this.findPendingOrFail(filename);
+
+    const approved = await ImageMetadataRepository.setModerationStatus(filename, MODERATION.STATUSES.APPROVED);
+    if (!approved) {
+      throw this.createError(HTTP_STATUS.CONFLICT, 'NOT_PENDING', `Image ${filename} is no longer pending moderation`);
+    }
+
+    await StaticVisibilityService.refreshImage(filename);
+    log.pass(`Moderation: approved ${filename}`);
+    return approved;
+  }
+
+  /**
+   * Reject a pending image: delete it (file, metadata and versions) and log why
+   */
+  static async reject(filename, reason) {
+    await this.findPendingOrFail(filename);
+
+    const result = await TransactionService.executeDeleteTransaction({
+      filename,
+      imageRepository: ImageMetadataRepository,
+      cleanupRepository: CleanupQueueRepository,
+      blobRepository: ContentBlobRepository,
+      versionRepository: ImageVersionRepository,
+      variantRepository: ImageVariantRepository
+    });
+
+    log.warn(`Moderation: rejected ${filename} (${result.originalMetadata.mask_name}): ${reason}`);
+    return result;
+  }
+
+  /**
+   * Read the rejection reason from a request body
+   */
+  static parseReason(body = {}) {
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    if (!reason || reason.length > MODERATION.MAX_REASON_LENGTH) {
+      throw this.createError(
+        HTTP_STATUS.BAD_REQUEST,
+        'INVALID_REASON',
+        `A rejection reason of 1 to ${MODERATION.MAX_REASON_LENGTH} characters is required`
+      );
+    }
+
+    return reason;
+  }
+
+  /**
+   * Helper: The metadata row of a pending image, or throw 404/409
+   */
+  static async findPendingOrFail(filename) {
+    const metadata = await ImageMetadataRepository.findByName(filename);
+
+    if (!metadata) {
+      throw this.createError(HTTP_STATUS.NOT_FOUND, 'IMAGE_NOT_FOUND', `No file found with name: ${filename}`);
+    }
+
+    if (metadata.moderation_status !== MODERATION.STATUSES.PENDING) {
+      throw this.createError(HTTP_STATUS.CONFLICT, 'NOT_PENDING', `Image ${filename} is not pending moderation`);
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Helper: Build an error with HTTP status code
+   */
+  static createError(statusCode, code, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+}
+
+export default ModerationService;
@@ -0,0 +1,364 @@
+/**
+ * PDF Inspection Service
+ *
+ * A %PDF- prefix says nothing about what a document does when opened.
+ * This stage parses the object structure (including compressed object
+ * streams) and looks for active content:
+ *
+ * - javascript: /JS and /JavaScript actions or name trees
+ * - launchActions: /Launch actions (run programs or open files)
+ * - embeddedFiles: /EmbeddedFile(s) and file specifications with /EF
+ * - encrypted: an /Encrypt dictionary in the trailer (content can't be inspected)
+ *
+ * Each finding is rejected or flagged according to PDF_INSPECTION.POLICY.
+ * The document info (PDF version, page count, title) and the flags are
+ * returned so they can be stored with the upload.
+ */
+
+import zlib from 'zlib';
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, PDF_INSPECTION } from '../config/constants/index.js';
+
+const OBJECT_START = /(\d+)\s+(\d+)\s+obj\b/g;
+const PDF_NAME = /\/[^\s/[\]()<>{}%]+/g;
+
+export class PdfInspectionService {
+  // Patterns looked for in every object dictionary (names already normalized)
+  static FINDINGS = {
+    javascript: /\/(?:JS|JavaScript)(?![\w.-])/,
+    launchActions: /\/S\s*\/Launch(?![\w.-])/,
+    embeddedFiles: /\/(?:EmbeddedFiles?|EF)(?![\w.-])/
+  };
+
+  /**
+   * Inspect a PDF and apply the policy. Throws 422 when the document is
+   * malformed or has content the policy rejects; returns the document info.
+   */
+  static inspect(buffer) {
+    const report = this.analyze(buffer);
+    const rejected = [];
+    const flagged = [];
+
+    for (const finding of report.findings) {
+      if (PDF_INSPECTION.POLICY[finding] === PDF_INSPECTION.ACTIONS.FLAG) {
+        flagged.push(finding);
+      } else {
+        rejected.push(finding);
+      }
+    }
+
+    if (rejected.length > 0) {
+      log.warn(`PDF rejected by policy: ${rejected.join(', ')}`);
+      throw this.createError('PDF_POLICY_VIOLATION', `PDF rejected: ${rejected.join(', ')} not allowed`, {
+        rejected,
+        flagged
+      });
+    }
+
+    if (flagged.length > 0) {
+      log.warn(`PDF flagged: ${flagged.join(', ')}`);
+    }
+
+    return {
+      pdfVersion: report.pdfVersion,
+      pageCount: report.pageCount,
+      title: report.title,
+      flags: flagged
+    };
+  }
+
+  /**
+   * Parse the document: version, page count, title and findings
+   */
+  static analyze(buffer) {
+    const text = buffer.toString('latin1');
+    const header = text.slice(0, 1024).match(/%PDF-(\d\.\d)/);
+
+    if (!header) {
+      throw this.createError('MALFORMED_PDF', 'Missing PDF header');
+    }
+
+    // %%EOF closes every revision; without it the file was cut short
+    if (!text.slice(-1024).includes('%%EOF')) {
+      throw this.createError('TRUNCATED_PDF', 'PDF file is truncated (no %%EOF marker)');
+    }
+
+    const objects = this.readObjects(text);
+    if (objects.size === 0) {
+      throw this.createError('MALFORMED_PDF', 'No PDF objects found');
+    }
+
+    const trailers = this.readTrailers(text, objects);
+    const encrypted = trailers.some(trailer => /\/Encrypt(?![\w.-])/.test(trailer));
+    const dictionaries = [...objects.values()];
+
+    const findings = Object.entries(this.FINDINGS)
+      .filter(([, pattern]) => dictionaries.some(dictionary => pattern.test(dictionary)))
+      .map(([finding]) => finding);
+
+    if (encrypted) {
+      findings.push('encrypted');
+    }
+
+    return {
+      pdfVersion: this.readVersion(header[1], dictionaries),
+      pageCount: this.countPages(dictionaries),
+      // Strings of encrypted documents are ciphertext
+      title: encrypted ? null : this.readTitle(trailers, objects),
+      findings
+    };
+  }
+
+  /**
+   * Object bodies by object number, with names normalized. Later definitions
+   * (incremental updates) win; objects inside object streams fill the gaps.
+   */
+  static readObjects(text) {
+    const objects = new Map();
+    const objectStreams = [];
+
+    OBJECT_START.lastIndex = 0;
+    let match;
+    while ((match = OBJECT_START.exec(text)) !== null) {
+      const bodyStart = match.index + match[0].length;
+      const end = text.indexOf('endobj', bodyStart);
+      if (end === -1) break;
+
+      let dictionary = text.slice(bodyStart, end);
+      let streamData = null;
+
+      // Stream objects: dictionary, then raw data that may contain anything (even "endobj")
+      const stream = /^([\s\S]*?>>)\s*stream(?:\r\n|\n|\r)/.exec(dictionary);
+      if (stream) {
+        dictionary = stream[1];
+        const { data, endIndex } = this.readStreamData(text, dictionary, bodyStart + stream[0].length);
+        streamData = data;
+        OBJECT_START.lastIndex = endIndex;
+      } else {
+        OBJECT_START.lastIndex = end + 'endobj'.length;
+      }
+
+      const normalized = this.normalizeNames(dictionary);
+      objects.set(Number(match[1]), normalized);
+
+      if (streamData && /\/Type\s*\/ObjStm(?![\w.-])/.test(normalized)) {
+        objectStreams.push({ dictionary: normalized, data: streamData });
+      }
+    }
+
+    for (const objectStream of objectStreams) {
+      for (const [number, body] of this.readObjectStream(objectStream)) {
+        if (!objects.has(number)) {
+          objects.set(number, this.normalizeNames(body));
+        }
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Helper: Raw stream bytes (latin1) and the index after its endobj.
+   * A direct /Length is trusted when endstream follows it; otherwise the
+   * data runs up to the next endstream.
+   */
+  static readStreamData(text, dictionary, dataStart) {
+    const length = dictionary.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+    let dataEnd = -1;
+
+    if (length) {
+      const candidate = dataStart + Number(length[1]);
+      if (/^\s*endstream/.test(text.slice(candidate, candidate + 32))) {
+        dataEnd = candidate;
+      }
+    }
+
+    if (dataEnd === -1) {
+      dataEnd = text.indexOf('endstream', dataStart);
+      if (dataEnd === -1) dataEnd = text.length;
+    }
+
+    const endobj = text.indexOf('endobj', dataEnd);
+    return {
+      data: text.slice(dataStart, dataEnd),
+      endIndex: endobj === -1 ? text.length : endobj + 'endobj'.length
+    };
+  }
+
+  /**
+   * Helper: Objects stored in a compressed object stream (/Type /ObjStm)
+   */
+  static readObjectStream({ dictionary, data }) {
+    const content = this.inflate(dictionary, data);
+    if (content === null) return [];
+
+    const count = Number(dictionary.match(/\/N\s+(\d+)/)?.[1] || 0);
+    const first = Number(dictionary.match(/\/First\s+(\d+)/)?.[1] || 0);
+    const pairs = content.slice(0, first).trim().split(/\s+/).map(Number);
+    const entries = [];
+
+    for (let i = 0; i < count && 2 * i + 1 < pairs.length; i++) {
+      const start = first + pairs[2 * i + 1];
+      const end = 2 * i + 3 < pairs.length ? first + pairs[2 * i + 3] : content.length;
+      entries.push([pairs[2 * i], content.slice(start, end)]);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Helper: Decompress a FlateDecode stream, or null for other filters,
+   * corrupt data or content over the inflate limit
+   */
+  static inflate(dictionary, data) {
+    const filter = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1].replace(/[[\]\s]/g, '');
+    if (filter && filter !== '/FlateDecode') return null;
+    if (!filter) return data;
+
+    try {
+      return zlib.inflateSync(Buffer.from(data, 'latin1'), {
+        maxOutputLength: PDF_INSPECTION.MAX_INFLATED_STREAM_BYTES
+      }).toString('latin1');
+    } catch (error) {
+      log.warn(`PDF stream could not be inflated: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Trailer dictionaries (classic trailers and cross-reference streams)
+   */
+  static readTrailers(text, objects) {
+    const trailers = [...text.matchAll(/trailer\s*(<<[\s\S]*?>>)\s*startxref/g)].map(match => this.normalizeNames(match[1]));
+    const xrefStreams = [...objects.values()].filter(body => /\/Type\s*\/XRef(?![\w.-])/.test(body));
+    return [...trailers, ...xrefStreams];
+  }
+
+  /**
+   * Helper: Header version, unless the catalog declares a later one (/Version)
+   */
+  static readVersion(headerVersion, dictionaries) {
+    const catalog = dictionaries.find(body => /\/Type\s*\/Catalog(?![\w.-])/.test(body));
+    const catalogVersion = catalog?.match(/\/Version\s*\/(\d\.\d)/)?.[1];
+
+    return catalogVersion && Number(catalogVersion) > Number(headerVersion) ? catalogVersion : headerVersion;
+  }
+
+  /**
+   * Helper: /Count of the root page tree, or the number of page objects
+   */
+  static countPages(dictionaries) {
+    const root = dictionaries.find(body => /\/Type\s*\/Pages(?![\w.-])/.test(body) && !/\/Parent(?![\w.-])/.test(body));
+    const count = root?.match(/\/Count\s+(\d+)/);
+
+    if (count) {
+      return Number(count[1]);
+    }
+
+    const pages = dictionaries.filter(body => /\/Type\s*\/Page(?![\w.-])/.test(body)).length;
+    return pages > 0 ? pages : null;
+  }
+
+  /**
+   * Helper: /Title of the document information dictionary (/Info), or null
+   */
+  static readTitle(trailers, objects) {
+    const infoReference = trailers
+      .map(trailer => trailer.match(/\/Info\s+(\d+)\s+\d+\s+R/)?.[1])
+      .filter(Boolean)
+      .pop();
+    const info = infoReference && objects.get(Number(infoReference));
+    if (!info) return null;
+
+    let value = info.match(/\/Title\s*([(<][\s\S]*)/)?.[1];
+    const indirect = info.match(/\/Title\s+(\d+)\s+\d+\s+R/);
+    if (indirect) {
+      value = objects.get(Number(indirect[1]))?.trim();
+    }
+
+    const bytes = value && this.readString(value);
+    if (!bytes) return null;
+
+    const title = this.decodeTextString(bytes).replace(/[\u0000-\u001F\u007F]/g, '').trim();
+    return title ? title.slice(0, PDF_INSPECTION.MAX_TITLE_LENGTH) : null;
+  }
+
+  /**
+   * Helper: Bytes of the literal "(...)" or hex "<...>" string at the start of `value`
+   */
+  static readString(value) {
+    if (value.startsWith('<')) {
+      const hex = value.slice(1, value.indexOf('>')).replace(/\s/g, '');
+      return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    }
+
+    if (!value.startsWith('(')) return null;
+
+    const bytes = [];
+    const escapes = { n: 0x0A, r: 0x0D, t: 0x09, b: 0x08, f: 0x0C };
+    let depth = 1;
+
+    for (let i = 1; i < value.length; i++) {
+      const char = value[i];
+
+      if (char === '\\') {
+        const next = value[++i];
+        if (next in escapes) {
+          bytes.push(escapes[next]);
+        } else if (/[0-7]/.test(next)) {
+          const octal = value.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+          bytes.push(parseInt(octal, 8) & 0xFF);
+          i += octal.length - 1;
+        } else if (next === '\r' || next === '\n') {
+          if (next === '\r' && value[i + 1] === '\n') i++; // Line continuation
+        } else if (next !== undefined) {
+          bytes.push(next.charCodeAt(0));
+        }
+        continue;
+      }
+
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) break;
+      bytes.push(char.charCodeAt(0));
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Helper: PDF text strings are UTF-16BE (with BOM), UTF-8 (with BOM, PDF 2.0)
+   * or PDFDocEncoding, read here as latin1
+   */
+  static decodeTextString(bytes) {
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      const swapped = Buffer.from(bytes.subarray(2, 2 + ((bytes.length - 2) & ~1)));
+      return swapped.swap16().toString('utf16le');
+    }
+
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return bytes.subarray(3).toString('utf8');
+    }
+
+    return bytes.toString('latin1');
+  }
+
+  /**
+   * Helper: Decode #xx escapes in names (/J#61vaScript is /JavaScript)
+   */
+  static normalizeNames(text) {
+    return text.replace(PDF_NAME, name => name.replace(/#([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  /**
+   * Helper: Build a 422 error with a machine-readable reason as code
+   */
+  static createError(code, message, details = {}) {
+    const error = new Error(message);
+    error.statusCode = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+    error.code = code;
+    error.details = { reason: code, ...details };
+    return error;
+  }
+}
+
+export default PdfInspectionService;
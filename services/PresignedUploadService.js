@@ -0,0 +1,239 @@
+/**
+ * Presigned Upload Service
+ *
+ * Issues short-lived upload URLs so a browser can upload directly without
+ * holding an API credential. The URL carries a policy (max size, allowed
+ * extensions, forced transformations, expiry) and an HMAC signature of it;
+ * POST /images verifies the signature and enforces the policy on top of
+ * the normal validation.
+ */
+
+import crypto from 'crypto';
+import { log } from '../utils/logger.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import { FILE_LIMITS, HTTP_STATUS, PRESIGNED_UPLOADS, SECURITY } from '../config/constants/index.js';
+import FileValidationService from './FileValidationService.js';
+import ImageTransformationService from './ImageTransformationService.js';
+
+export class PresignedUploadService {
+  /**
+   * Create a signed upload policy
+   * Options: maxSize (bytes), extensions (['.jpg', ...]), transformations, expiresIn (seconds)
+   */
+  static createPresignedUpload(options = {}) {
+    const secret = this.getSecret();
+
+    const policy = {
+      v: PRESIGNED_UPLOADS.POLICY_VERSION,
+      maxSize: this.parseMaxSize(options.maxSize),
+      extensions: this.parseExtensions(options.extensions),
+      transformations: this.parseTransformations(options.transformations),
+      exp: Math.floor(Date.now() / 1000) + this.parseExpiresIn(options.expiresIn),
+      nonce: crypto.randomBytes(8).toString('hex')
+    };
+
+    const encodedPolicy = Buffer.from(JSON.stringify(policy)).toString('base64url');
+    const signature = this.sign(encodedPolicy, secret);
+
+    log.info(`Presigned upload issued (max ${policy.maxSize} bytes, expires ${new Date(policy.exp * 1000).toISOString()})`);
+    return { policy, encodedPolicy, signature };
+  }
+
+  /**
+   * Verify a signed policy from the query string and return it decoded
+   */
+  static verifyPolicy(encodedPolicy, signature) {
+    const secret = this.getSecret();
+
+    if (typeof encodedPolicy !== 'string' || typeof signature !== 'string' || !encodedPolicy || !signature) {
+      throw this.createError(
+        `Both "${PRESIGNED_UPLOADS.POLICY_PARAM}" and "${PRESIGNED_UPLOADS.SIGNATURE_PARAM}" are required`,
+        HTTP_STATUS.BAD_REQUEST,
+        'POLICY_MISSING'
+      );
+    }
+
+    const expected = Buffer.from(this.sign(encodedPolicy, secret));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw this.createError('Upload signature is invalid', HTTP_STATUS.FORBIDDEN, 'INVALID_SIGNATURE');
+    }
+
+    let policy;
+    try {
+      policy = JSON.parse(Buffer.from(encodedPolicy, 'base64url').toString('utf8'));
+    } catch {
+      throw this.createError('Upload policy is malformed', HTTP_STATUS.BAD_REQUEST, 'MALFORMED_POLICY');
+    }
+
+    if (policy.v !== PRESIGNED_UPLOADS.POLICY_VERSION) {
+      throw this.createError('Upload policy version is not supported', HTTP_STATUS.BAD_REQUEST, 'MALFORMED_POLICY');
+    }
+
+    if (!Number.isInteger(policy.exp) || policy.exp * 1000 <= Date.now()) {
+      throw this.createError('Upload URL has expired', HTTP_STATUS.FORBIDDEN, 'POLICY_EXPIRED');
+    }
+
+    return policy;
+  }
+
+  /**
+   * Enforce a verified policy on an uploaded file, by its size and name.
+   * Its content is checked against the policy during validation (restrictProfile).
+   */
+  static enforcePolicy(policy, file) {
+    if (file.size > policy.maxSize) {
+      const error = this.createError(
+        `File exceeds the size allowed by the upload URL (${policy.maxSize} bytes)`,
+        HTTP_STATUS.PAYLOAD_TOO_LARGE,
+        'POLICY_SIZE_EXCEEDED'
+      );
+      error.details = { maxSize: policy.maxSize };
+      throw error;
+    }
+
+    const extension = FileValidationService.extractExtension(file.originalname);
+    if (!policy.extensions.includes(extension)) {
+      const error = this.createError(
+        `File extension not allowed by the upload URL. Allowed extensions: ${policy.extensions.join(', ')}`,
+        HTTP_STATUS.BAD_REQUEST,
+        'POLICY_EXTENSION_NOT_ALLOWED'
+      );
+      error.details = { allowedExtensions: policy.extensions };
+      throw error;
+    }
+  }
+
+  /**
+   * Narrow an upload profile to a verified policy. Only the policy's
+   * extensions stay allowed, so the type sniffed from the content (and the
+   * extension the file is stored with) must be one of them, whatever the
+   * filename says.
+   */
+  static restrictProfile(profile, policy) {
+    const allowedFileTypes = Object.fromEntries(
+      Object.entries(profile.allowedFileTypes).filter(([extension]) => policy.extensions.includes(extension))
+    );
+
+    return {
+      ...profile,
+      maxFileSize: Math.min(profile.maxFileSize, policy.maxSize),
+      allowedFileTypes
+    };
+  }
+
+  /**
+   * Helper: HMAC signature of an encoded policy
+   */
+  static sign(encodedPolicy, secret) {
+    return crypto
+      .createHmac(PRESIGNED_UPLOADS.SIGNATURE_ALGORITHM, secret)
+      .update(encodedPolicy)
+      .digest('base64url');
+  }
+
+  /**
+   * Helper: Signing secret, presigned uploads are disabled without it
+   */
+  static getSecret() {
+    const secret = process.env.UPLOAD_SIGNING_SECRET;
+
+    if (!secret) {
+      throw this.createError(
+        'Presigned uploads are not configured (UPLOAD_SIGNING_SECRET is missing)',
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        'PRESIGNED_UPLOADS_DISABLED'
+      );
+    }
+
+    return secret;
+  }
+
+  /**
+   * Helper: Max size, never above the global upload limit
+   */
+  static parseMaxSize(maxSize) {
+    if (maxSize === undefined) {
+      return FILE_LIMITS.MAX_FILE_SIZE;
+    }
+
+    if (!ValidationUtils.isValidInteger(maxSize, 1, FILE_LIMITS.MAX_FILE_SIZE)) {
+      throw this.createError(
+        `maxSize must be an integer between 1 and ${FILE_LIMITS.MAX_FILE_SIZE} bytes`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    return parseInt(maxSize, 10);
+  }
+
+  /**
+   * Helper: Allowed extensions, a subset of the globally allowed file types
+   */
+  static parseExtensions(extensions) {
+    const allowed = Object.keys(SECURITY.ALLOWED_FILE_TYPES);
+
+    if (extensions === undefined) {
+      return allowed;
+    }
+
+    const list = (Array.isArray(extensions) ? extensions : [extensions])
+      .map(extension => String(extension).toLowerCase())
+      .map(extension => extension.startsWith('.') ? extension : `.${extension}`);
+
+    const invalid = list.filter(extension => !allowed.includes(extension));
+    if (list.length === 0 || invalid.length > 0) {
+      throw this.createError(
+        `Invalid extensions: ${invalid.join(', ') || 'none given'}. Allowed extensions: ${allowed.join(', ')}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    return [...new Set(list)];
+  }
+
+  /**
+   * Helper: Forced transformations, validated like query parameters
+   */
+  static parseTransformations(transformations = {}) {
+    const picked = ImageTransformationService.pickTransformations(transformations);
+    const validation = ValidationUtils.validateTransformationParams(picked);
+
+    if (!validation.isValid) {
+      throw this.createError(validation.errors.join('; '), HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return picked;
+  }
+
+  /**
+   * Helper: URL lifetime in seconds
+   */
+  static parseExpiresIn(expiresIn) {
+    if (expiresIn === undefined) {
+      return PRESIGNED_UPLOADS.DEFAULT_EXPIRES_SECONDS;
+    }
+
+    if (!ValidationUtils.isValidInteger(expiresIn, 1, PRESIGNED_UPLOADS.MAX_EXPIRES_SECONDS)) {
+      throw this.createError(
+        `expiresIn must be an integer between 1 and ${PRESIGNED_UPLOADS.MAX_EXPIRES_SECONDS} seconds`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    return parseInt(expiresIn, 10);
+  }
+
+  /**
+   * Helper: Build an error with HTTP status code
+   */
+  static createError(message, statusCode, code = undefined) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+  }
+}
+
+export default PresignedUploadService;
@@ -0,0 +1,141 @@
+/**
+ * Rate Limit Service
+ *
+ * Fixed-window buckets per client, used for both request counts and upload
+ * byte volume. Buckets live in memory by default; with RATE_LIMIT_STORE=postgres
+ * they live in the rate_limit_buckets table so several instances share them.
+ */
+
+import crypto from 'crypto';
+import { log } from '../utils/logger.js';
+import { RATE_LIMITING } from '../config/constants/index.js';
+import RateLimitRepository from '../repositories/RateLimitRepository.js';
+
+/**
+ * In-memory bucket store (single instance). Same interface as RateLimitRepository.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  async increment(key, amount, windowMs) {
+    const now = Date.now();
+    this.sweep(now, windowMs);
+
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.count = Math.max(bucket.count + amount, 0);
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+
+  async deleteExpired() {
+    return this.sweep(Date.now(), 0);
+  }
+
+  // Drop finished windows at most once per window, so memory never grows unbounded
+  sweep(now, windowMs) {
+    if (now - this.lastSweep < windowMs) return 0;
+
+    let removed = 0;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.resetAt <= now) {
+        this.buckets.delete(key);
+        removed++;
+      }
+    }
+
+    this.lastSweep = now;
+    return removed;
+  }
+}
+
+export class RateLimitService {
+  static memoryStore = new MemoryRateLimitStore();
+
+  /**
+   * Get the configured bucket store
+   */
+  static getStore() {
+    return this.usesSharedStore() ? RateLimitRepository : this.memoryStore;
+  }
+
+  /**
+   * Whether buckets are shared through PostgreSQL
+   */
+  static usesSharedStore() {
+    const store = process.env.RATE_LIMIT_STORE || RATE_LIMITING.DEFAULT_STORE;
+    return store === RATE_LIMITING.STORES.POSTGRES;
+  }
+
+  /**
+   * Consume `amount` from a client bucket.
+   * With refundOnReject a rejected amount is given back, so an oversized
+   * upload does not use up the quota of the uploads that fit.
+   */
+  static async consume({ bucket, clientId, amount = 1, limit, windowMs, refundOnReject = false }) {
+    const key = `${bucket}:${clientId}`;
+    const store = this.getStore();
+
+    const state = await store.increment(key, amount, windowMs);
+    const allowed = state.count <= limit;
+
+    if (!allowed && refundOnReject) {
+      await store.increment(key, -amount, windowMs);
+    }
+
+    const used = allowed || !refundOnReject ? state.count : state.count - amount;
+    const resetSeconds = Math.max(Math.ceil((state.resetAt - Date.now()) / 1000), 0);
+
+    if (!allowed) {
+      log.warn(`Rate limit exceeded: ${key} (${state.count}/${limit})`);
+    }
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(limit - used, 0),
+      resetSeconds
+    };
+  }
+
+  /**
+   * Identify the client: a configured API key when one is sent, otherwise the IP.
+   * Unknown API keys are ignored so clients cannot dodge limits by rotating keys.
+   */
+  static identifyClient(req) {
+    const apiKey = req.get(RATE_LIMITING.API_KEY_HEADER);
+
+    if (apiKey && this.getApiKeys().includes(apiKey)) {
+      // Never keep raw keys in bucket names
+      const keyId = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+      return `key:${keyId}`;
+    }
+
+    return `ip:${req.ip}`;
+  }
+
+  /**
+   * Helper: API keys allowed to have their own buckets (API_KEYS, comma separated)
+   */
+  static getApiKeys() {
+    return (process.env.API_KEYS || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Remove finished windows from the configured store (for the janitor)
+   */
+  static async deleteExpiredBuckets(limit) {
+    return this.getStore().deleteExpired(limit);
+  }
+}
+
+export default RateLimitService;
@@ -0,0 +1,277 @@
+/**
+ * Render Service
+ *
+ * On-demand derivatives for GET /images/:filename/render: the stored image is
+ * resized and re-encoded by ImageTransformationService under the same bounds
+ * as uploads. Each result is cached on disk under
+ * uploads/.derivatives/<stored file>/, named after the normalized parameters,
+ * so equivalent requests (?w=800&format=WEBP, ?format=webp&w=0800) share one
+ * file. Derivatives are deleted together with the stored file they come from.
+ *
+ * With a size allowlist (RENDER_SIZE_ALLOWLIST) only the listed sizes are
+ * rendered, with the default fit and quality and no crop, rotation or
+ * background, so clients can't fill the cache with arbitrary derivatives.
+ */
+
+import path from 'path';
+import { log } from '../utils/logger.js';
+import { FileUtils } from '../utils/fileUtils.js';
+import { FILE_TYPES, HTTP_STATUS, IMAGE_PROCESSING, RENDERING } from '../config/constants/index.js';
+import ImageMetadataRepository from '../repositories/ImageMetadataRepository.js';
+import FileStorageService from './FileStorageService.js';
+import ImageTransformationService from './ImageTransformationService.js';
+import UploadService from './UploadService.js';
+import ExpirationService from './ExpirationService.js';
+import ModerationService from './ModerationService.js';
+
+const DIMENSION_PATTERN = /^\d+$/;
+const SIZE_PATTERN = /^(\d+)?x?(\d+)?$/i;
+
+export class RenderService {
+  // Renders in progress by cache path: concurrent identical requests share one
+  static inFlight = new Map();
+
+  /**
+   * Render (or reuse from the cache) a derivative of an image.
+   * Query parameters: w, h, fit, position, background, crop, rotate, flip,
+   * flop, autoOrient, format, quality
+   */
+  static async render(filename, query = {}) {
+    const metadata = await this.findRenderableImage(filename);
+    const storedFilename = FileStorageService.getFilenameFromPath(metadata.path);
+    const source = {
+      filename: storedFilename,
+      mimeType: metadata.mime,
+      extension: path.extname(storedFilename).toLowerCase(),
+      vector: Boolean(FILE_TYPES[metadata.mime]?.vector)
+    };
+
+    const params = this.parseRenderParameters(query, source);
+    const cachePath = FileStorageService.getDerivativePath(storedFilename, params.key);
+
+    if (await FileUtils.fileExists(cachePath)) {
+      log.info(`Render cache hit: ${filename} (${params.key})`);
+      return { path: cachePath, mimeType: params.mimeType, cacheHit: true };
+    }
+
+    let pending = this.inFlight.get(cachePath);
+    if (!pending) {
+      pending = this.renderDerivative(source, params).finally(() => this.inFlight.delete(cachePath));
+      this.inFlight.set(cachePath, pending);
+    }
+
+    await pending;
+    return { path: cachePath, mimeType: params.mimeType, cacheHit: false };
+  }
+
+  /**
+   * Public image to render from: hidden images don't exist, expired ones are gone
+   */
+  static async findRenderableImage(filename) {
+    const metadata = await ImageMetadataRepository.findByName(filename);
+
+    if (!metadata || ModerationService.isHidden(metadata)) {
+      throw this.createError(`No file found with name: ${filename}`, 'IMAGE_NOT_FOUND', HTTP_STATUS.NOT_FOUND);
+    }
+
+    ExpirationService.assertNotExpired(metadata);
+    return metadata;
+  }
+
+  /**
+   * Validate the render query and normalize it into the transformations to
+   * apply and the derivative's cache name. The output format is always
+   * explicit: the source's own type unless ?format= asks for another one
+   * (PNG for vectors, which must be rasterized).
+   */
+  static parseRenderParameters(query, source) {
+    const width = this.parseDimension(query.w, 'w');
+    const height = this.parseDimension(query.h, 'h');
+    const hasParameters = width || height || query.crop || query.rotate || query.flip || query.flop || query.format || query.quality;
+
+    if (!hasParameters) {
+      const error = this.createError('Nothing to render: use w, h, crop, rotate, flip, flop, format or quality', 'RENDER_PARAMETERS_REQUIRED');
+      error.details = {
+        parameters: ['w', 'h', 'fit', 'position', 'background', 'crop', 'rotate', 'flip', 'flop', 'autoOrient', 'format', 'quality']
+      };
+      throw error;
+    }
+
+    const format = typeof query.format === 'string' && query.format
+      ? query.format
+      : (source.vector ? IMAGE_PROCESSING.RASTERIZE_FORMATS[0] : ImageTransformationService.getOutputFormatForExtension(source.extension));
+
+    if (!format) {
+      const error = this.createError(`Images of type ${source.mimeType} can only be rendered to another format`, 'FORMAT_REQUIRED');
+      error.details = { supportedFormats: IMAGE_PROCESSING.SUPPORTED_FORMATS };
+      throw error;
+    }
+
+    const transformations = {
+      [source.vector ? 'rasterize' : 'convert']: format,
+      ...(query.autoOrient && { autoOrient: String(query.autoOrient) }),
+      ...(query.rotate && { rotate: String(query.rotate) }),
+      ...(query.flip && { flip: String(query.flip) }),
+      ...(query.flop && { flop: String(query.flop) }),
+      ...(query.crop && { crop: String(query.crop) }),
+      ...((width || height) && {
+        resize: `${width || ''}x${height || ''}`,
+        fit: query.fit,
+        position: query.position
+      }),
+      ...(query.background && { background: String(query.background) }),
+      ...(query.quality && { quality: String(query.quality) })
+    };
+
+    const normalized = UploadService.validateTransformations(source, transformations, IMAGE_PROCESSING);
+
+    if (this.getSizeAllowlist().length > 0) {
+      this.assertParametersAllowed(normalized);
+    }
+
+    const [mimeType, type] = ImageTransformationService.getFileTypeForFormat(normalized.format);
+
+    return {
+      transformations,
+      mimeType,
+      key: this.buildCacheKey(normalized, type.extensions[0])
+    };
+  }
+
+  /**
+   * Derivative file name from normalized parameters, e.g. 800xauto-inside-q80.webp
+   * or r90-crop10_20_500_400-400x400-cover-attention-flop-q80.webp
+   */
+  static buildCacheKey({ autoOrient, rotate, flip, flop, crop, resize, fit, position, background, quality }, extension) {
+    const parts = [];
+
+    if (!autoOrient) parts.push('noorient');
+    if (rotate) parts.push(`r${rotate}`);
+    if (crop) parts.push(`crop${crop.left}_${crop.top}_${crop.width}_${crop.height}`);
+
+    if (resize) {
+      parts.push(`${resize.width || 'auto'}x${resize.height || 'auto'}-${fit}`);
+      if (position) parts.push(position);
+    } else if (!rotate && !crop) {
+      parts.push('full');
+    }
+
+    if (flip) parts.push('flip');
+    if (flop) parts.push('flop');
+    if (background) parts.push(`bg${background}`);
+
+    return `${parts.join('-')}-q${quality || 'auto'}${extension}`;
+  }
+
+  /**
+   * Sizes that may be rendered, normalized to 'WIDTHxHEIGHT' / 'WIDTHx' / 'xHEIGHT'.
+   * Empty means any size within the bounds.
+   */
+  static getSizeAllowlist() {
+    const fromEnv = process.env.RENDER_SIZE_ALLOWLIST;
+    const sizes = fromEnv !== undefined && fromEnv.trim() !== ''
+      ? fromEnv.split(',').map(size => size.trim()).filter(Boolean)
+      : RENDERING.SIZE_ALLOWLIST;
+
+    return sizes
+      .map(size => String(size).match(SIZE_PATTERN))
+      .filter(match => match && (match[1] || match[2]))
+      .map(match => `${match[1] ? parseInt(match[1], 10) : ''}x${match[2] ? parseInt(match[2], 10) : ''}`);
+  }
+
+  /**
+   * Reject sizes missing from the allowlist (allowlist mode only)
+   */
+  static assertSizeAllowed({ width, height }) {
+    const allowedSizes = this.getSizeAllowlist();
+    if (allowedSizes.length === 0) return;
+
+    const size = `${width || ''}x${height || ''}`;
+    if (!allowedSizes.includes(size)) {
+      const error = this.createError(`Size ${size} is not allowed for rendering`, 'SIZE_NOT_ALLOWED');
+      error.details = { allowedSizes };
+      throw error;
+    }
+  }
+
+  /**
+   * Reject parameters that could take any value (allowlist mode only), so
+   * the number of derivatives per image stays bounded
+   */
+  static assertParametersAllowed(normalized) {
+    const used = [
+      normalized.crop && 'crop',
+      normalized.rotate && 'rotate',
+      normalized.fit !== IMAGE_PROCESSING.DEFAULT_FIT && normalized.fit && 'fit',
+      normalized.position !== IMAGE_PROCESSING.DEFAULT_POSITION && normalized.position && 'position',
+      normalized.background && 'background',
+      normalized.quality && 'quality'
+    ].filter(Boolean);
+
+    if (used.length > 0) {
+      const error = this.createError(`Render parameters not allowed with a size allowlist: ${used.join(', ')}`, 'RENDER_PARAMETER_NOT_ALLOWED');
+      error.details = { parameters: used, allowedParameters: ['w', 'h', 'flip', 'flop', 'autoOrient', 'format'] };
+      throw error;
+    }
+
+    if (normalized.resize) {
+      this.assertSizeAllowed(normalized.resize);
+    }
+  }
+
+  /**
+   * Cache-Control max-age for rendered images, in seconds
+   */
+  static getCacheMaxAge() {
+    return Number(process.env.RENDER_CACHE_MAX_AGE_SECONDS) || RENDERING.CACHE_MAX_AGE_SECONDS;
+  }
+
+  /**
+   * Helper: Render into a staging file, then move it into the cache
+   */
+  static async renderDerivative(source, params) {
+    const stagingPath = await FileStorageService.createStagingPath();
+
+    log.info(`Rendering derivative ${params.key} of ${source.filename}`);
+
+    try {
+      await ImageTransformationService.transformImage(
+        FileStorageService.getFullPath(source.filename),
+        source.extension,
+        params.transformations,
+        { outputPath: stagingPath, vector: source.vector }
+      );
+
+      await FileStorageService.storeDerivative(stagingPath, source.filename, params.key);
+      log.pass(`Derivative cached: ${source.filename}/${params.key}`);
+    } catch (error) {
+      await FileStorageService.discardStagedFile(stagingPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Parse a w/h parameter (positive integer, bounds are checked with the resize)
+   */
+  static parseDimension(value, name) {
+    if (value === undefined || value === '') return null;
+
+    if (typeof value !== 'string' || !DIMENSION_PATTERN.test(value) || parseInt(value, 10) === 0) {
+      throw this.createError(`${name} must be a positive integer`, 'INVALID_RENDER_PARAMETERS');
+    }
+
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Helper: Build an error with HTTP status code
+   */
+  static createError(message, code, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+  }
+}
+
+export default RenderService;
@@ -0,0 +1,119 @@
+/**
+ * Static Visibility Service
+ *
+ * In-memory list of the stored files /static must not serve: files that only
+ * belong to images pending moderation, and files whose images all expire
+ * (kept with the moment the last one does, so they hide on time between
+ * refreshes). Serving a file never queries the database:
+ * - The list is reloaded on a timer, like the janitor
+ * - The files of an image are reloaded as soon as this process stores,
+ *   replaces, restores or approves it
+ * - A failed reload keeps the previous list
+ * With several instances, another instance's changes show up within one refresh.
+ */
+
+import { log } from '../utils/logger.js';
+import { STATIC_VISIBILITY } from '../config/constants/index.js';
+import ImageMetadataRepository from '../repositories/ImageMetadataRepository.js';
+
+export class StaticVisibilityService {
+  static timer = null;
+  static pendingPaths = new Set();
+  static expiringPaths = new Map();
+
+  // Images reloaded while the whole list loads, applied again on top of it
+  static changedDuringLoad = null;
+
+  /**
+   * Load the list and reload it periodically
+   */
+  static async start(intervalSeconds = STATIC_VISIBILITY.REFRESH_INTERVAL_SECONDS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.refresh(), intervalSeconds * 1000);
+    this.timer.unref(); // Never keep the process alive just for the refresh
+
+    await this.refresh();
+    log.info(`Static file visibility refreshed every ${intervalSeconds} seconds`);
+  }
+
+  /**
+   * Stop the periodic refresh
+   */
+  static stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reload the whole list. Overlapping reloads are skipped.
+   */
+  static async refresh() {
+    if (this.changedDuringLoad) return;
+
+    this.changedDuringLoad = new Set();
+    try {
+      const rows = await ImageMetadataRepository.findRestrictedPaths();
+      const changed = this.changedDuringLoad;
+
+      this.pendingPaths = new Set();
+      this.expiringPaths = new Map();
+      rows.forEach(row => this.apply(row));
+      this.changedDuringLoad = null;
+
+      // The rows of these images may predate their last change
+      for (const name of changed) {
+        await this.refreshImage(name);
+      }
+    } catch (error) {
+      log.error(`Static file visibility not refreshed, keeping the previous list: ${error.message}`);
+    } finally {
+      this.changedDuringLoad = null;
+    }
+  }
+
+  /**
+   * Reload the files of one image after it changed. Never throws:
+   * the periodic refresh catches up if the database is unreachable.
+   */
+  static async refreshImage(name) {
+    this.changedDuringLoad?.add(name);
+
+    try {
+      const rows = await ImageMetadataRepository.findRestrictedPaths(name);
+      rows.forEach(row => this.apply(row));
+    } catch (error) {
+      log.error(`Static file visibility of ${name} not refreshed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a stored file only belongs to images pending moderation
+   */
+  static isPending(relativePath) {
+    return this.pendingPaths.has(relativePath);
+  }
+
+  /**
+   * When a stored file expired, or null while it can be served
+   */
+  static getExpiration(relativePath, now = new Date()) {
+    const expiresAt = this.expiringPaths.get(relativePath);
+    return expiresAt && expiresAt <= now ? expiresAt : null;
+  }
+
+  /**
+   * Helper: Record the state of one file from a findRestrictedPaths row
+   */
+  static apply({ path, pending_only, expires_at }) {
+    if (pending_only) this.pendingPaths.add(path);
+    else this.pendingPaths.delete(path);
+
+    if (expires_at) this.expiringPaths.set(path, new Date(expires_at));
+    else this.expiringPaths.delete(path);
+  }
+}
+
+export default StaticVisibilityService;
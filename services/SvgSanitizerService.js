@@ -0,0 +1,344 @@
+/**
+ * SVG Sanitizer Service
+ *
+ * SVG is XML that browsers execute: scripts, event handlers, foreignObject
+ * (embedded HTML) and external references all run when a stored SVG is
+ * opened from /static. Uploaded SVGs are rebuilt from an allowlist of
+ * elements and attributes before storage, so only drawing markup survives.
+ *
+ * - Elements outside the allowlist are removed with their content
+ * - on* attributes, unknown namespaces and javascript:/data: values are removed
+ * - href/xlink:href may only point inside the document (#id); <image> may
+ *   also embed raster data: URIs
+ * - url(...) references in attributes and <style> must be local (#id)
+ * - DOCTYPEs with an internal subset (entity definitions) are rejected
+ */
+
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS } from '../config/constants/index.js';
+
+const NAME = '[A-Za-z_][\\w.:-]*';
+const START_TAG = new RegExp(`^<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(/?)>`);
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'g');
+const END_TAG = new RegExp(`^</(${NAME})\\s*>`);
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export class SvgSanitizerService {
+  // Drawing, structure, gradient, filter and text elements (compared lowercased)
+  static ALLOWED_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'desc', 'title', 'symbol', 'use', 'image', 'switch', 'a', 'view', 'style',
+    'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+    'text', 'tspan', 'textpath',
+    'lineargradient', 'radialgradient', 'stop', 'pattern', 'clippath', 'mask', 'marker',
+    'filter', 'feblend', 'fecolormatrix', 'fecomponenttransfer', 'fecomposite', 'feconvolvematrix',
+    'fediffuselighting', 'fedisplacementmap', 'fedistantlight', 'fedropshadow', 'feflood',
+    'fefunca', 'fefuncb', 'fefuncg', 'fefuncr', 'fegaussianblur', 'feimage', 'femerge',
+    'femergenode', 'femorphology', 'feoffset', 'fepointlight', 'fespecularlighting',
+    'fespotlight', 'fetile', 'feturbulence'
+  ]);
+
+  // Namespaced attributes that are kept (xmlns declarations are always kept)
+  static ALLOWED_NAMESPACED_ATTRIBUTES = new Set(['xlink:href', 'xml:space', 'xml:lang']);
+
+  // Raster images <image> may embed inline
+  static SAFE_DATA_URI = /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+
+  /**
+   * Sanitize an SVG document. Returns the rebuilt document and what was removed.
+   */
+  static sanitize(source) {
+    const input = this.decode(source);
+    const removed = { elements: 0, attributes: 0 };
+    const output = [];
+    const stack = []; // Open elements: { name, kept }
+    let dropDepth = 0; // > 0 while inside a removed element
+    let rootSeen = false;
+    let rootClosed = false;
+    let position = 0;
+
+    while (position < input.length) {
+      const rest = input.slice(position);
+
+      // Text up to the next tag
+      if (rest[0] !== '<') {
+        const end = rest.indexOf('<');
+        const text = end === -1 ? rest : rest.slice(0, end);
+        position += text.length;
+
+        if (dropDepth === 0 && stack.length > 0) {
+          output.push(this.escapeText(this.decodeEntities(text)));
+        } else if (stack.length === 0 && text.trim()) {
+          throw this.createError('Text outside the root <svg> element');
+        }
+        continue;
+      }
+
+      if (rest.startsWith('<!--')) {
+        position += this.skipPast(rest, '-->', 'Unterminated comment');
+        continue;
+      }
+
+      if (rest.startsWith('<![CDATA[')) {
+        const length = this.skipPast(rest, ']]>', 'Unterminated CDATA section');
+        if (dropDepth === 0 && stack.length > 0) {
+          output.push(this.escapeText(rest.slice('<![CDATA['.length, length - ']]>'.length)));
+        }
+        position += length;
+        continue;
+      }
+
+      if (rest.startsWith('<?')) {
+        // XML declaration and processing instructions (xml-stylesheet can load external CSS)
+        position += this.skipPast(rest, '?>', 'Unterminated processing instruction');
+        continue;
+      }
+
+      if (/^<!DOCTYPE/i.test(rest)) {
+        const end = rest.indexOf('>');
+        if (end === -1) throw this.createError('Unterminated DOCTYPE');
+        if (rest.slice(0, end).includes('[')) {
+          throw this.createError('SVG DOCTYPE with entity definitions is not allowed', 'SVG_DOCTYPE_NOT_ALLOWED');
+        }
+        position += end + 1;
+        continue;
+      }
+
+      const endTag = rest.match(END_TAG);
+      if (endTag) {
+        const open = stack.pop();
+        if (!open || open.name !== endTag[1]) {
+          throw this.createError(`Unexpected closing tag </${endTag[1]}>`);
+        }
+
+        if (!open.kept) {
+          dropDepth--;
+        } else {
+          output.push(`</${open.name}>`);
+        }
+
+        if (stack.length === 0) rootClosed = true;
+        position += endTag[0].length;
+        continue;
+      }
+
+      const startTag = rest.match(START_TAG);
+      if (!startTag) {
+        throw this.createError('Malformed SVG markup');
+      }
+
+      const [tag, name, attributeSource, selfClosing] = startTag;
+      position += tag.length;
+
+      if (!rootSeen) {
+        if (this.localName(name) !== 'svg' || this.prefix(name) && this.prefix(name) !== 'svg') {
+          throw this.createError('The root element must be <svg>');
+        }
+        rootSeen = true;
+      } else if (rootClosed) {
+        throw this.createError('Content after the root <svg> element');
+      }
+
+      const kept = dropDepth === 0 && this.isAllowedElement(name);
+      if (dropDepth === 0 && !kept) {
+        removed.elements++;
+        log.warn(`SVG sanitizer removed element: <${name}>`);
+      }
+
+      if (kept) {
+        const attributes = this.sanitizeAttributes(name, attributeSource, removed);
+        const serialized = attributes.map(([key, value]) => ` ${key}="${this.escapeAttribute(value)}"`).join('');
+        output.push(`<${name}${serialized}${selfClosing ? ' />' : '>'}`);
+      }
+
+      if (!selfClosing) {
+        stack.push({ name, kept });
+        if (!kept) dropDepth++;
+      } else if (stack.length === 0) {
+        rootClosed = true;
+      }
+    }
+
+    if (!rootSeen || stack.length > 0) {
+      throw this.createError(rootSeen ? `Unclosed element <${stack[stack.length - 1].name}>` : 'No <svg> element found');
+    }
+
+    let svg = output.join('');
+    svg = this.sanitizeStyleElements(svg, removed);
+
+    if (removed.elements > 0 || removed.attributes > 0) {
+      log.warn(`SVG sanitized: ${removed.elements} elements and ${removed.attributes} attributes removed`);
+    }
+
+    return { buffer: Buffer.from(svg, 'utf8'), removed };
+  }
+
+  /**
+   * Helper: Keep only safe attributes of an allowed element
+   */
+  static sanitizeAttributes(elementName, attributeSource, removed) {
+    const attributes = [];
+    const element = this.localName(elementName).toLowerCase();
+
+    for (const match of attributeSource.matchAll(ATTRIBUTE)) {
+      const name = match[1];
+      const value = this.decodeEntities(match[2] ?? match[3]);
+
+      if (this.isAllowedAttribute(element, name, value)) {
+        attributes.push([name, value]);
+      } else {
+        removed.attributes++;
+        log.warn(`SVG sanitizer removed attribute: ${name} on <${elementName}>`);
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Helper: Whether an attribute is safe to keep
+   */
+  static isAllowedAttribute(element, name, value) {
+    const lowerName = name.toLowerCase();
+    const compactValue = value.replace(/[\s\u0000-\u001F]/g, '').toLowerCase();
+
+    if (lowerName === 'xmlns' || lowerName.startsWith('xmlns:')) {
+      return true;
+    }
+
+    // Event handlers (onload, onclick, onbegin...)
+    if (lowerName.startsWith('on')) {
+      return false;
+    }
+
+    if (lowerName.includes(':') && !this.ALLOWED_NAMESPACED_ATTRIBUTES.has(lowerName)) {
+      return false;
+    }
+
+    if (lowerName === 'href' || lowerName === 'xlink:href') {
+      return this.isSafeHref(element, value);
+    }
+
+    if (/^(javascript|vbscript|data):/.test(compactValue)) {
+      return false;
+    }
+
+    if (lowerName === 'style' || compactValue.includes('url(')) {
+      return this.isSafeCss(value);
+    }
+
+    return true;
+  }
+
+  /**
+   * Helper: Links may only point inside the document; <image> may also embed raster data
+   */
+  static isSafeHref(element, value) {
+    const trimmed = value.trim();
+
+    if (trimmed.startsWith('#')) {
+      return true;
+    }
+
+    return element === 'image' && this.SAFE_DATA_URI.test(trimmed);
+  }
+
+  /**
+   * Helper: CSS without scripts, imports or external url() references
+   */
+  static isSafeCss(css) {
+    const compact = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/[\s\u0000-\u001F]/g, '').toLowerCase();
+
+    if (/@import|expression\(|javascript:|vbscript:|behavior:|-moz-binding/.test(compact)) {
+      return false;
+    }
+
+    const urls = compact.match(/url\(([^)]*)\)/g) || [];
+    return urls.every(url => /^url\((["']?)#[^"')]*\1\)$/.test(url));
+  }
+
+  /**
+   * Helper: Empty <style> elements whose CSS is unsafe
+   */
+  static sanitizeStyleElements(svg, removed) {
+    return svg.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, css, close) => {
+      if (this.isSafeCss(this.decodeEntities(css))) {
+        return match;
+      }
+
+      removed.elements++;
+      log.warn('SVG sanitizer emptied an unsafe <style> element');
+      return `${open}${close}`;
+    });
+  }
+
+  /**
+   * Helper: Whether an element is in the allowlist (svg: prefix allowed)
+   */
+  static isAllowedElement(name) {
+    const prefix = this.prefix(name);
+    return (!prefix || prefix === 'svg') && this.ALLOWED_ELEMENTS.has(this.localName(name).toLowerCase());
+  }
+
+  static localName(name) {
+    return name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+  }
+
+  static prefix(name) {
+    return name.includes(':') ? name.slice(0, name.indexOf(':')) : null;
+  }
+
+  /**
+   * Helper: Length up to and including `terminator`, or throw
+   */
+  static skipPast(text, terminator, message) {
+    const end = text.indexOf(terminator);
+    if (end === -1) throw this.createError(message);
+    return end + terminator.length;
+  }
+
+  /**
+   * Helper: Decode the document as UTF-8 (BOM removed)
+   */
+  static decode(source) {
+    try {
+      const text = new TextDecoder('utf-8', { fatal: true }).decode(source);
+      return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    } catch {
+      throw this.createError('SVG must be UTF-8 encoded');
+    }
+  }
+
+  /**
+   * Helper: Decode predefined and numeric XML entities (unknown ones stay literal)
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+      if (body[0] === '#') {
+        const codePoint = body[1].toLowerCase() === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '';
+      }
+      return XML_ENTITIES[body] ?? entity;
+    });
+  }
+
+  static escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  static escapeAttribute(value) {
+    return this.escapeText(value).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Helper: Build a 400 error for an SVG that can't be sanitized
+   */
+  static createError(message, code = 'INVALID_SVG') {
+    const error = new Error(message);
+    error.statusCode = HTTP_STATUS.BAD_REQUEST;
+    error.code = code;
+    return error;
+  }
+}
+
+export default SvgSanitizerService;
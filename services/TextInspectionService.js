@@ -0,0 +1,229 @@
+/**
+ * Text Inspection Service
+ *
+ * text/plain has no magic bytes, so whether a file is text can only be told
+ * from its content. The encoding is detected (BOM, UTF-16 byte pattern,
+ * UTF-8 validity, Latin-1 otherwise), the content is decoded with it and
+ * counted for control characters:
+ *
+ * - BINARY_CONTENT: more control characters than MAX_CONTROL_CHAR_RATIO
+ *   allows (a binary blob renamed to .txt)
+ * - INVALID_TEXT_ENCODING: the content breaks the encoding its BOM announces
+ *
+ * Failures are 422 with the reason as error code. The encoding, line count
+ * and a preview are returned so they can be stored with the upload; text
+ * can be re-encoded as UTF-8 before storage (TEXT_INSPECTION.NORMALIZE_TO_UTF8).
+ */
+
+import { isUtf8 } from 'buffer';
+import { log } from '../utils/logger.js';
+import { HTTP_STATUS, TEXT_INSPECTION } from '../config/constants/index.js';
+
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+// Latin-1 is read as windows-1252 (as browsers do), so curly quotes and dashes
+// in 0x80-0x9F don't count as control characters. Unassigned bytes stay C1 controls.
+const WINDOWS_1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+  '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+// Bytes looked at to recognize UTF-16 without BOM
+const UTF16_SAMPLE_BYTES = 1024;
+
+export class TextInspectionService {
+  /**
+   * Inspect complete text content. Throws 422 when it is binary or badly
+   * encoded; returns the encoding, line count and preview.
+   */
+  static inspect(buffer) {
+    const { encoding, bom, text } = this.decode(buffer);
+    this.assertNotBinary(text, encoding);
+
+    const lineCount = this.countLines(text);
+    log.info(`Text inspected: ${encoding}${bom ? ' (BOM)' : ''}, ${lineCount} lines`);
+
+    return { encoding, bom, lineCount, preview: this.buildPreview(text) };
+  }
+
+  /**
+   * Encoding of the leading bytes of a file, or null when they aren't text.
+   * The sample may end in the middle of a character.
+   */
+  static sniffEncoding(sample) {
+    const { encoding, bom } = this.detectEncoding(sample, { partial: true });
+    const text = this.decodeAs(sample, encoding, { bom });
+
+    return this.countControlCharacters(text) <= text.length * TEXT_INSPECTION.MAX_CONTROL_CHAR_RATIO ? encoding : null;
+  }
+
+  /**
+   * Detect the encoding: BOM first, then the zero bytes of UTF-16 text,
+   * then UTF-8 validity. Anything else is taken as Latin-1.
+   */
+  static detectEncoding(buffer, { partial = false } = {}) {
+    const bom = BOMS.find(candidate => candidate.bytes.every((byte, i) => buffer[i] === byte));
+    if (bom) {
+      return { encoding: bom.encoding, bom: true };
+    }
+
+    const utf16 = this.detectUtf16(buffer, partial);
+    if (utf16) {
+      return { encoding: utf16, bom: false };
+    }
+
+    return { encoding: this.isUtf8(buffer, partial) ? 'utf-8' : 'latin1', bom: false };
+  }
+
+  /**
+   * Decode complete content with its detected encoding (BOM removed)
+   */
+  static decode(buffer) {
+    const { encoding, bom } = this.detectEncoding(buffer);
+
+    try {
+      return { encoding, bom, text: this.decodeAs(buffer, encoding, { bom, fatal: true }) };
+    } catch {
+      throw this.createError('INVALID_TEXT_ENCODING', `Text is not valid ${encoding}`, { encoding });
+    }
+  }
+
+  /**
+   * Helper: Decode with a given encoding, dropping its BOM
+   */
+  static decodeAs(buffer, encoding, { bom = false, fatal = false } = {}) {
+    if (encoding === 'latin1') {
+      return buffer.toString('latin1').replace(/[\u0080-\u009F]/g, (c) => WINDOWS_1252_HIGH[c.charCodeAt(0) - 0x80]);
+    }
+
+    return new TextDecoder(encoding, { fatal, ignoreBOM: !bom }).decode(buffer);
+  }
+
+  /**
+   * Content re-encoded as UTF-8 without BOM, or null when it already is
+   */
+  static normalize(buffer) {
+    const { encoding, bom, text } = this.decode(buffer);
+    if (encoding === 'utf-8' && !bom) {
+      return null;
+    }
+
+    log.info(`Text normalized from ${encoding} to utf-8`);
+    return { buffer: Buffer.from(text, 'utf8'), from: encoding };
+  }
+
+  /**
+   * Whether text is stored normalized (env NORMALIZE_TEXT_TO_UTF8 overrides the default)
+   */
+  static isNormalizationEnabled() {
+    const fromEnv = process.env.NORMALIZE_TEXT_TO_UTF8;
+    return fromEnv ? fromEnv === 'true' : TEXT_INSPECTION.NORMALIZE_TO_UTF8;
+  }
+
+  /**
+   * Reject text with too many control characters
+   */
+  static assertNotBinary(text, encoding) {
+    const controlCharacters = this.countControlCharacters(text);
+    const maxRatio = TEXT_INSPECTION.MAX_CONTROL_CHAR_RATIO;
+
+    if (controlCharacters > text.length * maxRatio) {
+      const ratio = Number((controlCharacters / text.length).toFixed(4));
+      log.warn(`Binary content in text upload: ${controlCharacters} control characters (${ratio})`);
+      throw this.createError('BINARY_CONTENT', 'File content is binary, not text', {
+        encoding,
+        controlCharacters,
+        ratio,
+        maxRatio
+      });
+    }
+  }
+
+  /**
+   * Helper: C0/C1 control characters and DEL, except tab, line feed, form feed and carriage return
+   */
+  static countControlCharacters(text) {
+    let count = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if ((code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0C && code !== 0x0D) ||
+        (code >= 0x7F && code <= 0x9F)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Helper: UTF-16 byte order when ASCII-range text shows its zero high bytes
+   * on one side of every code unit and (almost) never on the other
+   */
+  static detectUtf16(buffer, partial) {
+    if (buffer.length < 2 || (!partial && buffer.length % 2 !== 0)) {
+      return null;
+    }
+
+    const units = Math.floor(Math.min(buffer.length, UTF16_SAMPLE_BYTES) / 2);
+    let evenZeros = 0;
+    let oddZeros = 0;
+
+    for (let i = 0; i < units; i++) {
+      if (buffer[2 * i] === 0) evenZeros++;
+      if (buffer[2 * i + 1] === 0) oddZeros++;
+    }
+
+    if (oddZeros >= units * 0.4 && evenZeros <= units * 0.05) return 'utf-16le';
+    if (evenZeros >= units * 0.4 && oddZeros <= units * 0.05) return 'utf-16be';
+    return null;
+  }
+
+  /**
+   * Helper: Valid UTF-8, allowing a sample to end inside a multi-byte character
+   */
+  static isUtf8(buffer, partial) {
+    const maxTrim = partial ? Math.min(3, buffer.length) : 0;
+
+    for (let trim = 0; trim <= maxTrim; trim++) {
+      if (isUtf8(buffer.subarray(0, buffer.length - trim))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Helper: Lines of text (a final line break doesn't start a new line)
+   */
+  static countLines(text) {
+    if (!text) return 0;
+
+    const breaks = text.match(/\r\n|\r|\n/g)?.length || 0;
+    return /[\r\n]$/.test(text) ? breaks : breaks + 1;
+  }
+
+  /**
+   * Helper: First PREVIEW_LENGTH characters, without control characters
+   */
+  static buildPreview(text) {
+    const characters = Array.from(text.slice(0, TEXT_INSPECTION.PREVIEW_LENGTH * 2)).slice(0, TEXT_INSPECTION.PREVIEW_LENGTH);
+    return characters.join('').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g, '');
+  }
+
+  /**
+   * Helper: Build a 422 error with a machine-readable reason as code
+   */
+  static createError(code, message, details = {}) {
+    const error = new Error(message);
+    error.statusCode = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+    error.code = code;
+    error.details = { reason: code, ...details };
+    return error;
+  }
+}
+
+export default TextInspectionService;
@@ -6,56 +6,85 @@
  * file storage and database operations to maintain data consistency.
  */
 
+import path from 'path';
 import { log } from '../utils/logger.js';
+import FileUtils from '../utils/fileUtils.js';
 import FileStorageService from './FileStorageService.js';
+import ExpirationService from './ExpirationService.js';
 
 export class TransactionService {
   /**
-   * Execute file upload transaction with rollback capability
+   * Execute file upload transaction with rollback capability.
+   * With a blobRepository and metadata.contentHash the file is deduplicated:
+   * identical content already on disk is referenced instead of stored again.
+   * Prepared responsive variants are stored with it (variantRepository).
    */
   static async executeUploadTransaction(transactionData) {
     const { 
       fileBuffer, 
+      stagedPath,
       filename, 
       metadata, 
       imageRepository, 
-      cleanupRepository 
+      cleanupRepository,
+      blobRepository = null,
+      variants = [],
+      variantRepository = null
     } = transactionData;
 
-    let savedFile = false;
+    const storedMetadata = { ...metadata };
+    const content = { savedFile: false, acquiredBlob: false, deduplicated: false };
+    const variantState = this.createVariantState();
     let savedMetadata = false;
 
     try {
       log.info(`Starting upload transaction for: ${filename}`);
 
-      // Step 1: Save file to disk
-      log.info('Step 1: Saving file to disk');
-      await FileStorageService.saveFile(fileBuffer, filename);
-      savedFile = true;
+      // Steps 1-2: Save file to disk and register content blob (deduplication)
+      storedMetadata.path = await this.storeContent({
+        fileBuffer,
+        stagedPath,
+        filename,
+        metadata,
+        cleanupRepository,
+        blobRepository
+      }, content);
 
-      // Step 2: Save metadata to database
-      log.info('Step 2: Saving metadata to database');
-      await imageRepository.create(metadata);
+      // Step 3: Save metadata to database
+      log.info('Step 3: Saving metadata to database');
+      await imageRepository.create(storedMetadata);
       savedMetadata = true;
 
-      log.pass(`Upload transaction completed successfully: ${filename}`);
+      // Step 4: Store responsive variants
+      if (variantRepository && variants.length > 0) {
+        log.info(`Step 4: Storing ${variants.length} variants`);
+        await this.storeVariants(filename, variants, variantRepository, variantState);
+      }
+
+      log.pass(`Upload transaction completed successfully: ${filename}${content.deduplicated ? ' (deduplicated)' : ''}`);
       return {
         success: true,
         filename,
-        metadata
+        metadata: storedMetadata,
+        variants: variantState.stored,
+        deduplicated: content.deduplicated,
+        acquiredBlob: content.acquiredBlob
       };
 
     } catch (error) {
       log.error(`Upload transaction failed: ${error.message}`);
       
       // Rollback operations
+      await this.rollbackVariants(filename, variantState, variantRepository, cleanupRepository);
       await this.rollbackUploadTransaction({
         filename,
-        savedFile,
+        savedFile: content.savedFile,
+        acquiredBlob: content.acquiredBlob,
         savedMetadata,
-        metadata,
+        metadata: storedMetadata,
         imageRepository,
         cleanupRepository,
+        blobRepository,
         originalError: error
       });
 
@@ -64,17 +93,251 @@ export class TransactionService {
   }
 
   /**
-   * Execute file deletion transaction with rollback capability
+   * Helper: Put new content on disk under `filename` and take a blob reference on it.
+   * Progress is recorded in `content` so a failing caller knows what to roll back.
+   * Returns the relative path the metadata must point at (an existing file when deduplicated).
+   */
+  static async storeContent(contentData, content) {
+    const {
+      fileBuffer,
+      stagedPath,
+      filename,
+      metadata,
+      cleanupRepository,
+      blobRepository = null
+    } = contentData;
+
+    // Step 1: Save file to disk (move staged file into place, or write buffer)
+    log.info('Step 1: Saving file to disk');
+    if (stagedPath) {
+      await FileStorageService.moveStagedFile(stagedPath, filename, metadata.size);
+    } else {
+      await FileStorageService.saveFile(fileBuffer, filename);
+    }
+    content.savedFile = true;
+
+    if (!blobRepository || !metadata.contentHash) {
+      return FileStorageService.getRelativePath(filename);
+    }
+
+    // Step 2: Register content blob (deduplication)
+    log.info('Step 2: Registering content blob');
+    const { blob, inserted } = await blobRepository.acquire({
+      hash: metadata.contentHash,
+      filename,
+      size: metadata.size
+    });
+    content.acquiredBlob = true;
+
+    // From here on the blob owns the file, releasing it is what deletes it
+    content.savedFile = false;
+
+    if (inserted) {
+      return FileStorageService.getRelativePath(filename);
+    }
+
+    content.deduplicated = true;
+    log.info(`Identical content already stored as ${blob.filename}, discarding duplicate`);
+
+    try {
+      await FileStorageService.deleteFile(filename);
+    } catch (fileError) {
+      log.error(`Failed to delete duplicate file: ${fileError.message}`);
+      await this.addToCleanupQueue(filename, cleanupRepository);
+    }
+
+    return FileStorageService.getRelativePath(blob.filename);
+  }
+
+  /**
+   * Helper: Drop the reference a metadata or version row holds on its content.
+   * Returns the file to delete from disk, or null while other rows still use it.
+   */
+  static async releaseContent(row, blobRepository) {
+    const storedFilename = FileStorageService.getFilenameFromPath(row.path);
+
+    if (!blobRepository || !row.content_hash) {
+      return { blob: null, filename: storedFilename };
+    }
+
+    const blob = await blobRepository.release(row.content_hash);
+
+    if (blob && blob.ref_count > 0) {
+      return { blob, filename: null };
+    }
+
+    return { blob, filename: blob ? blob.filename : storedFilename };
+  }
+
+  /**
+   * Helper: Move prepared responsive variants into place and record them.
+   * Progress is recorded in `variantState` so a failing caller knows what to roll back.
+   */
+  static async storeVariants(imageName, variants, variantRepository, variantState) {
+    for (const variant of variants) {
+      await FileStorageService.moveStagedFile(variant.stagedPath, variant.filename, variant.size);
+      variantState.savedFiles.push(variant.filename);
+
+      variantState.stored.push(await variantRepository.create({
+        imageName,
+        path: FileStorageService.getRelativePath(variant.filename),
+        width: variant.width,
+        height: variant.height,
+        format: variant.format,
+        mime: variant.mime,
+        size: variant.size
+      }));
+    }
+  }
+
+  /**
+   * Helper: Replace the variants of an image with new ones (none to only drop them).
+   * Dropped rows are kept in `variantState`; their files are deleted once the caller succeeds.
+   */
+  static async swapVariants(imageName, variants, variantRepository, variantState) {
+    variantState.dropped = await variantRepository.deleteByImage(imageName);
+    await this.storeVariants(imageName, variants, variantRepository, variantState);
+  }
+
+  /**
+   * Helper: Undo storeVariants/swapVariants: new rows and files go, dropped rows come back
+   */
+  static async rollbackVariants(imageName, variantState, variantRepository, cleanupRepository) {
+    if (!variantRepository) return;
+
+    if (variantState.stored.length > 0 || variantState.dropped.length > 0) {
+      log.info('Rolling back responsive variants');
+      try {
+        if (variantState.stored.length > 0) {
+          await variantRepository.deleteByImage(imageName);
+        }
+        for (const row of variantState.dropped) {
+          await variantRepository.create(variantRepository.fromRow(row));
+        }
+        log.info('Variant rollback successful');
+      } catch (dbError) {
+        log.error(`Variant rollback failed: ${dbError.message}`);
+      }
+    }
+
+    await this.deleteVariantFiles(variantState.savedFiles, cleanupRepository);
+  }
+
+  /**
+   * Helper: Delete variant files from disk, best effort (failures go to the cleanup queue)
+   */
+  static async deleteVariantFiles(filenames, cleanupRepository) {
+    for (const filename of filenames) {
+      try {
+        await FileStorageService.deleteFile(filename);
+      } catch (error) {
+        log.error(`Failed to delete variant ${filename}: ${error.message}`);
+        await this.addToCleanupQueue(filename, cleanupRepository);
+      }
+    }
+  }
+
+  /**
+   * Helper: Empty progress record for variant operations
+   */
+  static createVariantState() {
+    return { stored: [], dropped: [], savedFiles: [] };
+  }
+
+  /**
+   * Helper: Stored filenames of variant rows
+   */
+  static getVariantFilenames(rows = []) {
+    return rows.map(row => FileStorageService.getFilenameFromPath(row.path));
+  }
+
+  /**
+   * Execute an all-or-nothing upload of several files.
+   * Each file runs its own upload transaction; if one fails, every file
+   * stored before it is rolled back with the same guarantees.
+   */
+  static async executeBatchUploadTransaction(transactionData) {
+    const {
+      uploads,
+      imageRepository,
+      cleanupRepository,
+      blobRepository = null,
+      variantRepository = null
+    } = transactionData;
+
+    const committed = [];
+
+    log.info(`Starting batch upload transaction for ${uploads.length} files`);
+
+    for (const [index, upload] of uploads.entries()) {
+      try {
+        const result = await this.executeUploadTransaction({
+          fileBuffer: upload.fileBuffer,
+          stagedPath: upload.stagedPath,
+          filename: upload.filename,
+          metadata: upload.metadata,
+          imageRepository,
+          cleanupRepository,
+          blobRepository,
+          variants: upload.variants,
+          variantRepository
+        });
+        committed.push(result);
+
+      } catch (error) {
+        log.error(`Batch upload transaction failed at file ${index}: ${error.message}`);
+
+        // The failing file already rolled itself back, undo the ones before it
+        for (const done of committed.reverse()) {
+          await this.rollbackVariants(done.filename, {
+            ...this.createVariantState(),
+            stored: done.variants,
+            savedFiles: this.getVariantFilenames(done.variants)
+          }, variantRepository, cleanupRepository);
+          await this.rollbackUploadTransaction({
+            filename: done.filename,
+            savedFile: !done.acquiredBlob,
+            acquiredBlob: done.acquiredBlob,
+            savedMetadata: true,
+            metadata: done.metadata,
+            imageRepository,
+            cleanupRepository,
+            blobRepository,
+            originalError: error
+          });
+        }
+
+        error.failedIndex = index;
+        throw error;
+      }
+    }
+
+    log.pass(`Batch upload transaction completed successfully: ${committed.length} files`);
+    return {
+      success: true,
+      results: committed
+    };
+  }
+
+  /**
+   * Execute file deletion transaction with rollback capability.
+   * Deduplicated files are only removed from disk with their last reference.
    */
   static async executeDeleteTransaction(transactionData) {
     const { 
       filename, 
       imageRepository, 
-      cleanupRepository 
+      cleanupRepository,
+      blobRepository = null,
+      versionRepository = null,
+      variantRepository = null
     } = transactionData;
 
     let originalMetadata = null;
+    let deletedVersions = [];
+    let deletedVariants = [];
     let deletedFromDatabase = false;
+    let releasedBlob = null;
 
     try {
       log.info(`Starting delete transaction for: ${filename}`);
@@ -89,25 +352,57 @@ export class TransactionService {
         throw error;
       }
 
-      // Step 2: Delete from database
+      // Step 2: Delete from database (archived versions and variants first)
       log.info('Step 2: Deleting metadata from database');
+      if (versionRepository) {
+        deletedVersions = await versionRepository.deleteByImage(filename);
+      }
+      if (variantRepository) {
+        deletedVariants = await variantRepository.deleteByImage(filename);
+      }
       await imageRepository.delete(filename);
       deletedFromDatabase = true;
 
-      // Step 3: Delete file from disk
-      log.info('Step 3: Deleting file from disk');
-      const fileDeleted = await FileStorageService.deleteFile(filename);
+      // Step 3: Release content blob reference (deduplicated files)
+      log.info('Step 3: Releasing content reference');
+      const released = await this.releaseContent(originalMetadata, blobRepository);
+      releasedBlob = released.blob;
+
+      // Step 4: Delete file (and its rendered derivatives) from disk, unless other images still use it
+      let fileDeleted = false;
+      if (released.filename) {
+        log.info('Step 4: Deleting file from disk');
+        fileDeleted = await FileStorageService.deleteFile(released.filename);
+        await FileStorageService.deleteDerivatives(released.filename);
 
-      if (!fileDeleted) {
-        // File didn't exist on disk, but database was cleaned up
-        log.warn(`File ${filename} not found on disk, but database cleaned up`);
+        if (!fileDeleted) {
+          // File didn't exist on disk, but database was cleaned up
+          log.warn(`File ${released.filename} not found on disk, but database cleaned up`);
+        }
+      } else {
+        log.info('Step 4: File still referenced, keeping it on disk');
+      }
+
+      // Step 5: Release archived versions (the image is gone, failures go to the cleanup queue)
+      if (deletedVersions.length > 0) {
+        log.info(`Step 5: Releasing ${deletedVersions.length} archived versions`);
+        await this.releaseVersions(deletedVersions, cleanupRepository, blobRepository);
+      }
+
+      // Step 6: Delete responsive variant files (failures go to the cleanup queue)
+      if (deletedVariants.length > 0) {
+        log.info(`Step 6: Deleting ${deletedVariants.length} variants`);
+        await this.deleteVariantFiles(this.getVariantFilenames(deletedVariants), cleanupRepository);
       }
 
       log.pass(`Delete transaction completed successfully: ${filename}`);
       return {
         success: true,
         filename,
-        originalMetadata
+        originalMetadata,
+        fileDeleted,
+        deletedVersions: deletedVersions.length,
+        deletedVariants: deletedVariants.length
       };
 
     } catch (error) {
@@ -117,9 +412,235 @@ export class TransactionService {
       await this.rollbackDeleteTransaction({
         filename,
         originalMetadata,
+        deletedVersions,
+        deletedVariants,
         deletedFromDatabase,
+        releasedBlob,
+        imageRepository,
+        cleanupRepository,
+        blobRepository,
+        versionRepository,
+        variantRepository,
+        originalError: error
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Release the content of deleted version rows, best effort
+   */
+  static async releaseVersions(versions, cleanupRepository, blobRepository) {
+    for (const version of versions) {
+      const storedFilename = FileStorageService.getFilenameFromPath(version.path);
+
+      try {
+        const released = await this.releaseContent(version, blobRepository);
+        if (released.filename) {
+          await FileStorageService.deleteFile(released.filename);
+          await FileStorageService.deleteDerivatives(released.filename);
+        }
+      } catch (error) {
+        log.error(`Failed to release version ${version.version} of ${version.image_name}: ${error.message}`);
+        await this.addToCleanupQueue(storedFilename, cleanupRepository);
+      }
+    }
+  }
+
+  /**
+   * Execute in-place replacement transaction with rollback capability.
+   * The new content is stored under a new file, the current content is
+   * archived as a numbered version and the metadata row keeps its name.
+   * The variants of the previous content are replaced by the prepared ones.
+   */
+  static async executeReplaceTransaction(transactionData) {
+    const {
+      filename,
+      fileBuffer,
+      stagedPath,
+      storedFilename,
+      metadata,
+      imageRepository,
+      versionRepository,
+      cleanupRepository,
+      blobRepository = null,
+      variants = [],
+      variantRepository = null
+    } = transactionData;
+
+    const content = { savedFile: false, acquiredBlob: false, deduplicated: false };
+    const replacement = { archivedVersion: null };
+    const variantState = this.createVariantState();
+
+    try {
+      log.info(`Starting replace transaction for: ${filename}`);
+
+      // Step 0: The image must exist
+      const current = await this.findImageOrFail(filename, imageRepository);
+
+      // Steps 1-2: Save new content to disk and register content blob
+      const storedPath = await this.storeContent({
+        fileBuffer,
+        stagedPath,
+        filename: storedFilename,
+        metadata,
+        cleanupRepository,
+        blobRepository
+      }, content);
+
+      // Step 2b: Replace the variants of the previous content
+      if (variantRepository) {
+        log.info(`Step 2b: Replacing variants (${variants.length} new)`);
+        await this.swapVariants(filename, variants, variantRepository, variantState);
+      }
+
+      // Steps 3-4: Archive current content and point the image at the new one
+      const updated = await this.archiveAndReplaceContent({
+        current,
+        newContent: { ...metadata, path: storedPath },
+        imageRepository,
+        versionRepository
+      }, replacement);
+
+      await this.deleteVariantFiles(this.getVariantFilenames(variantState.dropped), cleanupRepository);
+
+      log.pass(`Replace transaction completed successfully: ${filename} (version ${updated.version})`);
+      return {
+        success: true,
+        filename,
+        metadata: updated,
+        variants: variantState.stored,
+        previousVersion: replacement.archivedVersion.version,
+        deduplicated: content.deduplicated
+      };
+
+    } catch (error) {
+      log.error(`Replace transaction failed: ${error.message}`);
+
+      await this.rollbackVariants(filename, variantState, variantRepository, cleanupRepository);
+      await this.rollbackReplaceTransaction({
+        filename,
+        storedFilename,
+        content,
+        replacement,
+        metadata,
+        imageRepository,
+        versionRepository,
+        cleanupRepository,
+        blobRepository,
+        originalError: error
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Execute version restore transaction with rollback capability.
+   * The restored content becomes a new version, so restoring never loses history.
+   * Variants of the replaced content are dropped (archived versions keep none).
+   */
+  static async executeRestoreTransaction(transactionData) {
+    const {
+      filename,
+      version,
+      imageRepository,
+      versionRepository,
+      cleanupRepository,
+      blobRepository = null,
+      variantRepository = null
+    } = transactionData;
+
+    const content = { savedFile: false, acquiredBlob: false, deduplicated: false };
+    const replacement = { archivedVersion: null };
+    const variantState = this.createVariantState();
+    let metadata = null;
+    let storedFilename = null;
+    let stagedPath = null;
+
+    try {
+      log.info(`Starting restore transaction for: ${filename} (version ${version})`);
+
+      // Step 0: The image and the version must exist
+      const current = await this.findImageOrFail(filename, imageRepository);
+      const target = await versionRepository.findByVersion(filename, version);
+
+      if (!target) {
+        const error = new Error(`Version ${version} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      metadata = imageRepository.fromRow(target);
+      let restoredPath = target.path;
+
+      if (blobRepository && target.content_hash) {
+        // Steps 1-2: Content is still on disk, take another reference on it
+        log.info('Step 1: Referencing archived content');
+        await blobRepository.acquire({
+          hash: target.content_hash,
+          filename: FileStorageService.getFilenameFromPath(target.path),
+          size: target.size
+        });
+        content.acquiredBlob = true;
+      } else {
+        // Steps 1-2: Untracked content is owned by the version row, store a copy
+        log.info('Step 1: Copying archived content');
+        const archivedFilename = FileStorageService.getFilenameFromPath(target.path);
+        storedFilename = FileStorageService.generateUniqueFilename(path.extname(archivedFilename));
+        stagedPath = await FileStorageService.copyToStaging(archivedFilename);
+        metadata.contentHash = await FileUtils.computeHash(stagedPath);
+
+        restoredPath = await this.storeContent({
+          stagedPath,
+          filename: storedFilename,
+          metadata,
+          cleanupRepository,
+          blobRepository
+        }, content);
+      }
+
+      // Step 2b: Drop the variants of the current content
+      if (variantRepository) {
+        log.info('Step 2b: Dropping variants');
+        await this.swapVariants(filename, [], variantRepository, variantState);
+      }
+
+      // Steps 3-4: Archive current content and point the image at the restored one
+      const updated = await this.archiveAndReplaceContent({
+        current,
+        newContent: { ...metadata, path: restoredPath },
+        imageRepository,
+        versionRepository
+      }, replacement);
+
+      await this.deleteVariantFiles(this.getVariantFilenames(variantState.dropped), cleanupRepository);
+
+      log.pass(`Restore transaction completed successfully: ${filename} (version ${version} -> ${updated.version})`);
+      return {
+        success: true,
+        filename,
+        metadata: updated,
+        restoredVersion: version,
+        previousVersion: replacement.archivedVersion.version
+      };
+
+    } catch (error) {
+      log.error(`Restore transaction failed: ${error.message}`);
+
+      await FileStorageService.discardStagedFile(stagedPath);
+      await this.rollbackVariants(filename, variantState, variantRepository, cleanupRepository);
+      await this.rollbackReplaceTransaction({
+        filename,
+        storedFilename,
+        content,
+        replacement,
+        metadata,
         imageRepository,
+        versionRepository,
         cleanupRepository,
+        blobRepository,
         originalError: error
       });
 
@@ -127,6 +648,58 @@ export class TransactionService {
     }
   }
 
+  /**
+   * Helper: Get image metadata or throw 404 (410 once it has expired)
+   */
+  static async findImageOrFail(filename, imageRepository) {
+    const metadata = await imageRepository.findByName(filename);
+
+    if (!metadata) {
+      const error = new Error('File not found in database');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    ExpirationService.assertNotExpired(metadata);
+
+    return metadata;
+  }
+
+  /**
+   * Helper: Archive the current content as a version (its content reference
+   * moves to the version row) and point the image at new content.
+   * Progress is recorded in `replacement` for rollbacks.
+   */
+  static async archiveAndReplaceContent(replaceData, replacement) {
+    const { current, newContent, imageRepository, versionRepository } = replaceData;
+
+    // Step 3: Archive current content
+    log.info(`Step 3: Archiving current content as version ${current.version}`);
+    replacement.archivedVersion = await versionRepository.create({
+      imageName: current.name,
+      version: current.version,
+      maskName: current.mask_name,
+      path: current.path,
+      mime: current.mime,
+      size: current.size,
+      contentHash: current.content_hash,
+      documentInfo: current.document_info,
+      createdAt: current.updated_at || current.created_at
+    });
+
+    // Step 4: Point metadata at the new content
+    log.info('Step 4: Updating metadata to the new content');
+    const updated = await imageRepository.replaceContent(current.name, current.version, newContent);
+
+    if (!updated) {
+      const error = new Error('Image was modified by another request');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return updated;
+  }
+
   /**
    * Rollback upload transaction
    */
@@ -134,10 +707,12 @@ export class TransactionService {
     const {
       filename,
       savedFile,
+      acquiredBlob = false,
       savedMetadata,
       metadata,
       imageRepository,
       cleanupRepository,
+      blobRepository = null,
       originalError
     } = rollbackData;
 
@@ -157,6 +732,21 @@ export class TransactionService {
         }
       }
 
+      // Rollback blob reference (deletes the file if this was its last reference)
+      if (acquiredBlob && blobRepository) {
+        log.info('Rolling back content blob reference');
+        try {
+          const blob = await blobRepository.release(metadata.contentHash);
+          if (blob && blob.ref_count === 0) {
+            await FileStorageService.deleteFile(blob.filename);
+          }
+          log.info('Blob rollback successful');
+        } catch (blobError) {
+          log.error(`Blob rollback failed: ${blobError.message}`);
+          await this.addToCleanupQueue(filename, cleanupRepository);
+        }
+      }
+
       // Rollback file creation
       if (savedFile) {
         log.info('Rolling back file creation');
@@ -179,6 +769,54 @@ export class TransactionService {
     }
   }
 
+  /**
+   * Rollback replace (and restore) transaction
+   */
+  static async rollbackReplaceTransaction(rollbackData) {
+    const {
+      filename,
+      storedFilename,
+      content,
+      replacement,
+      metadata,
+      imageRepository,
+      versionRepository,
+      cleanupRepository,
+      blobRepository = null,
+      originalError
+    } = rollbackData;
+
+    log.warn(`Rolling back replace transaction for: ${filename}`);
+
+    // Rollback version archive (metadata still points at the archived content)
+    if (replacement.archivedVersion) {
+      log.info('Rolling back archived version');
+      try {
+        await versionRepository.delete(filename, replacement.archivedVersion.version);
+        log.info('Version rollback successful');
+      } catch (dbError) {
+        log.error(`Version rollback failed: ${dbError.message}`);
+      }
+    }
+
+    // Rollback new content exactly like a failed upload that never saved metadata
+    if (content.savedFile || content.acquiredBlob) {
+      await this.rollbackUploadTransaction({
+        filename: storedFilename,
+        savedFile: content.savedFile,
+        acquiredBlob: content.acquiredBlob,
+        savedMetadata: false,
+        metadata,
+        imageRepository,
+        cleanupRepository,
+        blobRepository,
+        originalError
+      });
+    }
+
+    log.info('Replace transaction rollback completed');
+  }
+
   /**
    * Rollback delete transaction
    */
@@ -186,9 +824,15 @@ export class TransactionService {
     const {
       filename,
       originalMetadata,
+      deletedVersions = [],
+      deletedVariants = [],
       deletedFromDatabase,
+      releasedBlob = null,
       imageRepository,
       cleanupRepository,
+      blobRepository = null,
+      versionRepository = null,
+      variantRepository = null,
       originalError
     } = rollbackData;
 
@@ -196,10 +840,29 @@ export class TransactionService {
 
     try {
       // Only attempt rollback if we successfully deleted from database
-      if (deletedFromDatabase && originalMetadata) {
+      if ((deletedFromDatabase || deletedVersions.length > 0 || deletedVariants.length > 0) && originalMetadata) {
         log.info('Rolling back database deletion');
         try {
-          await imageRepository.create(originalMetadata);
+          if (deletedFromDatabase) {
+            if (releasedBlob && blobRepository) {
+              await blobRepository.acquire({
+                hash: releasedBlob.hash,
+                filename: releasedBlob.filename,
+                size: releasedBlob.size
+              });
+            }
+            await imageRepository.create(imageRepository.fromRow(originalMetadata));
+          }
+
+          // Archived versions were only removed from the database, their content is untouched
+          for (const version of deletedVersions) {
+            await versionRepository.create(versionRepository.fromRow(version));
+          }
+
+          // Variant files are only deleted once the transaction succeeded
+          for (const variant of deletedVariants) {
+            await variantRepository.create(variantRepository.fromRow(variant));
+          }
           log.info('Database deletion rollback successful');
         } catch (dbError) {
           log.error(`Database deletion rollback failed: ${dbError.message}`);
@@ -238,7 +901,7 @@ export class TransactionService {
   /**
    * Process cleanup queue (would typically run as scheduled job)
    */
-  static async processCleanupQueue(cleanupRepository, imageRepository) {
+  static async processCleanupQueue(cleanupRepository, imageRepository, blobRepository = null) {
     try {
       log.info('Processing cleanup queue');
       
@@ -247,8 +910,9 @@ export class TransactionService {
 
       for (const item of cleanupItems) {
         try {
-          // Check if file still exists in database
-          const metadata = await imageRepository.findByName(item.name);
+          // Check if file still exists in database (directly or as a shared blob)
+          const metadata = await imageRepository.findByName(item.name)
+            || (blobRepository && await blobRepository.findByFilename(item.name));
           
           if (!metadata) {
             // File should be deleted from disk
@@ -256,6 +920,7 @@ export class TransactionService {
             if (fileExists) {
               await FileStorageService.deleteFile(item.name);
             }
+            await FileStorageService.deleteDerivatives(item.name);
             await cleanupRepository.markAsProcessed(item.name, true);
           } else {
             // File should exist on disk
@@ -286,6 +951,89 @@ export class TransactionService {
       throw error;
     }
   }
+
+  /**
+   * Delete images past their expiration through the delete transaction.
+   * An image that cannot be deleted stays expired (answering 410) and is
+   * retried on the next run; its file goes to the cleanup queue.
+   */
+  static async processExpiredImages(repositories, limit = 100) {
+    const { imageRepository, cleanupRepository, blobRepository = null, versionRepository = null, variantRepository = null } = repositories;
+
+    try {
+      log.info('Processing expired images');
+
+      const images = await imageRepository.findExpired(limit);
+      let removedCount = 0;
+
+      for (const image of images) {
+        try {
+          await this.executeDeleteTransaction({
+            filename: image.name,
+            imageRepository,
+            cleanupRepository,
+            blobRepository,
+            versionRepository,
+            variantRepository
+          });
+          removedCount++;
+        } catch (error) {
+          if (error.statusCode === 404) {
+            // Deleted by a client in the meantime
+            continue;
+          }
+
+          log.error(`Failed to delete expired image ${image.name}: ${error.message}`);
+          await this.addToCleanupQueue(FileStorageService.getFilenameFromPath(image.path), cleanupRepository);
+        }
+      }
+
+      log.info(`Expired images processed: ${removedCount} images removed`);
+      return removedCount;
+
+    } catch (error) {
+      log.error(`Expired image processing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove expired resumable upload sessions and their partial files.
+   * Partial files that cannot be deleted go to the cleanup queue.
+   */
+  static async processExpiredUploadSessions(sessionRepository, cleanupRepository, limit = 100) {
+    try {
+      log.info('Processing expired upload sessions');
+
+      const sessions = await sessionRepository.findExpired(limit);
+      let removedCount = 0;
+
+      for (const session of sessions) {
+        const partialFilename = FileStorageService.getSessionFilename(session.id);
+
+        try {
+          await FileStorageService.deleteFile(partialFilename);
+        } catch (fileError) {
+          log.error(`Failed to delete partial file ${partialFilename}: ${fileError.message}`);
+          await this.addToCleanupQueue(partialFilename, cleanupRepository);
+        }
+
+        try {
+          await sessionRepository.delete(session.id);
+          removedCount++;
+        } catch (dbError) {
+          log.error(`Failed to delete expired session ${session.id}: ${dbError.message}`);
+        }
+      }
+
+      log.info(`Expired upload sessions processed: ${removedCount} sessions removed`);
+      return removedCount;
+
+    } catch (error) {
+      log.error(`Expired upload session processing failed: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 export default TransactionService;
\ No newline at end of file
@@ -0,0 +1,301 @@
+/**
+ * Upload Profile Service
+ *
+ * Named upload rule sets (avatar, docs, banner...) loaded from
+ * config/uploadProfiles.json (env UPLOAD_PROFILES_FILE). A profile can set:
+ *
+ * - maxFileSize: bytes, also the multer limit
+ * - extensions: accepted file types, a subset of the allowed ones
+ * - transformations: forced on every upload, replacing the client's
+ * - imageProcessing: minDimension, maxDimension, minQuality and output formats
+ * - variants: responsive widths (and formats) generated on every upload
+ *
+ * Anything a profile leaves out comes from the global constants, which also
+ * make up the default profile used when none is selected. Profiles are
+ * chosen per request (?profile=avatar) or bound to a route.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../utils/logger.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import { FILE_LIMITS, HTTP_STATUS, IMAGE_PROCESSING, SECURITY, UPLOAD_PROFILES } from '../config/constants/index.js';
+import ImageTransformationService from './ImageTransformationService.js';
+import VariantService from './VariantService.js';
+
+// ES Modules __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+
+export class UploadProfileService {
+  static profiles = null;
+
+  /**
+   * Resolve a profile by name; no name means the default profile.
+   * Unknown names are a 400 UNKNOWN_PROFILE.
+   */
+  static getProfile(name) {
+    const profiles = this.getProfiles();
+
+    if (name === undefined || name === null || name === '') {
+      return profiles.get(UPLOAD_PROFILES.DEFAULT_PROFILE);
+    }
+
+    const profile = typeof name === 'string' ? profiles.get(name.toLowerCase()) : null;
+    if (!profile) {
+      const error = new Error(`Unknown upload profile: ${name}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      error.code = 'UNKNOWN_PROFILE';
+      error.details = { availableProfiles: [...profiles.keys()] };
+      throw error;
+    }
+
+    return profile;
+  }
+
+  /**
+   * Rules applied when no profile is selected
+   */
+  static getDefaultProfile() {
+    return this.getProfile();
+  }
+
+  /**
+   * Every configured profile, loaded once
+   */
+  static getProfiles() {
+    if (!this.profiles) {
+      this.profiles = this.loadProfiles();
+    }
+
+    return this.profiles;
+  }
+
+  /**
+   * Read and check the profiles file. A missing file leaves only the
+   * default profile; an invalid one throws, so the server refuses to start.
+   */
+  static loadProfiles(configPath = this.getConfigPath()) {
+    let config = {};
+
+    if (fs.existsSync(configPath)) {
+      try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Upload profiles file ${configPath} could not be read: ${error.message}`);
+      }
+
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Upload profiles file ${configPath} must contain an object of named profiles`);
+      }
+    } else {
+      log.info(`No upload profiles file at ${configPath}, using the default rules only`);
+    }
+
+    const defaults = this.buildProfile(UPLOAD_PROFILES.DEFAULT_PROFILE, config[UPLOAD_PROFILES.DEFAULT_PROFILE] || {});
+    const profiles = new Map([[defaults.name, defaults]]);
+
+    for (const [name, profileConfig] of Object.entries(config)) {
+      if (name.toLowerCase() === UPLOAD_PROFILES.DEFAULT_PROFILE) continue;
+      profiles.set(name.toLowerCase(), this.buildProfile(name, profileConfig));
+    }
+
+    log.info(`Upload profiles loaded: ${[...profiles.keys()].join(', ')}`);
+    return profiles;
+  }
+
+  /**
+   * Drop the loaded profiles so the next lookup reads the file again
+   */
+  static reload() {
+    this.profiles = null;
+    return this.getProfiles();
+  }
+
+  /**
+   * Transformations to apply: the profile's forced ones win over the request's
+   */
+  static resolveTransformations(profile, queryParams = {}) {
+    return Object.keys(profile.transformations).length > 0 ? profile.transformations : queryParams;
+  }
+
+  /**
+   * Public description of a profile (GET /images/profiles)
+   */
+  static describe(profile) {
+    return {
+      name: profile.name,
+      description: profile.description,
+      maxFileSize: profile.maxFileSize,
+      extensions: Object.keys(profile.allowedFileTypes),
+      transformations: profile.transformations,
+      variants: profile.variants,
+      imageProcessing: {
+        minDimension: profile.imageProcessing.MIN_DIMENSION,
+        maxDimension: profile.imageProcessing.MAX_DIMENSION,
+        minQuality: profile.imageProcessing.MIN_QUALITY,
+        formats: profile.imageProcessing.SUPPORTED_FORMATS
+      }
+    };
+  }
+
+  /**
+   * Whether a profile accepts fewer file types than the global list
+   * (its own extensions, or a presigned policy's)
+   */
+  static restrictsTypes(profile) {
+    return Object.keys(profile.allowedFileTypes).length < Object.keys(SECURITY.ALLOWED_FILE_TYPES).length;
+  }
+
+  /**
+   * Helper: Resolve one profile from its configuration over the global rules.
+   * imageProcessing keeps the IMAGE_PROCESSING shape so services can use
+   * either one as their rules.
+   */
+  static buildProfile(name, config) {
+    const fail = (message) => {
+      throw new Error(`Invalid upload profile "${name}": ${message}`);
+    };
+
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      fail('names may only contain letters, digits, "-" and "_"');
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      fail('must be an object');
+    }
+
+    const maxFileSize = config.maxFileSize ?? FILE_LIMITS.MAX_FILE_SIZE;
+    if (!Number.isInteger(maxFileSize) || maxFileSize < 1) {
+      fail('maxFileSize must be a positive integer (bytes)');
+    }
+
+    const imageProcessing = this.buildImageProcessing(config.imageProcessing, fail);
+
+    return {
+      name: name.toLowerCase(),
+      description: typeof config.description === 'string' ? config.description : null,
+      maxFileSize,
+      allowedFileTypes: this.buildAllowedFileTypes(config.extensions, fail),
+      transformations: this.buildTransformations(config.transformations, fail),
+      variants: this.buildVariants(config.variants, imageProcessing, fail),
+      imageProcessing
+    };
+  }
+
+  /**
+   * Helper: Extension → MIME types map restricted to the profile's extensions
+   */
+  static buildAllowedFileTypes(extensions, fail) {
+    const allowed = SECURITY.ALLOWED_FILE_TYPES;
+
+    if (extensions === undefined) {
+      return allowed;
+    }
+
+    if (!Array.isArray(extensions) || extensions.length === 0) {
+      fail('extensions must be a non-empty array');
+    }
+
+    const list = extensions
+      .map(extension => String(extension).toLowerCase())
+      .map(extension => extension.startsWith('.') ? extension : `.${extension}`);
+
+    const invalid = list.filter(extension => !allowed[extension]);
+    if (invalid.length > 0) {
+      fail(`unknown extensions ${invalid.join(', ')}. Allowed extensions: ${Object.keys(allowed).join(', ')}`);
+    }
+
+    return Object.fromEntries(list.map(extension => [extension, allowed[extension]]));
+  }
+
+  /**
+   * Helper: Forced transformations, validated like presigned ones
+   */
+  static buildTransformations(transformations = {}, fail) {
+    const picked = ImageTransformationService.pickTransformations(transformations);
+    const validation = ValidationUtils.validateTransformationParams(picked);
+
+    if (!validation.isValid) {
+      fail(`transformations: ${validation.errors.join('; ')}`);
+    }
+
+    return picked;
+  }
+
+  /**
+   * Helper: Variants generated on every upload: true (default widths) or
+   * { widths, formats }, checked against the profile's image limits
+   */
+  static buildVariants(variants, imageProcessing, fail) {
+    if (variants === undefined || variants === false) {
+      return null;
+    }
+
+    const options = variants === true ? { widths: true } : variants;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      fail('variants must be true or an object with widths and formats');
+    }
+
+    try {
+      return VariantService.parseOptions(options, imageProcessing);
+    } catch (error) {
+      fail(`variants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Helper: IMAGE_PROCESSING with the profile's overrides
+   */
+  static buildImageProcessing(overrides = {}, fail) {
+    const rules = { ...IMAGE_PROCESSING };
+    const { minDimension, maxDimension, minQuality, formats } = overrides;
+
+    if (minDimension !== undefined) {
+      if (!Number.isInteger(minDimension) || minDimension < 1) fail('imageProcessing.minDimension must be a positive integer');
+      rules.MIN_DIMENSION = minDimension;
+    }
+
+    if (maxDimension !== undefined) {
+      if (!Number.isInteger(maxDimension) || maxDimension < 1) fail('imageProcessing.maxDimension must be a positive integer');
+      rules.MAX_DIMENSION = maxDimension;
+    }
+
+    if (rules.MIN_DIMENSION > rules.MAX_DIMENSION) {
+      fail('imageProcessing.minDimension is above maxDimension');
+    }
+
+    if (minQuality !== undefined) {
+      if (!Number.isInteger(minQuality) || minQuality < 1 || minQuality > IMAGE_PROCESSING.MAX_QUALITY) {
+        fail(`imageProcessing.minQuality must be an integer between 1 and ${IMAGE_PROCESSING.MAX_QUALITY}`);
+      }
+      rules.MIN_QUALITY = minQuality;
+    }
+
+    if (formats !== undefined) {
+      const list = Array.isArray(formats) ? formats.map(format => String(format).toLowerCase()) : [];
+      const invalid = list.filter(format => !IMAGE_PROCESSING.SUPPORTED_FORMATS.includes(format));
+
+      if (list.length === 0 || invalid.length > 0) {
+        fail(`imageProcessing.formats must list output formats among ${IMAGE_PROCESSING.SUPPORTED_FORMATS.join(', ')}`);
+      }
+
+      rules.SUPPORTED_FORMATS = list;
+      rules.RASTERIZE_FORMATS = IMAGE_PROCESSING.RASTERIZE_FORMATS.filter(format => list.includes(format));
+    }
+
+    return rules;
+  }
+
+  /**
+   * Helper: Absolute path of the profiles file
+   */
+  static getConfigPath() {
+    return path.resolve(__dirname, '..', process.env.UPLOAD_PROFILES_FILE || UPLOAD_PROFILES.CONFIG_FILE);
+  }
+}
+
+export default UploadProfileService;
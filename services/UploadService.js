@@ -0,0 +1,490 @@
+/**
+ * Upload Service
+ *
+ * Runs the complete upload pipeline for a single file: validation,
+ * malware scanning, optional transformation, unique naming and the
+ * transactional store.
+ * Shared by the single and batch upload endpoints so both follow the
+ * exact same rules. Stored content is deduplicated by its SHA-256 hash.
+ * SVGs are sanitized before they are transformed, hashed or stored, and
+ * text can be normalized to UTF-8 (TEXT_INSPECTION.NORMALIZE_TO_UTF8).
+ * Every step follows the rules of the upload profile it is given (the
+ * default profile when none is); a profile's forced transformations
+ * replace the requested ones. Responsive variants (?variants= or the
+ * profile's setting) are prepared with the file and stored in its transaction.
+ */
+
+import { log } from '../utils/logger.js';
+import FileUtils from '../utils/fileUtils.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import { BUSINESS_RULES, DESCRIPTIVE_METADATA, FILE_LIMITS, FILE_TYPES, HTTP_STATUS, IMAGE_PROCESSING } from '../config/constants/index.js';
+import FileValidationService from './FileValidationService.js';
+import MalwareScanService from './MalwareScanService.js';
+import ModerationService from './ModerationService.js';
+import ExpirationService from './ExpirationService.js';
+import StaticVisibilityService from './StaticVisibilityService.js';
+import UploadProfileService from './UploadProfileService.js';
+import VariantService from './VariantService.js';
+import ImageTransformationService from './ImageTransformationService.js';
+import SvgSanitizerService from './SvgSanitizerService.js';
+import TextInspectionService from './TextInspectionService.js';
+import FileStorageService from './FileStorageService.js';
+import TransactionService from './TransactionService.js';
+import ImageMetadataRepository from '../repositories/ImageMetadataRepository.js';
+import CleanupQueueRepository from '../repositories/CleanupQueueRepository.js';
+import ContentBlobRepository from '../repositories/ContentBlobRepository.js';
+import ImageVersionRepository from '../repositories/ImageVersionRepository.js';
+import ImageVariantRepository from '../repositories/ImageVariantRepository.js';
+
+export class UploadService {
+  /**
+   * Validate and transform a file without touching public storage or database.
+   * Staged files (file.path) are streamed; transformations write to a new staging file.
+   * `fields` comes from parseUploadFields (title, altText, description, tags, expiresAt).
+   */
+  static async prepareUpload(file, queryParams = {}, fields = {}, profile = UploadProfileService.getDefaultProfile()) {
+    // 1. Validate file (and the variant options, before any work is done)
+    const validationResult = await FileValidationService.validateFile(file, profile);
+    const variantOptions = VariantService.resolveOptions(queryParams, profile);
+
+    // 1b. Scan the content as received, before anything is derived from it or stored
+    await MalwareScanService.scanFile(file);
+
+    // 2-3. Sanitize, normalize and transform
+    const { transformationResult, documentInfo, sanitized } = await this.deriveContent(
+      file,
+      validationResult,
+      UploadProfileService.resolveTransformations(profile, queryParams),
+      { rules: profile.imageProcessing, maxFileSize: profile.maxFileSize }
+    );
+
+    // 4. Generate unique filename
+    const filename = FileStorageService.generateUniqueFilename(transformationResult.extension);
+
+    // 5. Hash the content that will actually be stored
+    const contentHash = await FileUtils.computeHash(transformationResult.path || transformationResult.buffer);
+
+    // 6. Prepare metadata
+    const mime = transformationResult.mimeType || validationResult.mimeType;
+    const metadata = {
+      name: filename,
+      maskName: file.originalname,
+      path: FileStorageService.getRelativePath(filename),
+      mime,
+      size: transformationResult.size,
+      contentHash,
+      documentInfo,
+      moderationStatus: ModerationService.getInitialStatus(),
+      ...fields
+    };
+
+    // 7. Render responsive variants of the content that will be stored
+    let variants;
+    try {
+      variants = await VariantService.prepareVariants(transformationResult, mime, variantOptions, profile.imageProcessing);
+    } catch (error) {
+      await this.discardPrepared({ stagedPath: transformationResult.path });
+      throw error;
+    }
+
+    return {
+      fileBuffer: transformationResult.buffer,
+      stagedPath: transformationResult.path,
+      filename,
+      metadata,
+      variants,
+      validationResult,
+      transformationResult,
+      sanitized,
+      deduplicated: false
+    };
+  }
+
+  /**
+   * Produce the content that would be stored for a validated file: sanitized
+   * vectors, text normalized to UTF-8 when enabled, and the requested
+   * transformations. Transformed staged files are written to a new staging
+   * file unless keepInMemory is set (dry runs). `rules` are the image
+   * processing limits of the upload profile and `maxFileSize` its size
+   * limit, the most that is ever read into memory from a staged file.
+   */
+  static async deriveContent(file, validationResult, queryParams = {}, { keepInMemory = false, rules = IMAGE_PROCESSING, maxFileSize = FILE_LIMITS.MAX_FILE_SIZE } = {}) {
+    // Sanitize vector content; from here on only the sanitized document is used
+    const vector = Boolean(FILE_TYPES[validationResult.mimeType]?.vector);
+    let source = file.path || file.buffer;
+    let sanitized = null;
+    let documentInfo = validationResult.documentInfo;
+
+    if (vector) {
+      const sanitization = SvgSanitizerService.sanitize(await FileUtils.readFileWithLimit(file.path || file.buffer, maxFileSize));
+      source = sanitization.buffer;
+      sanitized = sanitization.removed;
+    }
+
+    // Text is stored re-encoded as UTF-8 when normalization is enabled
+    if (validationResult.mimeType === 'text/plain' && TextInspectionService.isNormalizationEnabled()) {
+      const normalized = TextInspectionService.normalize(await FileUtils.readFileWithLimit(file.path || file.buffer, maxFileSize));
+      if (normalized) {
+        source = normalized.buffer;
+        documentInfo = { ...documentInfo, encoding: 'utf-8', bom: false, normalizedFrom: normalized.from };
+      }
+    }
+
+    // Check if transformations are requested and if file supports them
+    let transformationResult = {
+      ...(Buffer.isBuffer(source) ? { buffer: source } : { path: source }),
+      size: Buffer.isBuffer(source) ? source.length : file.size,
+      extension: validationResult.extension,
+      wasTransformed: false
+    };
+
+    if (ImageTransformationService.hasAnyTransformation(queryParams)) {
+      this.validateTransformations(validationResult, queryParams, rules);
+
+      const outputPath = file.path && !keepInMemory ? await FileStorageService.createStagingPath() : null;
+
+      try {
+        transformationResult = await ImageTransformationService.transformImage(
+          source,
+          validationResult.extension,
+          queryParams,
+          { outputPath, vector, rules }
+        );
+      } catch (error) {
+        await FileStorageService.discardStagedFile(outputPath);
+        throw error;
+      }
+      log.info(`Image transformation applied: ${transformationResult.wasTransformed}`);
+    }
+
+    return { transformationResult, documentInfo, sanitized };
+  }
+
+  /**
+   * Check that a validated file supports the requested transformations and
+   * that every parameter is valid, before any pixel is decoded.
+   * Returns the output format, resize box and quality that would be applied.
+   */
+  static validateTransformations(validationResult, queryParams, rules = IMAGE_PROCESSING) {
+    if (!ImageTransformationService.isTransformableImage(validationResult.mimeType)) {
+      const error = new Error('Transformation not supported');
+      error.statusCode = 400;
+      error.code = 'TRANSFORMATION_NOT_SUPPORTED';
+      error.details = {
+        message: `File type ${validationResult.mimeType} does not support transformations`,
+        supportedTypes: BUSINESS_RULES.TRANSFORMABLE_MIME_TYPES
+      };
+      throw error;
+    }
+
+    ImageTransformationService.validateTransformationsForType(validationResult.mimeType, queryParams, rules);
+    return ImageTransformationService.validateParameters(validationResult.extension, queryParams, rules);
+  }
+
+  /**
+   * Validate, transform and store a single file
+   */
+  static async uploadFile(file, queryParams = {}, fields = {}, profile = UploadProfileService.getDefaultProfile()) {
+    const prepared = await this.prepareUpload(file, queryParams, fields, profile);
+
+    try {
+      const result = await TransactionService.executeUploadTransaction({
+        fileBuffer: prepared.fileBuffer,
+        stagedPath: prepared.stagedPath,
+        filename: prepared.filename,
+        metadata: prepared.metadata,
+        imageRepository: ImageMetadataRepository,
+        cleanupRepository: CleanupQueueRepository,
+        blobRepository: ContentBlobRepository,
+        variants: prepared.variants,
+        variantRepository: ImageVariantRepository
+      });
+      await StaticVisibilityService.refreshImage(prepared.filename);
+      return this.applyStoreResult(prepared, result);
+    } catch (error) {
+      await this.discardPrepared(prepared);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate, transform and store new content for an existing image,
+   * keeping its name and archiving the previous content as a version.
+   * Fields that are not sent (title, tags, expiresAt...) keep their current values.
+   */
+  static async replaceFile(filename, file, queryParams = {}, fields = {}, profile = UploadProfileService.getDefaultProfile()) {
+    const prepared = await this.prepareUpload(file, queryParams, fields, profile);
+
+    try {
+      const result = await TransactionService.executeReplaceTransaction({
+        filename,
+        fileBuffer: prepared.fileBuffer,
+        stagedPath: prepared.stagedPath,
+        storedFilename: prepared.filename,
+        metadata: prepared.metadata,
+        imageRepository: ImageMetadataRepository,
+        versionRepository: ImageVersionRepository,
+        cleanupRepository: CleanupQueueRepository,
+        blobRepository: ContentBlobRepository,
+        variants: prepared.variants,
+        variantRepository: ImageVariantRepository
+      });
+      await StaticVisibilityService.refreshImage(filename);
+
+      return {
+        ...prepared,
+        filename,
+        metadata: result.metadata,
+        variants: result.variants,
+        previousVersion: result.previousVersion,
+        deduplicated: result.deduplicated
+      };
+    } catch (error) {
+      await this.discardPrepared(prepared);
+      throw error;
+    }
+  }
+
+  /**
+   * Read every stored upload field from the multipart body:
+   * descriptive metadata plus the optional expiration
+   */
+  static parseUploadFields(body = {}) {
+    const expiresAt = ExpirationService.parseExpiration(body);
+
+    return {
+      ...this.parseDescriptiveMetadata(body),
+      ...(expiresAt && { expiresAt })
+    };
+  }
+
+  /**
+   * Read descriptive metadata from multipart fields. Fields that were not
+   * sent stay undefined; invalid values throw 400 INVALID_METADATA.
+   */
+  static parseDescriptiveMetadata(body = {}) {
+    const { FIELDS } = DESCRIPTIVE_METADATA;
+    const readText = (value) => {
+      if (typeof value !== 'string') return value;
+      return value.trim() || undefined;
+    };
+
+    const descriptive = {
+      title: readText(body[FIELDS.TITLE]),
+      altText: readText(body[FIELDS.ALT_TEXT]),
+      description: readText(body[FIELDS.DESCRIPTION]),
+      tags: body[FIELDS.TAGS] === undefined
+        ? undefined
+        : ValidationUtils.parseTags(body[FIELDS.TAGS], DESCRIPTIVE_METADATA.TAG_SEPARATOR)
+    };
+
+    const validation = ValidationUtils.validateDescriptiveMetadata(descriptive, {
+      maxTitleLength: DESCRIPTIVE_METADATA.MAX_TITLE_LENGTH,
+      maxTextLength: DESCRIPTIVE_METADATA.MAX_TEXT_LENGTH,
+      maxTags: DESCRIPTIVE_METADATA.MAX_TAGS,
+      maxTagLength: DESCRIPTIVE_METADATA.MAX_TAG_LENGTH
+    });
+
+    if (!validation.isValid) {
+      const error = new Error('Invalid image metadata');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      error.code = 'INVALID_METADATA';
+      error.details = { errors: validation.errors };
+      throw error;
+    }
+
+    // Only return the fields that were sent
+    return Object.fromEntries(Object.entries(descriptive).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Delete the staging file of a prepared upload that will not be stored
+   */
+  static async discardPrepared(prepared) {
+    if (prepared?.stagedPath) {
+      await FileStorageService.discardStagedFile(prepared.stagedPath);
+    }
+
+    await VariantService.discardVariants(prepared?.variants);
+  }
+
+  /**
+   * Upload several files, reporting the outcome of each one independently.
+   * In atomic mode nothing is stored unless every file succeeds.
+   * Upload fields (descriptive metadata, expiration) and the upload profile apply to every file of the batch.
+   */
+  static async uploadBatch(files, queryParams = {}, {
+    atomic = BUSINESS_RULES.BATCH_ATOMIC_DEFAULT,
+    fields = {},
+    profile = UploadProfileService.getDefaultProfile()
+  } = {}) {
+    log.info(`Starting batch upload: ${files.length} files (atomic: ${atomic}, profile: ${profile.name})`);
+
+    return atomic
+      ? this.uploadBatchAtomic(files, queryParams, fields, profile)
+      : this.uploadBatchIndependent(files, queryParams, fields, profile);
+  }
+
+  /**
+   * Best-effort batch: every file goes through the full pipeline on its own
+   */
+  static async uploadBatchIndependent(files, queryParams, fields = {}, profile = UploadProfileService.getDefaultProfile()) {
+    const results = [];
+
+    for (const [index, file] of files.entries()) {
+      try {
+        const prepared = await this.uploadFile(file, queryParams, fields, profile);
+        results.push(this.buildSuccessResult(index, file, prepared));
+      } catch (error) {
+        log.warn(`Batch item ${index} (${file.originalname}) failed: ${error.message}`);
+        results.push(this.buildErrorResult(index, file, error));
+      }
+    }
+
+    return { atomic: false, rolledBack: false, results };
+  }
+
+  /**
+   * All-or-nothing batch: validate every file first, then store them in a
+   * single batch transaction that rolls back already stored files on failure
+   */
+  static async uploadBatchAtomic(files, queryParams, fields = {}, profile = UploadProfileService.getDefaultProfile()) {
+    const prepared = [];
+    const failures = [];
+
+    // Phase 1: validate and transform everything in memory
+    for (const [index, file] of files.entries()) {
+      try {
+        prepared.push(await this.prepareUpload(file, queryParams, fields, profile));
+      } catch (error) {
+        log.warn(`Batch item ${index} (${file.originalname}) failed validation: ${error.message}`);
+        prepared.push(null);
+        failures.push({ index, error });
+      }
+    }
+
+    if (failures.length > 0) {
+      await Promise.all(prepared.map(item => this.discardPrepared(item)));
+      return {
+        atomic: true,
+        rolledBack: true,
+        results: this.buildAbortedResults(files, failures, 'BATCH_ABORTED')
+      };
+    }
+
+    // Phase 2: store everything or nothing
+    let stored;
+    try {
+      const transaction = await TransactionService.executeBatchUploadTransaction({
+        uploads: prepared,
+        imageRepository: ImageMetadataRepository,
+        cleanupRepository: CleanupQueueRepository,
+        blobRepository: ContentBlobRepository,
+        variantRepository: ImageVariantRepository
+      });
+      stored = transaction.results.map((result, index) => this.applyStoreResult(prepared[index], result));
+      for (const item of prepared) {
+        await StaticVisibilityService.refreshImage(item.filename);
+      }
+    } catch (error) {
+      await Promise.all(prepared.map(item => this.discardPrepared(item)));
+      return {
+        atomic: true,
+        rolledBack: true,
+        results: this.buildAbortedResults(files, [{ index: error.failedIndex, error }], 'BATCH_ROLLED_BACK')
+      };
+    }
+
+    return {
+      atomic: true,
+      rolledBack: false,
+      results: files.map((file, index) => this.buildSuccessResult(index, file, stored[index]))
+    };
+  }
+
+  /**
+   * Helper: Merge the outcome of the upload transaction into a prepared upload
+   */
+  static applyStoreResult(prepared, result) {
+    return {
+      ...prepared,
+      metadata: result.metadata,
+      variants: result.variants,
+      deduplicated: result.deduplicated
+    };
+  }
+
+  /**
+   * Helper: Per-file result for a stored file
+   */
+  static buildSuccessResult(index, file, prepared) {
+    return {
+      index,
+      originalname: file.originalname,
+      success: true,
+      status: HTTP_STATUS.CREATED,
+      data: {
+        filename: prepared.filename,
+        url: `/images/${prepared.filename}`,
+        mimetype: prepared.metadata.mime,
+        size: prepared.metadata.size,
+        ...(prepared.validationResult.typeMismatch && { typeMismatch: prepared.validationResult.typeMismatch }),
+        ...(prepared.sanitized && { sanitized: prepared.sanitized }),
+        transformed: prepared.transformationResult.wasTransformed,
+        deduplicated: prepared.deduplicated,
+        contentHash: prepared.metadata.contentHash,
+        moderationStatus: prepared.metadata.moderationStatus,
+        ...(prepared.metadata.documentInfo && { document: prepared.metadata.documentInfo }),
+        ...(prepared.variants.length > 0 && {
+          variants: VariantService.describe(prepared.variants),
+          srcset: VariantService.buildSrcset(prepared.variants)
+        })
+      }
+    };
+  }
+
+  /**
+   * Helper: Per-file result for a failed file
+   */
+  static buildErrorResult(index, file, error) {
+    const statusCode = error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR;
+
+    return {
+      index,
+      originalname: file.originalname,
+      success: false,
+      status: statusCode,
+      error: {
+        code: error.code || (statusCode < 500 ? 'VALIDATION_FAILED' : 'UPLOAD_FAILED'),
+        message: statusCode < 500 ? error.message : 'Internal server error',
+        ...(error.details && { details: error.details })
+      }
+    };
+  }
+
+  /**
+   * Helper: Results for an aborted atomic batch. Files that failed keep their
+   * own error, every other file is reported as not stored because of them.
+   */
+  static buildAbortedResults(files, failures, abortCode) {
+    return files.map((file, index) => {
+      const failure = failures.find(item => item.index === index);
+      if (failure) {
+        return this.buildErrorResult(index, file, failure.error);
+      }
+
+      return {
+        index,
+        originalname: file.originalname,
+        success: false,
+        status: HTTP_STATUS.FAILED_DEPENDENCY,
+        error: {
+          code: abortCode,
+          message: 'Not stored because another file in the atomic batch failed'
+        }
+      };
+    });
+  }
+}
+
+export default UploadService;
@@ -0,0 +1,232 @@
+/**
+ * Upload Session Service
+ *
+ * Implements resumable (tus-style) uploads: a client creates a session,
+ * sends the file in chunks at explicit offsets, can ask for the current
+ * offset after a dropped connection, and the completed file is finalized
+ * through the normal validation/transformation/transaction pipeline.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import mime from 'mime-types';
+import { log } from '../utils/logger.js';
+import { RESUMABLE_UPLOADS, HTTP_STATUS } from '../config/constants/index.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import FileValidationService from './FileValidationService.js';
+import FileStorageService from './FileStorageService.js';
+import ImageTransformationService from './ImageTransformationService.js';
+import UploadService from './UploadService.js';
+import UploadSessionRepository from '../repositories/UploadSessionRepository.js';
+
+export class UploadSessionService {
+  /**
+   * Create a new upload session
+   */
+  static async createSession({ uploadLength, uploadMetadata, queryParams = {} }) {
+    const totalSize = this.parseUploadLength(uploadLength);
+    const metadata = this.parseUploadMetadata(uploadMetadata);
+    const originalName = metadata.filename;
+
+    if (!originalName) {
+      throw this.createError('Upload-Metadata must include a base64 encoded "filename"', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Reject what would fail anyway before the client sends a single byte
+    FileValidationService.validateExtension(originalName);
+
+    const transformations = ImageTransformationService.pickTransformations(queryParams);
+    const paramValidation = ValidationUtils.validateTransformationParams(transformations);
+    if (!paramValidation.isValid) {
+      throw this.createError(paramValidation.errors.join('; '), HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const id = uuidv4();
+    await FileStorageService.createSessionFile(id);
+
+    try {
+      const session = await UploadSessionRepository.create({
+        id,
+        originalName,
+        mime: metadata.filetype || mime.lookup(originalName) || null,
+        totalSize,
+        transformations,
+        ttlHours: RESUMABLE_UPLOADS.SESSION_TTL_HOURS
+      });
+
+      log.pass(`Upload session ready: ${id} (${totalSize} bytes expected)`);
+      return session;
+
+    } catch (error) {
+      await FileStorageService.deleteSessionFile(id).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Get an active session, rejecting unknown, expired or finished ones
+   */
+  static async getSession(id) {
+    const session = await UploadSessionRepository.findById(id);
+    this.checkSession(session);
+    return session;
+  }
+
+  /**
+   * Reject a session that doesn't exist or has expired
+   */
+  static checkSession(session) {
+    if (!session) {
+      throw this.createError('Upload session not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (session.is_expired) {
+      throw this.createError('Upload session has expired', HTTP_STATUS.GONE);
+    }
+  }
+
+  /**
+   * Append a chunk at the given offset. Finalizes the upload when the last byte arrives.
+   */
+  static async appendChunk(id, { offsetHeader, chunk }) {
+    const offset = Number.parseInt(offsetHeader, 10);
+    if (!Number.isInteger(offset) || offset < 0 || String(offset) !== String(offsetHeader).trim()) {
+      throw this.createError('Upload-Offset header must be a non-negative integer', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+      throw this.createError('Chunk body is empty', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // The session row stays locked until the bytes are on disk: a concurrent
+    // chunk waits and then sees the new offset, and the offset never counts
+    // bytes that were not written
+    const updated = await UploadSessionRepository.advanceOffset(id, async (session) => {
+      this.checkSession(session);
+
+      if (session.status !== RESUMABLE_UPLOADS.STATUS.ACTIVE) {
+        throw this.createError(`Upload session is ${session.status}`, HTTP_STATUS.CONFLICT);
+      }
+
+      if (offset !== session.upload_offset) {
+        const error = this.createError(`Upload-Offset mismatch. Current offset is ${session.upload_offset}`, HTTP_STATUS.CONFLICT);
+        error.currentOffset = session.upload_offset;
+        throw error;
+      }
+
+      const newOffset = offset + chunk.length;
+      if (newOffset > session.total_size) {
+        throw this.createError('Chunk exceeds the declared Upload-Length', HTTP_STATUS.PAYLOAD_TOO_LARGE);
+      }
+
+      await FileStorageService.writeSessionChunk(id, chunk, offset);
+      return newOffset;
+    });
+
+    if (updated.upload_offset < updated.total_size) {
+      return { session: updated, completed: false };
+    }
+
+    // Finalized after the lock is released: it updates the same row
+    const upload = await this.finalizeSession(updated);
+    return { session: updated, completed: true, upload };
+  }
+
+  /**
+   * Run the completed file through the normal upload pipeline
+   */
+  static async finalizeSession(session) {
+    log.info(`Finalizing upload session: ${session.id}`);
+
+    try {
+      // The partial file is complete: treat it like any other staged upload
+      const file = {
+        originalname: session.original_name,
+        mimetype: session.mime,
+        path: FileStorageService.getSessionFilePath(session.id),
+        size: session.total_size
+      };
+
+      const upload = await UploadService.uploadFile(file, session.transformations);
+
+      await UploadSessionRepository.updateStatus(session.id, RESUMABLE_UPLOADS.STATUS.COMPLETED, upload.filename);
+
+      // Untouched files were moved into place, transformed or sanitized ones leave the partial file behind
+      if (upload.stagedPath !== file.path) {
+        await FileStorageService.deleteSessionFile(session.id);
+      }
+
+      log.pass(`Upload session finalized: ${session.id} -> ${upload.filename}`);
+      return { ...upload, file };
+
+    } catch (error) {
+      log.error(`Upload session finalize failed: ${error.message}`);
+
+      // The bytes are complete but unusable, retrying the same chunks won't help
+      await UploadSessionRepository.updateStatus(session.id, RESUMABLE_UPLOADS.STATUS.FAILED);
+      await FileStorageService.deleteSessionFile(session.id).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Abort an upload session and discard its partial data
+   */
+  static async terminateSession(id) {
+    const session = await UploadSessionRepository.findById(id);
+
+    if (!session) {
+      throw this.createError('Upload session not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    await FileStorageService.deleteSessionFile(id);
+    await UploadSessionRepository.delete(id);
+
+    log.info(`Upload session terminated: ${id}`);
+    return session;
+  }
+
+  /**
+   * Parse the Upload-Length header
+   */
+  static parseUploadLength(uploadLength) {
+    const totalSize = Number.parseInt(uploadLength, 10);
+
+    if (!Number.isInteger(totalSize) || totalSize <= 0 || String(totalSize) !== String(uploadLength).trim()) {
+      throw this.createError('Upload-Length header must be a positive integer', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (totalSize > RESUMABLE_UPLOADS.MAX_UPLOAD_SIZE) {
+      const maxSizeMB = RESUMABLE_UPLOADS.MAX_UPLOAD_SIZE / (1024 * 1024);
+      throw this.createError(`File too large. Maximum size allowed: ${maxSizeMB}MB`, HTTP_STATUS.PAYLOAD_TOO_LARGE);
+    }
+
+    return totalSize;
+  }
+
+  /**
+   * Parse the Upload-Metadata header: comma separated "key base64value" pairs
+   */
+  static parseUploadMetadata(header = '') {
+    const metadata = {};
+
+    for (const pair of String(header).split(',')) {
+      const [key, encoded] = pair.trim().split(' ');
+      if (!key) continue;
+
+      metadata[key] = encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Helper: Build an error with HTTP status code
+   */
+  static createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default UploadSessionService;
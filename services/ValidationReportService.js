@@ -0,0 +1,194 @@
+/**
+ * Validation Report Service
+ *
+ * Dry run of the upload pipeline for POST /images/validate: every
+ * FileValidationService step, the malware scan and the transformation
+ * parameter checks run exactly as on upload, and the content is derived
+ * in memory to report what would be stored. Nothing is written to public
+ * storage or the database. The rules are those of the selected upload
+ * profile, forced transformations and variant options included.
+ *
+ * Each check is reported as passed, failed (with the error an upload
+ * would get) or skipped because an earlier check failed.
+ */
+
+import sharp from 'sharp';
+import { log } from '../utils/logger.js';
+import { VARIANTS } from '../config/constants/index.js';
+import FileValidationService from './FileValidationService.js';
+import MalwareScanService from './MalwareScanService.js';
+import ImageTransformationService from './ImageTransformationService.js';
+import UploadService from './UploadService.js';
+import UploadProfileService from './UploadProfileService.js';
+import VariantService from './VariantService.js';
+
+export class ValidationReportService {
+  static CHECK_STATUSES = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+  };
+
+  /**
+   * Run every upload check against a staged or in-memory file and report
+   * the outcome of each one, the detected type and the would-be output
+   */
+  static async buildReport(file, queryParams = {}, profile = UploadProfileService.getDefaultProfile()) {
+    log.info(`Building validation report for: ${file.originalname} (profile: ${profile.name})`);
+
+    const allowedFiles = profile.allowedFileTypes;
+    const transformations = UploadProfileService.resolveTransformations(profile, queryParams);
+    const declaredMimeType = file.mimetype ? file.mimetype.split(';')[0].trim().toLowerCase() : null;
+    const extensionMimeType = FileValidationService.lookupExtensionMimeType(file.originalname);
+    const checks = [];
+    const detected = {};
+    let failed = false;
+    let output = null;
+
+    const run = async (name, check) => {
+      if (failed) {
+        checks.push({ name, status: this.CHECK_STATUSES.SKIPPED });
+        return;
+      }
+
+      try {
+        const details = await check();
+        checks.push({ name, status: this.CHECK_STATUSES.PASSED, ...(details && { details }) });
+      } catch (error) {
+        // Unexpected failures are not a verdict on the file
+        if (!error.statusCode) throw error;
+
+        failed = true;
+        checks.push({ name, status: this.CHECK_STATUSES.FAILED, error: this.describeError(error) });
+      }
+    };
+
+    await run('size', () => {
+      FileValidationService.validateFileSize(file, profile.maxFileSize);
+      return { size: file.size ?? file.buffer?.length ?? 0, maxSize: profile.maxFileSize };
+    });
+
+    await run('extension', () => {
+      detected.originalExtension = FileValidationService.validateExtension(file.originalname, allowedFiles);
+      return { extension: detected.originalExtension };
+    });
+
+    await run('contentType', async () => {
+      detected.mimeType = await FileValidationService.sniffMimeType(file, allowedFiles);
+      return { declared: declaredMimeType, extension: extensionMimeType, sniffed: detected.mimeType };
+    });
+
+    await run('extensionMatch', () => {
+      FileValidationService.crossValidateExtensionAndMime(detected.originalExtension, detected.mimeType, allowedFiles, UploadProfileService.restrictsTypes(profile));
+      detected.extension = FileValidationService.resolveStorageExtension(detected.originalExtension, detected.mimeType, allowedFiles);
+      return { storedExtension: detected.extension };
+    });
+
+    await run('content', async () => {
+      const { documentInfo = null, dimensions = null } = await FileValidationService.validateContent(file, detected.mimeType, profile.maxFileSize);
+      detected.documentInfo = documentInfo;
+      detected.dimensions = dimensions;
+      if (!dimensions && !documentInfo) return null;
+      return {
+        ...(dimensions && { dimensions }),
+        ...(documentInfo && { document: documentInfo })
+      };
+    });
+
+    await run('malwareScan', async () => {
+      const { scanned } = await MalwareScanService.scanFile(file);
+      return { scanner: MalwareScanService.getScanner()?.name ?? null, scanned };
+    });
+
+    const validationResult = {
+      extension: detected.extension,
+      mimeType: detected.mimeType,
+      documentInfo: detected.documentInfo ?? null
+    };
+
+    if (ImageTransformationService.hasAnyTransformation(transformations)) {
+      await run('transformation', () => UploadService.validateTransformations(validationResult, transformations, profile.imageProcessing));
+    }
+
+    if (queryParams[VARIANTS.WIDTHS_PARAM] !== undefined || profile.variants) {
+      await run('variants', () => VariantService.resolveOptions(queryParams, profile));
+    }
+
+    await run('output', async () => {
+      output = await this.describeOutput(file, validationResult, detected.dimensions, transformations, profile);
+    });
+
+    const valid = !failed;
+    log.info(`Validation report for ${file.originalname}: ${valid ? 'valid' : 'invalid'}`);
+
+    return {
+      valid,
+      profile: profile.name,
+      file: {
+        originalName: file.originalname,
+        declaredMimeType,
+        size: file.size ?? file.buffer?.length ?? 0
+      },
+      detected: detected.mimeType
+        ? {
+          mimeType: detected.mimeType,
+          extension: detected.extension ?? null,
+          dimensions: detected.dimensions ?? null,
+          document: detected.documentInfo ?? null,
+          typeMismatch: FileValidationService.buildTypeMismatch(declaredMimeType, extensionMimeType, detected.mimeType)
+        }
+        : null,
+      checks,
+      output
+    };
+  }
+
+  /**
+   * What the upload would store: derived in memory with the upload's own
+   * sanitization, normalization and transformation steps
+   */
+  static async describeOutput(file, validationResult, sourceDimensions, queryParams, profile) {
+    const { transformationResult, documentInfo, sanitized } = await UploadService.deriveContent(
+      file,
+      validationResult,
+      queryParams,
+      { keepInMemory: true, rules: profile.imageProcessing, maxFileSize: profile.maxFileSize }
+    );
+
+    const dimensions = transformationResult.wasTransformed
+      ? await this.readDimensions(transformationResult.buffer)
+      : sourceDimensions;
+
+    return {
+      mimeType: transformationResult.mimeType || validationResult.mimeType,
+      extension: transformationResult.extension,
+      estimatedSize: transformationResult.size,
+      dimensions: dimensions ?? null,
+      transformed: transformationResult.wasTransformed,
+      ...(sanitized && { sanitized }),
+      ...(documentInfo && { document: documentInfo })
+    };
+  }
+
+  /**
+   * Helper: Width and height of a transformed image
+   */
+  static async readDimensions(buffer) {
+    const { width, height } = await sharp(buffer).metadata();
+    return { width, height };
+  }
+
+  /**
+   * Helper: The error an upload would have answered with
+   */
+  static describeError(error) {
+    return {
+      status: error.statusCode,
+      ...(error.code && { code: error.code }),
+      message: error.message,
+      ...(error.details && { details: error.details })
+    };
+  }
+}
+
+export default ValidationReportService;
@@ -0,0 +1,236 @@
+/**
+ * Variant Service
+ *
+ * Responsive width variants generated at upload for srcset. Each width of
+ * ?variants= (or of the upload profile's "variants" setting) is rendered
+ * from the content being stored, in its own format or in every format of
+ * ?variantFormats=, and staged until the upload transaction stores the
+ * variants together with the original. Widths wider than a raster source
+ * are skipped: variants never enlarge an image.
+ */
+
+import sharp from 'sharp';
+import { log } from '../utils/logger.js';
+import { FILE_TYPES, HTTP_STATUS, IMAGE_PROCESSING, SERVER, VARIANTS } from '../config/constants/index.js';
+import ImageTransformationService from './ImageTransformationService.js';
+import FileStorageService from './FileStorageService.js';
+
+const WIDTH_PATTERN = /^\d+$/;
+
+export class VariantService {
+  /**
+   * Variant options of an upload: the request's ?variants= wins over the
+   * profile setting (?variants=false turns the profile's off). Null when
+   * no variants are wanted.
+   */
+  static resolveOptions(queryParams = {}, profile) {
+    const requested = queryParams[VARIANTS.WIDTHS_PARAM];
+
+    if (requested === undefined) {
+      return profile?.variants ?? null;
+    }
+
+    return this.parseOptions({
+      widths: requested,
+      formats: queryParams[VARIANTS.FORMATS_PARAM]
+    }, profile?.imageProcessing);
+  }
+
+  /**
+   * Validate and normalize variant options. widths: true (DEFAULT_WIDTHS),
+   * false, a list or a comma separated string; formats: output formats,
+   * empty to keep the stored format. Invalid values throw 400 INVALID_VARIANTS.
+   */
+  static parseOptions({ widths, formats } = {}, rules = IMAGE_PROCESSING) {
+    if (widths === undefined || widths === null || widths === false || widths === 'false' || widths === '') {
+      return null;
+    }
+
+    const widthList = widths === true || widths === 'true'
+      ? VARIANTS.DEFAULT_WIDTHS
+      : this.toList(widths);
+
+    const invalid = widthList.filter(width => !WIDTH_PATTERN.test(String(width).trim()));
+    if (invalid.length > 0 || widthList.length === 0) {
+      throw this.createError('Variant widths must be true or a list of positive integers (e.g. 320,640,1280)');
+    }
+
+    const parsedWidths = [...new Set(widthList.map(width => parseInt(width, 10)))].sort((a, b) => a - b);
+
+    if (parsedWidths.length > VARIANTS.MAX_WIDTHS) {
+      throw this.createError(`At most ${VARIANTS.MAX_WIDTHS} variant widths can be generated`);
+    }
+
+    const outOfBounds = parsedWidths.filter(width => width < rules.MIN_DIMENSION || width > rules.MAX_DIMENSION);
+    if (outOfBounds.length > 0) {
+      throw this.createError(`Variant widths must be between ${rules.MIN_DIMENSION} and ${rules.MAX_DIMENSION}px (got ${outOfBounds.join(', ')})`);
+    }
+
+    const parsedFormats = formats === undefined || formats === null || formats === ''
+      ? []
+      : [...new Set(this.toList(formats).map(format => String(format).trim().toLowerCase()))];
+
+    const unsupported = parsedFormats.filter(format => !rules.SUPPORTED_FORMATS.includes(format));
+    if (unsupported.length > 0) {
+      throw this.createError(`Unsupported variant format: ${unsupported.join(', ')}. Supported: ${rules.SUPPORTED_FORMATS.join(', ')}`);
+    }
+
+    if (parsedFormats.length > VARIANTS.MAX_FORMATS) {
+      throw this.createError(`At most ${VARIANTS.MAX_FORMATS} variant formats can be generated`);
+    }
+
+    return { widths: parsedWidths, formats: parsedFormats };
+  }
+
+  /**
+   * Render the variants of the content about to be stored into staging files.
+   * Types that can't be transformed (PDF, GIF...) get no variants.
+   */
+  static async prepareVariants(transformationResult, mimeType, options, rules = IMAGE_PROCESSING) {
+    if (!options) return [];
+
+    if (!ImageTransformationService.isTransformableImage(mimeType)) {
+      log.info(`No variants for ${mimeType}: the type can't be transformed`);
+      return [];
+    }
+
+    const vector = Boolean(FILE_TYPES[mimeType]?.vector);
+    const source = transformationResult.path || transformationResult.buffer;
+    const extension = transformationResult.extension;
+    const formats = this.resolveFormats(options.formats, { mimeType, extension, vector }, rules);
+
+    // Raster sources are never enlarged, vectors render at any width.
+    // Variants are auto-oriented, so an EXIF-rotated source is measured upright.
+    const sourceWidth = vector ? null : ImageTransformationService.getOrientedSize(await sharp(source).metadata(), rules.AUTO_ORIENT).width;
+    const widths = options.widths.filter(width => vector || width <= sourceWidth);
+
+    log.info(`Preparing variants: ${widths.join(', ') || 'none'} (${formats.join(', ')})`);
+
+    const variants = [];
+
+    try {
+      for (const format of formats) {
+        for (const width of widths) {
+          variants.push(await this.renderVariant(source, extension, { width, format, vector, rules }));
+        }
+      }
+    } catch (error) {
+      await this.discardVariants(variants);
+      throw error;
+    }
+
+    return variants;
+  }
+
+  /**
+   * Delete the staging files of variants that will not be stored
+   */
+  static async discardVariants(variants = []) {
+    await Promise.all(variants.map(variant => FileStorageService.discardStagedFile(variant.stagedPath)));
+  }
+
+  /**
+   * Public description of stored variant rows
+   */
+  static describe(rows = []) {
+    return rows.map(row => ({
+      width: row.width,
+      height: row.height,
+      format: row.format,
+      mimeType: row.mime,
+      size: row.size,
+      url: this.getUrl(row.path)
+    }));
+  }
+
+  /**
+   * Ready-to-use srcset strings by format, e.g.
+   * { webp: '/static/a.webp 320w, /static/b.webp 640w' }
+   */
+  static buildSrcset(rows = []) {
+    const byFormat = {};
+
+    for (const row of [...rows].sort((a, b) => a.width - b.width)) {
+      (byFormat[row.format] ||= []).push(`${this.getUrl(row.path)} ${row.width}w`);
+    }
+
+    return Object.fromEntries(Object.entries(byFormat).map(([format, entries]) => [format, entries.join(', ')]));
+  }
+
+  /**
+   * Helper: Render one variant into a staging file
+   */
+  static async renderVariant(source, extension, { width, format, vector, rules }) {
+    const stagedPath = await FileStorageService.createStagingPath();
+
+    try {
+      const result = await ImageTransformationService.transformImage(
+        source,
+        extension,
+        { [vector ? 'rasterize' : 'convert']: format, resize: String(width) },
+        { outputPath: stagedPath, vector, rules }
+      );
+
+      const [mime, type] = ImageTransformationService.getFileTypeForFormat(format);
+      const { width: renderedWidth, height } = await sharp(stagedPath).metadata();
+
+      return {
+        stagedPath,
+        filename: FileStorageService.generateUniqueFilename(type.extensions[0]),
+        width: renderedWidth,
+        height,
+        format,
+        mime,
+        size: result.size
+      };
+    } catch (error) {
+      await FileStorageService.discardStagedFile(stagedPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Output formats of the variants. The stored format by default;
+   * vectors are rasterized, so theirs must be raster formats (PNG by default).
+   */
+  static resolveFormats(formats, { mimeType, extension, vector }, rules) {
+    if (formats.length === 0) {
+      return [vector ? rules.RASTERIZE_FORMATS[0] : ImageTransformationService.getOutputFormatForExtension(extension)];
+    }
+
+    if (vector) {
+      for (const format of formats) {
+        ImageTransformationService.validateTransformationsForType(mimeType, { rasterize: format }, rules);
+      }
+    }
+
+    return formats;
+  }
+
+  /**
+   * Helper: Public URL of a stored file
+   */
+  static getUrl(relativePath) {
+    return `${SERVER.STATIC_PATH}/${FileStorageService.getFilenameFromPath(relativePath)}`;
+  }
+
+  /**
+   * Helper: Split a comma separated string (or keep a list)
+   */
+  static toList(value) {
+    if (Array.isArray(value)) return value;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Helper: Build a 400 error for invalid variant options
+   */
+  static createError(message) {
+    const error = new Error(message);
+    error.statusCode = HTTP_STATUS.BAD_REQUEST;
+    error.code = 'INVALID_VARIANTS';
+    return error;
+  }
+}
+
+export default VariantService;
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Batch Upload Test Script
+ *
+ * Tests POST /images/batch through the app: per-file results with a 207
+ * summary when some files fail, oversized and disallowed files reported on
+ * their own, atomic batches rolled back, too many files rejected, and a
+ * request body over the batch cap cut off with 413 BATCH_TOO_LARGE.
+ * Uses the database configured in .env.
+ * Usage: node tests/batch.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import { FILE_LIMITS } from '../config/constants/index.js';
+import UploadProfileService from '../services/UploadProfileService.js';
+import { multerConfig } from '../middleware/multerConfig.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+// Profile with a small size limit, so the batch cap is small too
+const TINY_MAX_FILE_SIZE = 64 * 1024;
+
+/**
+ * Stream a batch whose parts add up to `totalBytes`, declared in Content-Length.
+ * Keeps writing after the response, until everything is sent or the server
+ * closes the connection; resolves with the response and the bytes written.
+ */
+const streamBatch = (url, totalBytes) => new Promise((resolve) => {
+  const boundary = `batch-test-${process.pid}`;
+  const head = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="images"; filename="big.jpg"\r\nContent-Type: image/jpeg\r\n\r\n`);
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const chunk = Buffer.alloc(64 * 1024, 0xAB);
+  const contentLength = head.length + totalBytes + tail.length;
+  let sent = 0;
+
+  const req = http.request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': contentLength }
+  });
+
+  const response = new Promise((answered) => {
+    req.on('response', (res) => {
+      let body = '';
+      res.on('data', data => { body += data; });
+      res.on('end', () => answered({ status: res.statusCode, connection: res.headers.connection, body: JSON.parse(body) }));
+    });
+  });
+
+  // Writes fail once the server closes the connection
+  req.on('error', () => null);
+
+  const write = async () => {
+    let closed = false;
+    req.write(head);
+    while (sent < totalBytes && !closed) {
+      const piece = chunk.subarray(0, Math.min(chunk.length, totalBytes - sent));
+      closed = await new Promise(flushed => req.write(piece, error => flushed(Boolean(error))));
+      if (!closed) sent += piece.length;
+    }
+    if (!closed) req.end(tail);
+    resolve({ ...await response, sent });
+  };
+
+  write();
+});
+
+const testBatchUploads = async () => {
+  log.info('Testing batch uploads...\n');
+
+  const configPath = path.join(os.tmpdir(), `batch-test-${process.pid}.json`);
+  const stored = [];
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    await fs.writeFile(configPath, JSON.stringify({ tiny: { maxFileSize: TINY_MAX_FILE_SIZE } }));
+    process.env.UPLOAD_PROFILES_FILE = configPath;
+    UploadProfileService.reload();
+    server = await listen(app);
+
+    const photo = await jpegImage('#336699');
+    const other = await jpegImage('#993366');
+
+    // 1. Per-file results
+    log.test('1. Uploading two images, an oversized file and a disallowed one...');
+    const mixed = await request(`${server.url}/images/batch?profile=tiny`, {
+      method: 'POST',
+      body: formData([
+        ['images', 'first.jpg', photo],
+        ['images', 'big.jpg', crypto.randomBytes(TINY_MAX_FILE_SIZE + 1)],
+        ['images', 'notes.exe', Buffer.from('MZ')],
+        ['images', 'second.jpg', other]
+      ])
+    });
+    expect(mixed.status === 207 && mixed.body.summary.total === 4 && mixed.body.summary.succeeded === 2, `Got ${mixed.status} ${JSON.stringify(mixed.body.summary)}`);
+    const [first, big, exe, second] = mixed.body.results;
+    stored.push(...mixed.body.results.filter(item => item.success).map(item => item.data.filename));
+    expect(first.success && first.status === 201 && first.index === 0 && first.data.mimetype === 'image/jpeg', 'First image not stored');
+    expect(second.success && second.originalname === 'second.jpg', 'Image after the failures not stored');
+    expect(!big.success && big.status === 413 && big.error.code === 'FILE_TOO_LARGE', `Oversized file: ${JSON.stringify(big)}`);
+    expect(!exe.success && exe.status === 400 && exe.error.code === 'INVALID_FILE_TYPE', `Disallowed file: ${JSON.stringify(exe)}`);
+    log.pass('207 with each file\'s own result, in upload order\n');
+
+    // 2. Atomic batches
+    log.test('2. Uploading an atomic batch with one bad file...');
+    const atomic = await request(`${server.url}/images/batch?profile=tiny&atomic=true`, {
+      method: 'POST',
+      body: formData([['images', 'third.jpg', await jpegImage('#669933')], ['images', 'notes.exe', Buffer.from('MZ')]])
+    });
+    expect(atomic.status === 207 && atomic.body.summary.rolledBack && atomic.body.summary.succeeded === 0, 'Atomic batch not rolled back');
+    expect(atomic.body.results[0].status === 424 && atomic.body.results[0].error.code === 'BATCH_ABORTED', 'Valid file not reported as aborted');
+    log.pass('Nothing stored, the valid file reported 424 BATCH_ABORTED\n');
+
+    // 3. Too many files
+    log.test(`3. Uploading ${FILE_LIMITS.MAX_FILES_PER_BATCH + 1} files...`);
+    const files = Array.from({ length: FILE_LIMITS.MAX_FILES_PER_BATCH + 1 }, (_, i) => ['images', `photo-${i}.jpg`, photo]);
+    const tooMany = await request(`${server.url}/images/batch`, { method: 'POST', body: formData(files) });
+    expect(tooMany.status === 400 && tooMany.body.code === 'LIMIT_FILE_COUNT', `Got ${tooMany.status} ${tooMany.body?.code}`);
+    log.pass(`Rejected with 400 LIMIT_FILE_COUNT (maximum ${FILE_LIMITS.MAX_FILES_PER_BATCH})\n`);
+
+    // 4. Request body over the batch cap
+    log.test('4. Streaming a batch larger than the batch cap...');
+    const maxBatchSize = multerConfig.getMaxBatchSize(TINY_MAX_FILE_SIZE);
+    const totalBytes = 50 * maxBatchSize;
+    const streamed = await streamBatch(`${server.url}/images/batch?profile=tiny`, totalBytes);
+    expect(streamed.status === 413 && streamed.body.code === 'BATCH_TOO_LARGE', `Got ${streamed.status} ${streamed.body.code}`);
+    expect(streamed.connection === 'close', 'Connection not closed after the cap');
+    expect(streamed.sent < totalBytes, 'Server read the whole body');
+    log.pass(`413 BATCH_TOO_LARGE, connection closed after ${streamed.sent} of ${totalBytes} bytes (cap ${maxBatchSize})\n`);
+
+    log.pass('All batch upload tests passed!');
+  } catch (error) {
+    log.fail('Batch upload test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    delete process.env.UPLOAD_PROFILES_FILE;
+    await fs.rm(configPath, { force: true });
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testBatchUploads();
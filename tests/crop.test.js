@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Crop and Fit Test Script
+ *
+ * Tests the crop, fit and gravity controls of ImageTransformationService:
+ * parsing of crop areas, fit modes, positions, smart crop strategies and
+ * background colors, the same rules in ValidationUtils, and real images
+ * cropped, covered, letterboxed and smart cropped to the requested size;
+ * and crop, fit and position refused by renders in size allowlist mode.
+ * Usage: node tests/crop.test.js
+ */
+
+import sharp from 'sharp';
+import log from '../utils/logger.js';
+import { IMAGE_PROCESSING } from '../config/constants/index.js';
+import ImageTransformationService from '../services/ImageTransformationService.js';
+import RenderService from '../services/RenderService.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import { expect, expectRejection, parseError, expectParseError, pixelAt, transform } from './helpers.js';
+
+const testCropAndFit = async () => {
+  log.info('Testing crop and fit...\n');
+
+  try {
+    // 1. Crop areas
+    log.test('1. Parsing crop areas...');
+    const crop = ImageTransformationService.parseCropParameter('100,50,800,600');
+    expect(crop.left === 100 && crop.top === 50 && crop.width === 800 && crop.height === 600, `Crop parsed as ${JSON.stringify(crop)}`);
+    for (const invalid of ['100,50,800', '100,50,800,600,1', '-1,0,10,10', '1.5,0,10,10', 'a,b,c,d', '']) {
+      expectParseError(() => ImageTransformationService.parseCropParameter(invalid), 'INVALID_CROP');
+    }
+    expectParseError(() => ImageTransformationService.parseCropParameter('0,0,0,600'), 'INVALID_CROP');
+    log.pass('x,y,width,height parsed; malformed and empty areas rejected\n');
+
+    // 2. Fit and position
+    log.test('2. Parsing fit and position...');
+    const defaults = ImageTransformationService.parseResizeOptions({});
+    expect(defaults.fit === IMAGE_PROCESSING.DEFAULT_FIT && defaults.position === null, `Defaults ${JSON.stringify(defaults)}`);
+    for (const fit of IMAGE_PROCESSING.FIT_MODES) {
+      expect(ImageTransformationService.parseResizeOptions({ fit: fit.toUpperCase() }).fit === fit, `Fit ${fit} not accepted`);
+    }
+    expect(ImageTransformationService.parseResizeOptions({ fit: 'cover' }).position === IMAGE_PROCESSING.DEFAULT_POSITION, 'Default position not applied');
+    expect(ImageTransformationService.parseResizeOptions({ fit: 'contain', position: 'NorthEast' }).position === 'northeast', 'Gravity not normalized');
+    expect(ImageTransformationService.parseResizeOptions({ fit: 'cover', position: 'attention' }).position === 'attention', 'Smart crop not accepted');
+    expect(parseError(() => ImageTransformationService.parseResizeOptions({ fit: 'stretch' })).statusCode === 400, 'Unknown fit accepted');
+    expectParseError(() => ImageTransformationService.parseResizeOptions({ fit: 'inside', position: 'north' }), 'INVALID_POSITION');
+    expectParseError(() => ImageTransformationService.parseResizeOptions({ fit: 'contain', position: 'entropy' }), 'INVALID_POSITION');
+    expectParseError(() => ImageTransformationService.parseResizeOptions({ fit: 'cover', position: 'top' }), 'INVALID_POSITION');
+    log.pass(`Fits: ${IMAGE_PROCESSING.FIT_MODES.join(', ')}; gravity for cover/contain, smart crop for cover only\n`);
+
+    // 3. Background colors
+    log.test('3. Parsing background colors...');
+    const colors = [['fff', 'ffffff'], ['#FF0000', 'ff0000'], ['ffffff80', 'ffffff80'], ['ffffffff', 'ffffff'], ['transparent', '00000000'], ['', IMAGE_PROCESSING.DEFAULT_BACKGROUND]];
+    for (const [input, expected] of colors) {
+      const color = ImageTransformationService.parseBackgroundParameter(input);
+      expect(color === expected, `Background ${input} parsed as ${color}, expected ${expected}`);
+    }
+    expectParseError(() => ImageTransformationService.parseBackgroundParameter('red'), 'INVALID_BACKGROUND');
+    expectParseError(() => ImageTransformationService.parseBackgroundParameter('12345'), 'INVALID_BACKGROUND');
+    log.pass('Short, long, alpha and transparent colors normalized\n');
+
+    // 4. ValidationUtils agrees
+    log.test('4. Checking the same parameters with ValidationUtils...');
+    const accepted = [
+      { resize: '800x600', fit: 'cover', position: 'attention' },
+      { resize: '800x800', fit: 'contain', position: 'south', background: 'transparent' },
+      { crop: '100,50,800,600', resize: '400' }
+    ];
+    const rejected = [
+      { resize: '800x600', fit: 'stretch' },
+      { resize: '800x600', fit: 'contain', position: 'entropy' },
+      { resize: '800x600', position: 'north' },
+      { resize: '800x600', background: 'ffffff' },
+      { crop: '100,50,0,600' },
+      { crop: '100,50' }
+    ];
+    for (const params of accepted) {
+      const validation = ValidationUtils.validateTransformationParams(params);
+      expect(validation.isValid, `${JSON.stringify(params)} rejected: ${validation.errors.join('; ')}`);
+      ImageTransformationService.validateParameters('.jpg', params);
+    }
+    for (const params of rejected) {
+      expect(!ValidationUtils.validateTransformationParams(params).isValid, `${JSON.stringify(params)} accepted by ValidationUtils`);
+      expect(parseError(() => ImageTransformationService.validateParameters('.jpg', params)).statusCode === 400,
+        `${JSON.stringify(params)} accepted by ImageTransformationService`);
+    }
+    const examples = ImageTransformationService.getTransformationExamples();
+    expect(['fit', 'position', 'smart_crop', 'background', 'crop'].every(name => examples[name]), 'Examples missing from the documentation');
+    log.pass(`${accepted.length} combinations accepted and ${rejected.length} rejected by both\n`);
+
+    // 5. Real images
+    log.test('5. Cropping and fitting a 1200x600 image...');
+    // Left half red, right half blue
+    const source = await sharp({ create: { width: 1200, height: 600, channels: 3, background: '#ff0000' } })
+      .composite([{ input: { create: { width: 600, height: 600, channels: 3, background: '#0000ff' } }, left: 600, top: 0 }])
+      .png()
+      .toBuffer();
+
+    const cropped = await transform(source, { crop: '700,100,300,200' });
+    expect(cropped.width === 300 && cropped.height === 200 && (await pixelAt(cropped.buffer, 0, 0))[2] === 255, 'Crop area not extracted');
+
+    const covered = await transform(source, { resize: '400x400', fit: 'cover', position: 'east' });
+    const [red, , blue] = await pixelAt(covered.buffer, 20, 200); // Away from the resampled edge
+    expect(covered.width === 400 && covered.height === 400 && blue === 255 && red === 0, 'Cover not anchored east');
+
+    const letterboxed = await transform(source, { resize: '400x400', fit: 'contain', background: '00ff00' });
+    expect(letterboxed.width === 400 && letterboxed.height === 400, 'Contain did not fill the box');
+    expect((await pixelAt(letterboxed.buffer, 200, 0)).join() === '0,255,0,255', 'Letterbox not filled with the background');
+
+    const inside = await transform(source, { resize: '400x400' });
+    expect(inside.width === 400 && inside.height === 200, 'Default fit did not keep the aspect ratio');
+
+    const smart = await transform(source, { resize: '300x300', fit: 'cover', position: 'attention' });
+    expect(smart.width === 300 && smart.height === 300, 'Smart crop size wrong');
+
+    const outside = await expectRejection(ImageTransformationService.transformImage(source, '.png', { crop: '1000,0,400,600' }), 400, 'CROP_OUT_OF_BOUNDS');
+    expect(outside.details.width === 1200, 'Image bounds missing from details');
+    log.pass('Crop, cover, contain, inside and attention produce the requested sizes\n');
+
+    // 6. Render size allowlist
+    log.test('6. Rendering with crop, fit and position in size allowlist mode...');
+    process.env.RENDER_SIZE_ALLOWLIST = '300x300';
+    const jpegSource = { filename: 'photo.jpg', mimeType: 'image/jpeg', extension: '.jpg', vector: false };
+    for (const [query, parameters] of [
+      [{ w: '300', h: '300', crop: '0,0,600,600' }, 'crop'],
+      [{ w: '300', h: '300', fit: 'cover' }, 'fit'],
+      [{ w: '300', h: '300', fit: 'cover', position: 'attention' }, 'fit,position']
+    ]) {
+      const refused = await expectRejection((async () => RenderService.parseRenderParameters(query, jpegSource))(), 400, 'RENDER_PARAMETER_NOT_ALLOWED');
+      expect(refused.details.parameters.join() === parameters, `${JSON.stringify(query)} reported as ${refused.details.parameters.join()}`);
+    }
+    const allowed = RenderService.parseRenderParameters({ w: '300', h: '300', fit: 'INSIDE' }, jpegSource);
+    expect(allowed.key === '300x300-inside-qauto.jpg', `Default fit refused or keyed as ${allowed.key}`);
+    log.pass('crop, fit and position refused, the default fit accepted\n');
+
+    log.pass('All crop and fit tests passed!');
+  } catch (error) {
+    log.fail('Crop and fit test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    delete process.env.RENDER_SIZE_ALLOWLIST;
+  }
+};
+
+// Run the test
+testCropAndFit();
@@ -10,6 +10,9 @@
 import db from '../config/database.js';
 import log from '../utils/logger.js';
 
+// Every table initializeDatabase() creates
+const EXPECTED_TABLES = ['images_metadata', 'cleanup_queue', 'upload_sessions', 'content_blobs', 'idempotency_keys', 'image_versions', 'image_variants', 'rate_limit_buckets'];
+
 const testDatabase = async () => {
   log.info('Testing database connection...\n');
 
@@ -35,19 +38,21 @@ const testDatabase = async () => {
       SELECT table_name 
       FROM information_schema.tables 
       WHERE table_schema = 'public' 
-      AND table_name IN ('images_metadata', 'cleanup_queue')
+      AND table_name = ANY($1)
       ORDER BY table_name
-    `);
-    
-    if (tables.rows.length > 0) {
-      log.pass('Found expected tables:');
-      tables.rows.forEach(row => {
-        console.log(`        - ${row.table_name}`);
-      });
-    } else {
-      log.warn('No expected tables found');
+    `, [EXPECTED_TABLES]);
+
+    const found = tables.rows.map(row => row.table_name);
+    const missing = EXPECTED_TABLES.filter(table => !found.includes(table));
+    if (missing.length > 0) {
+      throw new Error(`Missing tables after initialization: ${missing.join(', ')}`);
     }
 
+    log.pass('Found expected tables:');
+    found.forEach(table => {
+      console.log(`        - ${table}`);
+    });
+
     console.log('');
     log.pass('All database tests passed!');
     
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Deduplication Test Script
+ *
+ * Tests content-addressed storage through the app: identical uploads share
+ * one physical file, referenced by the SHA-256 of the content and counted in
+ * content_blobs; deleting an image only removes the file with its last
+ * reference; identical uploads sent at the same time still register one blob.
+ * Uses the database configured in .env.
+ * Usage: node tests/dedup.test.js
+ */
+
+import crypto from 'crypto';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import FileStorageService from '../services/FileStorageService.js';
+import ContentBlobRepository from '../repositories/ContentBlobRepository.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+// Random color, so the content is new to the database
+const newImage = () => jpegImage(`#${crypto.randomBytes(3).toString('hex')}`);
+
+const upload = async (url, content, filename) => {
+  const response = await request(`${url}/images`, { method: 'POST', body: formData([['image', filename, content]]) });
+  expect(response.status === 200, `Upload of ${filename}: ${response.status} ${JSON.stringify(response.body)}`);
+  return response.body.data;
+};
+
+const remove = async (url, filename) => {
+  const response = await request(`${url}/images/${filename}`, { method: 'DELETE' });
+  expect(response.status === 200, `Delete of ${filename}: ${response.status} ${JSON.stringify(response.body)}`);
+};
+
+const storedPath = async (url, filename) => {
+  const response = await request(`${url}/images/${filename}`);
+  expect(response.status === 200, `Metadata of ${filename}: ${response.status}`);
+  return response.body.file.path;
+};
+
+const testDeduplication = async () => {
+  log.info('Testing deduplication...\n');
+
+  const stored = new Set();
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    server = await listen(app);
+
+    const photo = await newImage();
+    const hash = crypto.createHash('sha256').update(photo).digest('hex');
+
+    // 1. First upload
+    log.test('1. Uploading an image...');
+    const first = await upload(server.url, photo, 'logo.jpg');
+    stored.add(first.filename);
+    expect(!first.deduplicated && first.contentHash === hash, `Got deduplicated=${first.deduplicated}, hash ${first.contentHash}`);
+    const blob = await ContentBlobRepository.findByHash(hash);
+    expect(blob && blob.filename === first.filename && blob.ref_count === 1, `Blob: ${JSON.stringify(blob)}`);
+    log.pass(`Stored as ${first.filename}, blob registered with one reference\n`);
+
+    // 2. Same content again
+    log.test('2. Uploading the same content under another name...');
+    const second = await upload(server.url, photo, 'logo-copy.jpg');
+    stored.add(second.filename);
+    expect(second.deduplicated && second.contentHash === hash && second.filename !== first.filename, `Got deduplicated=${second.deduplicated}`);
+    expect((await ContentBlobRepository.findByHash(hash)).ref_count === 2, 'Reference not counted');
+    expect(await storedPath(server.url, second.filename) === await storedPath(server.url, first.filename), 'Copies point to different files');
+    expect(!await FileStorageService.fileExists(second.filename), 'Duplicate written to disk');
+    log.pass('deduplicated: true, same file, two references\n');
+
+    // 3. Delete one reference
+    log.test('3. Deleting the first image...');
+    await remove(server.url, first.filename);
+    stored.delete(first.filename);
+    expect((await ContentBlobRepository.findByHash(hash))?.ref_count === 1, 'Reference not released');
+    expect(await FileStorageService.fileExists(blob.filename), 'Shared file deleted while still referenced');
+    expect(await storedPath(server.url, second.filename) === `/uploads/${blob.filename}`, 'Copy lost its file');
+    log.pass('File kept for the remaining reference\n');
+
+    // 4. Delete the last reference
+    log.test('4. Deleting the last image with that content...');
+    await remove(server.url, second.filename);
+    stored.delete(second.filename);
+    expect(await ContentBlobRepository.findByHash(hash) === null, 'Blob row left behind');
+    expect(!await FileStorageService.fileExists(blob.filename), 'File left behind after the last reference');
+    log.pass('Blob and file removed\n');
+
+    // 5. Identical uploads at the same time
+    log.test('5. Uploading the same new content twice at the same time...');
+    const twin = await newImage();
+    const twins = await Promise.all([upload(server.url, twin, 'twin-a.jpg'), upload(server.url, twin, 'twin-b.jpg')]);
+    twins.forEach(item => stored.add(item.filename));
+    expect(twins.filter(item => item.deduplicated).length === 1, `Deduplicated: ${twins.map(item => item.deduplicated).join(', ')}`);
+    const twinBlob = await ContentBlobRepository.findByHash(twins[0].contentHash);
+    expect(twinBlob.ref_count === 2, `Blob references: ${twinBlob.ref_count}`);
+    const onDisk = await Promise.all(twins.map(item => FileStorageService.fileExists(item.filename)));
+    expect(onDisk.filter(Boolean).length === 1, 'Both copies written to disk');
+    log.pass('One blob with two references, one file on disk\n');
+
+    log.pass('All deduplication tests passed!');
+  } catch (error) {
+    log.fail('Deduplication test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testDeduplication();
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Image Formats Test Script
+ *
+ * Tests WebP, AVIF, HEIC/HEIF, TIFF and BMP support from FILE_TYPES down:
+ * derived extension and signature tables, the multer file filter, RIFF and
+ * ISO-BMFF (ftyp) container parsing, header structure checks, which types
+ * can be transformed, and real sharp-encoded files through validation.
+ * Usage: node tests/formats.test.js
+ */
+
+import sharp from 'sharp';
+import log from '../utils/logger.js';
+import { FILE_TYPES, IMAGE_PROCESSING, SECURITY } from '../config/constants/index.js';
+import ContentSniffingService from '../services/ContentSniffingService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import ImageTransformationService from '../services/ImageTransformationService.js';
+import { expect, filterAccepts } from './helpers.js';
+
+const NEW_TYPES = ['image/webp', 'image/avif', 'image/heic', 'image/heif', 'image/tiff', 'image/bmp'];
+
+// ISO-BMFF ftyp box: size, "ftyp", major brand, minor version, compatible brands
+const ftyp = (majorBrand, ...compatibleBrands) => {
+  const size = 16 + compatibleBrands.length * 4;
+  const box = Buffer.alloc(size);
+  box.writeUInt32BE(size, 0);
+  box.write('ftyp', 4, 'latin1');
+  box.write(majorBrand, 8, 'latin1');
+  compatibleBrands.forEach((brand, i) => box.write(brand, 16 + i * 4, 'latin1'));
+  return box;
+};
+
+// RIFF header with a form type and its first chunk id
+const riff = (form, chunk) => Buffer.concat([
+  Buffer.from('RIFF'), Buffer.from([0x24, 0x00, 0x00, 0x00]), Buffer.from(form), Buffer.from(chunk), Buffer.alloc(8)
+]);
+
+// BMP file header followed by the size of its DIB header
+const bmp = (dibHeaderSize) => {
+  const header = Buffer.alloc(26);
+  header.write('BM', 0, 'latin1');
+  header.writeUInt32LE(26, 2);
+  header.writeUInt32LE(14 + dibHeaderSize, 10);
+  header.writeUInt32LE(dibHeaderSize, 14);
+  return header;
+};
+
+const testImageFormats = async () => {
+  log.info('Testing image formats...\n');
+
+  try {
+    // 1. One source of truth
+    log.test('1. Checking the tables derived from FILE_TYPES...');
+    for (const mimeType of NEW_TYPES) {
+      for (const extension of FILE_TYPES[mimeType].extensions) {
+        expect(SECURITY.ALLOWED_FILE_TYPES[extension]?.includes(mimeType), `${extension} not allowed as ${mimeType}`);
+        expect(await filterAccepts({}, `picture${extension.toUpperCase()}`), `File filter rejected ${extension}`);
+      }
+      expect(SECURITY.ALLOWED_IMAGE_TYPES.includes(mimeType), `${mimeType} missing from ALLOWED_IMAGE_TYPES`);
+      // ISO-BMFF types have no fixed leading bytes, their brands identify them
+      const { signatures, container } = FILE_TYPES[mimeType];
+      expect(signatures ? SECURITY.FILE_SIGNATURES[mimeType] === signatures : container?.brands?.length > 0,
+        `${mimeType} has neither signatures nor container brands`);
+    }
+    log.pass('Extensions, signatures and the file filter agree\n');
+
+    // 2. Transformable types and output formats
+    log.test('2. Checking transformable types and output formats...');
+    for (const mimeType of ['image/webp', 'image/avif', 'image/tiff']) {
+      expect(ImageTransformationService.isTransformableImage(mimeType), `${mimeType} not transformable`);
+      expect(IMAGE_PROCESSING.SUPPORTED_FORMATS.includes(FILE_TYPES[mimeType].outputFormat), `${mimeType} is not an output format`);
+    }
+    for (const mimeType of ['image/heic', 'image/heif', 'image/bmp']) {
+      expect(!ImageTransformationService.isTransformableImage(mimeType), `${mimeType} reported as transformable`);
+    }
+    log.pass(`Output formats: ${IMAGE_PROCESSING.SUPPORTED_FORMATS.join(', ')}\n`);
+
+    // 3. RIFF containers
+    log.test('3. Parsing RIFF containers...');
+    for (const chunk of ['VP8 ', 'VP8L', 'VP8X']) {
+      expect(ContentSniffingService.sniff(riff('WEBP', chunk)) === 'image/webp', `WebP with ${chunk} not recognized`);
+    }
+    expect(ContentSniffingService.sniff(riff('WAVE', 'fmt ')) !== 'image/webp', 'RIFF WAVE sniffed as WebP');
+    expect(ContentSniffingService.sniff(riff('WEBP', 'ICCP')) !== 'image/webp', 'WebP without a VP8 chunk accepted');
+    log.pass('Only WEBP forms with a VP8 chunk are WebP\n');
+
+    // 4. ISO-BMFF brands
+    log.test('4. Parsing ftyp brands...');
+    const brands = [
+      [ftyp('avif', 'mif1', 'miaf'), 'image/avif'],
+      [ftyp('heic', 'mif1'), 'image/heic'],
+      [ftyp('mif1', 'heic'), 'image/heic'],
+      [ftyp('mif1', 'avif'), 'image/avif'],
+      [ftyp('mif1', 'miaf'), 'image/heif'],
+      [ftyp('msf1', 'iso8'), 'image/heif'],
+      [ftyp('isom', 'mp41'), null]
+    ];
+    for (const [buffer, expected] of brands) {
+      const sniffed = ContentSniffingService.matchFtypBrand(buffer);
+      expect(sniffed === expected, `Brands ${buffer.subarray(8).toString('latin1')} sniffed as ${sniffed}, expected ${expected}`);
+    }
+    log.pass('Major and compatible brands resolved\n');
+
+    // 5. TIFF and BMP header structure
+    log.test('5. Checking TIFF and BMP headers...');
+    const tiffLittle = Buffer.from([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00]);
+    const tiffBig = Buffer.from([0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08]);
+    const tiffBadOffset = Buffer.from([0x49, 0x49, 0x2A, 0x00, 0x04, 0x00, 0x00, 0x00]);
+    expect(ContentSniffingService.sniff(tiffLittle) === 'image/tiff', 'Little endian TIFF not recognized');
+    expect(ContentSniffingService.sniff(tiffBig) === 'image/tiff', 'Big endian TIFF not recognized');
+    expect(ContentSniffingService.sniff(tiffBadOffset) !== 'image/tiff', 'TIFF with its IFD inside the header accepted');
+    expect(ContentSniffingService.sniff(bmp(40)) === 'image/bmp', 'BMP (BITMAPINFOHEADER) not recognized');
+    expect(ContentSniffingService.sniff(bmp(124)) === 'image/bmp', 'BMP (BITMAPV5HEADER) not recognized');
+    expect(ContentSniffingService.sniff(bmp(33)) !== 'image/bmp', 'BMP with an unknown DIB header accepted');
+    expect(ContentSniffingService.sniff(Buffer.from('BM is how this note starts')) === 'text/plain', 'Text starting with BM not sniffed as text');
+    log.pass('Header structure checked beyond the magic bytes\n');
+
+    // 6. Real files through validation
+    log.test('6. Validating sharp-encoded WebP, AVIF and TIFF...');
+    const source = sharp({ create: { width: 40, height: 30, channels: 3, background: '#3366cc' } });
+    for (const [format, extension, mimeType] of [['webp', '.webp', 'image/webp'], ['avif', '.avif', 'image/avif'], ['tiff', '.tiff', 'image/tiff']]) {
+      const buffer = await source.clone().toFormat(format).toBuffer();
+      const result = await FileValidationService.validateFile({
+        originalname: `picture${extension}`,
+        mimetype: mimeType,
+        buffer,
+        size: buffer.length
+      });
+      expect(result.mimeType === mimeType, `${format} validated as ${result.mimeType}`);
+      expect(result.dimensions?.width === 40 && result.dimensions?.height === 30, `${format} dimensions not decoded`);
+      expect(result.typeMismatch === null, `${format} reported a type mismatch`);
+    }
+    log.pass('Encoded files validated and decoded\n');
+
+    log.pass('All image format tests passed!');
+  } catch (error) {
+    log.fail('Image format test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+// Run the test
+testImageFormats();
@@ -0,0 +1,94 @@
+/**
+ * Test Helpers
+ *
+ * Assertions and fixtures shared by the test scripts in this directory.
+ * Each script imports what it needs; nothing here runs on its own.
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { multerConfig } from '../middleware/multerConfig.js';
+import ImageTransformationService from '../services/ImageTransformationService.js';
+
+// Test images and files (tests/assets)
+export const ASSETS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'assets');
+
+export const expect = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+// Await a promise that must fail with this status and code; returns the error
+export const expectRejection = async (promise, statusCode, code) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.statusCode === statusCode && error.code === code,
+      `Expected ${statusCode} ${code}, got ${error.statusCode} ${error.code}`);
+    return error;
+  }
+  throw new Error(`Expected ${statusCode} ${code}, but it was accepted`);
+};
+
+// Run a parser that must throw; returns the error
+export const parseError = (parse) => {
+  try {
+    parse();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the parameter to be rejected, but it was accepted');
+};
+
+export const expectParseError = (parse, code) => {
+  const error = parseError(parse);
+  expect(error.statusCode === 400 && error.code === code, `Expected 400 ${code}, got ${error.statusCode} ${error.code}`);
+  return error;
+};
+
+// RGBA of one pixel of an encoded image
+export const pixelAt = async (buffer, left, top) => {
+  const { data } = await sharp(buffer).ensureAlpha().extract({ left, top, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+  return [...data];
+};
+
+// Transform an image to PNG (unless the query converts it) with its metadata
+export const transform = async (source, queryParams, extension = '.png') => {
+  const { buffer } = await ImageTransformationService.transformImage(source, extension, { convert: 'png', ...queryParams });
+  return { buffer, ...(await sharp(buffer).metadata()) };
+};
+
+// Whether the multer file filter lets a filename through for this request
+export const filterAccepts = (req, originalname) => new Promise(resolve => {
+  multerConfig.fileFilter(req, { originalname }, (error, accepted) => resolve(!error && accepted));
+});
+
+// Serve an Express app on a free local port
+export const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    })
+  }));
+});
+
+// multipart/form-data body: files as [field, filename, content], fields as [name, value]
+export const formData = (files, fields = []) => {
+  const form = new FormData();
+  for (const [name, value] of fields) form.append(name, value);
+  for (const [field, filename, content] of files) form.append(field, new Blob([content]), filename);
+  return form;
+};
+
+// fetch that also parses the JSON body (null when there is none)
+export const request = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+};
+
+// Solid color JPEG, different content for each color
+export const jpegImage = (background = '#336699', width = 300, height = 200) =>
+  sharp({ create: { width, height, channels: 3, background } }).jpeg().toBuffer();
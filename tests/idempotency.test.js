@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Idempotency Test Script
+ *
+ * Tests the Idempotency-Key header through the app: a retried upload gets
+ * the stored response without storing a second image or using upload quota,
+ * a key reused for a different file is rejected, a retry while the first
+ * request is still running gets 409, keys are scoped by client, and a
+ * retried delete replays its response instead of answering 404.
+ * Uses the database configured in .env.
+ * Usage: node tests/idempotency.test.js
+ */
+
+import crypto from 'crypto';
+import { setTimeout as delay } from 'timers/promises';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import UploadService from '../services/UploadService.js';
+import RateLimitService from '../services/RateLimitService.js';
+import { IDEMPOTENCY, RATE_LIMITING } from '../config/constants/index.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+const API_KEY = `idempotency-test-${process.pid}`;
+
+// Slows uploads down in step 4, so a retry arrives while the first request runs
+const { uploadFile } = UploadService;
+const UPLOAD_DELAY_MS = 500;
+
+// Random color, so the content is new to the database
+const newImage = () => jpegImage(`#${crypto.randomBytes(3).toString('hex')}`);
+
+const upload = (url, content, headers = {}) => request(`${url}/images`, {
+  method: 'POST',
+  headers,
+  body: formData([['image', 'retried.jpg', content]])
+});
+
+// Bytes charged so far to the uploads of the test client (by IP)
+const uploadQuotaUsed = () => {
+  const entry = [...RateLimitService.memoryStore.buckets].find(([key]) => key.startsWith('upload-bytes:ip:'));
+  return entry ? entry[1].count : 0;
+};
+
+const testIdempotency = async () => {
+  log.info('Testing Idempotency-Key...\n');
+
+  const stored = new Set();
+  const previousApiKeys = process.env.API_KEYS;
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    process.env.API_KEYS = API_KEY;
+    server = await listen(app);
+
+    const photo = await newImage();
+    const key = crypto.randomUUID();
+
+    // 1. First request
+    log.test('1. Uploading with an Idempotency-Key...');
+    const original = await upload(server.url, photo, { [IDEMPOTENCY.KEY_HEADER]: key });
+    expect(original.status === 200 && !original.headers.has(IDEMPOTENCY.REPLAYED_HEADER), `Got ${original.status}`);
+    stored.add(original.body.data.filename);
+    log.pass(`Stored as ${original.body.data.filename}\n`);
+
+    // 2. Retry
+    log.test('2. Retrying the same upload with the same key...');
+    const quotaBefore = uploadQuotaUsed();
+    const replay = await upload(server.url, photo, { [IDEMPOTENCY.KEY_HEADER]: key });
+    expect(replay.status === 200 && replay.headers.get(IDEMPOTENCY.REPLAYED_HEADER) === 'true', `Got ${replay.status}, replayed: ${replay.headers.get(IDEMPOTENCY.REPLAYED_HEADER)}`);
+    expect(replay.body.data.filename === original.body.data.filename && replay.body.data.contentHash === original.body.data.contentHash, 'Replay differs from the original response');
+    expect(uploadQuotaUsed() === quotaBefore, `Replay charged ${uploadQuotaUsed() - quotaBefore} bytes of upload quota`);
+    log.pass(`Original response replayed (${IDEMPOTENCY.REPLAYED_HEADER}: true), no quota used\n`);
+
+    // 3. Same key, different file
+    log.test('3. Reusing the key for a different file...');
+    const mismatch = await upload(server.url, await newImage(), { [IDEMPOTENCY.KEY_HEADER]: key });
+    expect(mismatch.status === 422 && mismatch.body.code === 'IDEMPOTENCY_KEY_MISMATCH', `Got ${mismatch.status} ${mismatch.body?.code}`);
+    log.pass('422 IDEMPOTENCY_KEY_MISMATCH\n');
+
+    // 4. Retry while the first request is running
+    log.test('4. Retrying while the first request is still running...');
+    UploadService.uploadFile = async function (...args) {
+      await delay(UPLOAD_DELAY_MS);
+      return uploadFile.apply(this, args);
+    };
+    const slowKey = crypto.randomUUID();
+    const slowPhoto = await newImage();
+    const running = upload(server.url, slowPhoto, { [IDEMPOTENCY.KEY_HEADER]: slowKey });
+    await delay(UPLOAD_DELAY_MS / 2);
+    const early = await upload(server.url, slowPhoto, { [IDEMPOTENCY.KEY_HEADER]: slowKey });
+    const finished = await running;
+    UploadService.uploadFile = uploadFile;
+    stored.add(finished.body.data.filename);
+    expect(early.status === 409 && early.body.code === 'IDEMPOTENCY_KEY_IN_PROGRESS', `Got ${early.status} ${early.body?.code}`);
+    expect(early.headers.get('retry-after') === String(IDEMPOTENCY.IN_PROGRESS_RETRY_AFTER), 'Missing Retry-After');
+    expect(finished.status === 200, `First request: ${finished.status}`);
+    log.pass('409 IDEMPOTENCY_KEY_IN_PROGRESS with Retry-After, the first request still stored\n');
+
+    // 5. Another client with the same key
+    log.test('5. Sending the same key from another client...');
+    const otherClient = await upload(server.url, photo, { [IDEMPOTENCY.KEY_HEADER]: key, [RATE_LIMITING.API_KEY_HEADER]: API_KEY });
+    expect(otherClient.status === 200 && !otherClient.headers.has(IDEMPOTENCY.REPLAYED_HEADER), `Got ${otherClient.status}, replayed: ${otherClient.headers.get(IDEMPOTENCY.REPLAYED_HEADER)}`);
+    stored.add(otherClient.body.data.filename);
+    expect(otherClient.body.data.filename !== original.body.data.filename, 'Got the other client\'s image');
+    log.pass('Stored as a new upload, not the other client\'s response\n');
+
+    // 6. Retried delete
+    log.test('6. Deleting twice with the same key...');
+    const deleteKey = crypto.randomUUID();
+    const remove = () => request(`${server.url}/images/${original.body.data.filename}`, { method: 'DELETE', headers: { [IDEMPOTENCY.KEY_HEADER]: deleteKey } });
+    const deleted = await remove();
+    stored.delete(original.body.data.filename);
+    const deletedAgain = await remove();
+    expect(deleted.status === 200, `Delete: ${deleted.status}`);
+    expect(deletedAgain.status === 200 && deletedAgain.headers.get(IDEMPOTENCY.REPLAYED_HEADER) === 'true', `Retried delete: ${deletedAgain.status}`);
+    log.pass('Second delete replayed 200 instead of 404\n');
+
+    // 7. Malformed key
+    log.test('7. Sending a malformed key...');
+    const malformed = await upload(server.url, photo, { [IDEMPOTENCY.KEY_HEADER]: 'x'.repeat(IDEMPOTENCY.MAX_KEY_LENGTH + 1) });
+    expect(malformed.status === 400 && malformed.body.code === 'INVALID_IDEMPOTENCY_KEY', `Got ${malformed.status} ${malformed.body?.code}`);
+    log.pass('400 INVALID_IDEMPOTENCY_KEY\n');
+
+    log.pass('All idempotency tests passed!');
+  } catch (error) {
+    log.fail('Idempotency test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    UploadService.uploadFile = uploadFile;
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    if (previousApiKeys === undefined) delete process.env.API_KEYS;
+    else process.env.API_KEYS = previousApiKeys;
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testIdempotency();
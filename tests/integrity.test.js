@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Image Integrity Test Script
+ *
+ * Tests the deep validation stage (ImageIntegrityService) on content in
+ * memory and on staged files walked from disk: the sample JPEGs pass,
+ * truncated images, bytes after the end marker, broken structure and the
+ * polyglot test asset are rejected with their machine-readable reason.
+ * Usage: node tests/integrity.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import ImageIntegrityService from '../services/ImageIntegrityService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import { ASSETS, expect, expectRejection } from './helpers.js';
+
+const testImageIntegrity = async () => {
+  log.info('Testing image integrity...\n');
+
+  const stagedPath = path.join(os.tmpdir(), `integrity-test-${process.pid}.tmp`);
+
+  // Verify the same content in memory and staged on disk
+  const verifyBoth = async (buffer, mimeType) => {
+    await fs.writeFile(stagedPath, buffer);
+    return [await ImageIntegrityService.verify(buffer, mimeType), await ImageIntegrityService.verify(stagedPath, mimeType)];
+  };
+
+  const rejectBoth = async (buffer, mimeType, code) => {
+    await fs.writeFile(stagedPath, buffer);
+    const errors = [
+      await expectRejection(ImageIntegrityService.verify(buffer, mimeType), 422, code),
+      await expectRejection(ImageIntegrityService.verify(stagedPath, mimeType), 422, code)
+    ];
+    expect(errors.every(error => error.details?.reason === code), `Reason ${code} missing from details`);
+    return errors;
+  };
+
+  try {
+    const jpeg = await fs.readFile(path.join(ASSETS, 'img.1.jpg'));
+
+    // 1. Valid images
+    log.test('1. Verifying img.1.jpg, img.2.jpg and img.3.jpg...');
+    for (const name of ['img.1.jpg', 'img.2.jpg', 'img.3.jpg']) {
+      const buffer = await fs.readFile(path.join(ASSETS, name));
+      const [inMemory, staged] = await verifyBoth(buffer, 'image/jpeg');
+      expect(inMemory.decoded && inMemory.width > 0 && inMemory.height > 0, `${name} not decoded`);
+      expect(staged.width === inMemory.width && staged.height === inMemory.height, `${name} staged dimensions differ`);
+    }
+    log.pass('Sample JPEGs decoded, in memory and from disk\n');
+
+    // 2. Truncated JPEG
+    log.test('2. Verifying a truncated JPEG...');
+    const [truncated] = await rejectBoth(jpeg.subarray(0, Math.floor(jpeg.length / 2)), 'image/jpeg', 'TRUNCATED_IMAGE');
+    expect(truncated.details.size === Math.floor(jpeg.length / 2), 'Truncated size missing from details');
+    log.pass('Truncated JPEG rejected: TRUNCATED_IMAGE\n');
+
+    // 3. Bytes after EOI
+    log.test('3. Verifying a JPEG with data after EOI...');
+    const appended = Buffer.from('PK\u0003\u0004 appended archive');
+    const [trailing] = await rejectBoth(Buffer.concat([jpeg, appended]), 'image/jpeg', 'TRAILING_DATA');
+    expect(trailing.details.imageEnd === jpeg.length && trailing.details.trailingBytes === appended.length,
+      'Trailing data offsets missing from details');
+    log.pass(`Trailing data rejected: ${trailing.details.trailingBytes} bytes after EOI\n`);
+
+    // 4. Broken structure
+    log.test('4. Verifying a JPEG with a broken segment...');
+    const broken = Buffer.concat([jpeg.subarray(0, 2), Buffer.from([0x00, 0x10]), jpeg.subarray(4)]);
+    await rejectBoth(broken, 'image/jpeg', 'MALFORMED_IMAGE');
+    log.pass('Broken segment rejected: MALFORMED_IMAGE\n');
+
+    // 5. Other formats with an end marker
+    log.test('5. Verifying truncated PNG, GIF and WebP...');
+    const source = sharp({ create: { width: 64, height: 64, channels: 3, background: '#cc3366' } });
+    for (const [format, mimeType] of [['png', 'image/png'], ['gif', 'image/gif'], ['webp', 'image/webp']]) {
+      const buffer = await source.clone().toFormat(format).toBuffer();
+      await verifyBoth(buffer, mimeType);
+      await rejectBoth(buffer.subarray(0, buffer.length - 4), mimeType, 'TRUNCATED_IMAGE');
+      await rejectBoth(Buffer.concat([buffer, Buffer.from('<?php')]), mimeType, 'TRAILING_DATA');
+    }
+    log.pass('Complete files pass, truncated and padded ones are rejected\n');
+
+    // 6. Polyglot
+    log.test('6. Verifying tests/assets/malicious.image.png.js...');
+    const script = await fs.readFile(path.join(ASSETS, 'malicious.image.png.js'));
+    await expectRejection(
+      FileValidationService.validateFile({ originalname: 'malicious.image.png', mimetype: 'image/png', buffer: script, size: script.length }),
+      400,
+      'CONTENT_TYPE_MISMATCH'
+    );
+    const png = await source.clone().png().toBuffer();
+    const polyglot = Buffer.concat([png, script]);
+    await fs.writeFile(stagedPath, polyglot);
+    const error = await expectRejection(
+      FileValidationService.validateFile({ originalname: 'malicious.image.png', mimetype: 'image/png', path: stagedPath, size: polyglot.length }),
+      422,
+      'TRAILING_DATA'
+    );
+    expect(error.details.trailingBytes === script.length, 'Appended script length not reported');
+    log.pass('Script rejected alone and appended to a valid PNG\n');
+
+    log.pass('All image integrity tests passed!');
+  } catch (error) {
+    log.fail('Image integrity test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(stagedPath, { force: true });
+  }
+};
+
+// Run the test
+testImageIntegrity();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Decode Limits Test Script
+ *
+ * Tests decompression bomb protection (DecodeLimitsService): PNG headers
+ * declaring more pixels or wider sides than allowed, animated images with
+ * too many frames, the same limits on the transformation path, environment
+ * overrides, the decode time limit and sharp's own pixel limit. Every
+ * rejection is 422 DECODE_LIMIT_EXCEEDED naming the limit that was hit.
+ * Usage: node tests/limits.test.js
+ */
+
+import zlib from 'zlib';
+import sharp from 'sharp';
+import log from '../utils/logger.js';
+import DecodeLimitsService from '../services/DecodeLimitsService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import ImageTransformationService from '../services/ImageTransformationService.js';
+import { expect } from './helpers.js';
+
+const LIMIT_VARIABLES = ['MAX_INPUT_PIXELS', 'MAX_INPUT_DIMENSION', 'MAX_INPUT_FRAMES', 'DECODE_TIMEOUT_SECONDS'];
+
+const expectLimit = async (promise, limit) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.statusCode === 422 && error.code === 'DECODE_LIMIT_EXCEEDED',
+      `Expected 422 DECODE_LIMIT_EXCEEDED, got ${error.statusCode} ${error.code}`);
+    expect(error.details?.limit === limit, `Expected limit ${limit}, got ${error.details?.limit}`);
+    return error;
+  }
+  throw new Error(`Expected the ${limit} limit, but the image was accepted`);
+};
+
+// Rewrite the IHDR of a small PNG so its header declares other dimensions
+const withDeclaredSize = (png, width, height) => {
+  const bomb = Buffer.from(png);
+  bomb.writeUInt32BE(width, 16);
+  bomb.writeUInt32BE(height, 20);
+  bomb.writeUInt32BE(zlib.crc32(bomb.subarray(12, 29)), 29);
+  return bomb;
+};
+
+// Animated GIF of 1x1 frames
+const animatedGif = (frames) => {
+  const frame = Buffer.from([
+    0x21, 0xF9, 0x04, 0x00, 0x0A, 0x00, 0x00, 0x00, // Graphic control extension (100ms)
+    0x2C, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00, // Image descriptor
+    0x02, 0x02, 0x44, 0x01, 0x00 // LZW data for one pixel
+  ]);
+  const header = Buffer.concat([Buffer.from('GIF89a'), Buffer.from([0x01, 0x00, 0x01, 0x00, 0x80, 0x00, 0x00, 0, 0, 0, 255, 255, 255])]);
+  return Buffer.concat([header, ...Array(frames).fill(frame), Buffer.from([0x3B])]);
+};
+
+const validate = (buffer, originalname, mimetype) => FileValidationService.validateFile({
+  originalname,
+  mimetype,
+  buffer,
+  size: buffer.length
+});
+
+const testDecodeLimits = async () => {
+  log.info('Testing decode limits...\n');
+
+  try {
+    const png = await sharp({ create: { width: 200, height: 100, channels: 3, background: '#336699' } }).png().toBuffer();
+
+    // 1. Within limits
+    log.test('1. Validating an image within the limits...');
+    const valid = await validate(png, 'small.png', 'image/png');
+    expect(valid.dimensions?.width === 200 && valid.dimensions?.height === 100, 'Image within limits not decoded');
+    log.pass('200x100 PNG decoded\n');
+
+    // 2. Pixel bomb
+    log.test('2. Validating a PNG declaring 10000x10000 pixels...');
+    const pixelBomb = withDeclaredSize(png, 10000, 10000);
+    const pixels = await expectLimit(validate(pixelBomb, 'bomb.png', 'image/png'), 'inputPixels');
+    expect(pixels.details.value === 100000000 && pixels.details.max === DecodeLimitsService.getLimits().maxInputPixels,
+      'Pixel count and maximum missing from details');
+    log.pass(`Rejected before decoding: ${pixels.message}\n`);
+
+    // 3. Side length
+    log.test('3. Validating a PNG declaring a 20000px side...');
+    await expectLimit(validate(withDeclaredSize(png, 20000, 10), 'wide.png', 'image/png'), 'inputDimension');
+    log.pass('Rejected: inputDimension\n');
+
+    // 4. Frames
+    log.test('4. Validating an animated GIF over the frame limit...');
+    process.env.MAX_INPUT_FRAMES = '2';
+    await expectLimit(validate(animatedGif(3), 'animated.gif', 'image/gif'), 'inputFrames');
+    const twoFrames = await validate(animatedGif(2), 'animated.gif', 'image/gif');
+    expect(twoFrames.mimeType === 'image/gif', 'GIF within the frame limit rejected');
+    log.pass('3 frames rejected, 2 frames accepted with MAX_INPUT_FRAMES=2\n');
+
+    // 5. Transformations
+    log.test('5. Transforming a pixel bomb...');
+    await expectLimit(ImageTransformationService.transformImage(pixelBomb, '.png', { resize: '800x600' }), 'inputPixels');
+    log.pass('Rejected before the pipeline runs\n');
+
+    // 6. Environment override
+    log.test('6. Lowering MAX_INPUT_PIXELS...');
+    process.env.MAX_INPUT_PIXELS = '10000';
+    const lowered = await expectLimit(validate(png, 'small.png', 'image/png'), 'inputPixels');
+    expect(lowered.details.max === 10000 && lowered.details.value === 20000, 'Override not applied');
+    log.pass('200x100 PNG rejected with MAX_INPUT_PIXELS=10000\n');
+
+    // 7. Sharp's own pixel limit
+    log.test('7. Translating sharp pixel limit errors...');
+    const sharpError = await sharp(png, { limitInputPixels: 100 }).stats().then(() => null, error => error);
+    expect(sharpError, 'Sharp accepted an image over its pixel limit');
+    expect(DecodeLimitsService.translateError(sharpError)?.details.limit === 'inputPixels', 'Sharp pixel limit not translated');
+    expect(DecodeLimitsService.translateError(new Error('Input buffer contains unsupported image format')) === null,
+      'Unrelated error translated');
+    log.pass('Sharp pixel limit reported as inputPixels\n');
+
+    // 8. Decode time
+    log.test('8. Running past the decode time limit...');
+    process.env.DECODE_TIMEOUT_SECONDS = '0.05';
+    await expectLimit(DecodeLimitsService.withTimeout(new Promise(() => {})), 'decodeTime');
+    expect(DecodeLimitsService.translateError(new Error('timeout: 1s'))?.details.limit === 'decodeTime', 'Sharp timeout not translated');
+    log.pass('Decode stopped at the time limit\n');
+
+    log.pass('All decode limit tests passed!');
+  } catch (error) {
+    log.fail('Decode limit test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    LIMIT_VARIABLES.forEach(name => delete process.env[name]);
+  }
+};
+
+// Run the test
+testDecodeLimits();
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Descriptive Metadata Test Script
+ *
+ * Tests title, altText, description and tags through the app: they are
+ * stored with the upload and returned by GET /images/:filename and
+ * GET /images, ?tag= filters the list, a replacement keeps the fields it
+ * does not send, and invalid values or too many or too long form fields
+ * are rejected with 400.
+ * Uses the database configured in .env.
+ * Usage: node tests/metadata.test.js
+ */
+
+import crypto from 'crypto';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import { DESCRIPTIVE_METADATA, FILE_LIMITS } from '../config/constants/index.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+// Tag only the images of this run carry
+const RUN_TAG = `run-${process.pid}`;
+
+// Random color, so the content is new to the database
+const newImage = () => jpegImage(`#${crypto.randomBytes(3).toString('hex')}`);
+
+const upload = async (url, fields, method = 'POST', path = '/images') => request(`${url}${path}`, {
+  method,
+  body: formData([['image', 'beach.jpg', await newImage()]], fields)
+});
+
+const testDescriptiveMetadata = async () => {
+  log.info('Testing descriptive metadata...\n');
+
+  const stored = [];
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    server = await listen(app);
+
+    // 1. Upload with metadata
+    log.test('1. Uploading with title, altText, description and tags...');
+    const uploaded = await upload(server.url, [
+      ['title', '  Beach at sunset  '],
+      ['altText', 'Orange sky over the sea'],
+      ['description', 'Taken from the pier'],
+      ['tags', `Playa, Verano, ${RUN_TAG}`],
+      ['tags', 'sol']
+    ]);
+    expect(uploaded.status === 200, `Got ${uploaded.status} ${JSON.stringify(uploaded.body)}`);
+    const { filename } = uploaded.body.data;
+    stored.push(filename);
+    const details = await request(`${server.url}/images/${filename}`);
+    const { file } = details.body;
+    expect(file.title === 'Beach at sunset' && file.altText === 'Orange sky over the sea' && file.description === 'Taken from the pier',
+      `Stored: ${JSON.stringify({ title: file.title, altText: file.altText, description: file.description })}`);
+    expect(file.tags.join() === `playa,verano,${RUN_TAG},sol`, `Tags: ${file.tags.join()}`);
+    log.pass('Stored trimmed, tags lowercased from both the list and the repeated field\n');
+
+    // 2. Tag filter
+    log.test(`2. Listing images tagged ${RUN_TAG}...`);
+    const plain = await upload(server.url, []);
+    stored.push(plain.body.data.filename);
+    const tagged = await request(`${server.url}/images?tag=${RUN_TAG.toUpperCase()}`);
+    expect(tagged.status === 200, `Got ${tagged.status}`);
+    const names = tagged.body.data.images.map(image => image.name);
+    expect(names.join() === filename && tagged.body.data.pagination.total === 1, `Listed: ${names.join()}`);
+    expect(tagged.body.data.images[0].altText === file.altText, 'List entry without its metadata');
+    log.pass('Only the tagged image, with its metadata\n');
+
+    // 3. Replacement
+    log.test('3. Replacing the content sending only a new title...');
+    const replaced = await upload(server.url, [['title', 'Beach at night']], 'PUT', `/images/${filename}`);
+    expect(replaced.status === 200, `Got ${replaced.status} ${JSON.stringify(replaced.body)}`);
+    const afterReplace = (await request(`${server.url}/images/${filename}`)).body.file;
+    expect(afterReplace.title === 'Beach at night' && afterReplace.altText === file.altText && afterReplace.tags.join() === file.tags.join(),
+      `After replace: ${JSON.stringify({ title: afterReplace.title, altText: afterReplace.altText, tags: afterReplace.tags })}`);
+    log.pass('Title replaced, the other fields kept\n');
+
+    // 4. Invalid values
+    log.test('4. Uploading a title that is too long and too many tags...');
+    const longTitle = await upload(server.url, [['title', 'x'.repeat(DESCRIPTIVE_METADATA.MAX_TITLE_LENGTH + 1)]]);
+    const manyTags = await upload(server.url, [['tags', Array.from({ length: DESCRIPTIVE_METADATA.MAX_TAGS + 1 }, (_, i) => `tag${i}`).join()]]);
+    for (const response of [longTitle, manyTags]) {
+      if (response.body?.data?.filename) stored.push(response.body.data.filename);
+      expect(response.status === 400 && response.body.error === 'Invalid image metadata' && response.body.errors?.length === 1, `Got ${response.status} ${JSON.stringify(response.body)}`);
+    }
+    log.pass('400 Invalid image metadata for both, with the reason\n');
+
+    // 5. Multer field limits
+    log.test('5. Uploading a field over the size limit and too many fields...');
+    const longField = await upload(server.url, [['description', 'x'.repeat(FILE_LIMITS.MAX_FIELD_VALUE_SIZE + 1)]]);
+    const manyFields = await upload(server.url, Array.from({ length: FILE_LIMITS.MAX_FORM_FIELDS + 1 }, () => ['tags', 'extra']));
+    for (const response of [longField, manyFields]) {
+      if (response.body?.data?.filename) stored.push(response.body.data.filename);
+    }
+    expect(longField.status === 400 && longField.body.code === 'LIMIT_FIELD_VALUE', `Long field: ${longField.status} ${longField.body?.code}`);
+    expect(manyFields.status === 400 && manyFields.body.code === 'LIMIT_FIELD_COUNT', `Many fields: ${manyFields.status} ${manyFields.body?.code}`);
+    log.pass('400 LIMIT_FIELD_VALUE and LIMIT_FIELD_COUNT\n');
+
+    log.pass('All descriptive metadata tests passed!');
+  } catch (error) {
+    log.fail('Descriptive metadata test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testDescriptiveMetadata();
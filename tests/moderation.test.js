@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Moderation Test Script
+ *
+ * Tests moderation mode through the app: new uploads are pending and hidden
+ * from /static, GET /images/:filename and GET /images; the queue and its
+ * actions require a moderator key; approving publishes the file at once,
+ * rejecting deletes it, and either action on an image that is no longer
+ * pending answers 409. A pending copy of approved content stays served.
+ * Uses the database configured in .env.
+ * Usage: node tests/moderation.test.js
+ */
+
+import crypto from 'crypto';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import StaticVisibilityService from '../services/StaticVisibilityService.js';
+import { MODERATION } from '../config/constants/index.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+const MODERATOR_KEY = `moderation-test-${process.pid}`;
+const MODERATOR = { [MODERATION.MODERATOR_KEY_HEADER]: MODERATOR_KEY };
+
+// Tag only the images of this run carry
+const RUN_TAG = `moderation-${process.pid}`;
+
+// Random color, so the content is new to the database
+const newImage = () => jpegImage(`#${crypto.randomBytes(3).toString('hex')}`);
+
+const upload = async (url, content, filename) => {
+  const response = await request(`${url}/images`, { method: 'POST', body: formData([['image', filename, content]], [['tags', RUN_TAG]]) });
+  expect(response.status === 200, `Upload of ${filename}: ${response.status} ${JSON.stringify(response.body)}`);
+  return response.body.data;
+};
+
+const moderate = (url, filename, action, body = {}, headers = MODERATOR) => request(`${url}/images/moderation/${filename}/${action}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+// Whether the image shows up on /static, its metadata and the public list
+const publicView = async (url, filename) => {
+  const [file, details, list] = await Promise.all([
+    fetch(`${url}/static/${filename}`),
+    fetch(`${url}/images/${filename}`),
+    request(`${url}/images?tag=${RUN_TAG}&limit=100`)
+  ]);
+  const listed = list.body.data.images.some(image => image.name === filename);
+  return `${file.status},${details.status},${listed ? 'listed' : 'unlisted'}`;
+};
+
+const testModeration = async () => {
+  log.info('Testing moderation mode...\n');
+
+  const stored = [];
+  const previousEnv = { MODERATION_MODE: process.env.MODERATION_MODE, MODERATOR_API_KEYS: process.env.MODERATOR_API_KEYS };
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    process.env.MODERATION_MODE = 'true';
+    process.env.MODERATOR_API_KEYS = MODERATOR_KEY;
+    server = await listen(app);
+
+    // 1. Pending upload
+    log.test('1. Uploading an image in moderation mode...');
+    const photo = await newImage();
+    const pending = await upload(server.url, photo, 'pending.jpg');
+    stored.push(pending.filename);
+    expect(pending.moderationStatus === MODERATION.STATUSES.PENDING, `Status: ${pending.moderationStatus}`);
+    const hidden = await publicView(server.url, pending.filename);
+    expect(hidden === '404,404,unlisted', `/static, metadata, list: ${hidden}`);
+    await StaticVisibilityService.refresh();
+    expect((await fetch(`${server.url}/static/${pending.filename}`)).status === 404, 'Served after a full refresh');
+    log.pass('pending: 404 on /static and GET /images/:filename, not listed\n');
+
+    // 2. Queue access
+    log.test('2. Reading the queue without a key, with an unknown one and as a moderator...');
+    const anonymous = await request(`${server.url}/images/moderation/queue`);
+    expect(anonymous.status === 401 && anonymous.body.code === 'MODERATOR_KEY_REQUIRED', `Without a key: ${anonymous.status} ${anonymous.body?.code}`);
+    const unknown = await request(`${server.url}/images/moderation/queue`, { headers: { [MODERATION.MODERATOR_KEY_HEADER]: 'not-a-key' } });
+    expect(unknown.status === 403 && unknown.body.code === 'INVALID_MODERATOR_KEY', `Unknown key: ${unknown.status} ${unknown.body?.code}`);
+    const queue = await request(`${server.url}/images/moderation/queue?limit=100`, { headers: MODERATOR });
+    expect(queue.status === 200 && queue.body.data.images.some(image => image.name === pending.filename), 'Pending image not in the queue');
+    log.pass('401 and 403 without a valid key; the moderator sees the image in the queue\n');
+
+    // 3. Approve
+    log.test('3. Approving the image...');
+    const approved = await moderate(server.url, pending.filename, 'approve');
+    expect(approved.status === 200, `Got ${approved.status} ${JSON.stringify(approved.body)}`);
+    const visible = await publicView(server.url, pending.filename);
+    expect(visible === '200,200,listed', `/static, metadata, list: ${visible}`);
+    const again = await moderate(server.url, pending.filename, 'approve');
+    expect(again.status === 409 && again.body.code === 'NOT_PENDING', `Approving twice: ${again.status} ${again.body?.code}`);
+    log.pass('Served and listed right away; approving again answers 409 NOT_PENDING\n');
+
+    // 4. Pending copy of approved content
+    log.test('4. Uploading the approved content again...');
+    const copy = await upload(server.url, photo, 'copy.jpg');
+    stored.push(copy.filename);
+    expect(copy.deduplicated && copy.moderationStatus === MODERATION.STATUSES.PENDING, `Copy: deduplicated=${copy.deduplicated}, ${copy.moderationStatus}`);
+    expect((await fetch(`${server.url}/static/${pending.filename}`)).status === 200, 'Shared file hidden by the pending copy');
+    expect((await fetch(`${server.url}/images/${copy.filename}`)).status === 404, 'Pending copy metadata visible');
+    log.pass('Shared file still served, the pending copy itself hidden\n');
+
+    // 5. Reject
+    log.test('5. Rejecting an image without and with a reason...');
+    const rejectable = await upload(server.url, await newImage(), 'rejected.jpg');
+    stored.push(rejectable.filename);
+    const noReason = await moderate(server.url, rejectable.filename, 'reject');
+    expect(noReason.status === 400 && noReason.body.code === 'INVALID_REASON', `Without a reason: ${noReason.status} ${noReason.body?.code}`);
+    const rejected = await moderate(server.url, rejectable.filename, 'reject', { reason: 'Not allowed here' });
+    expect(rejected.status === 200, `Got ${rejected.status} ${JSON.stringify(rejected.body)}`);
+    const queueAfter = await request(`${server.url}/images/moderation/queue?limit=100`, { headers: MODERATOR });
+    expect(!queueAfter.body.data.images.some(image => image.name === rejectable.filename), 'Rejected image still queued');
+    const gone = await publicView(server.url, rejectable.filename);
+    expect(gone === '404,404,unlisted', `/static, metadata, list: ${gone}`);
+    const approveRejected = await moderate(server.url, rejectable.filename, 'approve');
+    expect(approveRejected.status === 404, `Approving a rejected image: ${approveRejected.status}`);
+    log.pass('400 INVALID_REASON without a reason; rejected image deleted and out of the queue\n');
+
+    log.pass('All moderation tests passed!');
+  } catch (error) {
+    log.fail('Moderation test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    for (const filename of stored) {
+      await moderate(server.url, filename, 'approve').catch(() => null);
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    for (const [name, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testModeration();
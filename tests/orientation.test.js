@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Orientation Test Script
+ *
+ * Tests rotation, mirroring and EXIF auto-orientation in
+ * ImageTransformationService: parsing of rotate angles and on/off flags,
+ * the fill background of contain resizes and free rotations, crop bounds
+ * of rotated and EXIF-oriented images, and real images rotated, flipped,
+ * flopped and turned upright, also on the render path.
+ * Usage: node tests/orientation.test.js
+ */
+
+import sharp from 'sharp';
+import log from '../utils/logger.js';
+import { IMAGE_PROCESSING } from '../config/constants/index.js';
+import ImageTransformationService from '../services/ImageTransformationService.js';
+import RenderService from '../services/RenderService.js';
+import ValidationUtils from '../utils/validationUtils.js';
+import { expect, expectRejection, expectParseError, pixelAt, transform } from './helpers.js';
+
+const isRed = ([red, green, blue]) => red > 200 && green < 50 && blue < 50;
+
+const testOrientation = async () => {
+  log.info('Testing orientation...\n');
+
+  try {
+    // 1. Rotate angles
+    log.test('1. Parsing rotate angles...');
+    const angles = [['90', 90], ['180', 180], ['270', 270], ['-90', 270], ['360', 0], ['-360', 0], ['45', 45], ['', 0], [undefined, 0]];
+    for (const [input, expected] of angles) {
+      const angle = ImageTransformationService.parseRotateParameter(input);
+      expect(angle === expected, `rotate=${input} parsed as ${angle}, expected ${expected}`);
+    }
+    for (const invalid of ['361', '-400', '12.5', '90deg', 'right']) {
+      expectParseError(() => ImageTransformationService.parseRotateParameter(invalid), 'INVALID_ROTATION');
+      expect(!ValidationUtils.validateTransformationParams({ rotate: invalid }).isValid, `rotate=${invalid} accepted by ValidationUtils`);
+    }
+    log.pass('Whole degrees between -360 and 360, normalized to 0-359\n');
+
+    // 2. Flags
+    log.test('2. Parsing flip, flop and autoOrient...');
+    const flags = [['true', true], ['TRUE', true], ['1', true], ['false', false], ['0', false]];
+    for (const [input, expected] of flags) {
+      expect(ImageTransformationService.parseFlagParameter(input, 'flip', false) === expected, `flip=${input} not parsed as ${expected}`);
+    }
+    const defaults = ImageTransformationService.parseOrientationOptions({});
+    expect(defaults.autoOrient === IMAGE_PROCESSING.AUTO_ORIENT && !defaults.flip && !defaults.flop && defaults.rotate === 0,
+      `Defaults ${JSON.stringify(defaults)}`);
+    expectParseError(() => ImageTransformationService.parseOrientationOptions({ flop: 'yes' }), 'INVALID_FLAG');
+    expect(!ValidationUtils.validateTransformationParams({ autoOrient: 'maybe' }).isValid, 'autoOrient=maybe accepted by ValidationUtils');
+    log.pass('true/false and 1/0 accepted, auto-orientation on by default\n');
+
+    // 3. Fill background
+    log.test('3. Parsing the fill background...');
+    expect(ImageTransformationService.parseFillBackground({}, 90) === null, 'Right-angle rotation filled');
+    expect(ImageTransformationService.parseFillBackground({}, 45) === IMAGE_PROCESSING.DEFAULT_BACKGROUND, 'Free rotation without the default fill');
+    expect(ImageTransformationService.parseFillBackground({ background: 'fff' }, 30) === 'ffffff', 'Rotation background not parsed');
+    expect(ImageTransformationService.parseFillBackground({ resize: '800x800', fit: 'contain', background: 'transparent' }) === '00000000',
+      'Contain background not parsed');
+    expectParseError(() => ImageTransformationService.parseFillBackground({ background: 'ffffff' }, 90), 'INVALID_BACKGROUND');
+    expectParseError(() => ImageTransformationService.parseFillBackground({ resize: '800x800', fit: 'cover', background: 'ffffff' }), 'INVALID_BACKGROUND');
+    expect(!ValidationUtils.validateTransformationParams({ rotate: '180', background: 'ffffff' }).isValid, 'Unused background accepted by ValidationUtils');
+    expect(ValidationUtils.validateTransformationParams({ rotate: '15', background: 'ffffff' }).isValid, 'Rotation background rejected by ValidationUtils');
+    log.pass('Background only where something is filled\n');
+
+    // 4. Crop bounds
+    log.test('4. Computing crop bounds...');
+    const landscape = { width: 300, height: 200 };
+    const bounds = (metadata, orientation) => Object.values(ImageTransformationService.getCropBounds(metadata, orientation)).join('x');
+    expect(bounds(landscape, { autoOrient: true, rotate: 0 }) === '300x200', 'Unrotated bounds changed');
+    expect(bounds(landscape, { autoOrient: true, rotate: 90 }) === '200x300', '90 degree bounds not swapped');
+    expect(bounds(landscape, { autoOrient: true, rotate: 180 }) === '300x200', '180 degree bounds changed');
+    expect(bounds(landscape, { autoOrient: true, rotate: 45 }) === '354x354', `45 degree bounds ${bounds(landscape, { autoOrient: true, rotate: 45 })}`);
+    const exifRotated = { width: 300, height: 200, autoOrient: { width: 200, height: 300 } };
+    expect(bounds(exifRotated, { autoOrient: true, rotate: 0 }) === '200x300', 'EXIF orientation not applied to the bounds');
+    expect(bounds(exifRotated, { autoOrient: false, rotate: 0 }) === '300x200', 'Bounds oriented with autoOrient=false');
+    log.pass('Bounds follow EXIF orientation and rotation\n');
+
+    // 5. Rotate, flip and flop
+    log.test('5. Rotating and mirroring a 300x200 image...');
+    // Red 100x100 square in the top-left corner of a white image
+    const source = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#ffffff' } })
+      .composite([{ input: { create: { width: 100, height: 100, channels: 3, background: '#ff0000' } }, left: 0, top: 0 }])
+      .png()
+      .toBuffer();
+
+    const rotated = await transform(source, { rotate: '90' });
+    expect(rotated.width === 200 && rotated.height === 300 && isRed(await pixelAt(rotated.buffer, 150, 50)), 'rotate=90 not clockwise');
+    const flipped = await transform(source, { flip: 'true' });
+    expect(isRed(await pixelAt(flipped.buffer, 50, 150)) && !isRed(await pixelAt(flipped.buffer, 50, 50)), 'flip not vertical');
+    const flopped = await transform(source, { flop: '1' });
+    expect(isRed(await pixelAt(flopped.buffer, 250, 50)) && !isRed(await pixelAt(flopped.buffer, 50, 50)), 'flop not horizontal');
+    const tilted = await transform(source, { rotate: '45', background: '00ff00' });
+    expect(tilted.width === 354 && tilted.height === 354, `rotate=45 produced ${tilted.width}x${tilted.height}`);
+    expect((await pixelAt(tilted.buffer, 0, 0)).join() === '0,255,0,255', 'Rotation corners not filled with the background');
+    log.pass('Clockwise rotation, vertical flip, horizontal flop and filled corners\n');
+
+    // 6. Crop outside the rotated image
+    log.test('6. Cropping outside the rotated bounds...');
+    const fits = await transform(source, { rotate: '90', crop: '0,0,200,300' });
+    expect(fits.width === 200 && fits.height === 300, 'Crop inside the rotated bounds rejected');
+    const outside = await expectRejection(
+      ImageTransformationService.transformImage(source, '.png', { rotate: '90', crop: '0,0,300,200' }), 400, 'CROP_OUT_OF_BOUNDS');
+    expect(outside.details.width === 200 && outside.details.height === 300, 'Rotated bounds missing from details');
+    log.pass('Crop checked against the 200x300 rotated image\n');
+
+    // 7. EXIF auto-orientation
+    log.test('7. Re-encoding a photo with EXIF orientation 6...');
+    const photo = await sharp(source).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const upright = await transform(photo, { convert: 'webp' }, '.jpg');
+    expect(upright.width === 200 && upright.height === 300 && !upright.orientation, 'Photo not turned upright');
+    const asStored = await transform(photo, { convert: 'webp', autoOrient: 'false' }, '.jpg');
+    expect(asStored.width === 300 && asStored.height === 200, 'autoOrient=false still rotated the photo');
+    const croppedUpright = await transform(photo, { crop: '0,0,200,300' }, '.jpg');
+    expect(croppedUpright.width === 200 && croppedUpright.height === 300, 'Crop not applied to the upright photo');
+    log.pass('Upright by default, as stored with autoOrient=false\n');
+
+    // 8. Render path
+    log.test('8. Passing orientation through render parameters...');
+    const jpegSource = { filename: 'photo.jpg', mimeType: 'image/jpeg', extension: '.jpg', vector: false };
+    const { transformations, key } = RenderService.parseRenderParameters({ rotate: '-90', flip: 'true', autoOrient: 'false' }, jpegSource);
+    expect(transformations.rotate === '-90' && transformations.flip === 'true' && transformations.autoOrient === 'false',
+      'Orientation parameters dropped');
+    expect(key === 'noorient-r270-flip-qauto.jpg', `Render key ${key}`);
+    log.pass(`Render derivative ${key}\n`);
+
+    log.pass('All orientation tests passed!');
+  } catch (error) {
+    log.fail('Orientation test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+// Run the test
+testOrientation();
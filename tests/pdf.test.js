@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Inspection Test Script
+ *
+ * Tests the PDF inspection stage (PdfInspectionService): page count, version
+ * and title of a clean document; JavaScript reached from /OpenAction or the
+ * name tree, also behind #xx name escapes and inside compressed object
+ * streams; launch actions, embedded files, encryption, truncated and
+ * malformed documents; and refusing a staged PDF larger than the profile
+ * allows before it is read into memory.
+ * Usage: node tests/pdf.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import PdfInspectionService from '../services/PdfInspectionService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import { expect, expectRejection } from './helpers.js';
+
+// Minimal PDF: numbered object bodies, a trailer and %%EOF (the xref table is not read)
+const pdf = (objects, trailer = '/Root 1 0 R /Info 4 0 R', version = '1.7') => Buffer.from([
+  `%PDF-${version}\n%\xE2\xE3\xCF\xD3\n`,
+  ...objects.map((body, i) => `${i + 1} 0 obj\n${body}\nendobj\n`),
+  `trailer\n<< /Size ${objects.length + 1} ${trailer} >>\nstartxref\n0\n%%EOF\n`
+].join(''), 'latin1');
+
+const CATALOG = '<< /Type /Catalog /Pages 2 0 R >>';
+const PAGES = '<< /Type /Pages /Kids [3 0 R 5 0 R] /Count 2 >>';
+const PAGE = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>';
+const INFO = '<< /Title (Quarterly \\(draft\\) report) /Producer (tests) >>';
+
+const document = (catalog = CATALOG, extra = []) => pdf([catalog, PAGES, PAGE, INFO, PAGE, ...extra]);
+
+// Object stream holding one object, compressed with FlateDecode
+const objectStream = (number, body) => {
+  const header = `${number} 0 `;
+  const content = zlib.deflateSync(Buffer.from(header + body, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`<< /Type /ObjStm /N 1 /First ${header.length} /Filter /FlateDecode /Length ${content.length} >>\nstream\n`, 'latin1'),
+    content,
+    Buffer.from('\nendstream', 'latin1')
+  ]).toString('latin1');
+};
+
+const validate = (buffer) => FileValidationService.validateFile({
+  originalname: 'document.pdf',
+  mimetype: 'application/pdf',
+  buffer,
+  size: buffer.length
+});
+
+const expectPolicyViolation = async (buffer, finding) => {
+  const error = await expectRejection(validate(buffer), 422, 'PDF_POLICY_VIOLATION');
+  expect(error.details?.rejected?.includes(finding), `${finding} missing from rejected findings`);
+  return error;
+};
+
+const testPdfInspection = async () => {
+  log.info('Testing PDF inspection...\n');
+
+  const stagedPath = path.join(os.tmpdir(), `pdf-test-${process.pid}.pdf`);
+
+  try {
+    // 1. Clean document
+    log.test('1. Validating a clean two-page PDF...');
+    const clean = await validate(document());
+    expect(clean.mimeType === 'application/pdf', `Validated as ${clean.mimeType}`);
+    expect(clean.documentInfo?.pageCount === 2, `Page count ${clean.documentInfo?.pageCount}`);
+    expect(clean.documentInfo?.pdfVersion === '1.7', `Version ${clean.documentInfo?.pdfVersion}`);
+    expect(clean.documentInfo?.title === 'Quarterly (draft) report', `Title ${clean.documentInfo?.title}`);
+    expect(clean.documentInfo?.flags.length === 0, 'Clean PDF flagged');
+    log.pass(`Document info: ${JSON.stringify(clean.documentInfo)}\n`);
+
+    // 2. JavaScript
+    log.test('2. Validating PDFs with /OpenAction and name tree JavaScript...');
+    await expectPolicyViolation(
+      document('<< /Type /Catalog /Pages 2 0 R /OpenAction << /S /JavaScript /JS (app.alert\\(1\\)) >> >>'),
+      'javascript'
+    );
+    await expectPolicyViolation(
+      document('<< /Type /Catalog /Pages 2 0 R /OpenAction 6 0 R >>', ['<< /S /JavaScript /JS 7 0 R >>', '(app.alert\\(1\\))']),
+      'javascript'
+    );
+    await expectPolicyViolation(
+      document('<< /Type /Catalog /Pages 2 0 R /Names << /JavaScript 6 0 R >> >>', ['<< /Names [(init) 7 0 R] >>', '<< /S /JavaScript /JS (1) >>']),
+      'javascript'
+    );
+    log.pass('Direct and indirect /OpenAction scripts and the name tree rejected\n');
+
+    // 3. Hidden JavaScript
+    log.test('3. Validating escaped names and object streams...');
+    await expectPolicyViolation(
+      document('<< /Type /Catalog /Pages 2 0 R /OpenAction << /S /J#61vaScript /J#53 (1) >> >>'),
+      'javascript'
+    );
+    await expectPolicyViolation(
+      document('<< /Type /Catalog /Pages 2 0 R /OpenAction 7 0 R >>', [objectStream(7, '<< /S /JavaScript /JS (app.alert\\(1\\)) >>')]),
+      'javascript'
+    );
+    log.pass('/J#61vaScript and a compressed object stream action rejected\n');
+
+    // 4. Launch actions and encryption
+    log.test('4. Validating launch actions and encrypted documents...');
+    await expectPolicyViolation(
+      document('<< /Type /Catalog /Pages 2 0 R /OpenAction << /S /Launch /F (cmd.exe) >> >>'),
+      'launchActions'
+    );
+    await expectPolicyViolation(
+      pdf([CATALOG, PAGES, PAGE, INFO, PAGE, '<< /Filter /Standard /V 2 /R 3 >>'], '/Root 1 0 R /Info 4 0 R /Encrypt 6 0 R'),
+      'encrypted'
+    );
+    log.pass('Launch action and /Encrypt rejected\n');
+
+    // 5. Embedded files are flagged
+    log.test('5. Validating a PDF with an embedded file...');
+    const attachment = await validate(document(
+      '<< /Type /Catalog /Pages 2 0 R /Names << /EmbeddedFiles 6 0 R >> >>',
+      ['<< /Names [(notes.txt) 7 0 R] >>', '<< /Type /Filespec /F (notes.txt) /EF << /F 8 0 R >> >>', '<< /Type /EmbeddedFile /Length 0 >>\nstream\n\nendstream']
+    ));
+    expect(attachment.documentInfo?.flags.includes('embeddedFiles'), 'Embedded file not flagged');
+    log.pass('Stored with flags: embeddedFiles\n');
+
+    // 6. Broken documents
+    log.test('6. Validating truncated and malformed PDFs...');
+    const complete = document();
+    await expectRejection(validate(complete.subarray(0, complete.length - 20)), 422, 'TRUNCATED_PDF');
+    expect(PdfInspectionService.analyze(pdf([CATALOG], '/Root 1 0 R', '2.0')).pdfVersion === '2.0', 'PDF 2.0 header not read');
+    await expectRejection((async () => PdfInspectionService.inspect(Buffer.from('%PDF-1.4\n%%EOF\n')))(), 422, 'MALFORMED_PDF');
+    log.pass('Cut-off and object-less documents rejected\n');
+
+    // 7. Staged PDF larger than the profile allows
+    log.test('7. Reading a staged PDF over the size limit...');
+    await fs.writeFile(stagedPath, complete);
+    const staged = await FileValidationService.validateContent({ originalname: 'document.pdf', path: stagedPath }, 'application/pdf');
+    expect(staged.documentInfo?.pageCount === 2, 'Staged PDF not inspected');
+    await expectRejection(
+      FileValidationService.validateContent({ originalname: 'document.pdf', path: stagedPath }, 'application/pdf', 256),
+      413,
+      'FILE_TOO_LARGE'
+    );
+    log.pass('Staged PDF inspected from disk, oversized one refused before inspection\n');
+
+    log.pass('All PDF inspection tests passed!');
+  } catch (error) {
+    log.fail('PDF inspection test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(stagedPath, { force: true });
+  }
+};
+
+// Run the test
+testPdfInspection();
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Presigned Upload Test Script
+ *
+ * Tests presigned upload URLs through the app: issuing one requires an API
+ * key, the signed policy's transformations replace the client's, tampered
+ * and expired URLs are rejected before the file is received, and the
+ * policy's size and extensions are enforced on the filename and on the
+ * sniffed content. ?profile= can't widen a signed policy.
+ * Uses the database configured in .env.
+ * Usage: node tests/presign.test.js
+ */
+
+import sharp from 'sharp';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import PresignedUploadService from '../services/PresignedUploadService.js';
+import { PRESIGNED_UPLOADS, RATE_LIMITING } from '../config/constants/index.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+const API_KEY = `presign-test-${process.pid}`;
+const SECRET = `presign-test-secret-${process.pid}`;
+
+const presign = (url, body, headers = { [RATE_LIMITING.API_KEY_HEADER]: API_KEY }) => request(`${url}/images/presign`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+const uploadTo = (url, path, filename, content) => request(`${url}${path}`, {
+  method: 'POST',
+  body: formData([['image', filename, content]])
+});
+
+// Upload path for a policy signed with the test secret
+const signedPath = (policy) => {
+  const encodedPolicy = Buffer.from(JSON.stringify(policy)).toString('base64url');
+  const params = new URLSearchParams({
+    [PRESIGNED_UPLOADS.POLICY_PARAM]: encodedPolicy,
+    [PRESIGNED_UPLOADS.SIGNATURE_PARAM]: PresignedUploadService.sign(encodedPolicy, SECRET)
+  });
+  return `/images?${params}`;
+};
+
+const testPresignedUploads = async () => {
+  log.info('Testing presigned uploads...\n');
+
+  const stored = [];
+  const previousEnv = { API_KEYS: process.env.API_KEYS, UPLOAD_SIGNING_SECRET: process.env.UPLOAD_SIGNING_SECRET };
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    process.env.API_KEYS = API_KEY;
+    process.env.UPLOAD_SIGNING_SECRET = SECRET;
+    server = await listen(app);
+
+    const photo = await jpegImage('#336699');
+    const png = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#993366' } }).png().toBuffer();
+
+    // 1. Issuing requires an API key
+    log.test('1. Asking for a URL without an API key and with an unknown one...');
+    const anonymous = await presign(server.url, {}, {});
+    expect(anonymous.status === 401 && anonymous.body.code === 'API_KEY_REQUIRED', `Without a key: ${anonymous.status} ${anonymous.body?.code}`);
+    const unknown = await presign(server.url, {}, { [RATE_LIMITING.API_KEY_HEADER]: 'not-a-key' });
+    expect(unknown.status === 403 && unknown.body.code === 'INVALID_API_KEY', `Unknown key: ${unknown.status} ${unknown.body?.code}`);
+    log.pass('401 API_KEY_REQUIRED and 403 INVALID_API_KEY\n');
+
+    // 2. Signed upload
+    log.test('2. Uploading through a signed URL...');
+    const issued = await presign(server.url, { maxSize: 64 * 1024, extensions: ['.jpg'], transformations: { convert: 'png' }, expiresIn: 60 });
+    expect(issued.status === 201 && issued.body.data.url.startsWith('/images?'), `Got ${issued.status} ${JSON.stringify(issued.body)}`);
+    const { url: path } = issued.body.data;
+    const signed = await uploadTo(server.url, `${path}&convert=webp`, 'photo.jpg', photo);
+    expect(signed.status === 200, `Got ${signed.status} ${JSON.stringify(signed.body)}`);
+    stored.push(signed.body.data.filename);
+    expect(signed.body.data.mimetype === 'image/png', `Stored as ${signed.body.data.mimetype}, not the policy's PNG`);
+    log.pass('Stored, converted as the policy says (the query\'s convert ignored)\n');
+
+    // 3. Tampering
+    log.test('3. Uploading with a tampered policy and a tampered signature...');
+    const params = new URLSearchParams(path.split('?')[1]);
+    const policy = JSON.parse(Buffer.from(params.get(PRESIGNED_UPLOADS.POLICY_PARAM), 'base64url').toString('utf8'));
+    const widened = Buffer.from(JSON.stringify({ ...policy, maxSize: policy.maxSize * 100 })).toString('base64url');
+    const tamperedPolicy = await uploadTo(server.url, `/images?policy=${widened}&signature=${params.get(PRESIGNED_UPLOADS.SIGNATURE_PARAM)}`, 'photo.jpg', photo);
+    expect(tamperedPolicy.status === 403 && tamperedPolicy.body.code === 'INVALID_SIGNATURE', `Tampered policy: ${tamperedPolicy.status} ${tamperedPolicy.body?.code}`);
+    const tamperedSignature = await uploadTo(server.url, `/images?policy=${params.get(PRESIGNED_UPLOADS.POLICY_PARAM)}&signature=${'A'.repeat(43)}`, 'photo.jpg', photo);
+    expect(tamperedSignature.status === 403 && tamperedSignature.body.code === 'INVALID_SIGNATURE', `Tampered signature: ${tamperedSignature.status} ${tamperedSignature.body?.code}`);
+    log.pass('403 INVALID_SIGNATURE for both\n');
+
+    // 4. Expiry
+    log.test('4. Uploading through an expired URL...');
+    const expired = await uploadTo(server.url, signedPath({ ...policy, exp: Math.floor(Date.now() / 1000) - 1 }), 'photo.jpg', photo);
+    expect(expired.status === 403 && expired.body.code === 'POLICY_EXPIRED', `Got ${expired.status} ${expired.body?.code}`);
+    log.pass('403 POLICY_EXPIRED\n');
+
+    // 5. Size and filename
+    log.test('5. Uploading a file over the policy size and one with another extension...');
+    const small = await uploadTo(server.url, signedPath({ ...policy, maxSize: 100 }), 'photo.jpg', photo);
+    expect(small.status === 413 && small.body.code === 'POLICY_SIZE_EXCEEDED', `Too large: ${small.status} ${small.body?.code}`);
+    const renamed = await uploadTo(server.url, path, 'photo.png', png);
+    expect(renamed.status === 400 && renamed.body.code === 'POLICY_EXTENSION_NOT_ALLOWED', `Other extension: ${renamed.status} ${renamed.body?.code}`);
+    log.pass('413 POLICY_SIZE_EXCEEDED and 400 POLICY_EXTENSION_NOT_ALLOWED\n');
+
+    // 6. Content of another type behind an allowed name
+    log.test('6. Uploading PNG content named .jpg to a .jpg-only URL...');
+    const disguised = await uploadTo(server.url, path, 'photo.jpg', png);
+    if (disguised.body?.data?.filename) stored.push(disguised.body.data.filename);
+    expect(disguised.status === 415 && disguised.body.allowedTypes?.join() === 'image/jpeg', `Got ${disguised.status} ${JSON.stringify(disguised.body)}`);
+    log.pass('415, only image/jpeg content allowed: not stored as .png\n');
+
+    // 7. Unsigned profile
+    log.test('7. Adding ?profile= to a signed URL...');
+    const profiled = await uploadTo(server.url, `${path}&profile=docs`, 'photo.jpg', photo);
+    expect(profiled.status === 400 && profiled.body.code === 'POLICY_PROFILE_NOT_ALLOWED', `Got ${profiled.status} ${profiled.body?.code}`);
+    log.pass('400 POLICY_PROFILE_NOT_ALLOWED\n');
+
+    log.pass('All presigned upload tests passed!');
+  } catch (error) {
+    log.fail('Presigned upload test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    for (const [name, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testPresignedUploads();
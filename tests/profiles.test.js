@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Upload Profile Test Script
+ *
+ * Tests named upload profiles (UploadProfileService): the profiles shipped
+ * in config/uploadProfiles.json, lookup and unknown names, selection per
+ * route or ?profile=, forced transformations, profiles files that are
+ * missing or refused, and the profile's rules reaching the multer file
+ * filter, FileValidationService and the transformation checks.
+ * Usage: node tests/profiles.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import { FILE_LIMITS, SECURITY } from '../config/constants/index.js';
+import UploadProfileService from '../services/UploadProfileService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import UploadService from '../services/UploadService.js';
+import { selectUploadProfile } from '../middleware/uploadProfile.js';
+import { expect, expectRejection, filterAccepts } from './helpers.js';
+
+// Run the profile middleware on a fake request: the selected profile or the error response
+const select = (params, query) => {
+  const req = { params, query };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let selected = null;
+  selectUploadProfile(req, res, () => { selected = req.uploadProfile; });
+  return selected ? { profile: selected } : { statusCode: res.statusCode, body: res.body };
+};
+
+const testUploadProfiles = async () => {
+  log.info('Testing upload profiles...\n');
+
+  const configPath = path.join(os.tmpdir(), `profiles-test-${process.pid}.json`);
+
+  // Load a profiles file written from `config`; the error message when it is refused
+  const loadError = async (config) => {
+    await fs.writeFile(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+    try {
+      UploadProfileService.loadProfiles(configPath);
+    } catch (error) {
+      return error.message;
+    }
+    throw new Error(`Profiles file accepted: ${JSON.stringify(config)}`);
+  };
+
+  try {
+    // 1. Shipped profiles
+    log.test('1. Loading config/uploadProfiles.json...');
+    const profiles = UploadProfileService.reload();
+    expect(['default', 'avatar', 'docs', 'banner'].every(name => profiles.has(name)), `Profiles: ${[...profiles.keys()].join(', ')}`);
+    const defaults = UploadProfileService.getDefaultProfile();
+    expect(defaults.maxFileSize === FILE_LIMITS.MAX_FILE_SIZE && defaults.allowedFileTypes === SECURITY.ALLOWED_FILE_TYPES,
+      'Default profile differs from the global rules');
+    const avatar = UploadProfileService.getProfile('AVATAR');
+    expect(avatar.maxFileSize === 1048576 && !avatar.allowedFileTypes['.pdf'], 'Avatar limits not applied');
+    const docs = UploadProfileService.describe(UploadProfileService.getProfile('docs'));
+    expect(docs.extensions.join() === '.pdf,.txt' && docs.maxFileSize === 20971520, 'docs description wrong');
+    log.pass(`Profiles: ${[...profiles.keys()].join(', ')}\n`);
+
+    // 2. Selection
+    log.test('2. Selecting profiles per route and per request...');
+    expect(select({}, { profile: 'banner' }).profile?.name === 'banner', '?profile=banner not selected');
+    expect(select({ profile: 'avatar' }, {}).profile?.name === 'avatar', 'Route profile not selected');
+    expect(select({}, {}).profile?.name === 'default', 'Default profile not selected');
+    const unknown = select({}, { profile: 'posters' });
+    expect(unknown.statusCode === 400 && unknown.body.code === 'UNKNOWN_PROFILE' && unknown.body.details.availableProfiles.includes('avatar'),
+      'Unknown profile not rejected with the available ones');
+    expect(select({ profile: 'avatar' }, { profile: 'docs' }).body?.code === 'PROFILE_CONFLICT', 'Conflicting profiles accepted');
+    log.pass('Route, ?profile= and default selection; unknown and conflicting names rejected\n');
+
+    // 3. Forced transformations
+    log.test('3. Resolving transformations...');
+    expect(UploadProfileService.resolveTransformations(avatar, { resize: '100x100', convert: 'png' }).resize === '512x512',
+      'Client transformations replaced the forced ones');
+    const requested = { resize: '800x600' };
+    expect(UploadProfileService.resolveTransformations(defaults, requested) === requested, 'Requested transformations dropped');
+    log.pass('Forced transformations win, the request\'s apply otherwise\n');
+
+    // 4. Profiles files refused at startup
+    log.test('4. Loading invalid profiles files...');
+    const refused = [
+      ['{ not json', /could not be read/],
+      [['avatar'], /object of named profiles/],
+      [{ 'bad name!': {} }, /names may only contain/],
+      [{ tiny: { maxFileSize: 0 } }, /maxFileSize/],
+      [{ exe: { extensions: ['.exe'] } }, /unknown extensions \.exe/],
+      [{ none: { extensions: [] } }, /non-empty array/],
+      [{ odd: { imageProcessing: { minDimension: 900, maxDimension: 600 } } }, /minDimension is above maxDimension/],
+      [{ gif: { imageProcessing: { formats: ['gif'] } } }, /imageProcessing\.formats/],
+      [{ huge: { transformations: { resize: '99999x99999' } } }, /transformations:/]
+    ];
+    for (const [config, pattern] of refused) {
+      const message = await loadError(config);
+      expect(pattern.test(message), `Unexpected error: ${message}`);
+    }
+    const onlyDefault = UploadProfileService.loadProfiles(path.join(os.tmpdir(), `missing-${process.pid}.json`));
+    expect([...onlyDefault.keys()].join() === 'default', 'Missing file did not leave only the default profile');
+    log.pass(`${refused.length} invalid files refused, a missing file leaves the default profile\n`);
+
+    // 5. Environment override
+    log.test('5. Reading profiles from UPLOAD_PROFILES_FILE...');
+    await fs.writeFile(configPath, JSON.stringify({
+      default: { maxFileSize: 2048 },
+      thumbs: { extensions: ['png'], transformations: { resize: '300x300' } }
+    }));
+    process.env.UPLOAD_PROFILES_FILE = configPath;
+    UploadProfileService.reload();
+    expect(UploadProfileService.getDefaultProfile().maxFileSize === 2048, 'default entry did not override the global rules');
+    expect(Object.keys(UploadProfileService.getProfile('thumbs').allowedFileTypes).join() === '.png', 'Extension without dot not accepted');
+    log.pass('Profiles file and default rules taken from the environment\n');
+    delete process.env.UPLOAD_PROFILES_FILE;
+    UploadProfileService.reload();
+
+    // 6. Rules applied by the upload pipeline
+    log.test('6. Applying profile rules while uploading...');
+    const jpeg = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    const photo = { originalname: 'photo.jpg', mimetype: 'image/jpeg', buffer: jpeg, size: jpeg.length };
+    expect(!await filterAccepts({ uploadProfile: UploadProfileService.getProfile('docs') }, 'photo.jpg'), 'docs file filter accepted a JPEG');
+    expect(await filterAccepts({ uploadProfile: UploadProfileService.getProfile('docs') }, 'report.pdf'), 'docs file filter rejected a PDF');
+    await expectRejection(FileValidationService.validateFile(photo, UploadProfileService.getProfile('docs')), 400, 'INVALID_FILE_TYPE');
+    await expectRejection(FileValidationService.validateFile({ ...photo, size: 2 * 1048576 }, avatar), 413, 'FILE_TOO_LARGE');
+    const banner = UploadProfileService.getProfile('banner');
+    const validation = { mimeType: 'image/jpeg', extension: '.jpg' };
+    const transformError = (params, rules) => {
+      try {
+        UploadService.validateTransformations(validation, params, rules);
+      } catch (error) {
+        return error.statusCode === 400 ? error.message : `${error.statusCode} ${error.message}`;
+      }
+      return null;
+    };
+    expect(/Minimum dimension: 600px/.test(transformError({ resize: '400x300' }, banner.imageProcessing)), 'Banner minimum dimension not applied');
+    expect(/Supported: webp, jpg/.test(transformError({ convert: 'png' }, banner.imageProcessing)), 'Banner output formats not applied');
+    expect(transformError({ resize: '400x300', convert: 'png' }) === null, 'Global rules rejected a 400px PNG resize');
+    log.pass('File filter, size limit, minimum dimension and output formats come from the profile\n');
+
+    log.pass('All upload profile tests passed!');
+  } catch (error) {
+    log.fail('Upload profile test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    delete process.env.UPLOAD_PROFILES_FILE;
+    UploadProfileService.reload();
+    await fs.rm(configPath, { force: true });
+  }
+};
+
+// Run the test
+testUploadProfiles();
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Rate Limiting Test Script
+ *
+ * Tests the per-client buckets: uploads are charged their Content-Length
+ * and refused without one (411), an exhausted quota answers 429 with
+ * Retry-After without charging the rejected upload, a fixed window opens
+ * again once it ends, and a failing bucket store lets requests through.
+ * Uses the database configured in .env.
+ * Usage: node tests/ratelimit.test.js
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { setTimeout as delay } from 'timers/promises';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import RateLimitService from '../services/RateLimitService.js';
+import { createRateLimiter } from '../middleware/rateLimiter.js';
+import { BUSINESS_RULES, RATE_LIMITING } from '../config/constants/index.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+const API_KEY = `ratelimit-test-${process.pid}`;
+const HEADERS = { [RATE_LIMITING.API_KEY_HEADER]: API_KEY };
+
+// Bytes of quota left in step 3, less than any upload
+const QUOTA_LEFT = 100;
+
+// Small bucket for step 4, so its window can be waited out
+const WINDOW_MS = 1000;
+const WINDOW_LIMIT = 2;
+
+// Random color, so the content is new to the database
+const newImage = () => jpegImage(`#${crypto.randomBytes(3).toString('hex')}`);
+
+// The multipart body fetch would send for a file, with its Content-Type
+const encodeUpload = async (content) => {
+  const encoded = new Response(formData([['image', 'limited.jpg', content]]));
+  return { type: encoded.headers.get('content-type'), body: Buffer.from(await encoded.arrayBuffer()) };
+};
+
+const upload = (url, { type, body }, headers = HEADERS) => request(`${url}/images`, {
+  method: 'POST',
+  headers: { 'Content-Type': type, ...headers },
+  body
+});
+
+// Bytes charged so far to the upload quota of the test API key
+const uploadQuotaUsed = () => {
+  const entry = [...RateLimitService.memoryStore.buckets].find(([key]) => key.startsWith('upload-bytes:key:'));
+  return entry ? entry[1].count : 0;
+};
+
+const testRateLimiting = async () => {
+  log.info('Testing rate limiting...\n');
+
+  const stored = [];
+  const previousApiKeys = process.env.API_KEYS;
+  const { increment } = RateLimitService.memoryStore;
+  let server;
+  let limited;
+
+  try {
+    await db.initializeDatabase();
+    process.env.API_KEYS = API_KEY;
+    server = await listen(app);
+
+    // 1. Charged by Content-Length
+    log.test('1. Uploading an image with an API key...');
+    const first = await encodeUpload(await newImage());
+    const uploaded = await upload(server.url, first);
+    expect(uploaded.status === 200, `Got ${uploaded.status} ${JSON.stringify(uploaded.body)}`);
+    stored.push(uploaded.body.data.filename);
+    expect(uploadQuotaUsed() === first.body.length, `Charged ${uploadQuotaUsed()} bytes for a ${first.body.length} byte request`);
+    expect(uploaded.headers.get('ratelimit-limit') && uploaded.headers.get('ratelimit-reset'), 'Missing RateLimit-* headers');
+    log.pass(`${first.body.length} bytes charged, RateLimit-* headers sent\n`);
+
+    // 2. No Content-Length
+    log.test('2. Uploading with chunked transfer encoding (no Content-Length)...');
+    const chunked = await encodeUpload(await newImage());
+    const quotaBefore = uploadQuotaUsed();
+    const unsized = await request(`${server.url}/images`, {
+      method: 'POST',
+      headers: { 'Content-Type': chunked.type, ...HEADERS },
+      body: new ReadableStream({
+        start(controller) {
+          controller.enqueue(chunked.body);
+          controller.close();
+        }
+      }),
+      duplex: 'half'
+    });
+    if (unsized.body?.data?.filename) stored.push(unsized.body.data.filename);
+    expect(unsized.status === 411 && unsized.body.code === 'LENGTH_REQUIRED', `Got ${unsized.status} ${unsized.body?.code}`);
+    expect(uploadQuotaUsed() === quotaBefore, `Charged ${uploadQuotaUsed() - quotaBefore} bytes for a refused upload`);
+    log.pass('411 LENGTH_REQUIRED, nothing charged\n');
+
+    // 3. Exhausted quota
+    log.test('3. Uploading with almost all of the hourly quota used...');
+    const nearlyFull = BUSINESS_RULES.MAX_UPLOAD_SIZE_PER_HOUR - QUOTA_LEFT;
+    await RateLimitService.consume({ bucket: 'upload-bytes', clientId: RateLimitService.identifyClient({ get: () => API_KEY }), amount: nearlyFull - uploadQuotaUsed(), limit: Infinity, windowMs: RATE_LIMITING.UPLOAD_WINDOW_MS });
+    const rejected = await upload(server.url, await encodeUpload(await newImage()));
+    if (rejected.body?.data?.filename) stored.push(rejected.body.data.filename);
+    expect(rejected.status === 429 && rejected.body.code === 'RATE_LIMIT_EXCEEDED', `Got ${rejected.status} ${rejected.body?.code}`);
+    const retryAfter = Number(rejected.headers.get('retry-after'));
+    expect(retryAfter > 0 && retryAfter <= RATE_LIMITING.UPLOAD_WINDOW_MS / 1000, `Retry-After: ${rejected.headers.get('retry-after')}`);
+    expect(uploadQuotaUsed() === nearlyFull, 'Rejected upload was charged');
+    const otherClient = await upload(server.url, first, {});
+    expect(otherClient.status === 200, `Client without the key: ${otherClient.status}`);
+    stored.push(otherClient.body.data.filename);
+    log.pass(`429 with Retry-After: ${retryAfter}, rejected bytes refunded, other clients unaffected\n`);
+
+    // 4. Window
+    log.test(`4. Sending ${WINDOW_LIMIT + 1} requests to a ${WINDOW_LIMIT} per ${WINDOW_MS}ms bucket, then waiting for the window...`);
+    const windowApp = express();
+    windowApp.get('/', createRateLimiter({ bucket: `window-test-${process.pid}`, limit: WINDOW_LIMIT, windowMs: WINDOW_MS, message: 'Window test' }), (req, res) => res.json({ ok: true }));
+    limited = await listen(windowApp);
+    const inWindow = [];
+    for (let i = 0; i <= WINDOW_LIMIT; i++) inWindow.push(await request(limited.url));
+    expect(inWindow.map(response => response.status).join() === '200,200,429', `Got ${inWindow.map(response => response.status).join()}`);
+    expect(inWindow.map(response => response.headers.get('ratelimit-remaining')).join() === '1,0,0', `Remaining: ${inWindow.map(response => response.headers.get('ratelimit-remaining')).join()}`);
+    expect(inWindow[2].headers.get('retry-after') === '1', `Retry-After: ${inWindow[2].headers.get('retry-after')}`);
+    await delay(WINDOW_MS + 100);
+    const nextWindow = await request(limited.url);
+    expect(nextWindow.status === 200 && nextWindow.headers.get('ratelimit-remaining') === '1', `After the window: ${nextWindow.status}, remaining ${nextWindow.headers.get('ratelimit-remaining')}`);
+    log.pass('Remaining 1, 0, then 429; a new window after it ends\n');
+
+    // 5. Store failure
+    log.test('5. Sending a request while the bucket store fails...');
+    RateLimitService.memoryStore.increment = async () => {
+      throw new Error('store unavailable');
+    };
+    const unchecked = await request(limited.url);
+    RateLimitService.memoryStore.increment = increment;
+    expect(unchecked.status === 200, `Got ${unchecked.status}`);
+    log.pass('Let through (fail open)\n');
+
+    log.pass('All rate limiting tests passed!');
+  } catch (error) {
+    log.fail('Rate limiting test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    RateLimitService.memoryStore.increment = increment;
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await limited?.close();
+    await server?.close();
+    if (previousApiKeys === undefined) delete process.env.API_KEYS;
+    else process.env.API_KEYS = previousApiKeys;
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testRateLimiting();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Render Test Script
+ *
+ * Tests on-demand rendering (RenderService): cache keys built from
+ * normalized parameters, so equivalent queries share one derivative;
+ * parameter errors; the size allowlist (RENDER_SIZE_ALLOWLIST), which also
+ * refuses rotate, background and quality; and a
+ * render served from the cache the second time and deleted with its
+ * stored file. Image metadata lookups are stubbed, so no database is used.
+ * Usage: node tests/render.test.js
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import RenderService from '../services/RenderService.js';
+import FileStorageService from '../services/FileStorageService.js';
+import ImageMetadataRepository from '../repositories/ImageMetadataRepository.js';
+import { expect, expectRejection } from './helpers.js';
+
+const jpegSource = { filename: 'photo.jpg', mimeType: 'image/jpeg', extension: '.jpg', vector: false };
+
+const keyOf = (query, source = jpegSource) => RenderService.parseRenderParameters(query, source).key;
+
+const rejectQuery = (query, code, source = jpegSource) =>
+  expectRejection((async () => RenderService.parseRenderParameters(query, source))(), 400, code);
+
+const testRendering = async () => {
+  log.info('Testing rendering...\n');
+
+  const storedFilename = `render-test-${process.pid}.jpg`;
+  const rows = new Map();
+  const findByName = ImageMetadataRepository.findByName;
+  ImageMetadataRepository.findByName = async (name) => rows.get(name) || null;
+
+  try {
+    // 1. Cache keys
+    log.test('1. Building cache keys from normalized parameters...');
+    const key = keyOf({ w: '800', format: 'WEBP', quality: '80' });
+    expect(key === '800xauto-inside-q80.webp', `Unexpected key ${key}`);
+    expect(keyOf({ quality: '80', format: 'webp', w: '0800' }) === key, 'Equivalent queries produced different keys');
+    expect(keyOf({ w: '800', format: 'webp' }) !== key, 'Quality missing from the key');
+    expect(keyOf({ format: 'png' }) === 'full-qauto.png', 'Format-only render key wrong');
+    expect(keyOf({ rotate: '90', crop: '10,20,500,400', w: '400', h: '400', fit: 'cover', position: 'attention', flop: 'true', format: 'webp', quality: '80' }) ===
+      'r90-crop10_20_500_400-400x400-cover-attention-flop-q80.webp', 'Full key wrong');
+    expect(keyOf({ w: '400' }).endsWith('.jpg'), 'Source format not kept');
+    expect(keyOf({ w: '400' }, { filename: 'icon.svg', mimeType: 'image/svg+xml', extension: '.svg', vector: true }).endsWith('.png'),
+      'Vector not rasterized to PNG by default');
+    log.pass(`${key} shared by equivalent queries\n`);
+
+    // 2. Parameter errors
+    log.test('2. Rejecting invalid render parameters...');
+    await rejectQuery({}, 'RENDER_PARAMETERS_REQUIRED');
+    await rejectQuery({ fit: 'cover' }, 'RENDER_PARAMETERS_REQUIRED');
+    await rejectQuery({ w: '-5' }, 'INVALID_RENDER_PARAMETERS');
+    await rejectQuery({ w: '0' }, 'INVALID_RENDER_PARAMETERS');
+    await rejectQuery({ w: 'abc' }, 'INVALID_RENDER_PARAMETERS');
+    await rejectQuery({ w: '400' }, 'FORMAT_REQUIRED', { filename: 'scan.bmp', mimeType: 'image/bmp', extension: '.bmp', vector: false });
+    const outOfBounds = await (async () => RenderService.parseRenderParameters({ w: '99999' }, jpegSource))().then(() => null, error => error);
+    expect(outOfBounds?.statusCode === 400 && /maximum dimension/i.test(outOfBounds.message), 'Width over the maximum dimension accepted');
+    log.pass('Missing, malformed and out-of-bounds parameters rejected\n');
+
+    // 3. Size allowlist
+    log.test('3. Restricting sizes with RENDER_SIZE_ALLOWLIST...');
+    process.env.RENDER_SIZE_ALLOWLIST = '800x600, 0400, x300, bogus';
+    expect(RenderService.getSizeAllowlist().join() === '800x600,400x,x300', `Allowlist ${RenderService.getSizeAllowlist().join()}`);
+    expect(keyOf({ w: '800', h: '600', format: 'webp' }).startsWith('800x600'), '800x600 not rendered');
+    expect(keyOf({ w: '400' }).startsWith('400xauto'), '400 wide not rendered');
+    expect(keyOf({ h: '300' }).startsWith('autox300'), '300 high not rendered');
+    expect(keyOf({ format: 'webp' }) === 'full-qauto.webp', 'Render without resize refused');
+    const notAllowed = await rejectQuery({ w: '801', h: '600' }, 'SIZE_NOT_ALLOWED');
+    expect(notAllowed.details.allowedSizes.join() === '800x600,400x,x300', 'Allowed sizes missing from details');
+    await rejectQuery({ w: '400', h: '300' }, 'SIZE_NOT_ALLOWED');
+    for (const [query, parameters] of [
+      [{ w: '400', rotate: '90' }, 'rotate'],
+      [{ w: '400', fit: 'contain', background: '#ff0000' }, 'fit,background'],
+      [{ w: '400', quality: '73' }, 'quality']
+    ]) {
+      const refused = await rejectQuery(query, 'RENDER_PARAMETER_NOT_ALLOWED');
+      expect(refused.details.parameters.join() === parameters, `${JSON.stringify(query)} reported as ${refused.details.parameters.join()}`);
+    }
+    await rejectQuery({ format: 'webp', quality: '90' }, 'RENDER_PARAMETER_NOT_ALLOWED');
+    expect(keyOf({ w: '400', rotate: '0', flip: 'true', format: 'png' }) === '400xauto-inside-flip-qauto.png', 'Fixed parameters refused');
+    delete process.env.RENDER_SIZE_ALLOWLIST;
+    expect(RenderService.getSizeAllowlist().length === 0 && keyOf({ w: '801' }).startsWith('801x'), 'Any size refused without an allowlist');
+    log.pass('Only listed sizes rendered in allowlist mode, without rotate, background or quality\n');
+
+    // 4. Render, cache and delete
+    log.test('4. Rendering a stored image twice...');
+    const jpeg = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    await fs.writeFile(FileStorageService.getFullPath(storedFilename), jpeg);
+    rows.set('photo', { name: 'photo', path: FileStorageService.getRelativePath(storedFilename), mime: 'image/jpeg', expires_at: null });
+
+    const first = await RenderService.render('photo', { w: '600', format: 'webp' });
+    const second = await RenderService.render('photo', { format: 'WEBP', w: '600' });
+    const rendered = await sharp(first.path).metadata();
+    expect(!first.cacheHit && second.cacheHit && first.path === second.path, 'Second render not served from the cache');
+    expect(first.mimeType === 'image/webp' && rendered.format === 'webp' && rendered.width === 600, 'Derivative not rendered as asked');
+    expect(path.dirname(first.path) === path.dirname(FileStorageService.getDerivativePath(storedFilename, 'x')), 'Derivative stored outside its folder');
+
+    const concurrent = await Promise.all([1, 2, 3].map(() => RenderService.render('photo', { w: '300' })));
+    expect(concurrent.every(result => result.path === concurrent[0].path) && RenderService.inFlight.size === 0, 'Concurrent renders not shared');
+
+    await FileStorageService.deleteDerivatives(storedFilename);
+    expect(!await fs.access(path.dirname(first.path)).then(() => true, () => false), 'Derivatives left after deleting');
+    log.pass(`Rendered ${rendered.width}x${rendered.height} WebP once, cached, deleted with the stored file\n`);
+
+    // 5. Missing and expired images
+    log.test('5. Rendering missing and expired images...');
+    await expectRejection(RenderService.render('missing', { w: '600' }), 404, 'IMAGE_NOT_FOUND');
+    rows.set('old', { ...rows.get('photo'), name: 'old', expires_at: new Date(Date.now() - 1000) });
+    await expectRejection(RenderService.render('old', { w: '600' }), 410, 'IMAGE_EXPIRED');
+    log.pass('404 for missing images, 410 for expired ones\n');
+
+    log.pass('All rendering tests passed!');
+  } catch (error) {
+    log.fail('Rendering test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    delete process.env.RENDER_SIZE_ALLOWLIST;
+    ImageMetadataRepository.findByName = findByName;
+    await FileStorageService.deleteDerivatives(storedFilename);
+    await fs.rm(FileStorageService.getFullPath(storedFilename), { force: true });
+    await fs.rmdir(FileStorageService.DERIVATIVES_DIR).catch(() => null); // Only removed when empty
+  }
+};
+
+// Run the test
+testRendering();
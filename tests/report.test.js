@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Validation Report Test Script
+ *
+ * Tests the dry run behind POST /images/validate (ValidationReportService):
+ * a passing report with the detected type and the would-be output, failed
+ * transformation checks with the error an upload would get, later checks
+ * skipped after a failure, the rules of the selected profile, and that a
+ * staged file is reported on without anything being stored.
+ * Usage: node tests/report.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import ValidationReportService from '../services/ValidationReportService.js';
+import UploadProfileService from '../services/UploadProfileService.js';
+import FileStorageService from '../services/FileStorageService.js';
+import { expect } from './helpers.js';
+
+const { PASSED, FAILED, SKIPPED } = ValidationReportService.CHECK_STATUSES;
+
+const findCheck = (report, name) => {
+  const check = report.checks.find(candidate => candidate.name === name);
+  expect(check, `Check ${name} missing from the report`);
+  return check;
+};
+
+// Every check before `name` passed, `name` failed and every later one was skipped
+const expectFailedAt = (report, name) => {
+  const index = report.checks.findIndex(check => check.name === name);
+  expect(index !== -1 && report.checks[index].status === FAILED, `Check ${name} did not fail`);
+  expect(report.checks.slice(0, index).every(check => check.status === PASSED), `A check before ${name} did not pass`);
+  expect(report.checks.slice(index + 1).every(check => check.status === SKIPPED), `A check after ${name} was not skipped`);
+  expect(report.valid === false && report.output === null, 'Failed report still valid or with an output');
+  return report.checks[index].error;
+};
+
+const testValidationReport = async () => {
+  log.info('Testing validation reports...\n');
+
+  const stagedPath = path.join(os.tmpdir(), `report-test-${process.pid}.tmp`);
+
+  try {
+    const jpeg = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    const photo = { originalname: 'photo.jpg', mimetype: 'image/jpeg', buffer: jpeg, size: jpeg.length };
+    const report = (file, queryParams, profileName) =>
+      ValidationReportService.buildReport(file, queryParams, UploadProfileService.getProfile(profileName));
+
+    // 1. Passing report
+    log.test('1. Reporting on a JPEG resized to 800x600...');
+    const valid = await report(photo, { resize: '800x600', quality: '80' });
+    expect(valid.valid && valid.checks.every(check => check.status === PASSED), 'Valid JPEG reported as invalid');
+    expect(['size', 'extension', 'contentType', 'extensionMatch', 'content', 'malwareScan', 'transformation', 'output']
+      .every((name, i) => valid.checks[i]?.name === name), 'Checks missing or out of order');
+    expect(valid.detected.mimeType === 'image/jpeg' && valid.detected.dimensions?.width === 1200, 'Detected type or dimensions missing');
+    expect(valid.output.transformed && valid.output.dimensions.width === 800 && valid.output.dimensions.height === 533,
+      `Output dimensions ${JSON.stringify(valid.output.dimensions)}`);
+    expect(valid.output.estimatedSize > 0 && valid.output.estimatedSize < jpeg.length, 'Estimated size missing');
+    expect(findCheck(valid, 'transformation').details.quality === 80, 'Transformation details missing');
+    log.pass(`Valid: ${valid.output.mimeType} ${valid.output.dimensions.width}x${valid.output.dimensions.height}, ~${valid.output.estimatedSize} bytes\n`);
+
+    // 2. Transformation parameters
+    log.test('2. Reporting on invalid transformation parameters...');
+    const lowQuality = expectFailedAt(await report(photo, { resize: '800x600', quality: '5' }), 'transformation');
+    expect(lowQuality.status === 400 && /quality/i.test(lowQuality.message), 'Quality error not reported');
+    const tooLarge = expectFailedAt(await report(photo, { resize: '99999x10' }), 'transformation');
+    expect(/maximum dimension/i.test(tooLarge.message), 'Resize error not reported');
+    const text = Buffer.from('plain notes\n');
+    const notTransformable = expectFailedAt(
+      await report({ originalname: 'notes.txt', mimetype: 'text/plain', buffer: text, size: text.length }, { resize: '800x600' }),
+      'transformation'
+    );
+    expect(notTransformable.code === 'TRANSFORMATION_NOT_SUPPORTED', 'Text transformation not refused');
+    log.pass('Quality, resize bounds and non-image transformations reported as failed\n');
+
+    // 3. Failures skip the later checks
+    log.test('3. Reporting on an oversized file and text behind .jpg...');
+    const oversized = await report({ ...photo, size: 50 * 1024 * 1024 }, {});
+    expect(expectFailedAt(oversized, 'size').code === 'FILE_TOO_LARGE', 'Size error not reported');
+    expect(oversized.detected === null, 'Type detected for an oversized file');
+    const disguised = await report({ originalname: 'notes.jpg', mimetype: 'image/jpeg', buffer: text, size: text.length }, {});
+    expect(expectFailedAt(disguised, 'extensionMatch').code === 'CONTENT_TYPE_MISMATCH', 'Mismatch not reported');
+    expect(disguised.detected.mimeType === 'text/plain', 'Sniffed type missing from a failed report');
+    log.pass('Checks after the first failure skipped, detected type kept\n');
+
+    // 4. Profiles
+    log.test('4. Reporting with the avatar, docs and banner profiles...');
+    const avatar = await report(photo, { resize: '100x100' }, 'avatar');
+    expect(avatar.profile === 'avatar' && avatar.valid, 'Avatar report invalid');
+    expect(avatar.output.mimeType === 'image/webp' && avatar.output.dimensions.width === 512 && avatar.output.dimensions.height === 512,
+      'Forced 512x512 WebP not applied');
+    expect(expectFailedAt(await report(photo, {}, 'docs'), 'extension').code === 'INVALID_FILE_TYPE', 'docs accepted a JPEG');
+    const banner = await report(photo, {}, 'banner');
+    expect(findCheck(banner, 'variants').details.widths.join() === '640,1280,1920', 'Banner variants not reported');
+    expect(findCheck(banner, 'size').details.maxSize === UploadProfileService.getProfile('banner').maxFileSize, 'Profile size limit not used');
+    log.pass('Forced transformations, allowed types, variants and size limits come from the profile\n');
+
+    // 5. Nothing stored
+    log.test('5. Reporting on a staged file...');
+    await fs.writeFile(stagedPath, jpeg);
+    const before = await fs.readdir(FileStorageService.UPLOAD_DIR);
+    const staged = await report({ originalname: 'photo.jpg', mimetype: 'image/jpeg', path: stagedPath, size: jpeg.length }, { convert: 'webp' });
+    const after = await fs.readdir(FileStorageService.UPLOAD_DIR);
+    expect(staged.valid && staged.output.mimeType === 'image/webp', 'Staged file not reported on');
+    expect(before.length === after.length && (await fs.readFile(stagedPath)).equals(jpeg), 'Files written or changed by a dry run');
+    log.pass('Report built from disk, nothing written to storage\n');
+
+    log.pass('All validation report tests passed!');
+  } catch (error) {
+    log.fail('Validation report test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(stagedPath, { force: true });
+  }
+};
+
+// Run the test
+testValidationReport();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test Runner
+ *
+ * Runs the test scripts one after the other, each in its own process, and
+ * exits with a failure when any of them failed. The database test runs first
+ * so the tables exist for the scripts that use them. uploading.test.js is not
+ * included: it needs a running server.
+ * Usage: node tests/run.js [name ...]   (e.g. node tests/run.js pdf text)
+ */
+
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import log from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SUITES = [
+  'database',
+  'sniffing',
+  'formats',
+  'svg',
+  'integrity',
+  'limits',
+  'pdf',
+  'text',
+  'scanning',
+  'report',
+  'profiles',
+  'render',
+  'crop',
+  'orientation',
+  'batch',
+  'sessions',
+  'staging',
+  'dedup',
+  'idempotency',
+  'versions',
+  'presign',
+  'ratelimit',
+  'visibility',
+  'metadata',
+  'moderation'
+];
+
+const runSuite = (name) => new Promise((resolve) => {
+  const child = spawn(process.execPath, [path.join(__dirname, `${name}.test.js`)], { stdio: 'inherit' });
+  child.on('error', () => resolve(false));
+  child.on('close', code => resolve(code === 0));
+});
+
+const runTests = async () => {
+  const requested = process.argv.slice(2);
+  const unknown = requested.filter(name => !SUITES.includes(name));
+
+  if (unknown.length > 0) {
+    log.fail(`Unknown test suites: ${unknown.join(', ')}. Available: ${SUITES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const failed = [];
+
+  for (const name of requested.length > 0 ? requested : SUITES) {
+    log.info(`Running ${name}.test.js\n`);
+    if (!await runSuite(name)) failed.push(name);
+    console.log('');
+  }
+
+  if (failed.length > 0) {
+    log.fail(`Failed: ${failed.join(', ')}`);
+    process.exitCode = 1;
+  } else {
+    log.pass('All test suites passed!');
+  }
+};
+
+// Run the tests
+runTests();
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Malware Scanning Test Script
+ *
+ * Tests the clamd INSTREAM client and the scan stage against the local
+ * clamd stub (scripts/clamd-stub.js): clean and infected content, in memory
+ * and staged on disk, and both fail modes with the scanner down.
+ * Usage: node tests/scanning.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import { createClamdStub } from '../scripts/clamd-stub.js';
+import MalwareScanService, { ClamdScanner } from '../services/MalwareScanService.js';
+import { expect, expectRejection } from './helpers.js';
+
+// Built at runtime so this file itself is not flagged by antivirus software
+const EICAR = ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE', '!$H+H*'].join('');
+
+const testMalwareScanning = async () => {
+  log.info('Testing malware scanning...\n');
+
+  const stub = createClamdStub();
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const { port } = stub.address();
+  const stagedPath = path.join(os.tmpdir(), `scanning-test-${process.pid}.txt`);
+
+  try {
+    const scanner = new ClamdScanner({ host: '127.0.0.1', port, timeoutMs: 5000, chunkSize: 1024 });
+
+    // 1. Clean content
+    log.test('1. Scanning clean content...');
+    let verdict = await scanner.scan({ buffer: Buffer.alloc(10 * 1024, 'a') });
+    expect(verdict.infected === false, 'Clean content reported as infected');
+    log.pass('Clean content passed\n');
+
+    // 2. Infected content, split across chunks
+    log.test('2. Scanning the EICAR test string...');
+    verdict = await scanner.scan({ buffer: Buffer.concat([Buffer.alloc(1500, ' '), Buffer.from(EICAR)]) });
+    expect(verdict.infected === true && verdict.signature === 'Eicar-Test-Signature', 'EICAR not detected');
+    log.pass(`Detected: ${verdict.signature}\n`);
+
+    // 3. Staged file, streamed from disk
+    log.test('3. Scanning a staged file...');
+    await fs.writeFile(stagedPath, EICAR);
+    verdict = await scanner.scan({ path: stagedPath });
+    expect(verdict.infected === true, 'EICAR not detected in staged file');
+    log.pass('Staged file scanned\n');
+
+    // 4. Upload scan stage
+    log.test('4. Rejecting an infected upload...');
+    process.env.MALWARE_SCANNER = 'clamd';
+    process.env.CLAMD_HOST = '127.0.0.1';
+    process.env.CLAMD_PORT = String(port);
+    const error = await expectRejection(
+      MalwareScanService.scanFile({ originalname: 'eicar.txt', path: stagedPath }),
+      422,
+      'MALWARE_DETECTED'
+    );
+    expect(error.details.signature === 'Eicar-Test-Signature', 'Signature missing from error details');
+    const clean = await MalwareScanService.scanFile({ originalname: 'clean.txt', buffer: Buffer.from('hello') });
+    expect(clean.scanned === true, 'Clean upload not reported as scanned');
+    log.pass('Infected upload rejected, clean upload accepted\n');
+
+    // 5. Scanner unavailable
+    log.test('5. Scanner unavailable...');
+    await new Promise(resolve => stub.close(resolve));
+    process.env.MALWARE_SCAN_FAIL_MODE = 'closed';
+    await expectRejection(
+      MalwareScanService.scanFile({ originalname: 'clean.txt', buffer: Buffer.from('hello') }),
+      503,
+      'SCANNER_UNAVAILABLE'
+    );
+    process.env.MALWARE_SCAN_FAIL_MODE = 'open';
+    const unscanned = await MalwareScanService.scanFile({ originalname: 'clean.txt', buffer: Buffer.from('hello') });
+    expect(unscanned.scanned === false, 'Fail-open upload reported as scanned');
+    log.pass('Fail closed rejects, fail open lets the upload through\n');
+
+    log.pass('All malware scanning tests passed!');
+  } catch (error) {
+    log.fail('Malware scanning test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    stub.close();
+    await fs.rm(stagedPath, { force: true });
+  }
+};
+
+// Run the test
+testMalwareScanning();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Resumable Upload Test Script
+ *
+ * Tests the tus-style sessions under /images/uploads through the app: chunks
+ * appended at explicit offsets, HEAD reporting the resume point, a chunk at
+ * the wrong offset rejected with 409 and the current offset, two copies of
+ * a chunk sent at once stored only once, and chunks sent while another is
+ * being written waiting for it: HEAD never reports unwritten bytes and the
+ * finalized file is byte-identical.
+ * Uses the database configured in .env.
+ * Usage: node tests/sessions.test.js
+ */
+
+import sharp from 'sharp';
+import { setTimeout as delay } from 'timers/promises';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import FileStorageService from '../services/FileStorageService.js';
+import { RESUMABLE_UPLOADS } from '../config/constants/index.js';
+import { expect, listen, request } from './helpers.js';
+
+// Noisy JPEG, large enough to be sent in several chunks
+const noisyImage = () => sharp({
+  create: { width: 400, height: 300, channels: 3, background: '#808080', noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+}).jpeg().toBuffer();
+
+// Slows chunk writes down in step 5, so requests arrive while one is in progress
+const { writeSessionChunk } = FileStorageService;
+const WRITE_DELAY_MS = 300;
+
+const splitChunks = (buffer, count) => {
+  const size = Math.ceil(buffer.length / count);
+  return Array.from({ length: count }, (_, i) => ({ offset: i * size, bytes: buffer.subarray(i * size, (i + 1) * size) }));
+};
+
+const createSession = async (url, buffer, filename) => {
+  const response = await request(`${url}/images/uploads`, {
+    method: 'POST',
+    headers: { 'Upload-Length': String(buffer.length), 'Upload-Metadata': `filename ${Buffer.from(filename).toString('base64')}` }
+  });
+  expect(response.status === 201, `Session not created: ${response.status} ${JSON.stringify(response.body)}`);
+  return `${url}${response.headers.get('location')}`;
+};
+
+const patchChunk = (sessionUrl, { offset, bytes }) => request(sessionUrl, {
+  method: 'PATCH',
+  headers: { 'Content-Type': RESUMABLE_UPLOADS.CHUNK_CONTENT_TYPE, 'Upload-Offset': String(offset) },
+  body: bytes
+});
+
+const currentOffset = async (sessionUrl) => {
+  const response = await fetch(sessionUrl, { method: 'HEAD' });
+  expect(response.status === 200, `HEAD answered ${response.status}`);
+  return Number(response.headers.get('upload-offset'));
+};
+
+const testResumableUploads = async () => {
+  log.info('Testing resumable uploads...\n');
+
+  const stored = [];
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    server = await listen(app);
+
+    const image = await noisyImage();
+    const chunks = splitChunks(image, 3);
+
+    // 1. First chunk and resume point
+    log.test('1. Sending the first chunk and asking for the offset...');
+    const sessionUrl = await createSession(server.url, image, 'resumed.jpg');
+    const first = await patchChunk(sessionUrl, chunks[0]);
+    expect(first.status === 204 && first.headers.get('upload-offset') === String(chunks[1].offset), `First chunk: ${first.status} ${first.headers.get('upload-offset')}`);
+    expect(await currentOffset(sessionUrl) === chunks[1].offset, 'HEAD does not report the bytes received');
+    log.pass(`204, HEAD reports offset ${chunks[1].offset} of ${image.length}\n`);
+
+    // 2. Wrong offset
+    log.test('2. Resending the first chunk at offset 0...');
+    const stale = await patchChunk(sessionUrl, chunks[0]);
+    expect(stale.status === 409 && stale.headers.get('upload-offset') === String(chunks[1].offset), `Stale chunk: ${stale.status} ${stale.headers.get('upload-offset')}`);
+    log.pass('409 with the current Upload-Offset\n');
+
+    // 3. The same chunk twice at once
+    log.test('3. Sending two copies of the second chunk at the same time...');
+    const copies = await Promise.all([patchChunk(sessionUrl, chunks[1]), patchChunk(sessionUrl, chunks[1])]);
+    const statuses = copies.map(response => response.status).sort();
+    expect(statuses[0] === 204 && statuses[1] === 409, `Got ${statuses.join(' and ')}`);
+    expect(await currentOffset(sessionUrl) === chunks[2].offset, 'Offset moved twice for the same chunk');
+    log.pass('One stored (204), the other rejected (409), offset advanced once\n');
+
+    // 4. Finishing the upload
+    log.test('4. Sending the last chunk...');
+    const last = await patchChunk(sessionUrl, chunks[2]);
+    expect(last.status === 200 && last.body.data.size === image.length, `Last chunk: ${last.status} ${JSON.stringify(last.body)}`);
+    stored.push(last.body.data.filename);
+    const finished = await fetch(sessionUrl, { method: 'HEAD' });
+    expect(finished.status === 200 && finished.headers.get('upload-offset') === String(image.length), 'Session offset not at the upload length');
+    log.pass(`200, stored as ${last.body.data.filename}\n`);
+
+    // 5. Chunks sent while another one is being written
+    log.test('5. Sending every chunk of a new session while the first is still being written...');
+    FileStorageService.writeSessionChunk = async function (...args) {
+      await delay(WRITE_DELAY_MS);
+      return writeSessionChunk.apply(this, args);
+    };
+
+    // Different content, so it is not deduplicated against the first upload
+    const racedImage = await noisyImage();
+    const racedChunks = splitChunks(racedImage, 3);
+    const racedUrl = await createSession(server.url, racedImage, 'raced.jpg');
+    const writing = patchChunk(racedUrl, racedChunks[0]);
+    await delay(WRITE_DELAY_MS / 2);
+    expect(await currentOffset(racedUrl) === 0, 'HEAD reports bytes that are not on disk yet');
+    const raced = await Promise.all([writing, ...racedChunks.slice(1).map(chunk => patchChunk(racedUrl, chunk))]);
+    expect(raced.every(response => [200, 204, 409].includes(response.status)), `Got ${raced.map(response => response.status).join(', ')}`);
+
+    // Resend whatever was rejected, from the offset the server reports
+    let completed = raced.find(response => response.status === 200);
+    while (!completed) {
+      const offset = await currentOffset(racedUrl);
+      const response = await patchChunk(racedUrl, racedChunks.find(chunk => chunk.offset === offset));
+      expect([200, 204].includes(response.status), `Resent chunk at ${offset}: ${response.status}`);
+      if (response.status === 200) completed = response;
+    }
+    stored.push(completed.body.data.filename);
+
+    const content = Buffer.from(await (await fetch(`${server.url}/static/${completed.body.data.filename}`)).arrayBuffer());
+    expect(content.equals(racedImage), 'Stored file differs from the uploaded bytes');
+    log.pass('HEAD waited for the write, stored file identical to the original\n');
+
+    log.pass('All resumable upload tests passed!');
+  } catch (error) {
+    log.fail('Resumable upload test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    FileStorageService.writeSessionChunk = writeSessionChunk;
+    await server?.close();
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testResumableUploads();
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Content Sniffing Test Script
+ *
+ * Tests that the stored type comes from the content, never from the
+ * filename or the declared Content-Type: magic bytes of each family,
+ * renamed files stored as what they really are, the declared/extension/
+ * sniffed mismatch report, text behind a binary extension, mismatches
+ * under a profile or presigned policy that restricts types and the
+ * polyglot test asset.
+ * Usage: node tests/sniffing.test.js
+ */
+
+import path from 'path';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import ContentSniffingService from '../services/ContentSniffingService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import UploadProfileService from '../services/UploadProfileService.js';
+import PresignedUploadService from '../services/PresignedUploadService.js';
+import { ASSETS, expect, expectRejection } from './helpers.js';
+
+const testContentSniffing = async () => {
+  log.info('Testing content sniffing...\n');
+
+  try {
+    const jpeg = await fs.readFile(path.join(ASSETS, 'img.1.jpg'));
+
+    // 1. Magic bytes and structure
+    log.test('1. Sniffing leading bytes...');
+    const samples = [
+      [jpeg, 'image/jpeg'],
+      [Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]), Buffer.from('IHDR')]), 'image/png'],
+      [Buffer.concat([Buffer.from('GIF89a'), Buffer.from([0x10, 0x00, 0x10, 0x00])]), 'image/gif'],
+      [Buffer.from('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n', 'latin1'), 'application/pdf'],
+      [Buffer.from('<?xml version="1.0"?>\n<!-- icon -->\n<svg xmlns="http://www.w3.org/2000/svg"/>'), 'image/svg+xml'],
+      [Buffer.from('Plain notes, nothing else.\n'), 'text/plain']
+    ];
+    for (const [buffer, expected] of samples) {
+      const sniffed = ContentSniffingService.sniff(buffer);
+      expect(sniffed === expected, `Expected ${expected}, sniffed ${sniffed}`);
+    }
+    log.pass('Every sample sniffed as its real type\n');
+
+    // 2. A signature alone is not enough
+    log.test('2. Rejecting bare signatures...');
+    expect(ContentSniffingService.sniff(Buffer.from([0xFF, 0xD8, 0xFF])) !== 'image/jpeg', 'Bare JPEG SOI sniffed as JPEG');
+    expect(ContentSniffingService.sniff(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) === null, 'PNG without IHDR accepted');
+    expect(ContentSniffingService.sniff(Buffer.from([0x00, 0x01, 0x02, 0xFE, 0xFF, 0x00])) === null, 'Binary noise recognized');
+    expect(ContentSniffingService.sniff(Buffer.alloc(0)) === null, 'Empty content recognized');
+    log.pass('Truncated headers and noise are not recognized\n');
+
+    // 3. Renamed file: stored as what it is, mismatch reported
+    log.test('3. Validating a JPEG uploaded as .png...');
+    const renamed = await FileValidationService.validateFile({
+      originalname: 'photo.png',
+      mimetype: 'image/png',
+      buffer: jpeg,
+      size: jpeg.length
+    });
+    expect(renamed.mimeType === 'image/jpeg', `Stored as ${renamed.mimeType}`);
+    expect(renamed.extension === '.jpg', `Stored with extension ${renamed.extension}`);
+    expect(renamed.typeMismatch?.declared === 'image/png' &&
+      renamed.typeMismatch?.extension === 'image/png' &&
+      renamed.typeMismatch?.sniffed === 'image/jpeg', 'Type mismatch not reported');
+    log.pass(`Stored as ${renamed.mimeType} (${renamed.extension}), mismatch reported\n`);
+
+    // 4. Agreeing types: no mismatch report
+    log.test('4. Validating a JPEG uploaded as .jpg...');
+    const honest = await FileValidationService.validateFile({
+      originalname: 'photo.jpg',
+      mimetype: 'image/jpeg',
+      buffer: jpeg,
+      size: jpeg.length
+    });
+    expect(honest.typeMismatch === null, 'Mismatch reported for agreeing types');
+    log.pass('No mismatch reported\n');
+
+    // 5. Text behind a binary extension
+    log.test('5. Validating text uploaded as .jpg...');
+    const text = Buffer.from('console.log("not an image");\n');
+    await expectRejection(
+      FileValidationService.validateFile({ originalname: 'script.jpg', mimetype: 'image/jpeg', buffer: text, size: text.length }),
+      400,
+      'CONTENT_TYPE_MISMATCH'
+    );
+    log.pass('Text behind a binary extension rejected\n');
+
+    // 6. Content that matches no allowed type
+    log.test('6. Validating unknown binary content...');
+    const noise = Buffer.from([0x7F, 0x45, 0x4C, 0x46, 0x02, 0x01, 0x01, 0x00, 0x00, 0xFF]);
+    const error = await expectRejection(
+      FileValidationService.validateFile({ originalname: 'program.png', mimetype: 'image/png', buffer: noise, size: noise.length }),
+      415,
+      'UNRECOGNIZED_CONTENT'
+    );
+    expect(Array.isArray(error.details?.allowedTypes), 'Allowed types missing from error details');
+    log.pass('Unknown content rejected with the allowed types\n');
+
+    // 7. Polyglot asset: a script whatever its name says
+    log.test('7. Sniffing tests/assets/malicious.image.png.js...');
+    const polyglot = await fs.readFile(path.join(ASSETS, 'malicious.image.png.js'));
+    expect(ContentSniffingService.sniff(polyglot) === 'text/plain', 'Polyglot not sniffed as text');
+    await expectRejection(
+      FileValidationService.validateFile({ originalname: 'malicious.image.png', mimetype: 'image/png', buffer: polyglot, size: polyglot.length }),
+      400,
+      'CONTENT_TYPE_MISMATCH'
+    );
+    log.pass('Polyglot rejected as an image\n');
+
+    // 8. Restricted types: a mismatch is rejected, not stored under the content's extension
+    log.test('8. Validating a JPEG uploaded as .png under a profile and a policy that restrict types...');
+    const photosProfile = UploadProfileService.buildProfile('photos', { extensions: ['.jpg', '.png'] });
+    const policyProfile = PresignedUploadService.restrictProfile(UploadProfileService.getDefaultProfile(), { extensions: ['.jpg', '.png'], maxSize: jpeg.length });
+    for (const profile of [photosProfile, policyProfile]) {
+      const mismatch = await expectRejection(
+        FileValidationService.validateFile({ originalname: 'photo.png', mimetype: 'image/png', buffer: jpeg, size: jpeg.length }, profile),
+        400,
+        'CONTENT_TYPE_MISMATCH'
+      );
+      expect(mismatch.details?.extension === '.png' && mismatch.details?.detectedType === 'image/jpeg', `Details: ${JSON.stringify(mismatch.details)}`);
+    }
+    const allowedUnderProfile = await FileValidationService.validateFile({ originalname: 'photo.jpg', mimetype: 'image/jpeg', buffer: jpeg, size: jpeg.length }, photosProfile);
+    expect(allowedUnderProfile.extension === '.jpg', 'Matching file rejected by the restricted profile');
+    log.pass('400 CONTENT_TYPE_MISMATCH with the extension and detected type; matching files still pass\n');
+
+    log.pass('All content sniffing tests passed!');
+  } catch (error) {
+    log.fail('Content sniffing test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+// Run the test
+testContentSniffing();
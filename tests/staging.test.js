@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Upload Staging Test Script
+ *
+ * Tests that POST /images streams the body to a staging file instead of
+ * holding it in memory: the stored file is the staged one moved into place,
+ * byte-identical, and no staging file outlives a stored, rejected or
+ * oversized upload. A partial file left by a client that drops the
+ * connection is removed by the janitor once it is old enough.
+ * Uses the database configured in .env.
+ * Usage: node tests/staging.test.js
+ */
+
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { setTimeout as delay } from 'timers/promises';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import FileUtils from '../utils/fileUtils.js';
+import FileStorageService from '../services/FileStorageService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import { STORAGE } from '../config/constants/index.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+const { moveStagedFile, saveFile } = FileStorageService;
+
+// Staging files that are not in `before`
+const newStagingFiles = async (before) => {
+  const files = await FileUtils.readDirectory(FileStorageService.getStagingDirectory());
+  return files.filter(file => !before.includes(file));
+};
+
+/**
+ * Send the start of a multipart upload declaring `totalBytes`, then drop the
+ * connection once the server has had time to stage what was sent
+ */
+const abortUpload = (url, sentBytes, totalBytes) => new Promise((resolve) => {
+  const boundary = `staging-test-${process.pid}`;
+  const head = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="aborted.jpg"\r\nContent-Type: image/jpeg\r\n\r\n`);
+
+  const req = http.request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': head.length + totalBytes }
+  });
+  req.on('error', () => null);
+
+  req.write(head);
+  req.write(crypto.randomBytes(sentBytes), async () => {
+    await delay(200);
+    req.destroy();
+    resolve();
+  });
+});
+
+const testUploadStaging = async () => {
+  log.info('Testing upload staging...\n');
+
+  const stored = [];
+  const moves = [];
+  let buffered = 0;
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    server = await listen(app);
+    await FileStorageService.ensureStagingDirectory();
+    const before = await FileUtils.readDirectory(FileStorageService.getStagingDirectory());
+
+    FileStorageService.moveStagedFile = function (stagingPath, ...rest) {
+      moves.push(stagingPath);
+      return moveStagedFile.call(this, stagingPath, ...rest);
+    };
+    FileStorageService.saveFile = function (...args) {
+      buffered++;
+      return saveFile.apply(this, args);
+    };
+
+    // 1. Stored upload
+    log.test('1. Uploading an image...');
+    // Random color, so it is never deduplicated against a stored file
+    const photo = await jpegImage(`#${crypto.randomBytes(3).toString('hex')}`, 800, 600);
+    const upload = await request(`${server.url}/images`, { method: 'POST', body: formData([['image', 'photo.jpg', photo]]) });
+    expect(upload.status === 200, `Got ${upload.status} ${JSON.stringify(upload.body)}`);
+    stored.push(upload.body.data.filename);
+    expect(moves.length === 1 && path.dirname(moves[0]) === FileStorageService.getStagingDirectory(), `Not moved from the staging directory: ${moves.join(', ')}`);
+    expect(buffered === 0, 'Stored from an in-memory buffer');
+    const content = Buffer.from(await (await fetch(`${server.url}/static/${upload.body.data.filename}`)).arrayBuffer());
+    expect(content.equals(photo), 'Stored file differs from the upload');
+    expect((await newStagingFiles(before)).length === 0, 'Staging file left behind');
+    log.pass('Staged, then moved into place byte-identical; nothing left in staging\n');
+
+    // 2. Rejected upload
+    log.test('2. Uploading text named .jpg...');
+    const rejected = await request(`${server.url}/images`, { method: 'POST', body: formData([['image', 'fake.jpg', Buffer.from('not an image at all')]]) });
+    expect(rejected.status >= 400 && rejected.status < 500, `Got ${rejected.status}`);
+    expect((await newStagingFiles(before)).length === 0, 'Rejected upload left its staging file');
+    log.pass(`${rejected.status}, staging file discarded\n`);
+
+    // 3. Over the size limit
+    log.test('3. Uploading a file over the size limit...');
+    const maxFileSize = FileValidationService.getMaxFileSize();
+    const oversized = await request(`${server.url}/images`, { method: 'POST', body: formData([['image', 'big.jpg', crypto.randomBytes(maxFileSize + 1)]]) });
+    expect(oversized.status === 413, `Got ${oversized.status}`);
+    expect((await newStagingFiles(before)).length === 0, 'Oversized upload left its staging file');
+    log.pass('413, partial staging file discarded\n');
+
+    // 4. Aborted upload
+    log.test('4. Dropping the connection halfway through an upload...');
+    await abortUpload(`${server.url}/images`, 256 * 1024, 1024 * 1024);
+    await delay(200);
+    expect(moves.length === 1, 'Aborted upload was stored');
+    const leftovers = await newStagingFiles(before);
+    expect(leftovers.length === 1, `Expected the partial staging file, found ${leftovers.length}`);
+
+    // The janitor keeps recent staging files (uploads in progress) and removes old ones
+    const leftoverPath = path.join(FileStorageService.getStagingDirectory(), leftovers[0]);
+    await FileStorageService.cleanupStagingDirectory();
+    expect(await FileUtils.fileExists(leftoverPath), 'Janitor removed a recent staging file');
+    const stale = new Date(Date.now() - (STORAGE.TEMP_FILE_MAX_AGE_MINUTES + 1) * 60 * 1000);
+    await fs.utimes(leftoverPath, stale, stale);
+    await FileStorageService.cleanupStagingDirectory();
+    expect(!await FileUtils.fileExists(leftoverPath), 'Janitor kept a stale staging file');
+    log.pass(`Nothing stored; the partial staging file is removed by the janitor after ${STORAGE.TEMP_FILE_MAX_AGE_MINUTES} minutes\n`);
+
+    log.pass('All upload staging tests passed!');
+  } catch (error) {
+    log.fail('Upload staging test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    FileStorageService.moveStagedFile = moveStagedFile;
+    FileStorageService.saveFile = saveFile;
+    for (const filename of stored) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testUploadStaging();
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * SVG Sanitization Test Script
+ *
+ * Tests the SVG sanitizer: scripts, foreignObject, on* event handlers,
+ * external and javascript: links, external CSS references and entity
+ * definitions; then rasterizing a sanitized SVG to PNG, and refusing a
+ * staged SVG larger than the profile allows before it is read into memory.
+ * Usage: node tests/svg.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import SvgSanitizerService from '../services/SvgSanitizerService.js';
+import UploadService from '../services/UploadService.js';
+import { expect, expectRejection } from './helpers.js';
+
+const sanitize = (svg) => {
+  const { buffer, removed } = SvgSanitizerService.sanitize(Buffer.from(svg));
+  return { output: buffer.toString('utf8'), removed };
+};
+
+const svgValidation = { mimeType: 'image/svg+xml', extension: '.svg', documentInfo: null };
+
+const ICON = [
+  '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="64" height="48" onload="alert(1)">',
+  '<script>alert(document.cookie)</script>',
+  '<foreignObject width="10" height="10"><body xmlns="http://www.w3.org/1999/xhtml"><iframe src="https://evil.test"/></body></foreignObject>',
+  '<defs><linearGradient id="fade"><stop offset="0" stop-color="#08f"/></linearGradient></defs>',
+  '<rect width="64" height="48" fill="url(#fade)" onclick="steal()" onMouseOver="steal()"/>',
+  '<a href="javascript:alert(1)"><circle cx="10" cy="10" r="5"/></a>',
+  '<use xlink:href="https://evil.test/sprite.svg#icon"/>',
+  '<use href="#fade"/>',
+  '<image href="https://evil.test/pixel.png" width="1" height="1"/>',
+  '<image href="data:image/png;base64,iVBORw0KGgo=" width="1" height="1"/>',
+  '<rect width="1" height="1" style="fill: url(https://evil.test/x.svg#p)"/>',
+  '</svg>'
+].join('');
+
+const testSvgSanitization = async () => {
+  log.info('Testing SVG sanitization...\n');
+
+  const stagedPath = path.join(os.tmpdir(), `svg-test-${process.pid}.svg`);
+
+  try {
+    const { output, removed } = sanitize(ICON);
+
+    // 1. Active content
+    log.test('1. Removing scripts and foreignObject...');
+    expect(!/<script/i.test(output), 'Script element kept');
+    expect(!/foreignObject|iframe/i.test(output), 'foreignObject kept');
+    log.pass('Script and foreignObject removed with their content\n');
+
+    // 2. Event handlers
+    log.test('2. Removing on* attributes...');
+    expect(!/\son[a-z]+=/i.test(output), 'Event handler attribute kept');
+    expect(output.includes('fill="url(#fade)"'), 'Local url() reference removed');
+    log.pass('onload, onclick and onMouseOver removed, local references kept\n');
+
+    // 3. Links
+    log.test('3. Checking href and xlink:href...');
+    expect(!output.includes('javascript:'), 'javascript: link kept');
+    expect(!output.includes('https://evil.test'), 'External reference kept');
+    expect(output.includes('href="#fade"'), 'Local href removed');
+    expect(output.includes('href="data:image/png;base64,'), 'Raster data: URI on <image> removed');
+    log.pass(`External and javascript: links removed (${removed.elements} elements, ${removed.attributes} attributes)\n`);
+
+    // 4. Documents that are refused outright
+    log.test('4. Rejecting entity definitions and broken documents...');
+    await expectRejection(
+      (async () => sanitize('<!DOCTYPE svg [<!ENTITY x SYSTEM "file:///etc/passwd">]><svg>&x;</svg>'))(),
+      400,
+      'SVG_DOCTYPE_NOT_ALLOWED'
+    );
+    await expectRejection((async () => sanitize('<svg><g></svg>'))(), 400, 'INVALID_SVG');
+    await expectRejection((async () => sanitize('<svg/>alert(1)'))(), 400, 'INVALID_SVG');
+    await expectRejection((async () => SvgSanitizerService.sanitize(Buffer.from([0x3C, 0x73, 0x76, 0x67, 0xFF, 0x3E])))(), 400, 'INVALID_SVG');
+    log.pass('DOCTYPE entities, unbalanced tags, stray text and invalid UTF-8 rejected\n');
+
+    // 5. Rasterize on upload
+    log.test('5. Rasterizing a sanitized SVG to PNG...');
+    const { transformationResult, sanitized } = await UploadService.deriveContent(
+      { originalname: 'icon.svg', buffer: Buffer.from(ICON), size: ICON.length },
+      svgValidation,
+      { convert: 'png' },
+      { keepInMemory: true }
+    );
+    const metadata = await sharp(transformationResult.buffer).metadata();
+    expect(transformationResult.mimeType === 'image/png' && metadata.format === 'png', 'SVG not rasterized to PNG');
+    expect(sanitized.elements > 0 && sanitized.attributes > 0, 'Sanitization not reported');
+    log.pass(`Rasterized to ${metadata.width}x${metadata.height} PNG\n`);
+
+    // 6. Staged SVG larger than the profile allows
+    log.test('6. Reading a staged SVG over the size limit...');
+    await fs.writeFile(stagedPath, ICON);
+    await expectRejection(
+      UploadService.deriveContent(
+        { originalname: 'icon.svg', path: stagedPath, size: ICON.length },
+        svgValidation,
+        {},
+        { keepInMemory: true, maxFileSize: 256 }
+      ),
+      413,
+      'FILE_TOO_LARGE'
+    );
+    log.pass('Oversized staged SVG refused before sanitizing\n');
+
+    log.pass('All SVG sanitization tests passed!');
+  } catch (error) {
+    log.fail('SVG sanitization test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(stagedPath, { force: true });
+  }
+};
+
+// Run the test
+testSvgSanitization();
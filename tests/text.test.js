@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Text Inspection Test Script
+ *
+ * Tests text upload validation (TextInspectionService): encoding detection
+ * from BOMs, the UTF-16 byte pattern, UTF-8 validity and Latin-1; line count
+ * and preview; binary content and broken encodings rejected with their
+ * reason; UTF-8 normalization; and refusing staged text larger than the
+ * profile allows before it is read into memory.
+ * Usage: node tests/text.test.js
+ */
+
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import log from '../utils/logger.js';
+import { TEXT_INSPECTION } from '../config/constants/index.js';
+import TextInspectionService from '../services/TextInspectionService.js';
+import FileValidationService from '../services/FileValidationService.js';
+import UploadService from '../services/UploadService.js';
+import { expect, expectRejection } from './helpers.js';
+
+const NOTES = 'Café crème — 3 líneas\nsegunda línea\r\ntercera\n';
+
+const utf16be = (text) => Buffer.from(text, 'utf16le').swap16();
+
+const validate = (buffer) => FileValidationService.validateFile({
+  originalname: 'notes.txt',
+  mimetype: 'text/plain',
+  buffer,
+  size: buffer.length
+});
+
+const textValidation = { mimeType: 'text/plain', extension: '.txt', documentInfo: { encoding: 'utf-16le', bom: true } };
+
+const testTextInspection = async () => {
+  log.info('Testing text inspection...\n');
+
+  const stagedPath = path.join(os.tmpdir(), `text-test-${process.pid}.txt`);
+
+  try {
+    // 1. UTF-8 text
+    log.test('1. Validating UTF-8 text...');
+    const utf8 = await validate(Buffer.from(NOTES));
+    expect(utf8.mimeType === 'text/plain', `Validated as ${utf8.mimeType}`);
+    expect(utf8.documentInfo?.encoding === 'utf-8' && !utf8.documentInfo.bom, `Encoding ${utf8.documentInfo?.encoding}`);
+    expect(utf8.documentInfo.lineCount === 3, `Line count ${utf8.documentInfo.lineCount}`);
+    expect(utf8.documentInfo.preview === NOTES, 'Preview differs from the text');
+    log.pass(`utf-8, ${utf8.documentInfo.lineCount} lines\n`);
+
+    // 2. Byte order marks
+    log.test('2. Detecting UTF-8, UTF-16LE and UTF-16BE BOMs...');
+    const boms = [
+      [Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(NOTES)]), 'utf-8'],
+      [Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(NOTES, 'utf16le')]), 'utf-16le'],
+      [Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(NOTES)]), 'utf-16be']
+    ];
+    for (const [buffer, encoding] of boms) {
+      const { documentInfo } = await validate(buffer);
+      expect(documentInfo.encoding === encoding && documentInfo.bom, `${encoding} BOM detected as ${documentInfo.encoding}`);
+      expect(documentInfo.preview === NOTES, `${encoding} preview not decoded`);
+    }
+    log.pass('BOMs detected and removed from the preview\n');
+
+    // 3. Encodings without BOM
+    log.test('3. Detecting UTF-16 without BOM and Latin-1...');
+    expect(TextInspectionService.inspect(Buffer.from(NOTES, 'utf16le')).encoding === 'utf-16le', 'UTF-16LE without BOM not detected');
+    expect(TextInspectionService.inspect(utf16be(NOTES)).encoding === 'utf-16be', 'UTF-16BE without BOM not detected');
+    const latin1 = TextInspectionService.inspect(Buffer.from('Caf\xE9 \x93quoted\x94', 'latin1'));
+    expect(latin1.encoding === 'latin1', `Latin-1 detected as ${latin1.encoding}`);
+    expect(latin1.preview === 'Café “quoted”', 'windows-1252 quotes not decoded');
+    log.pass('utf-16le, utf-16be and latin1 (windows-1252 quotes) detected\n');
+
+    // 4. Binary content
+    log.test('4. Validating binary content uploaded as .txt...');
+    await expectRejection(validate(Buffer.from([0x7F, 0x45, 0x4C, 0x46, 0x02, 0x01, 0x01, 0x00, 0x00, 0x00])), 415, 'UNRECOGNIZED_CONTENT');
+    const controls = Buffer.from(Array.from({ length: 200 }, (_, i) => i % 8));
+    const tail = await expectRejection(validate(Buffer.concat([Buffer.from('a'.repeat(2048)), controls])), 422, 'BINARY_CONTENT');
+    expect(tail.details.controlCharacters === 200 && tail.details.maxRatio === TEXT_INSPECTION.MAX_CONTROL_CHAR_RATIO,
+      'Control character count missing from details');
+    log.pass(`Binary blob rejected, binary after a text prefix rejected (ratio ${tail.details.ratio})\n`);
+
+    // 5. Broken encodings
+    log.test('5. Validating content that breaks its BOM...');
+    await expectRejection(validate(Buffer.from([0xEF, 0xBB, 0xBF, 0x61, 0xFF, 0xFE, 0x62])), 422, 'INVALID_TEXT_ENCODING');
+    await expectRejection(validate(Buffer.from([0xFF, 0xFE, 0x61, 0x00, 0x62])), 422, 'INVALID_TEXT_ENCODING');
+    log.pass('Invalid UTF-8 and odd-length UTF-16 rejected\n');
+
+    // 6. Normalization
+    log.test('6. Normalizing staged UTF-16 text to UTF-8...');
+    process.env.NORMALIZE_TEXT_TO_UTF8 = 'true';
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(NOTES, 'utf16le')]);
+    await fs.writeFile(stagedPath, utf16);
+    const { transformationResult, documentInfo } = await UploadService.deriveContent(
+      { originalname: 'notes.txt', path: stagedPath, size: utf16.length },
+      textValidation,
+      {},
+      { keepInMemory: true }
+    );
+    expect(transformationResult.buffer?.toString('utf8') === NOTES, 'Text not re-encoded as UTF-8');
+    expect(documentInfo.encoding === 'utf-8' && documentInfo.normalizedFrom === 'utf-16le', 'Normalization not recorded');
+    expect(TextInspectionService.normalize(Buffer.from(NOTES)) === null, 'UTF-8 without BOM normalized again');
+    log.pass(`Stored as utf-8, ${utf16.length} -> ${transformationResult.buffer.length} bytes\n`);
+
+    // 7. Staged text larger than the profile allows
+    log.test('7. Reading staged text over the size limit...');
+    await expectRejection(
+      FileValidationService.validateContent({ originalname: 'notes.txt', path: stagedPath }, 'text/plain', 32),
+      413,
+      'FILE_TOO_LARGE'
+    );
+    await expectRejection(
+      UploadService.deriveContent(
+        { originalname: 'notes.txt', path: stagedPath, size: utf16.length },
+        textValidation,
+        {},
+        { keepInMemory: true, maxFileSize: 32 }
+      ),
+      413,
+      'FILE_TOO_LARGE'
+    );
+    log.pass('Oversized staged text refused before inspection and normalization\n');
+
+    log.pass('All text inspection tests passed!');
+  } catch (error) {
+    log.fail('Text inspection test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    delete process.env.NORMALIZE_TEXT_TO_UTF8;
+    await fs.rm(stagedPath, { force: true });
+  }
+};
+
+// Run the test
+testTextInspection();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Version History Test Script
+ *
+ * Tests in-place replacement through the app: PUT /images/:filename stores
+ * new content under the same name and archives the previous one as a
+ * numbered version, two replacements of the same version conflict (409) and
+ * the loser leaves nothing behind, versions are listed newest first and
+ * restoring one makes it current again as a new version.
+ * Uses the database configured in .env.
+ * Usage: node tests/versions.test.js
+ */
+
+import crypto from 'crypto';
+import { setTimeout as delay } from 'timers/promises';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import FileUtils from '../utils/fileUtils.js';
+import FileStorageService from '../services/FileStorageService.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+// Slows the storing step in step 3, so both replacements read the same version
+const { moveStagedFile } = FileStorageService;
+const STORE_DELAY_MS = 300;
+
+// Random color, so the content is new to the database
+const newImage = () => jpegImage(`#${crypto.randomBytes(3).toString('hex')}`);
+
+const replace = (url, filename, content) => request(`${url}/images/${filename}`, {
+  method: 'PUT',
+  body: formData([['image', 'replacement.jpg', content]])
+});
+
+const listVersions = async (url, filename) => {
+  const response = await request(`${url}/images/${filename}/versions`);
+  expect(response.status === 200, `Versions of ${filename}: ${response.status}`);
+  return response.body.data;
+};
+
+// Bytes of the content a version points to
+const versionContent = async (url, version) => {
+  const response = await fetch(`${url}/static/${FileStorageService.getFilenameFromPath(version.path)}`);
+  expect(response.status === 200, `Content of version ${version.version}: ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const testVersionHistory = async () => {
+  log.info('Testing version history...\n');
+
+  let filename;
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    server = await listen(app);
+
+    const original = await newImage();
+    const upload = await request(`${server.url}/images`, { method: 'POST', body: formData([['image', 'versioned.jpg', original]]) });
+    expect(upload.status === 200, `Upload: ${upload.status}`);
+    filename = upload.body.data.filename;
+
+    // 1. Replace
+    log.test('1. Replacing the content of an image...');
+    const second = await newImage();
+    const replaced = await replace(server.url, filename, second);
+    expect(replaced.status === 200 && replaced.body.data.filename === filename, `Got ${replaced.status} ${JSON.stringify(replaced.body)}`);
+    expect(replaced.body.data.version === 2 && replaced.body.data.previousVersion === 1, `Versions: ${replaced.body.data.version}, previous ${replaced.body.data.previousVersion}`);
+    log.pass('Same name, now version 2 (version 1 archived)\n');
+
+    // 2. History
+    log.test('2. Listing versions...');
+    const history = await listVersions(server.url, filename);
+    expect(history.currentVersion === 2 && history.versions.map(version => version.version).join() === '2,1', `Versions: ${history.versions.map(version => version.version).join()}`);
+    expect((await versionContent(server.url, history.versions[0])).equals(second), 'Current version does not hold the new content');
+    expect((await versionContent(server.url, history.versions[1])).equals(original), 'Version 1 does not hold the original content');
+    log.pass('Current version 2 with the new content, version 1 with the original\n');
+
+    // 3. Two replacements of the same version
+    log.test('3. Replacing the image twice at the same time...');
+    FileStorageService.moveStagedFile = async function (...args) {
+      await delay(STORE_DELAY_MS);
+      return moveStagedFile.apply(this, args);
+    };
+    const contenders = [await newImage(), await newImage()];
+    const filesBefore = await FileUtils.readDirectory(FileStorageService.getUploadDirectory());
+    const results = await Promise.all(contenders.map(content => replace(server.url, filename, content)));
+    FileStorageService.moveStagedFile = moveStagedFile;
+    const winner = results.findIndex(result => result.status === 200);
+    const loser = results.find(result => result.status !== 200);
+    expect(winner !== -1 && loser?.status === 409, `Got ${results.map(result => result.status).join(' and ')}`);
+    const afterConflict = await listVersions(server.url, filename);
+    expect(afterConflict.currentVersion === 3 && afterConflict.versions.length === 3, `Versions after the conflict: ${afterConflict.versions.map(version => version.version).join()}`);
+    expect((await versionContent(server.url, afterConflict.versions[0])).equals(contenders[winner]), 'Current content is not the winner\'s');
+    const filesAfter = await FileUtils.readDirectory(FileStorageService.getUploadDirectory());
+    expect(filesAfter.length === filesBefore.length + 1, `${filesAfter.length - filesBefore.length} files stored for one replacement`);
+    log.pass('One stored as version 3, the other 409 and rolled back\n');
+
+    // 4. Restore
+    log.test('4. Restoring version 1...');
+    const restored = await request(`${server.url}/images/${filename}/versions/1/restore`, { method: 'POST' });
+    expect(restored.status === 200 && restored.body.data.version === 4 && restored.body.data.restoredVersion === 1, `Got ${restored.status} ${JSON.stringify(restored.body)}`);
+    const afterRestore = await listVersions(server.url, filename);
+    expect((await versionContent(server.url, afterRestore.versions[0])).equals(original), 'Restored content differs from version 1');
+    expect(afterRestore.versions.map(version => version.version).join() === '4,3,2,1', `Versions: ${afterRestore.versions.map(version => version.version).join()}`);
+    log.pass('Original content current again as version 4, history kept\n');
+
+    // 5. Missing version and image
+    log.test('5. Restoring a version that does not exist and replacing an unknown image...');
+    const missingVersion = await request(`${server.url}/images/${filename}/versions/99/restore`, { method: 'POST' });
+    expect(missingVersion.status === 404, `Missing version: ${missingVersion.status}`);
+    const missingImage = await replace(server.url, 'missing.jpg', await newImage());
+    expect(missingImage.status === 404, `Unknown image: ${missingImage.status}`);
+    log.pass('404 for both\n');
+
+    log.pass('All version history tests passed!');
+  } catch (error) {
+    log.fail('Version history test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    FileStorageService.moveStagedFile = moveStagedFile;
+    if (filename) {
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testVersionHistory();
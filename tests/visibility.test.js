@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Static Visibility Test Script
+ *
+ * Tests how /static decides what it may serve: expired files answer 410 from
+ * the in-memory list, on time even between refreshes, serving a file never
+ * queries the database, and when the database is unreachable the last list
+ * stays in use and files are still served.
+ * Uses the database configured in .env.
+ * Usage: node tests/visibility.test.js
+ */
+
+import crypto from 'crypto';
+import { setTimeout as delay } from 'timers/promises';
+import log from '../utils/logger.js';
+import db from '../config/database.js';
+import app from '../app.js';
+import StaticVisibilityService from '../services/StaticVisibilityService.js';
+import { expect, listen, formData, request, jpegImage } from './helpers.js';
+
+// Seconds left before the image of step 2 expires
+const EXPIRES_IN_SECONDS = 1;
+
+// Random color, so the content is new to the database
+const newImage = () => jpegImage(`#${crypto.randomBytes(3).toString('hex')}`);
+
+const upload = async (url, filename, fields = []) => {
+  const response = await request(`${url}/images`, { method: 'POST', body: formData([['image', filename, await newImage()]], fields) });
+  expect(response.status === 200, `Upload of ${filename}: ${response.status} ${JSON.stringify(response.body)}`);
+  return response.body.data.filename;
+};
+
+const setExpiration = (filename, seconds) => db.pool.query(
+  'UPDATE images_metadata SET expires_at = NOW() + make_interval(secs => $2) WHERE name = $1',
+  [filename, seconds]
+);
+
+const staticStatus = async (url, filename) => (await fetch(`${url}/static/${filename}`)).status;
+
+const testStaticVisibility = async () => {
+  log.info('Testing static file visibility...\n');
+
+  const stored = [];
+  const { query } = db.pool;
+  let server;
+
+  try {
+    await db.initializeDatabase();
+    server = await listen(app);
+
+    // 1. Expiring upload
+    log.test('1. Uploading an image that expires and one that does not...');
+    const expiring = await upload(server.url, 'expiring.jpg', [['expiresIn', '60']]);
+    const lasting = await upload(server.url, 'lasting.jpg');
+    stored.push(expiring, lasting);
+    expect(await staticStatus(server.url, expiring) === 200, 'Expiring image not served before it expires');
+    log.pass('Both served\n');
+
+    // 2. Expiry between refreshes
+    log.test(`2. Moving the expiration ${EXPIRES_IN_SECONDS}s ahead, refreshing once and waiting...`);
+    await setExpiration(expiring, EXPIRES_IN_SECONDS);
+    await StaticVisibilityService.refresh();
+    expect(await staticStatus(server.url, expiring) === 200, 'Hidden before its expiration');
+    await delay(EXPIRES_IN_SECONDS * 1000 + 200);
+    const expired = await request(`${server.url}/static/${expiring}`);
+    expect(expired.status === 410 && expired.body.code === 'IMAGE_EXPIRED', `Got ${expired.status} ${expired.body?.code}`);
+    log.pass('410 IMAGE_EXPIRED once the moment passed, without another refresh\n');
+
+    // 3. No queries while serving
+    log.test('3. Counting database queries while /static answers...');
+    let queries = 0;
+    db.pool.query = function (...args) {
+      queries++;
+      return query.apply(this, args);
+    };
+    const statuses = [await staticStatus(server.url, expiring), await staticStatus(server.url, lasting)];
+    db.pool.query = query;
+    expect(statuses.join() === '410,200', `Got ${statuses.join()}`);
+    expect(queries === 0, `${queries} queries`);
+    log.pass('410 and 200 with no database queries\n');
+
+    // 4. Database unreachable
+    log.test('4. Refreshing while the database is unreachable...');
+    db.pool.query = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+    await StaticVisibilityService.refresh();
+    await StaticVisibilityService.refreshImage(lasting);
+    const duringOutage = [await staticStatus(server.url, expiring), await staticStatus(server.url, lasting)];
+    db.pool.query = query;
+    expect(duringOutage.join() === '410,200', `Got ${duringOutage.join()}`);
+    log.pass('Previous list kept: expired file still 410, the other served (no 503)\n');
+
+    log.pass('All static visibility tests passed!');
+  } catch (error) {
+    log.fail('Static visibility test failed:');
+    console.error(`       Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    db.pool.query = query;
+    for (const filename of stored) {
+      // Expired images answer 410 to DELETE; the janitor is not running here
+      await setExpiration(filename, 3600).catch(() => null);
+      await fetch(`${server.url}/images/${filename}`, { method: 'DELETE' }).catch(() => null);
+    }
+    await server?.close();
+    await db.closeConnections();
+  }
+};
+
+// Run the test
+testStaticVisibility();
@@ -5,7 +5,8 @@
  * Provides reusable file-related functionality across the application.
  */
 
-import { promises as fs } from 'fs';
+import { promises as fs, createReadStream } from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { log } from './logger.js';
 
@@ -112,6 +113,52 @@ export class FileUtils {
     }
   }
 
+  /**
+   * Compute a content hash of a file (streamed) or a buffer
+   */
+  static async computeHash(source, algorithm = 'sha256') {
+    const hash = crypto.createHash(algorithm);
+
+    if (Buffer.isBuffer(source)) {
+      return hash.update(source).digest('hex');
+    }
+
+    for await (const chunk of createReadStream(source)) {
+      hash.update(chunk);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Read a whole file (streamed) or take a buffer, refusing content larger
+   * than maxBytes before it is held in memory (413 FILE_TOO_LARGE)
+   */
+  static async readFileWithLimit(source, maxBytes) {
+    const tooLarge = () => {
+      const error = new Error(`File content exceeds the ${maxBytes} bytes that can be read`);
+      error.statusCode = 413;
+      error.code = 'FILE_TOO_LARGE';
+      return error;
+    };
+
+    if (Buffer.isBuffer(source)) {
+      if (source.length > maxBytes) throw tooLarge();
+      return source;
+    }
+
+    const chunks = [];
+    let total = 0;
+
+    for await (const chunk of createReadStream(source)) {
+      total += chunk.length;
+      if (total > maxBytes) throw tooLarge(); // Leaving the loop closes the stream
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks, total);
+  }
+
   /**
    * Read directory contents safely
    */
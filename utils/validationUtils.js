@@ -5,6 +5,9 @@
  * Provides reusable validation logic across the application.
  */
 
+import net from 'net';
+import { IMAGE_PROCESSING } from '../config/constants/index.js';
+
 export class ValidationUtils {
   /**
    * Validate email format
@@ -178,7 +181,7 @@ export class ValidationUtils {
    */
   static validateTransformationParams(params) {
     const errors = [];
-    const validFormats = ['jpg', 'png', 'webp']; // Real-world formats only
+    const validFormats = IMAGE_PROCESSING.SUPPORTED_FORMATS;
     
     // Validate format (support both 'convert' and legacy 'type')
     const formatParam = params.convert || params.type;
@@ -210,7 +213,59 @@ export class ValidationUtils {
         }
       }
     }
-    
+
+    // Validate fit, position and background (they shape the resize)
+    const fit = params.fit ? String(params.fit).toLowerCase() : IMAGE_PROCESSING.DEFAULT_FIT;
+    if (!IMAGE_PROCESSING.FIT_MODES.includes(fit)) {
+      errors.push(`Invalid fit. Allowed fits: ${IMAGE_PROCESSING.FIT_MODES.join(', ')}`);
+    }
+
+    if (params.position) {
+      const position = String(params.position).toLowerCase();
+
+      if (IMAGE_PROCESSING.SMART_CROP_STRATEGIES.includes(position)) {
+        if (fit !== 'cover') {
+          errors.push(`Smart crop (${position}) only applies to fit=cover`);
+        }
+      } else if (!IMAGE_PROCESSING.POSITIONS.includes(position)) {
+        errors.push(`Invalid position. Allowed positions: ${[...IMAGE_PROCESSING.POSITIONS, ...IMAGE_PROCESSING.SMART_CROP_STRATEGIES].join(', ')}`);
+      } else if (fit !== 'cover' && fit !== 'contain') {
+        errors.push('Position only applies to fit=cover or fit=contain');
+      }
+    }
+
+    // Validate rotation (whole degrees) and the on/off orientation flags
+    const rotateRegex = /^-?\d+$/;
+    const rotate = params.rotate ? parseInt(params.rotate, 10) : 0;
+    if (params.rotate && (!rotateRegex.test(params.rotate) || rotate < -360 || rotate > 360)) {
+      errors.push('Rotate must be a whole number of degrees between -360 and 360');
+    }
+
+    for (const flag of ['autoOrient', 'flip', 'flop']) {
+      if (params[flag] && !['true', 'false', '1', '0'].includes(String(params[flag]).toLowerCase())) {
+        errors.push(`${flag} must be true or false`);
+      }
+    }
+
+    if (params.background) {
+      const colorRegex = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+      if (String(params.background).toLowerCase() !== 'transparent' && !colorRegex.test(params.background)) {
+        errors.push('Background must be a hex color (fff, ffffff, ffffff80) or transparent');
+      } else if (!(params.resize && fit === 'contain') && !(rotate % 90)) {
+        errors.push('Background only applies to fit=contain or rotations that are not multiples of 90');
+      }
+    }
+
+    // Validate crop parameter (x,y,width,height)
+    if (params.crop) {
+      const match = String(params.crop).match(/^(\d+),(\d+),(\d+),(\d+)$/);
+      if (!match) {
+        errors.push('Invalid crop format. Use: x,y,width,height');
+      } else if (parseInt(match[3], 10) === 0 || parseInt(match[4], 10) === 0) {
+        errors.push('Crop width and height must be positive');
+      }
+    }
+
     // Validate quality parameter
     if (params.quality) {
       if (!this.isValidInteger(params.quality, 1, 100)) {
@@ -226,6 +281,66 @@ export class ValidationUtils {
     };
   }
 
+  /**
+   * Split tags given as comma separated values and/or repeated fields,
+   * trimmed, lowercased and without duplicates
+   */
+  static parseTags(value, separator = ',') {
+    if (value === undefined || value === null) return [];
+
+    const values = Array.isArray(value) ? value : [value];
+    const tags = values
+      .flatMap(item => String(item).split(separator))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Validate descriptive metadata (title, alt text, description, tags).
+   * Tags must already be parsed with parseTags.
+   */
+  static validateDescriptiveMetadata(fields, limits) {
+    const errors = [];
+    const controlChars = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+    const tagRegex = /^[\p{L}\p{N}][\p{L}\p{N} _.-]*$/u;
+
+    const textFields = [
+      ['title', fields.title, limits.maxTitleLength],
+      ['altText', fields.altText, limits.maxTextLength],
+      ['description', fields.description, limits.maxTextLength]
+    ];
+
+    for (const [name, value, maxLength] of textFields) {
+      if (value === undefined) continue;
+
+      if (typeof value !== 'string') {
+        errors.push(`${name} must be a single text value`);
+      } else if (!this.isValidStringLength(value, 1, maxLength)) {
+        errors.push(`${name} must be between 1 and ${maxLength} characters`);
+      } else if (controlChars.test(value)) {
+        errors.push(`${name} contains control characters`);
+      }
+    }
+
+    if (fields.tags) {
+      if (fields.tags.length > limits.maxTags) {
+        errors.push(`Too many tags. Maximum ${limits.maxTags} tags allowed`);
+      }
+
+      const invalid = fields.tags.filter(tag => tag.length > limits.maxTagLength || !tagRegex.test(tag));
+      if (invalid.length > 0) {
+        errors.push(`Invalid tags: ${invalid.join(', ')}. Tags use letters, numbers, spaces, "_", "." or "-" (max ${limits.maxTagLength} characters)`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Sanitize string input (remove potentially dangerous characters)
    */
@@ -267,9 +382,8 @@ export class ValidationUtils {
   static validateRateLimitInfo(ip, userAgent) {
     const errors = [];
     
-    // Validate IP format
-    const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-    if (ip && !ipRegex.test(ip) && ip !== '::1' && ip !== 'localhost') {
+    // Validate IP format (IPv4, full or compressed IPv6, IPv4-mapped IPv6)
+    if (ip && net.isIP(ip) === 0 && ip !== 'localhost') {
       errors.push('Invalid IP address format');
     }
     